@@ -0,0 +1,179 @@
+/* eslint-disable no-restricted-globals */
+// ========================================
+// Service Worker 模板
+// ========================================
+// 由 build/vite-plugin-pwa.js 在构建时注入预缓存清单和缓存版本后输出为 dist/sw.js
+//
+// 缓存策略：
+// - 应用外壳（index.html、构建产物、图标）：安装时预缓存，缓存优先；新版本安装后进入 waiting，
+//   由页面（useVersionCheck）确认后发送 SKIP_WAITING 激活
+// - /data/** 数据 JSON：stale-while-revalidate
+// - 缩略图：缓存优先，超出数量上限时淘汰最早的缓存
+// - 原图：只在用户开启“离线保存原图”后由页面写入（src/services/offlineOriginals.js），这里只负责读取
+// - version.json 等版本文件：始终走网络
+
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST__
+const CACHE_VERSION = self.__CACHE_VERSION__
+
+// 缓存名称（DATA / THUMBNAIL / ORIGINALS 与 src/services/offlineOriginals.js 一致）
+const SHELL_CACHE = `wallpaper-shell-${CACHE_VERSION}`
+const SHELL_CACHE_PREFIX = 'wallpaper-shell-'
+const DATA_CACHE = 'wallpaper-data'
+const THUMBNAIL_CACHE = 'wallpaper-thumbnails'
+const ORIGINALS_CACHE = 'wallpaper-originals'
+const LIB_CACHE = 'wallpaper-libs'
+
+// 缩略图缓存数量上限（跨域图片为不透明响应，浏览器按较大的固定大小计入配额）
+const MAX_THUMBNAILS = 300
+
+// 始终走网络的文件（版本检测依赖最新内容）
+const NETWORK_ONLY_PATHS = ['/version.json', '/app-version.json']
+
+// 缩略图 URL 特征：图床 /thumbnail/ 目录、Bing 400x240 缩略图
+const THUMBNAIL_PATTERNS = [/\/thumbnail\//, /_400x240\.jpg$/]
+
+// 带版本号的第三方库（URL 不变则内容不变）
+const LIB_HOSTS = ['unpkg.com']
+
+const precachePaths = new Set(PRECACHE_URLS)
+const INDEX_URL = PRECACHE_URLS.find(url => url.endsWith('/index.html'))
+
+// ========================================
+// 生命周期
+// ========================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS)),
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING')
+    self.skipWaiting()
+})
+
+// ========================================
+// 缓存策略
+// ========================================
+
+async function cacheFirst(request, cacheName, maxEntries = 0) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached)
+    return cached
+
+  const response = await fetch(request)
+  // 跨域图片为不透明响应（status 为 0），同样可以缓存
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone())
+    if (maxEntries > 0)
+      await trimCache(cache, maxEntries)
+  }
+  return response
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+
+  const update = fetch(request).then(async (response) => {
+    if (response.ok) {
+      // 同一文件只保留最新版本（数据请求带 ?v= 版本参数）
+      const pathname = new URL(request.url).pathname
+      const keys = await cache.keys()
+      await Promise.all(keys
+        .filter(key => new URL(key.url).pathname === pathname && key.url !== request.url)
+        .map(key => cache.delete(key)))
+      await cache.put(request, response.clone())
+    }
+    return response
+  })
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}))
+    return cached
+  }
+  return update
+}
+
+/**
+ * 超出数量上限时淘汰最早写入的缓存
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys()
+  const overflow = keys.length - maxEntries
+  if (overflow > 0)
+    await Promise.all(keys.slice(0, overflow).map(key => cache.delete(key)))
+}
+
+/**
+ * 页面导航：返回预缓存的 index.html（单页应用，所有路由共用）
+ */
+async function handleNavigation(request) {
+  const cached = INDEX_URL && await caches.match(INDEX_URL, { cacheName: SHELL_CACHE })
+  if (cached)
+    return cached
+  return fetch(request)
+}
+
+/**
+ * 原图 / 预览图：已离线保存时从缓存读取，否则走网络
+ */
+async function handleImage(request) {
+  const cached = await caches.match(request, { cacheName: ORIGINALS_CACHE, ignoreVary: true })
+  return cached || fetch(request)
+}
+
+// ========================================
+// 请求拦截
+// ========================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET')
+    return
+
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+
+  if (sameOrigin && NETWORK_ONLY_PATHS.includes(url.pathname))
+    return
+
+  // 带扩展名的直接访问（如 /sitemap.xml）不属于应用路由
+  if (request.mode === 'navigate' && !/\.\w+$/.test(url.pathname)) {
+    event.respondWith(handleNavigation(request))
+    return
+  }
+
+  if (sameOrigin && url.pathname.startsWith('/data/')) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE))
+    return
+  }
+
+  if (sameOrigin && precachePaths.has(url.pathname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+    return
+  }
+
+  if (LIB_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, LIB_CACHE))
+    return
+  }
+
+  if (request.destination === 'image') {
+    const isThumbnail = THUMBNAIL_PATTERNS.some(pattern => pattern.test(url.pathname + url.search))
+    event.respondWith(isThumbnail ? cacheFirst(request, THUMBNAIL_CACHE, MAX_THUMBNAILS) : handleImage(request))
+  }
+})
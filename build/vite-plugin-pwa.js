@@ -0,0 +1,63 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+/**
+ * PWA 插件
+ * 构建时根据产物生成 Service Worker（dist/sw.js）：
+ * 读取 build/service-worker.js 模板，注入预缓存清单（index.html、构建产物、图标等）和缓存版本
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const TEMPLATE_PATH = path.resolve(__dirname, 'service-worker.js')
+
+// 需要预缓存的 public 目录文件（public/data 数据量大，由运行时缓存处理）
+const DEFAULT_PUBLIC_FILES = [
+  'manifest.webmanifest',
+  'favicon.svg',
+  'icon-192.png',
+]
+
+/**
+ * PWA 插件
+ * @param {object} options 配置选项
+ * @param {string} options.version - 应用版本号
+ * @param {string} options.buildTime - 构建时间（作为缓存版本的一部分，每次构建都会触发 Service Worker 更新）
+ * @param {string[]} options.publicFiles - 需要预缓存的 public 目录文件
+ * @returns {import('vite').Plugin}
+ */
+export function pwaPlugin(options = {}) {
+  const {
+    version = '1.0.0',
+    buildTime = new Date().toISOString(),
+    publicFiles = DEFAULT_PUBLIC_FILES,
+  } = options
+
+  let base = '/'
+
+  return {
+    name: 'vite-plugin-pwa',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(_, bundle) {
+      const assets = Object.keys(bundle).filter(fileName =>
+        fileName !== 'index.html' && !fileName.endsWith('.map'),
+      )
+      // 生成的文件（如 manifest.webmanifest）可能同时出现在 publicFiles 和构建产物中，去重避免 addAll 失败
+      const urls = [...new Set(['index.html', ...publicFiles, ...assets])].map(fileName => `${base}${fileName}`)
+      const cacheVersion = `${version}-${buildTime.replace(/\D/g, '')}`
+
+      const source = fs.readFileSync(TEMPLATE_PATH, 'utf-8')
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify(urls))
+        .replace('self.__CACHE_VERSION__', JSON.stringify(cacheVersion))
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+      console.log(`[pwa-plugin] Generated sw.js with ${urls.length} precached files`)
+    },
+  }
+}
+
+export default pwaPlugin
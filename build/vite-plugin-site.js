@@ -0,0 +1,159 @@
+/**
+ * 站点配置插件
+ * 根据 site.config.js 生成站点相关内容，Fork 部署时无需修改 index.html 和 public 目录：
+ * - 替换 index.html 中的 %SITE_*% 占位符（SEO、Open Graph、主题色等）
+ * - 生成 sitemap.xml、robots.txt、manifest.webmanifest（开发环境由中间件提供）
+ */
+
+// 页面的更新频率和优先级
+const PAGE_META = {
+  home: { changefreq: 'daily', priority: '1.0' },
+  about: { changefreq: 'monthly', priority: '0.8' },
+  series: { changefreq: 'weekly', priority: '0.9' },
+}
+
+/**
+ * 转义 HTML / XML 特殊字符
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * 转换为完整地址（相对站点根路径的地址补全域名）
+ */
+function toAbsoluteUrl(siteUrl, value) {
+  if (!value || /^https?:\/\//.test(value))
+    return value || ''
+  return `${siteUrl}${value.startsWith('/') ? '' : '/'}${value}`
+}
+
+/**
+ * index.html 占位符
+ */
+function getHtmlPlaceholders(config) {
+  const { site, branding } = config
+  return {
+    SITE_URL: `${site.url}/`,
+    SITE_NAME: branding.name,
+    SITE_TAGLINE: branding.tagline,
+    SITE_TITLE: site.title,
+    SITE_DESCRIPTION: site.description,
+    SITE_KEYWORDS: site.keywords,
+    SITE_OG_IMAGE: toAbsoluteUrl(site.url, site.ogImage),
+    SITE_TWITTER_IMAGE: toAbsoluteUrl(site.url, site.twitterImage),
+    SITE_THEME_COLOR: branding.themeColor,
+  }
+}
+
+function buildSitemap(config) {
+  const lastmod = new Date().toISOString().slice(0, 10)
+  const pages = [
+    { path: '/', ...PAGE_META.home },
+    { path: '/about/', ...PAGE_META.about },
+    ...config.series.map(seriesId => ({ path: `/${seriesId}/`, ...PAGE_META.series })),
+  ]
+  const urls = pages.map(page => [
+    '  <url>',
+    `    <loc>${escapeHtml(`${config.site.url}${page.path}`)}</loc>`,
+    `    <lastmod>${lastmod}</lastmod>`,
+    `    <changefreq>${page.changefreq}</changefreq>`,
+    `    <priority>${page.priority}</priority>`,
+    '  </url>',
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n')
+}
+
+function buildRobots(config) {
+  return [
+    `# robots.txt for ${config.branding.name}`,
+    '',
+    'User-agent: *',
+    'Allow: /',
+    '',
+    `Sitemap: ${config.site.url}/sitemap.xml`,
+    '',
+  ].join('\n')
+}
+
+function buildManifest(config, base) {
+  const { site, branding } = config
+  return `${JSON.stringify({
+    name: `${branding.name} - ${branding.tagline}`,
+    short_name: branding.shortName,
+    description: site.description,
+    lang: 'zh-CN',
+    start_url: base,
+    scope: base,
+    display: 'standalone',
+    background_color: branding.backgroundColor,
+    theme_color: branding.themeColor,
+    icons: [
+      { src: `${base}icon-192.png`, sizes: '192x192', type: 'image/png' },
+      { src: `${base}favicon.svg`, sizes: 'any', type: 'image/svg+xml' },
+    ],
+  }, null, 2)}\n`
+}
+
+/**
+ * 站点配置插件
+ * @param {import('../src/utils/site-config.js').SiteConfig} config - 校验后的站点配置
+ * @returns {import('vite').Plugin}
+ */
+export function sitePlugin(config) {
+  const placeholders = getHtmlPlaceholders(config)
+  let base = '/'
+
+  // 生成的文件：文件名 -> [内容类型, 生成函数]
+  const generatedFiles = {
+    'sitemap.xml': ['application/xml', () => buildSitemap(config)],
+    'robots.txt': ['text/plain', () => buildRobots(config)],
+    'manifest.webmanifest': ['application/manifest+json', () => buildManifest(config, base)],
+  }
+
+  return {
+    name: 'vite-plugin-site',
+    configResolved(resolvedConfig) {
+      base = resolvedConfig.base
+    },
+    transformIndexHtml: {
+      order: 'pre', // 在 Vite 处理环境变量占位符之前替换
+      handler(html) {
+        return html.replace(/%(SITE_[A-Z_]+)%/g, (match, key) => {
+          if (!(key in placeholders))
+            throw new Error(`[site-plugin] index.html 中的占位符 ${match} 未定义，可用占位符：${Object.keys(placeholders).join(', ')}`)
+          return escapeHtml(placeholders[key])
+        })
+      },
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const fileName = req.url?.split('?')[0].slice(base.length)
+        const file = generatedFiles[fileName]
+        if (!file)
+          return next()
+        res.setHeader('Content-Type', file[0])
+        res.end(file[1]())
+      })
+    },
+    generateBundle() {
+      Object.entries(generatedFiles).forEach(([fileName, [, build]]) => {
+        this.emitFile({ type: 'asset', fileName, source: build() })
+      })
+      console.log(`[site-plugin] Generated ${Object.keys(generatedFiles).join(', ')} for ${config.site.url}`)
+    },
+  }
+}
+
+export default sitePlugin
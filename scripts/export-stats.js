@@ -9,6 +9,7 @@ import fs from 'node:fs'
 import path from 'node:path'
 import process from 'node:process'
 import { fileURLToPath } from 'node:url'
+import { SITE_CONFIG } from '../src/utils/site-config.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -18,10 +19,16 @@ const SUPABASE_URL = process.env.VITE_SUPABASE_URL
 const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY
 
 // 导出配置
-const SERIES_LIST = ['desktop', 'mobile', 'avatar', 'bing']
+const SERIES_LIST = SITE_CONFIG.series // site.config.js 中启用的系列
 const OUTPUT_DIR = path.join(__dirname, '../public/data/stats')
 const LIMIT_PER_SERIES = 500 // 每个系列导出前 500 条
 
+// 时间窗口配置（文件后缀 -> 天数），对应前端“本周热门”“本月热门”排序
+const TIME_WINDOWS = {
+  week: 7,
+  month: 30,
+}
+
 /**
  * 检查 Supabase 配置
  */
@@ -57,6 +64,42 @@ async function fetchHotStats(series, limit = LIMIT_PER_SERIES) {
   return response.json()
 }
 
+/**
+ * 调用 Supabase RPC 获取时间窗口内的热门数据
+ */
+async function fetchWindowStats(series, days, limit = LIMIT_PER_SERIES) {
+  const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/get_hot_stats_window`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'apikey': SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+    },
+    body: JSON.stringify({
+      series_filter: series,
+      days,
+      limit_count: limit,
+    }),
+  })
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${await response.text()}`)
+  }
+
+  return response.json()
+}
+
+/**
+ * 汇总导出数据
+ */
+function summarize(data) {
+  return {
+    count: data.length,
+    totalViews: data.reduce((sum, item) => sum + item.views, 0),
+    totalDownloads: data.reduce((sum, item) => sum + item.downloads, 0),
+  }
+}
+
 /**
  * 格式化导出数据
  */
@@ -114,15 +157,26 @@ async function main() {
       writeJsonFile(`hot-${series}.json`, formattedData)
 
       // 记录摘要
-      summary.series[series] = {
-        count: formattedData.length,
-        totalViews: formattedData.reduce((sum, item) => sum + item.views, 0),
-        totalDownloads: formattedData.reduce((sum, item) => sum + item.downloads, 0),
-      }
+      summary.series[series] = summarize(formattedData)
     }
     catch (error) {
       console.error(`导出 ${series} 失败:`, error.message)
       summary.series[series] = { error: error.message }
+      continue
+    }
+
+    // 导出时间窗口数据（hot-{series}-week.json / hot-{series}-month.json）
+    summary.series[series].windows = {}
+    for (const [windowName, days] of Object.entries(TIME_WINDOWS)) {
+      try {
+        const windowData = formatExportData(await fetchWindowStats(series, days))
+        writeJsonFile(`hot-${series}-${windowName}.json`, windowData)
+        summary.series[series].windows[windowName] = summarize(windowData)
+      }
+      catch (error) {
+        console.error(`导出 ${series} (${windowName}) 失败:`, error.message)
+        summary.series[series].windows[windowName] = { error: error.message }
+      }
     }
   }
 
@@ -139,6 +193,14 @@ async function main() {
     }
     else {
       console.log(`  ${series}: ${info.count} 条, ${info.totalViews} 浏览, ${info.totalDownloads} 下载`)
+      Object.entries(info.windows || {}).forEach(([windowName, windowInfo]) => {
+        if (windowInfo.error) {
+          console.log(`    ${windowName}: 错误 - ${windowInfo.error}`)
+        }
+        else {
+          console.log(`    ${windowName}: ${windowInfo.count} 条, ${windowInfo.totalViews} 浏览, ${windowInfo.totalDownloads} 下载`)
+        }
+      })
     }
   })
 }
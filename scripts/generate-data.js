@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+/**
+ * 壁纸数据生成脚本
+ *
+ * 功能：扫描本地图床仓库，生成 public/data 下的系列索引和分类数据（格式与 sync-data 拉取的线上数据一致）
+ *
+ * 图片目录：{图床仓库}/wallpaper/{系列}/{分类}/{二级分类}/{文件名}
+ * - 图片直接放在分类目录下，或二级分类目录为「通用」时，不设置 subcategory
+ * - 缩略图 / 预览图位于 thumbnail/、preview/ 下的同名 .webp 文件（可用 generate-thumbnails 生成），存在时才写入路径
+ * - 关键词从文件名拆分：树影天空_夏日云海_宁静.jpg → ['树影天空', '夏日云海', '宁静']
+ *
+ * 输出（列表经 utils/codec.js 编码后存入 blob 字段）：
+ * - public/data/{系列}/index.json    分类索引
+ * - public/data/{系列}/{分类}.json   分类壁纸
+ * - public/data/{系列}.json          全部壁纸（向后兼容）
+ * - public/data/bing/                Bing 元数据（从图床仓库的 bing/meta 复制）
+ * - public/data/manifest.json        文件清单（每个文件的 sha256，sync-data 据此增量同步，不含 stats）
+ *
+ * 已有数据按图片路径保留 id、cdnTag、首次添加时间和 AI 元数据（关键词、描述），
+ * 重复生成不会改变已有壁纸的 id（收藏、浏览记录依赖 id）；新图片使用当前 CDN_VERSION 作为 cdnTag。
+ *
+ * 用法：
+ *   node scripts/generate-data.js                           # 处理 site.config.js 中启用的系列
+ *   node scripts/generate-data.js --series desktop,mobile   # 只处理指定系列
+ *   node scripts/generate-data.js --source ../nuanXinProPic --tag v1.1.30
+ *   node scripts/generate-data.js --codec v1                # 使用旧的编码格式（默认 v2：压缩 + 校验）
+ */
+
+import { Buffer } from 'node:buffer'
+import fs from 'node:fs'
+import path from 'node:path'
+import process from 'node:process'
+import { fileURLToPath } from 'node:url'
+import { DEFAULT_CODEC_VERSION, VERSION_PREFIXES } from '../src/utils/codec-config.js'
+import { encodeData } from '../src/utils/codec.js'
+import { buildOriginalPath, getDerivativePath } from '../src/utils/image-paths.js'
+import { getResolutionLabel } from '../src/utils/resolution.js'
+import { SITE_CONFIG } from '../src/utils/site-config.js'
+import { readDataFile } from './lib/data-file.js'
+import { writeManifest } from './lib/manifest.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.resolve(__dirname, '..')
+
+// 配置
+const CONFIG = {
+  DATA_DIR: path.join(ROOT_DIR, 'public/data'),
+  // 本地图床仓库（与 vercel-build.js 的克隆目录一致）
+  DEFAULT_SOURCE_DIR: path.join(ROOT_DIR, SITE_CONFIG.imageRepo.localDir),
+  // 读取 CDN_VERSION 作为新图片的 cdnTag
+  CONSTANTS_FILE: path.join(ROOT_DIR, 'src/utils/constants.js'),
+  IMAGE_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.webp', '.gif'],
+  // 不作为二级分类的目录名
+  GENERIC_SUBCATEGORY: '通用',
+  // 数据格式版本（与线上数据一致）
+  SCHEMA_VERSION: 2,
+  ENV: 'production',
+  // 其他脚本写入的字段（如 generate-visual-features 的视觉特征），图片未变化时保留
+  PRESERVED_FIELDS: ['phash', 'palette', 'luminance', 'blurhash'],
+}
+
+// ========================================
+// 命令行参数
+// ========================================
+
+function parseArgs(argv) {
+  const args = { series: SITE_CONFIG.series, source: CONFIG.DEFAULT_SOURCE_DIR, tag: null, codec: DEFAULT_CODEC_VERSION }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--series')
+      args.series = argv[++i].split(',').map(s => s.trim()).filter(Boolean)
+    else if (arg === '--source')
+      args.source = path.resolve(argv[++i])
+    else if (arg === '--tag')
+      args.tag = argv[++i]
+    else if (arg === '--codec')
+      args.codec = argv[++i]
+  }
+
+  if (!VERSION_PREFIXES[args.codec])
+    throw new Error(`未知编码版本：${args.codec}（可选 ${Object.keys(VERSION_PREFIXES).join(' / ')}）`)
+  return args
+}
+
+/**
+ * 读取当前 CDN 版本（constants.js 依赖 Vite 环境，无法直接导入）
+ */
+function readCdnVersion() {
+  const content = fs.readFileSync(CONFIG.CONSTANTS_FILE, 'utf8')
+  return content.match(/export const CDN_VERSION = '([^']*)'/)?.[1] || SITE_CONFIG.imageRepo.branch
+}
+
+// ========================================
+// 图片信息
+// ========================================
+
+/**
+ * 读取图片尺寸（只解析文件头，支持 PNG / JPEG / GIF / WebP）
+ * @param {string} filePath - 图片路径
+ * @returns {{ width: number, height: number }|null} 无法识别时返回 null
+ */
+function readImageSize(filePath) {
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const head = Buffer.alloc(32)
+    fs.readSync(fd, head, 0, head.length, 0)
+
+    // PNG：IHDR 块紧跟文件签名
+    if (head.readUInt32BE(0) === 0x89504E47)
+      return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) }
+
+    // GIF：逻辑屏幕描述符
+    if (head.toString('ascii', 0, 3) === 'GIF')
+      return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) }
+
+    // WebP：有损（VP8）、无损（VP8L）、扩展格式（VP8X）
+    if (head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WEBP') {
+      const chunk = head.toString('ascii', 12, 16)
+      if (chunk === 'VP8X')
+        return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 }
+      if (chunk === 'VP8L') {
+        const bits = head.readUInt32LE(21)
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 }
+      }
+      if (chunk === 'VP8 ')
+        return { width: head.readUInt16LE(26) & 0x3FFF, height: head.readUInt16LE(28) & 0x3FFF }
+      return null
+    }
+
+    // JPEG：逐段跳过，直到 SOF 段（EXIF 缩略图可能很大，不能只读文件头）
+    if (head[0] === 0xFF && head[1] === 0xD8) {
+      const segment = Buffer.alloc(9)
+      let offset = 2
+      while (fs.readSync(fd, segment, 0, segment.length, offset) === segment.length && segment[0] === 0xFF) {
+        const marker = segment[1]
+        if (marker === 0xFF) {
+          offset++
+          continue
+        }
+        // SOF0 ~ SOF15（排除 DHT、JPG、DAC）
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker))
+          return { width: segment.readUInt16BE(7), height: segment.readUInt16BE(5) }
+        offset += 2 + segment.readUInt16BE(2)
+      }
+    }
+
+    return null
+  }
+  finally {
+    fs.closeSync(fd)
+  }
+}
+
+/**
+ * 从文件名拆分关键词（按 - _ & 分隔，忽略纯数字片段）
+ * @example parseKeywords('树影天空_夏日云海_宁静.jpg') // ['树影天空', '夏日云海', '宁静']
+ */
+function parseKeywords(filename) {
+  const name = path.parse(filename).name
+  const keywords = name.split(/[-_&]/)
+    .map(part => part.trim())
+    .filter(part => part && !/^[\d.\s]+$/.test(part))
+  return [...new Set(keywords)]
+}
+
+// ========================================
+// 数据读写
+// ========================================
+
+/**
+ * 读取系列已有的壁纸数据（按图片路径索引）
+ */
+function loadExistingWallpapers(seriesDir) {
+  const existing = new Map()
+  if (!fs.existsSync(seriesDir))
+    return existing
+
+  fs.readdirSync(seriesDir)
+    .filter(file => file.endsWith('.json') && file !== 'index.json')
+    .forEach((file) => {
+      let list = []
+      try {
+        list = readDataFile(path.join(seriesDir, file)).items
+      }
+      catch {
+        // 格式错误的文件视为没有已有数据
+      }
+      list.forEach((wallpaper) => {
+        if (wallpaper?.path)
+          existing.set(wallpaper.path, wallpaper)
+      })
+    })
+  return existing
+}
+
+/**
+ * 写入编码的数据文件（附带数据格式版本，系列级文件附带环境标识）
+ */
+function writeEncodedFile(filePath, meta, payload, { withEnv = false, codec } = {}) {
+  const data = {
+    ...meta,
+    blob: encodeData(JSON.stringify(payload), codec),
+    schema: CONFIG.SCHEMA_VERSION,
+    ...(withEnv && { env: CONFIG.ENV }),
+  }
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2))
+}
+
+// ========================================
+// 扫描图片
+// ========================================
+
+/**
+ * 扫描系列目录下的所有图片
+ * @returns {Array<{ file: string, filename: string, category: string, subcategory?: string, dirs: string[] }>}
+ */
+function scanSeries(sourceDir, seriesId) {
+  const seriesDir = path.join(sourceDir, 'wallpaper', seriesId)
+  const images = []
+  const isImage = name => CONFIG.IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+  const listDir = dir => fs.readdirSync(dir, { withFileTypes: true }).filter(entry => !entry.name.startsWith('.'))
+
+  listDir(seriesDir).filter(entry => entry.isDirectory()).forEach((categoryEntry) => {
+    const category = categoryEntry.name
+    const categoryDir = path.join(seriesDir, category)
+
+    listDir(categoryDir).forEach((entry) => {
+      // 图片直接放在分类目录下
+      if (entry.isFile() && isImage(entry.name)) {
+        images.push({ file: path.join(categoryDir, entry.name), filename: entry.name, category, dirs: [seriesId, category] })
+        return
+      }
+      if (!entry.isDirectory())
+        return
+
+      const subcategory = entry.name === CONFIG.GENERIC_SUBCATEGORY ? undefined : entry.name
+      const subDir = path.join(categoryDir, entry.name)
+      listDir(subDir)
+        .filter(file => file.isFile() && isImage(file.name))
+        .forEach((file) => {
+          images.push({ file: path.join(subDir, file.name), filename: file.name, category, subcategory, dirs: [seriesId, category, entry.name] })
+        })
+    })
+  })
+
+  return images
+}
+
+/**
+ * 生成单张壁纸数据
+ * @param {object} image - scanSeries 的结果
+ * @param {object|undefined} previous - 已有数据（同一路径）
+ * @param {object} context - 生成参数
+ * @param {string} context.sourceDir - 图床仓库目录
+ * @param {string} context.cdnTag - 新图片的 cdnTag
+ */
+function buildWallpaper(image, previous, { sourceDir, cdnTag }) {
+  const stat = fs.statSync(image.file)
+  const imagePath = buildOriginalPath(image.dirs, image.filename)
+  // 缩略图 / 预览图存在时才写入路径
+  const findDerivative = (kind) => {
+    const derivativePath = getDerivativePath(imagePath, kind)
+    return fs.existsSync(path.join(sourceDir, decodeURIComponent(derivativePath))) ? derivativePath : undefined
+  }
+
+  const size = readImageSize(image.file)
+  if (!size)
+    console.warn(`  ⚠️ 无法读取尺寸：${path.relative(sourceDir, image.file)}`)
+
+  const keywords = previous?.keywords?.length ? previous.keywords : parseKeywords(image.filename)
+  const ext = path.extname(image.filename).slice(1).toUpperCase()
+
+  const wallpaper = {
+    id: previous?.id,
+    filename: image.filename,
+    category: image.category,
+    path: imagePath,
+    thumbnailPath: findDerivative('thumbnail'),
+    size: stat.size,
+    format: ext,
+    createdAt: previous?.createdAt || stat.mtime.toISOString(),
+    sha: previous?.sha || '',
+    cdnTag: previous?.cdnTag || cdnTag,
+    keywords,
+    description: previous?.description || '',
+    displayTitle: previous?.displayTitle || '',
+    tags: [...new Set([image.category, image.subcategory, ...keywords].filter(Boolean))],
+    subcategory: image.subcategory,
+    previewPath: findDerivative('preview'),
+    resolution: size ? getResolutionLabel(size.width, size.height) : undefined,
+  }
+
+  // 图片未变化时保留其他脚本计算的字段
+  if (previous && previous.size === stat.size) {
+    CONFIG.PRESERVED_FIELDS.forEach((field) => {
+      if (previous[field] !== undefined)
+        wallpaper[field] = previous[field]
+    })
+  }
+
+  return wallpaper
+}
+
+/**
+ * 按添加时间倒序排列（相同时间按路径排序，保证输出稳定）
+ */
+function sortByCreatedAt(wallpapers) {
+  return wallpapers.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || a.path.localeCompare(b.path))
+}
+
+/**
+ * 为新壁纸分配 id（接在已有最大编号之后，先添加的编号更小）
+ * 已删除壁纸的编号也计入，避免新壁纸复用旧 id 导致收藏指向错误的图片
+ * @param {string} seriesId - 系列
+ * @param {object[]} wallpapers - 本次生成的壁纸
+ * @param {object[]} previous - 已有数据中的壁纸
+ */
+function assignIds(seriesId, wallpapers, previous) {
+  let maxId = [...previous, ...wallpapers].reduce((max, wallpaper) => {
+    const number = Number(wallpaper.id?.slice(seriesId.length + 1))
+    return wallpaper.id?.startsWith(`${seriesId}-`) && Number.isInteger(number) ? Math.max(max, number) : max
+  }, 0)
+
+  const added = wallpapers.filter(wallpaper => !wallpaper.id)
+  sortByCreatedAt(added).reverse().forEach((wallpaper) => {
+    wallpaper.id = `${seriesId}-${++maxId}`
+  })
+  return added.length
+}
+
+/**
+ * 生成分类索引项
+ */
+function buildCategoryEntry(category, wallpapers) {
+  const subcategories = new Map()
+  wallpapers.forEach((wallpaper) => {
+    if (wallpaper.subcategory)
+      subcategories.set(wallpaper.subcategory, (subcategories.get(wallpaper.subcategory) || 0) + 1)
+  })
+  const cover = wallpapers.find(wallpaper => wallpaper.thumbnailPath) || wallpapers[0]
+
+  return {
+    id: category,
+    name: category,
+    count: wallpapers.length,
+    thumbnail: cover.thumbnailPath || cover.path,
+    file: `${category}.json`,
+    subcategories: subcategories.size > 0
+      ? [...subcategories.entries()].sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count }))
+      : undefined,
+  }
+}
+
+// ========================================
+// 主流程
+// ========================================
+
+function processSeries(seriesId, { sourceDir, cdnTag, generatedAt, codec }) {
+  if (!fs.existsSync(path.join(sourceDir, 'wallpaper', seriesId))) {
+    console.log(`⚠️ 跳过 ${seriesId}：图床仓库中没有 wallpaper/${seriesId} 目录`)
+    return
+  }
+
+  console.log(`\n🖼️ 处理 ${seriesId}...`)
+  const seriesDir = path.join(CONFIG.DATA_DIR, seriesId)
+  const existing = loadExistingWallpapers(seriesDir)
+  const wallpapers = scanSeries(sourceDir, seriesId)
+    .map(image => buildWallpaper(image, existing.get(buildOriginalPath(image.dirs, image.filename)), { sourceDir, cdnTag }))
+  const addedCount = assignIds(seriesId, wallpapers, [...existing.values()])
+  sortByCreatedAt(wallpapers)
+
+  // 按分类分组（保持添加时间倒序）
+  const groups = new Map()
+  wallpapers.forEach((wallpaper) => {
+    if (!groups.has(wallpaper.category))
+      groups.set(wallpaper.category, [])
+    groups.get(wallpaper.category).push(wallpaper)
+  })
+  const categories = [...groups.entries()]
+    .map(([category, list]) => buildCategoryEntry(category, list))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+
+  // 写入分类文件，删除已不存在的分类
+  fs.mkdirSync(seriesDir, { recursive: true })
+  const categoryFiles = new Set(categories.map(category => category.file))
+  fs.readdirSync(seriesDir)
+    .filter(file => file.endsWith('.json') && file !== 'index.json' && !categoryFiles.has(file))
+    .forEach(file => fs.rmSync(path.join(seriesDir, file)))
+
+  groups.forEach((list, category) => {
+    writeEncodedFile(path.join(seriesDir, `${category}.json`), {
+      generatedAt,
+      series: seriesId,
+      category,
+      total: list.length,
+    }, list, { codec })
+  })
+
+  writeEncodedFile(path.join(seriesDir, 'index.json'), {
+    generatedAt,
+    series: seriesId,
+    seriesName: seriesId,
+    total: wallpapers.length,
+    categoryCount: categories.length,
+  }, categories, { withEnv: true, codec })
+
+  // 向后兼容：全部壁纸
+  writeEncodedFile(path.join(CONFIG.DATA_DIR, `${seriesId}.json`), {
+    generatedAt,
+    series: seriesId,
+    seriesName: seriesId,
+    total: wallpapers.length,
+  }, wallpapers, { withEnv: true, codec })
+
+  const currentPaths = new Set(wallpapers.map(wallpaper => wallpaper.path))
+  const removedCount = [...existing.keys()].filter(key => !currentPaths.has(key)).length
+  console.log(`  ✅ ${wallpapers.length} 张，${categories.length} 个分类（新增 ${addedCount} 张，移除 ${removedCount} 张）`)
+}
+
+/**
+ * 复制 Bing 元数据（图床仓库的 bing/meta 已是前端使用的格式）
+ */
+function copyBingData(sourceDir) {
+  const metaDir = path.join(sourceDir, 'bing/meta')
+  if (!fs.existsSync(metaDir)) {
+    console.log('\n⚠️ 跳过 bing：图床仓库中没有 bing/meta 目录')
+    return
+  }
+  const targetDir = path.join(CONFIG.DATA_DIR, 'bing')
+  fs.mkdirSync(targetDir, { recursive: true })
+  fs.cpSync(metaDir, targetDir, { recursive: true })
+  console.log(`\n📅 已复制 Bing 数据：${fs.readdirSync(metaDir).length} 个文件`)
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (!fs.existsSync(path.join(args.source, 'wallpaper'))) {
+    console.error(`❌ 未找到图床仓库：${args.source}（需要包含 wallpaper 目录，可通过 --source 指定）`)
+    process.exit(1)
+  }
+
+  const cdnTag = args.tag || readCdnVersion()
+  const generatedAt = new Date().toISOString()
+  console.log(`📂 图床仓库：${args.source}`)
+  console.log(`🏷️ 新图片 cdnTag：${cdnTag}`)
+  console.log(`🔐 编码版本：${args.codec}`)
+
+  for (const seriesId of args.series) {
+    if (seriesId === 'bing')
+      copyBingData(args.source)
+    else
+      processSeries(seriesId, { sourceDir: args.source, cdnTag, generatedAt, codec: args.codec })
+  }
+
+  writeManifest(CONFIG.DATA_DIR, generatedAt)
+  console.log('\n✨ 数据生成完成')
+}
+
+try {
+  main()
+}
+catch (error) {
+  console.error('❌ 生成失败:', error.message)
+  process.exit(1)
+}
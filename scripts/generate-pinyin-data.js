@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// ========================================
+// 拼音数据生成脚本
+// ========================================
+// 为 GB2312 一、二级汉字（6763 字）生成不带声调的拼音表，
+// 输出到 src/utils/pinyin-data.js，供搜索索引做拼音 / 首字母匹配。
+// 依赖 ICU 命令行工具 uconv（Debian/Ubuntu: apt install icu-devtools）
+//
+// 用法：node scripts/generate-pinyin-data.js
+
+import { execFileSync } from 'node:child_process'
+import fs from 'node:fs'
+import path from 'node:path'
+import process from 'node:process'
+import { fileURLToPath } from 'node:url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const OUTPUT_FILE = path.join(__dirname, '../src/utils/pinyin-data.js')
+
+// 常用多音字的其他读音（ICU 每个字只给出一个读音，这里补充常见词中的读音）
+const POLYPHONES = {
+  长: ['chang', 'zhang'],
+  重: ['zhong', 'chong'],
+  行: ['xing', 'hang'],
+  乐: ['le', 'yue'],
+  还: ['hai', 'huan'],
+  调: ['diao', 'tiao'],
+  都: ['du', 'dou'],
+  藏: ['cang', 'zang'],
+  朝: ['chao', 'zhao'],
+  传: ['chuan', 'zhuan'],
+  大: ['da', 'dai'],
+  地: ['di', 'de'],
+  的: ['de', 'di'],
+  得: ['de', 'dei'],
+  角: ['jiao', 'jue'],
+  觉: ['jue', 'jiao'],
+  校: ['xiao', 'jiao'],
+  曾: ['ceng', 'zeng'],
+  率: ['lv', 'shuai'],
+  色: ['se', 'shai'],
+  省: ['sheng', 'xing'],
+  解: ['jie', 'xie'],
+  单: ['dan', 'shan'],
+  差: ['cha', 'chai'],
+  薄: ['bo', 'bao'],
+  塞: ['sai', 'se'],
+  沈: ['shen', 'chen'],
+  降: ['jiang', 'xiang'],
+  弹: ['dan', 'tan'],
+  折: ['zhe', 'she'],
+  着: ['zhe', 'zhao', 'zhuo'],
+  了: ['le', 'liao'],
+  和: ['he', 'huo'],
+  便: ['bian', 'pian'],
+  血: ['xue', 'xie'],
+  参: ['can', 'shen'],
+  区: ['qu', 'ou'],
+  会: ['hui', 'kuai'],
+  落: ['luo', 'la'],
+  模: ['mo', 'mu'],
+  属: ['shu', 'zhu'],
+  系: ['xi', 'ji'],
+  奇: ['qi', 'ji'],
+  露: ['lu', 'lou'],
+  秘: ['mi', 'bi'],
+  宿: ['su', 'xiu'],
+  雀: ['que', 'qiao'],
+  给: ['gei', 'ji'],
+  没: ['mei', 'mo'],
+  番: ['fan', 'pan'],
+  车: ['che', 'ju'],
+  仔: ['zai', 'zi'],
+}
+
+/**
+ * 生成 GB2312 一、二级汉字列表（区位 16-87）
+ */
+function getGb2312Chars() {
+  const decoder = new TextDecoder('gb2312')
+  const chars = []
+  for (let high = 0xB0; high <= 0xF7; high++) {
+    for (let low = 0xA1; low <= 0xFE; low++) {
+      const char = decoder.decode(new Uint8Array([high, low]))
+      if (/^\p{Script=Han}$/u.test(char))
+        chars.push(char)
+    }
+  }
+  return [...new Set(chars)]
+}
+
+/**
+ * 带声调拼音转为无声调（ü 写作 v）
+ */
+function normalizePinyin(value) {
+  return value
+    .normalize('NFD')
+    .replace(/ü/g, 'v')
+    .replace(/\p{Mn}/gu, '')
+    .toLowerCase()
+    .trim()
+}
+
+function main() {
+  const chars = getGb2312Chars()
+  console.log(`汉字数量: ${chars.length}`)
+
+  const output = execFileSync('uconv', ['-x', 'Han-Latin'], {
+    input: chars.join('\n'),
+    encoding: 'utf8',
+  })
+  const readings = output.split('\n')
+
+  // 拼音 -> 汉字
+  const groups = new Map()
+  function add(syllable, char) {
+    if (!/^[a-z]+$/.test(syllable))
+      return
+    if (!groups.has(syllable))
+      groups.set(syllable, new Set())
+    groups.get(syllable).add(char)
+  }
+
+  let missing = 0
+  chars.forEach((char, index) => {
+    const syllable = normalizePinyin(readings[index] || '')
+    if (!/^[a-z]+$/.test(syllable)) {
+      missing++
+      return
+    }
+    add(syllable, char)
+  })
+
+  Object.entries(POLYPHONES).forEach(([char, syllables]) => {
+    syllables.forEach(syllable => add(syllable, char))
+  })
+
+  if (missing > 0)
+    console.warn(`警告: ${missing} 个汉字没有拼音`)
+
+  const data = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([syllable, set]) => `${syllable}:${[...set].join('')}`)
+    .join('|')
+
+  const content = `// ========================================
+// 汉字拼音数据（无声调，ü 写作 v）
+// ========================================
+// 由 scripts/generate-pinyin-data.js 生成，请勿手动修改
+// 格式：拼音:汉字汉字...|拼音:汉字...（多音字会出现在多个拼音下）
+
+export const PINYIN_DATA = '${data}'
+`
+
+  fs.writeFileSync(OUTPUT_FILE, content)
+  console.log(`已生成: ${path.relative(process.cwd(), OUTPUT_FILE)}（${groups.size} 个拼音）`)
+}
+
+main()
@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * 缩略图 / 预览图生成脚本
+ *
+ * 功能：从本地图床仓库的原图生成 WebP 缩略图和预览图，并更新 public/data 中的 thumbnailPath / previewPath。
+ *       生成后图床仓库即包含完整的图片集，卡片和弹窗不再依赖 wsrv.nl 代理。
+ *       结束时重新生成 public/data/manifest.json，使清单哈希与改写后的数据文件一致。
+ *
+ * - 原图：{图床仓库}/wallpaper/{系列}/...
+ * - 缩略图：{图床仓库}/thumbnail/{系列}/.../{文件名}.webp（卡片使用）
+ * - 预览图：{图床仓库}/preview/{系列}/.../{文件名}.webp（弹窗使用，头像系列不生成）
+ *
+ * 依赖 ImageMagick 命令行工具（magick 或 convert）。
+ * 原图内容哈希和生成参数记录在 {图床仓库}/derivatives-manifest.json，未变化的图片直接跳过；
+ * 原图删除后对应的缩略图和预览图也会删除。
+ *
+ * 用法：
+ *   node scripts/generate-thumbnails.js                                  # 处理 site.config.js 中启用的系列
+ *   node scripts/generate-thumbnails.js --series desktop --force         # 重新生成指定系列
+ *   node scripts/generate-thumbnails.js --thumb-width 480 --preview-width 1440 --quality 85
+ */
+
+import { execFileSync } from 'node:child_process'
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+import process from 'node:process'
+import { fileURLToPath } from 'node:url'
+import { buildOriginalPath, DERIVATIVE_KINDS, getDerivativePath } from '../src/utils/image-paths.js'
+import { SITE_CONFIG } from '../src/utils/site-config.js'
+import { readDataFile } from './lib/data-file.js'
+import { detectImageMagick } from './lib/imagemagick.js'
+import { writeManifest } from './lib/manifest.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.resolve(__dirname, '..')
+
+// 配置
+const CONFIG = {
+  DATA_DIR: path.join(ROOT_DIR, 'public/data'),
+  // 本地图床仓库（与 vercel-build.js 的克隆目录一致）
+  DEFAULT_SOURCE_DIR: path.join(ROOT_DIR, SITE_CONFIG.imageRepo.localDir),
+  MANIFEST_FILE: 'derivatives-manifest.json',
+  IMAGE_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.webp', '.gif'],
+  // 默认参数与 wsrv.nl 代理一致（IMAGE_PROXY），替换代理后显示效果不变
+  THUMB_WIDTH: 400,
+  PREVIEW_WIDTH: 1080,
+  QUALITY: 80,
+  // 生成预览图的系列（头像原图本身较小，弹窗直接使用原图）
+  PREVIEW_SERIES: ['desktop', 'mobile'],
+}
+
+// ========================================
+// 命令行参数
+// ========================================
+
+function parseArgs(argv) {
+  const args = {
+    series: SITE_CONFIG.series.filter(id => id !== 'bing'),
+    source: CONFIG.DEFAULT_SOURCE_DIR,
+    thumbWidth: CONFIG.THUMB_WIDTH,
+    previewWidth: CONFIG.PREVIEW_WIDTH,
+    quality: CONFIG.QUALITY,
+    force: false,
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--series')
+      args.series = argv[++i].split(',').map(s => s.trim()).filter(Boolean)
+    else if (arg === '--source')
+      args.source = path.resolve(argv[++i])
+    else if (arg === '--thumb-width')
+      args.thumbWidth = Number(argv[++i])
+    else if (arg === '--preview-width')
+      args.previewWidth = Number(argv[++i])
+    else if (arg === '--quality')
+      args.quality = Number(argv[++i])
+    else if (arg === '--force')
+      args.force = true
+  }
+
+  const invalid = ['thumbWidth', 'previewWidth', 'quality'].filter(key => !Number.isInteger(args[key]) || args[key] <= 0)
+  if (args.quality > 100)
+    invalid.push('quality')
+  if (invalid.length > 0)
+    throw new Error(`参数无效：${[...new Set(invalid)].join(', ')}（宽度为正整数，质量为 1-100）`)
+  return args
+}
+
+// ========================================
+// 图片处理（ImageMagick）
+// ========================================
+
+/**
+ * 生成 WebP（只缩小不放大，按 EXIF 方向旋转后去掉元数据）
+ * @param {string} command - ImageMagick 命令
+ * @param {string} input - 原图路径
+ * @param {string} output - 输出路径
+ * @param {{ width: number, quality: number }} options - 输出宽度和质量
+ */
+function renderWebp(command, input, output, { width, quality }) {
+  fs.mkdirSync(path.dirname(output), { recursive: true })
+  // GIF 只取第一帧
+  const source = path.extname(input).toLowerCase() === '.gif' ? `${input}[0]` : input
+  execFileSync(command, [source, '-auto-orient', '-resize', `${width}x>`, '-strip', '-quality', String(quality), `webp:${output}`], {
+    stdio: ['ignore', 'ignore', 'pipe'],
+  })
+}
+
+// ========================================
+// 生成记录
+// ========================================
+
+function loadManifest(sourceDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(sourceDir, CONFIG.MANIFEST_FILE), 'utf8'))
+  }
+  catch {
+    return {}
+  }
+}
+
+function saveManifest(sourceDir, manifest) {
+  const sorted = Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b)))
+  fs.writeFileSync(path.join(sourceDir, CONFIG.MANIFEST_FILE), `${JSON.stringify(sorted, null, 2)}\n`)
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex')
+}
+
+/**
+ * 派生图片的本地路径
+ */
+function toLocalPath(sourceDir, imagePath) {
+  return path.join(sourceDir, decodeURIComponent(imagePath))
+}
+
+// ========================================
+// 扫描原图
+// ========================================
+
+/**
+ * 递归列出系列目录下的原图
+ * @returns {string[]} 原图路径（/wallpaper/... 格式，与数据中的 path 一致）
+ */
+function listOriginals(sourceDir, seriesId) {
+  const result = []
+  const walk = (dir, dirs) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.'))
+      .forEach((entry) => {
+        if (entry.isDirectory())
+          walk(path.join(dir, entry.name), [...dirs, entry.name])
+        else if (entry.isFile() && CONFIG.IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+          result.push(buildOriginalPath(dirs, entry.name))
+      })
+  }
+  walk(path.join(sourceDir, 'wallpaper', seriesId), [seriesId])
+  return result
+}
+
+// ========================================
+// 更新数据文件
+// ========================================
+
+/**
+ * 为壁纸补全已生成的缩略图 / 预览图路径
+ * @returns {boolean} 是否有变化
+ */
+function applyDerivativePaths(wallpaper, sourceDir) {
+  let changed = false
+  DERIVATIVE_KINDS.forEach((kind) => {
+    const field = `${kind}Path`
+    const derivativePath = getDerivativePath(wallpaper.path, kind)
+    if (derivativePath && wallpaper[field] !== derivativePath && fs.existsSync(toLocalPath(sourceDir, derivativePath))) {
+      wallpaper[field] = derivativePath
+      changed = true
+    }
+  })
+  return changed
+}
+
+/**
+ * 更新系列数据中的 thumbnailPath / previewPath（分类文件、全部壁纸文件、分类索引封面）
+ */
+function updateSeriesData(seriesId, sourceDir) {
+  const seriesDir = path.join(CONFIG.DATA_DIR, seriesId)
+  if (!fs.existsSync(seriesDir))
+    return 0
+
+  let updated = 0
+  const thumbnails = new Map()
+  const dataFiles = fs.readdirSync(seriesDir)
+    .filter(file => file.endsWith('.json') && file !== 'index.json')
+    .map(file => path.join(seriesDir, file))
+  const legacyFile = path.join(CONFIG.DATA_DIR, `${seriesId}.json`)
+  if (fs.existsSync(legacyFile))
+    dataFiles.push(legacyFile)
+
+  dataFiles.forEach((filePath) => {
+    const { items, wrap } = readDataFile(filePath)
+    const changed = items.filter(wallpaper => applyDerivativePaths(wallpaper, sourceDir))
+    items.forEach((wallpaper) => {
+      if (wallpaper.thumbnailPath)
+        thumbnails.set(wallpaper.path, wallpaper.thumbnailPath)
+    })
+    if (changed.length > 0) {
+      fs.writeFileSync(filePath, JSON.stringify(wrap(items), null, 2))
+      if (filePath !== legacyFile)
+        updated += changed.length
+    }
+  })
+
+  // 分类封面原来使用原图时，换成缩略图
+  const indexFile = path.join(seriesDir, 'index.json')
+  if (fs.existsSync(indexFile)) {
+    const { items, wrap } = readDataFile(indexFile)
+    const changed = items.filter((category) => {
+      const thumbnail = thumbnails.get(category.thumbnail)
+      if (thumbnail)
+        category.thumbnail = thumbnail
+      return Boolean(thumbnail)
+    })
+    if (changed.length > 0)
+      fs.writeFileSync(indexFile, JSON.stringify(wrap(items), null, 2))
+  }
+
+  return updated
+}
+
+// ========================================
+// 主流程
+// ========================================
+
+function processSeries(seriesId, { command, sourceDir, manifest, options, force }) {
+  if (!fs.existsSync(path.join(sourceDir, 'wallpaper', seriesId))) {
+    console.log(`⚠️ 跳过 ${seriesId}：图床仓库中没有 wallpaper/${seriesId} 目录`)
+    return
+  }
+
+  console.log(`\n🖼️ 处理 ${seriesId}...`)
+  const kinds = CONFIG.PREVIEW_SERIES.includes(seriesId) ? DERIVATIVE_KINDS : ['thumbnail']
+  const originals = listOriginals(sourceDir, seriesId)
+  const stats = { generated: 0, skipped: 0, failed: 0, removed: 0 }
+
+  originals.forEach((originalPath) => {
+    const input = toLocalPath(sourceDir, originalPath)
+    const hash = hashFile(input)
+    const record = manifest[originalPath] || {}
+    const nextRecord = { hash }
+
+    kinds.forEach((kind) => {
+      const output = toLocalPath(sourceDir, getDerivativePath(originalPath, kind))
+      const params = options[kind]
+      const key = `w${params.width}q${params.quality}`
+      nextRecord[kind] = key
+
+      if (!force && record.hash === hash && record[kind] === key && fs.existsSync(output)) {
+        stats.skipped++
+        return
+      }
+
+      try {
+        renderWebp(command, input, output, params)
+        stats.generated++
+      }
+      catch (error) {
+        stats.failed++
+        delete nextRecord[kind]
+        console.warn(`  ⚠️ ${decodeURIComponent(originalPath)}（${kind}）：${error.stderr?.toString().trim() || error.message}`)
+      }
+    })
+
+    manifest[originalPath] = nextRecord
+  })
+
+  // 原图已删除：清理对应的缩略图和预览图
+  const originalSet = new Set(originals)
+  Object.keys(manifest)
+    .filter(originalPath => originalPath.startsWith(`/wallpaper/${seriesId}/`) && !originalSet.has(originalPath))
+    .forEach((originalPath) => {
+      DERIVATIVE_KINDS.forEach(kind => fs.rmSync(toLocalPath(sourceDir, getDerivativePath(originalPath, kind)), { force: true }))
+      delete manifest[originalPath]
+      stats.removed++
+    })
+
+  saveManifest(sourceDir, manifest)
+  const updated = updateSeriesData(seriesId, sourceDir)
+  console.log(`  ✅ ${originals.length} 张原图：生成 ${stats.generated}，跳过 ${stats.skipped}${stats.failed ? `，失败 ${stats.failed}` : ''}${stats.removed ? `，清理 ${stats.removed}` : ''}；更新数据 ${updated} 条`)
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (!fs.existsSync(path.join(args.source, 'wallpaper'))) {
+    console.error(`❌ 未找到图床仓库：${args.source}（需要包含 wallpaper 目录，可通过 --source 指定）`)
+    process.exit(1)
+  }
+
+  const command = detectImageMagick()
+  if (!command) {
+    console.error('❌ 未找到 ImageMagick（magick / convert），请先安装：https://imagemagick.org')
+    process.exit(1)
+  }
+
+  const options = {
+    thumbnail: { width: args.thumbWidth, quality: args.quality },
+    preview: { width: args.previewWidth, quality: args.quality },
+  }
+  console.log(`📂 图床仓库：${args.source}`)
+  console.log(`⚙️ 缩略图 ${options.thumbnail.width}px，预览图 ${options.preview.width}px，质量 ${args.quality}`)
+
+  const manifest = loadManifest(args.source)
+  for (const seriesId of args.series)
+    processSeries(seriesId, { command, sourceDir: args.source, manifest, options, force: args.force })
+
+  // 数据文件的缩略图路径可能已更新，重新生成 public/data 的文件清单
+  writeManifest(CONFIG.DATA_DIR)
+  console.log('\n✨ 缩略图生成完成')
+}
+
+try {
+  main()
+}
+catch (error) {
+  console.error('❌ 生成失败:', error.message)
+  process.exit(1)
+}
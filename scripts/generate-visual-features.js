@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+/**
+ * 视觉特征生成脚本（用于“相似壁纸”推荐、按颜色筛选、按色调排序和加载占位图）
+ *
+ * 功能：为分类数据中的每张壁纸计算感知哈希（phash）、主色调（palette）、平均亮度（luminance）和模糊占位图（blurhash），
+ *       写回 public/data/<系列>/<分类>.json（保持原有编码格式），并重新生成 public/data/manifest.json
+ *
+ * - phash：64 位 DCT 感知哈希（16 位十六进制字符串），汉明距离越小越相似
+ * - palette：最多 5 个主色（#rrggbb），按占比从高到低排列，前端也用作图片加载前的占位色
+ * - luminance：平均亮度（0-100 的整数），用于筛选暗色 / 亮色壁纸
+ * - blurhash：约 30 个字符的模糊缩略图（https://blurha.sh），卡片和详情弹窗在图片加载前绘制
+ *
+ * 依赖 ImageMagick 命令行工具（magick 或 convert）解码缩略图。
+ * 图片优先从本地图床仓库读取（默认 site.config.js 的 imageRepo.localDir，与 vercel-build 克隆目录一致），
+ * 不存在时从 CDN 下载缩略图。计算结果按壁纸 ID + cdnTag 缓存，重复运行只处理新增壁纸。
+ *
+ * 用法：
+ *   node scripts/generate-visual-features.js                    # 处理 desktop / mobile / avatar
+ *   node scripts/generate-visual-features.js --series desktop   # 只处理指定系列
+ *   node scripts/generate-visual-features.js --source ../nuanXinProPic --force
+ */
+
+import { Buffer } from 'node:buffer'
+import { execFileSync } from 'node:child_process'
+import fs from 'node:fs'
+import path from 'node:path'
+import process from 'node:process'
+import { fileURLToPath } from 'node:url'
+import { encodeBlurhash } from '../src/utils/blurhash.js'
+import { fillTemplate, IMAGE_REPO_VALUES, SITE_CONFIG } from '../src/utils/site-config.js'
+import { readDataFile } from './lib/data-file.js'
+import { detectImageMagick } from './lib/imagemagick.js'
+import { writeManifest } from './lib/manifest.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.resolve(__dirname, '..')
+
+// 配置
+const CONFIG = {
+  DATA_DIR: path.join(ROOT_DIR, 'public/data'),
+  // 本地图床仓库（与 vercel-build.js 的克隆目录一致）
+  DEFAULT_SOURCE_DIR: path.join(ROOT_DIR, SITE_CONFIG.imageRepo.localDir),
+  // 首选镜像的地址模板（{tag} 按壁纸的 cdnTag 替换）
+  CDN_BASE_URL: fillTemplate(SITE_CONFIG.cdn.mirrors[0].baseUrl, IMAGE_REPO_VALUES),
+  // 文件名带版本号：计算方式变化时（如修正 blurhash 的取整）换新文件，旧缓存不再使用
+  CACHE_FILE: path.join(ROOT_DIR, 'node_modules/.cache/wallpaper-visual-features-v2.json'),
+  // Bing 系列使用年度数据且没有缩略图路径，不参与计算（前端按标签推荐）
+  SERIES: ['desktop', 'mobile', 'avatar'],
+  CONCURRENCY: 4,
+  PALETTE_SIZE: 5,
+  // 颜色特征的采样尺寸（拉伸为正方形，各区域的面积占比不变）
+  SAMPLE_SIZE: 64,
+}
+
+// ========================================
+// 命令行参数
+// ========================================
+
+function parseArgs(argv) {
+  const args = { series: CONFIG.SERIES, source: CONFIG.DEFAULT_SOURCE_DIR, force: false }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--series')
+      args.series = argv[++i].split(',').map(s => s.trim()).filter(Boolean)
+    else if (arg === '--source')
+      args.source = path.resolve(argv[++i])
+    else if (arg === '--force')
+      args.force = true
+  }
+  return args
+}
+
+// ========================================
+// 图片解码（ImageMagick）
+// ========================================
+
+/**
+ * 将图片解码为原始像素
+ * @param {string} command - ImageMagick 命令
+ * @param {Buffer} image - 图片内容
+ * @param {string[]} options - 处理参数
+ * @param {'gray'|'rgb'} format - 输出格式
+ * @returns {Buffer} 像素数据（每通道 8 位）
+ */
+function decodePixels(command, image, options, format) {
+  return execFileSync(command, ['-', ...options, '-depth', '8', `${format}:-`], {
+    input: image,
+    maxBuffer: 16 * 1024 * 1024,
+  })
+}
+
+// ========================================
+// 感知哈希（pHash）
+// ========================================
+
+const HASH_SIZE = 32
+const HASH_LOW_FREQ = 8
+
+// DCT 系数表（只需要低频部分）
+const DCT_TABLE = Array.from({ length: HASH_LOW_FREQ }, (_, u) =>
+  Array.from({ length: HASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE))))
+
+/**
+ * 计算 64 位感知哈希
+ * 32x32 灰度图做二维 DCT，取左上角 8x8 低频系数（去掉直流分量）与中位数比较
+ * @param {Buffer} pixels - 32x32 灰度像素
+ * @returns {string} 16 位十六进制字符串
+ */
+function computePhash(pixels) {
+  const coefficients = []
+  for (let u = 0; u < HASH_LOW_FREQ; u++) {
+    for (let v = 0; v < HASH_LOW_FREQ; v++) {
+      let sum = 0
+      for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++)
+          sum += pixels[y * HASH_SIZE + x] * DCT_TABLE[u][x] * DCT_TABLE[v][y]
+      }
+      coefficients.push(sum)
+    }
+  }
+
+  const values = coefficients.slice(1)
+  const median = [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)]
+
+  let hash = ''
+  for (let i = 0; i < coefficients.length; i += 4) {
+    let nibble = 0
+    for (let bit = 0; bit < 4; bit++)
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0)
+    hash += nibble.toString(16)
+  }
+  return hash
+}
+
+// ========================================
+// 主色调
+// ========================================
+
+/**
+ * 提取主色调
+ * RGB 各取高 4 位做直方图，按像素数从高到低选取颜色，跳过与已选颜色过于接近的颜色
+ * @param {Buffer} pixels - RGB 像素
+ * @returns {string[]} 主色列表（#rrggbb）
+ */
+function computePalette(pixels) {
+  const buckets = new Map()
+  for (let i = 0; i + 2 < pixels.length; i += 3) {
+    const key = ((pixels[i] >> 4) << 8) | ((pixels[i + 1] >> 4) << 4) | (pixels[i + 2] >> 4)
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 }
+    bucket.count++
+    bucket.r += pixels[i]
+    bucket.g += pixels[i + 1]
+    bucket.b += pixels[i + 2]
+    buckets.set(key, bucket)
+  }
+
+  const colors = [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(bucket => [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count].map(Math.round))
+
+  const palette = []
+  for (const color of colors) {
+    const distinct = palette.every(chosen =>
+      Math.hypot(chosen[0] - color[0], chosen[1] - color[1], chosen[2] - color[2]) >= 48)
+    if (distinct)
+      palette.push(color)
+    if (palette.length >= CONFIG.PALETTE_SIZE)
+      break
+  }
+
+  return palette.map(rgb => `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}`)
+}
+
+/**
+ * 计算平均亮度（Rec. 709 亮度系数，基于 sRGB 编码值）
+ * @param {Buffer} pixels - RGB 像素
+ * @returns {number} 0-100 的整数
+ */
+function computeLuminance(pixels) {
+  const count = Math.floor(pixels.length / 3)
+  if (count === 0)
+    return 0
+  let sum = 0
+  for (let i = 0; i + 2 < pixels.length; i += 3)
+    sum += 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2]
+  return Math.round((sum / count / 255) * 100)
+}
+
+// ========================================
+// 模糊占位图（Blurhash）
+// ========================================
+
+/**
+ * 计算 blurhash，分量数按壁纸方向选择（长边 4 个、短边 3 个，没有分辨率时 4x4）
+ * @param {Buffer} pixels - SAMPLE_SIZE x SAMPLE_SIZE 的 RGB 像素
+ * @param {object} wallpaper - 壁纸（使用 resolution 判断方向）
+ * @returns {string} blurhash
+ */
+function computeBlurhash(pixels, wallpaper) {
+  const { width, height } = wallpaper.resolution || {}
+  let components = [4, 4]
+  if (width > height)
+    components = [4, 3]
+  else if (width < height)
+    components = [3, 4]
+  return encodeBlurhash(pixels, CONFIG.SAMPLE_SIZE, CONFIG.SAMPLE_SIZE, ...components)
+}
+
+// ========================================
+// 数据读写
+// ========================================
+
+function loadCache() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG.CACHE_FILE, 'utf8'))
+  }
+  catch {
+    return {}
+  }
+}
+
+function saveCache(cache) {
+  fs.mkdirSync(path.dirname(CONFIG.CACHE_FILE), { recursive: true })
+  fs.writeFileSync(CONFIG.CACHE_FILE, JSON.stringify(cache))
+}
+
+/**
+ * 读取缩略图（本地仓库优先，其次 CDN）
+ */
+async function loadThumbnail(wallpaper, sourceDir) {
+  const thumbnailPath = wallpaper.thumbnailPath || wallpaper.path
+  if (!thumbnailPath)
+    throw new Error('缺少缩略图路径')
+
+  const localPath = path.join(sourceDir, decodeURIComponent(thumbnailPath))
+  if (fs.existsSync(localPath))
+    return fs.readFileSync(localPath)
+
+  const url = `${fillTemplate(CONFIG.CDN_BASE_URL, { tag: wallpaper.cdnTag || SITE_CONFIG.imageRepo.branch })}${thumbnailPath}`
+  const response = await fetch(url)
+  if (!response.ok)
+    throw new Error(`HTTP ${response.status}`)
+  return Buffer.from(await response.arrayBuffer())
+}
+
+// ========================================
+// 主流程
+// ========================================
+
+async function processSeries(seriesId, { command, sourceDir, force, cache }) {
+  const seriesDir = path.join(CONFIG.DATA_DIR, seriesId)
+  if (!fs.existsSync(seriesDir)) {
+    console.log(`⚠️ 跳过 ${seriesId}：没有数据目录`)
+    return
+  }
+
+  console.log(`\n🎨 处理 ${seriesId}...`)
+  const files = fs.readdirSync(seriesDir).filter(file => file.endsWith('.json') && file !== 'index.json')
+
+  for (const file of files) {
+    const filePath = path.join(seriesDir, file)
+    const { items: wallpapers, wrap } = readDataFile(filePath)
+    let computed = 0
+    let failed = 0
+    let cursor = 0
+
+    async function worker() {
+      while (cursor < wallpapers.length) {
+        const wallpaper = wallpapers[cursor++]
+        const cacheKey = `${wallpaper.id}@${wallpaper.cdnTag || ''}`
+
+        // 旧版本的缓存没有平均亮度或 blurhash，需要重新计算
+        if (!force && cache[cacheKey]?.luminance !== undefined && cache[cacheKey].blurhash !== undefined) {
+          Object.assign(wallpaper, cache[cacheKey])
+          continue
+        }
+
+        try {
+          const image = await loadThumbnail(wallpaper, sourceDir)
+          const rgb = decodePixels(command, image, ['-resize', `${CONFIG.SAMPLE_SIZE}x${CONFIG.SAMPLE_SIZE}!`], 'rgb')
+          const features = {
+            phash: computePhash(decodePixels(command, image, ['-resize', `${HASH_SIZE}x${HASH_SIZE}!`, '-colorspace', 'Gray'], 'gray')),
+            palette: computePalette(rgb),
+            luminance: computeLuminance(rgb),
+            blurhash: computeBlurhash(rgb, wallpaper),
+          }
+          cache[cacheKey] = features
+          Object.assign(wallpaper, features)
+          computed++
+        }
+        catch (error) {
+          failed++
+          console.warn(`  ⚠️ ${wallpaper.filename}: ${error.message}`)
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: CONFIG.CONCURRENCY }, worker))
+
+    fs.writeFileSync(filePath, JSON.stringify(wrap(wallpapers), null, 2))
+    saveCache(cache)
+    console.log(`  ✅ ${file}：${wallpapers.length} 张，新计算 ${computed} 张${failed ? `，失败 ${failed} 张` : ''}`)
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  const command = detectImageMagick()
+  if (!command) {
+    console.error('❌ 未找到 ImageMagick（magick / convert），请先安装：https://imagemagick.org')
+    process.exit(1)
+  }
+
+  const sourceDir = fs.existsSync(args.source) ? args.source : null
+  console.log(`📂 图片来源：${sourceDir || 'CDN'}`)
+
+  const cache = loadCache()
+  for (const seriesId of args.series)
+    await processSeries(seriesId, { command, sourceDir: sourceDir || args.source, force: args.force, cache })
+
+  // 分类文件已写回视觉特征，重新生成文件清单
+  writeManifest(CONFIG.DATA_DIR)
+  console.log('\n✨ 视觉特征生成完成')
+}
+
+main().catch((error) => {
+  console.error('❌ 生成失败:', error)
+  process.exit(1)
+})
@@ -0,0 +1,34 @@
+/**
+ * public/data 数据文件读写（generate-data / generate-thumbnails / generate-visual-features 共用）
+ *
+ * 列表经 utils/codec.js 编码后存入 blob 字段（更早的数据为 payload），也兼容未编码的明文文件。
+ */
+
+import fs from 'node:fs'
+import { decodeData, encodeData, getCodecVersion } from '../../src/utils/codec.js'
+
+/**
+ * 读取数据文件（兼容编码 / 明文两种格式）
+ * @param {string} filePath - 文件路径
+ * @returns {{ data: object, items: Array, wrap: (list: Array) => object }}
+ *   原始内容、壁纸（或分类）列表，以及把修改后的列表按原格式重新包装的函数
+ * @throws {Error} 文件不存在、JSON 格式错误或解码失败时抛出
+ */
+export function readDataFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  const encoded = data.blob || data.payload
+  if (!encoded) {
+    const key = data.categories ? 'categories' : 'wallpapers'
+    return { data, items: data[key] || [], wrap: list => ({ ...data, [key]: list }) }
+  }
+
+  const decoded = JSON.parse(decodeData(encoded))
+  const isArray = Array.isArray(decoded)
+  const field = data.blob ? 'blob' : 'payload'
+  return {
+    data,
+    items: isArray ? decoded : decoded.wallpapers || [],
+    // 重新编码时沿用文件原来的编码版本
+    wrap: list => ({ ...data, [field]: encodeData(JSON.stringify(isArray ? list : { ...decoded, wallpapers: list }), getCodecVersion(encoded)) }),
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * ImageMagick 命令行工具（generate-thumbnails / generate-visual-features 共用）
+ */
+
+import { execFileSync } from 'node:child_process'
+
+/**
+ * 检测可用的 ImageMagick 命令（v7 为 magick，v6 为 convert）
+ * @returns {'magick'|'convert'|null} 都不可用时返回 null
+ */
+export function detectImageMagick() {
+  for (const command of ['magick', 'convert']) {
+    try {
+      execFileSync(command, ['-version'], { stdio: 'ignore' })
+      return command
+    }
+    catch {}
+  }
+  return null
+}
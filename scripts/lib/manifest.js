@@ -0,0 +1,44 @@
+/**
+ * public/data 文件清单（generate-data / generate-thumbnails / generate-visual-features 共用）
+ *
+ * 记录每个数据文件的 sha256，sync-data 据此增量同步。任何脚本改写数据文件后都需要重新生成，
+ * 否则清单中的哈希与文件内容不一致，同步时会被判定为校验失败。
+ */
+
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+
+// 清单文件名（与 sync-data.js 一致）
+export const MANIFEST_FILE = 'manifest.json'
+
+// 不写入清单的目录（热门统计由 export-stats 单独生成）
+const EXCLUDED_DIRS = ['stats']
+
+/**
+ * 生成文件清单（覆盖整个数据目录，而不只是本次处理的系列）
+ * @param {string} dataDir - 数据目录
+ * @param {string} [generatedAt] - 生成时间（ISO 字符串）
+ */
+export function writeManifest(dataDir, generatedAt = new Date().toISOString()) {
+  const files = {}
+  const walk = (dir, prefix) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.'))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        const key = prefix ? `${prefix}/${entry.name}` : entry.name
+        if (entry.isDirectory() && !EXCLUDED_DIRS.includes(key)) {
+          walk(path.join(dir, entry.name), key)
+        }
+        else if (entry.isFile() && entry.name.endsWith('.json') && key !== MANIFEST_FILE) {
+          const content = fs.readFileSync(path.join(dir, entry.name))
+          files[key] = { sha256: crypto.createHash('sha256').update(content).digest('hex'), size: content.length }
+        }
+      })
+  }
+  walk(dataDir, '')
+
+  fs.writeFileSync(path.join(dataDir, MANIFEST_FILE), `${JSON.stringify({ generatedAt, files }, null, 2)}\n`)
+  console.log(`\n📋 文件清单：${Object.keys(files).length} 个文件`)
+}
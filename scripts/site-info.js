@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// ========================================
+// 站点配置输出脚本
+// ========================================
+// 校验 site.config.js 并以 key=value 形式输出部署需要的字段，
+// 供 GitHub Actions 写入 $GITHUB_OUTPUT（只依赖 Node，安装依赖前即可运行）
+//
+// 用法：
+//   node scripts/site-info.js                    # 打印到终端
+//   node scripts/site-info.js >> $GITHUB_OUTPUT  # 在 workflow 中使用
+
+import process from 'node:process'
+
+try {
+  const { SITE_CONFIG } = await import('../src/utils/site-config.js')
+  const { imageRepo, site, series } = SITE_CONFIG
+
+  const outputs = {
+    image_repo: `${imageRepo.owner}/${imageRepo.name}`,
+    image_repo_branch: imageRepo.branch,
+    image_repo_dir: imageRepo.localDir,
+    site_url: site.url,
+    series: series.join(' '),
+  }
+
+  Object.entries(outputs).forEach(([key, value]) => {
+    console.log(`${key}=${value}`)
+  })
+}
+catch (error) {
+  // 校验错误输出到 stderr，避免写入 $GITHUB_OUTPUT
+  console.error(error.message)
+  process.exit(1)
+}
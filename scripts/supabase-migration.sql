@@ -167,6 +167,127 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- ============================================
+-- 第六步：按日统计表 image_stats_daily（本周/本月热门）
+-- ============================================
+-- image_stats 只有累计值，无法区分时间段；
+-- 按日聚合的计数用于计算最近 7 天 / 30 天的热门排行
+
+CREATE TABLE IF NOT EXISTS public.image_stats_daily (
+  image_id TEXT NOT NULL,               -- 与 image_stats.image_id 一致
+  series TEXT NOT NULL,                 -- desktop, mobile, avatar, bing
+  stat_date DATE NOT NULL,              -- 统计日期（北京时间）
+  views INT DEFAULT 0,
+  downloads INT DEFAULT 0,
+  PRIMARY KEY (image_id, stat_date)
+);
+
+-- 创建索引
+CREATE INDEX IF NOT EXISTS idx_image_stats_daily_series_date ON image_stats_daily(series, stat_date DESC);
+
+-- 启用 RLS，允许匿名用户读取（写入通过 SECURITY DEFINER 函数）
+ALTER TABLE image_stats_daily ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read" ON image_stats_daily
+  FOR SELECT
+  USING (true);
+
+-- 更新预览计数函数：同时写入累计表和按日统计表
+CREATE OR REPLACE FUNCTION increment_view(
+  img_id TEXT,
+  series_name TEXT,
+  cat TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+BEGIN
+  INSERT INTO image_stats (image_id, series, category, total_views, last_viewed_at, updated_at)
+  VALUES (img_id, series_name, cat, 1, NOW(), NOW())
+  ON CONFLICT (image_id) DO UPDATE SET
+    total_views = image_stats.total_views + 1,
+    last_viewed_at = NOW(),
+    updated_at = NOW();
+
+  INSERT INTO image_stats_daily (image_id, series, stat_date, views)
+  VALUES (img_id, series_name, (NOW() AT TIME ZONE 'Asia/Shanghai')::DATE, 1)
+  ON CONFLICT (image_id, stat_date) DO UPDATE SET
+    views = image_stats_daily.views + 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 更新下载计数函数：同时写入累计表和按日统计表
+CREATE OR REPLACE FUNCTION increment_download(
+  img_id TEXT,
+  series_name TEXT,
+  cat TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+BEGIN
+  INSERT INTO image_stats (image_id, series, category, total_views, total_downloads, last_downloaded_at, updated_at)
+  VALUES (img_id, series_name, cat, 0, 1, NOW(), NOW())
+  ON CONFLICT (image_id) DO UPDATE SET
+    total_downloads = image_stats.total_downloads + 1,
+    last_downloaded_at = NOW(),
+    updated_at = NOW();
+
+  INSERT INTO image_stats_daily (image_id, series, stat_date, downloads)
+  VALUES (img_id, series_name, (NOW() AT TIME ZONE 'Asia/Shanghai')::DATE, 1)
+  ON CONFLICT (image_id, stat_date) DO UPDATE SET
+    downloads = image_stats_daily.downloads + 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 从旧明细表回填最近 30 天的按日数据（旧表已删除时跳过此段），日期按北京时间划分，与实时写入一致
+INSERT INTO image_stats_daily (image_id, series, stat_date, views)
+SELECT
+  filename as image_id,
+  MAX(series) as series,
+  (created_at AT TIME ZONE 'Asia/Shanghai')::DATE as stat_date,
+  COUNT(*) as views
+FROM wallpaper_views
+WHERE created_at >= NOW() - INTERVAL '30 days'
+GROUP BY filename, (created_at AT TIME ZONE 'Asia/Shanghai')::DATE
+ON CONFLICT (image_id, stat_date) DO UPDATE SET
+  views = EXCLUDED.views;
+
+INSERT INTO image_stats_daily (image_id, series, stat_date, downloads)
+SELECT
+  filename as image_id,
+  MAX(series) as series,
+  (created_at AT TIME ZONE 'Asia/Shanghai')::DATE as stat_date,
+  COUNT(*) as downloads
+FROM wallpaper_downloads
+WHERE created_at >= NOW() - INTERVAL '30 days'
+GROUP BY filename, (created_at AT TIME ZONE 'Asia/Shanghai')::DATE
+ON CONFLICT (image_id, stat_date) DO UPDATE SET
+  downloads = EXCLUDED.downloads;
+
+-- 导出时间窗口内热门数据的函数（days = 7 为本周，30 为本月）
+-- 排序与前端热度分数一致：views + downloads * 2
+CREATE OR REPLACE FUNCTION get_hot_stats_window(
+  series_filter TEXT,
+  days INT,
+  limit_count INT DEFAULT 500
+) RETURNS TABLE (
+  image_id TEXT,
+  total_views INT,
+  total_downloads INT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    d.image_id,
+    SUM(d.views)::INT as total_views,
+    SUM(d.downloads)::INT as total_downloads
+  FROM image_stats_daily d
+  WHERE d.series = series_filter
+    AND d.stat_date > (NOW() AT TIME ZONE 'Asia/Shanghai')::DATE - days
+  GROUP BY d.image_id
+  ORDER BY SUM(d.views) + SUM(d.downloads) * 2 DESC
+  LIMIT limit_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 可选：清理 90 天前的按日数据（累计值仍保留在 image_stats 中）
+-- DELETE FROM image_stats_daily WHERE stat_date < (NOW() AT TIME ZONE 'Asia/Shanghai')::DATE - 90;
+
 -- ============================================
 -- 完成！
 -- ============================================
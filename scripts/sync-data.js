@@ -2,31 +2,51 @@
 /**
  * 数据同步脚本
  *
- * 功能：从线上图床 CDN 同步最新的壁纸数据
+ * 功能：从线上图床 CDN 增量同步壁纸数据
+ *
+ * - 优先读取线上 manifest.json（generate-data 生成，记录每个文件的 sha256），只下载有变化的文件，
+ *   下载后校验哈希，校验失败的文件不会写入
+ * - 线上没有 manifest.json 时按各系列 index.json 列出文件，下载后与本地内容比较，未变化的不写入
+ * - 文件按线上原样保存（不重新编码，v1 / v2 编码均支持），本地哈希才能与 manifest 对应
+ * - 写入先写临时文件再重命名，中断时不会留下不完整的文件
+ * - 先同步分类 / 年份文件，全部成功后才写入 index.json 并删除线上已不存在的本地文件，
+ *   有文件下载失败时本地索引仍指向完整的旧数据
  *
  * 用法：
- *   npm run sync    # 同步数据（强制覆盖）
+ *   npm run sync                                  # 增量同步 site.config.js 中启用的系列
+ *   node scripts/sync-data.js --dry-run           # 只列出变化，不写入
+ *   node scripts/sync-data.js --series desktop,bing --concurrency 8
+ *   node scripts/sync-data.js --force             # 忽略本地哈希，重新下载全部文件
  */
 
+import crypto from 'node:crypto'
 import fs from 'node:fs'
 import path from 'node:path'
 import process from 'node:process'
 import { fileURLToPath } from 'node:url'
+import { decodeData } from '../src/utils/codec.js'
+import { getImageRepoDataUrl, SITE_CONFIG } from '../src/utils/site-config.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 // 配置
-const CONFIG = {
-  // 线上数据源（图床 CDN）
-  ONLINE_DATA_BASE_URL: 'https://cdn.jsdelivr.net/gh/IT-NuanxinPro/nuanXinProPic@main/data',
+export const CONFIG = {
+  // 线上数据源（图床 CDN，见 site.config.js 的 cdn.dataBaseUrl）
+  ONLINE_DATA_BASE_URL: `${getImageRepoDataUrl()}/data`,
 
   // Bing 系列特殊路径（使用 /bing/meta 而不是 /data/bing）
-  BING_DATA_BASE_URL: 'https://cdn.jsdelivr.net/gh/IT-NuanxinPro/nuanXinProPic@main/bing/meta',
+  BING_DATA_BASE_URL: `${getImageRepoDataUrl()}/bing/meta`,
 
   // 输出目录
   OUTPUT_DIR: path.resolve(__dirname, '../public/data'),
 
+  // 文件清单（相对数据目录）
+  MANIFEST_FILE: 'manifest.json',
+
+  // 默认并发下载数
+  CONCURRENCY: 4,
+
   // 系列配置
   SERIES: {
     desktop: { name: '电脑壁纸', isBing: false },
@@ -36,210 +56,351 @@ const CONFIG = {
   },
 }
 
+// ========================================
+// 命令行参数
+// ========================================
+
+function parseArgs(argv) {
+  // 只同步 site.config.js 中启用的系列
+  const args = { series: SITE_CONFIG.series, dryRun: false, force: false, concurrency: CONFIG.CONCURRENCY }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--series')
+      args.series = argv[++i].split(',').map(s => s.trim()).filter(Boolean)
+    else if (arg === '--dry-run')
+      args.dryRun = true
+    else if (arg === '--force')
+      args.force = true
+    else if (arg === '--concurrency')
+      args.concurrency = Number(argv[++i])
+  }
+
+  const unknown = args.series.filter(seriesId => !CONFIG.SERIES[seriesId])
+  if (unknown.length > 0)
+    throw new Error(`未知系列：${unknown.join(', ')}（可选 ${Object.keys(CONFIG.SERIES).join(' / ')}）`)
+  if (!Number.isInteger(args.concurrency) || args.concurrency < 1)
+    throw new Error('--concurrency 必须是正整数')
+  return args
+}
+
+// ========================================
+// 文件工具
+// ========================================
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
 /**
- * 下载单个文件
+ * 线上文件地址（Bing 数据位于 bing/meta，其余位于 data）
+ * @param {string} key - 相对数据目录的路径，如 desktop/index.json、bing/2025.json
  */
-async function downloadFile(url, destPath) {
+function getRemoteUrl(key) {
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/')
+  return key.startsWith('bing/')
+    ? `${CONFIG.BING_DATA_BASE_URL}/${encodedKey.slice('bing/'.length)}`
+    : `${CONFIG.ONLINE_DATA_BASE_URL}/${encodedKey}`
+}
+
+function getLocalPath(key) {
+  return path.join(CONFIG.OUTPUT_DIR, ...key.split('/'))
+}
+
+async function fetchText(url) {
   const response = await fetch(url)
-  if (!response.ok) {
+  if (!response.ok)
     throw new Error(`HTTP ${response.status}`)
+  return response.text()
+}
+
+/**
+ * 原子写入：先写同目录的临时文件再重命名
+ */
+function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`)
+  try {
+    fs.writeFileSync(tempPath, content)
+    fs.renameSync(tempPath, filePath)
+  }
+  catch (error) {
+    fs.rmSync(tempPath, { force: true })
+    throw error
   }
-  const data = await response.json()
-  fs.writeFileSync(destPath, JSON.stringify(data, null, 2))
-  return data
 }
 
 /**
- * 获取目录下的所有 JSON 文件
+ * 限制并发执行
  */
-async function listJsonFiles(baseUrl) {
+async function runWithConcurrency(items, limit, task) {
+  let cursor = 0
+  async function worker() {
+    while (cursor < items.length)
+      await task(items[cursor++])
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+}
+
+// ========================================
+// 远程文件列表
+// ========================================
+
+/**
+ * 读取线上文件清单
+ * @returns {Promise<{ generatedAt: string, files: Record<string, { sha256: string, size: number }> }|null>} 线上没有清单时返回 null
+ */
+async function loadRemoteManifest() {
   try {
-    // 尝试获取 index.json 来获取文件列表
-    const indexUrl = `${baseUrl}/index.json`
-    const response = await fetch(indexUrl)
-    if (!response.ok)
-      return []
-
-    const indexData = await response.json()
-
-    // 如果有 blob 字段，需要解密获取分类列表
-    if (indexData.blob) {
-      try {
-        const { decodeData } = await import('../src/utils/codec.js')
-        const jsonStr = decodeData(indexData.blob)
-        const categories = JSON.parse(jsonStr)
-        return categories.map(cat => cat.file)
-      }
-      catch (e) {
-        console.log(e)
-        return []
-      }
-    }
+    const manifest = JSON.parse(await fetchText(getRemoteUrl(CONFIG.MANIFEST_FILE)))
+    if (!manifest?.files || typeof manifest.files !== 'object')
+      throw new Error('缺少 files 字段')
+    return manifest
+  }
+  catch (error) {
+    console.log(`⚠️ 无法读取线上 ${CONFIG.MANIFEST_FILE}（${error.message}），将按 index.json 列出文件并比较内容`)
+    return null
+  }
+}
 
-    return []
+/**
+ * 从 index.json 列出系列的文件（线上没有清单时使用）
+ * @returns {Promise<{ keys: string[], prefetched: Map<string, string> }>} prefetched 为已下载的内容，避免重复请求
+ */
+async function listFromIndex(seriesId) {
+  const indexKey = `${seriesId}/index.json`
+  const indexText = await fetchText(getRemoteUrl(indexKey))
+  const indexData = JSON.parse(indexText)
+  const prefetched = new Map([[indexKey, indexText]])
+
+  if (CONFIG.SERIES[seriesId].isBing) {
+    // latest.json 不在年份列表中，但前端首屏需要
+    const files = ['latest.json', ...(indexData.years || []).map(yearInfo => yearInfo.file)]
+    return { keys: [indexKey, ...[...new Set(files)].map(file => `${seriesId}/${file}`)], prefetched }
+  }
+
+  const categories = indexData.blob ? JSON.parse(decodeData(indexData.blob)) : indexData.categories || []
+  return {
+    keys: [indexKey, ...categories.map(category => `${seriesId}/${category.file}`), `${seriesId}.json`],
+    prefetched,
   }
-  catch (e) {
-    console.log(e)
+}
+
+/**
+ * 列出本地系列文件（用于找出线上已删除的文件）
+ */
+function listLocalFiles(seriesId) {
+  const seriesDir = path.join(CONFIG.OUTPUT_DIR, seriesId)
+  if (!fs.existsSync(seriesDir))
     return []
+  return fs.readdirSync(seriesDir)
+    .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+    .map(file => `${seriesId}/${file}`)
+}
+
+// ========================================
+// 同步
+// ========================================
+
+/**
+ * 生成系列的同步计划
+ * @returns {Promise<Array<{ key: string, action: 'add'|'update'|'check'|'unchanged'|'remove', sha256?: string, content?: string }>>}
+ *   check 表示没有线上哈希，需要下载后比较内容
+ */
+async function planSeries(seriesId, manifest, force) {
+  let remote
+  if (manifest) {
+    remote = Object.entries(manifest.files)
+      .filter(([key]) => key.startsWith(`${seriesId}/`) || key === `${seriesId}.json`)
+      .map(([key, info]) => ({ key, sha256: info.sha256 }))
+  }
+  else {
+    const { keys, prefetched } = await listFromIndex(seriesId)
+    remote = keys.map(key => ({ key, content: prefetched.get(key) }))
+  }
+
+  const plan = remote.map((item) => {
+    const localPath = getLocalPath(item.key)
+    if (!fs.existsSync(localPath))
+      return { ...item, action: 'add' }
+    if (force)
+      return { ...item, action: 'update' }
+    if (!item.sha256)
+      return { ...item, action: 'check' }
+    return { ...item, action: hashContent(fs.readFileSync(localPath)) === item.sha256 ? 'unchanged' : 'update' }
+  })
+
+  // 线上已不存在的本地文件
+  const remoteKeys = new Set(remote.map(item => item.key))
+  listLocalFiles(seriesId)
+    .filter(key => !remoteKeys.has(key))
+    .forEach(key => plan.push({ key, action: 'remove' }))
+
+  return plan
+}
+
+/**
+ * 下载并写入单个文件
+ * @param {object} entry - 同步计划中的文件
+ * @param {boolean} dryRun - 只比较不写入
+ * @returns {Promise<boolean>} 内容是否有变化
+ */
+async function downloadEntry(entry, dryRun) {
+  const content = entry.content ?? await fetchText(getRemoteUrl(entry.key))
+
+  // 校验：有线上哈希时必须一致，否则至少要是合法的 JSON
+  if (entry.sha256) {
+    const actual = hashContent(content)
+    if (actual !== entry.sha256)
+      throw new Error(`校验失败：sha256 ${actual.slice(0, 12)}… ≠ ${entry.sha256.slice(0, 12)}…（CDN 缓存可能尚未更新）`)
   }
+  // 编码数据必须能完整解码（v2 格式内置 CRC32，可发现被截断或损坏的文件）
+  const data = JSON.parse(content)
+  if (typeof data.blob === 'string')
+    decodeData(data.blob)
+
+  const localPath = getLocalPath(entry.key)
+  if (entry.action === 'check' && fs.readFileSync(localPath, 'utf8') === content)
+    return false
+
+  if (!dryRun)
+    writeFileAtomic(localPath, content)
+  return true
+}
+
+const ACTION_LABELS = {
+  add: '+ 新增',
+  update: '~ 更新',
+  remove: '- 删除',
 }
 
 /**
- * 从线上同步单个系列
+ * 同步单个系列
+ * @returns {Promise<{ success: boolean, error?: string, stats: object }>} 有文件失败时 success 为 false
  */
-async function syncSeries(seriesId, seriesConfig) {
+export async function syncSeries(seriesId, { manifest, dryRun, force, concurrency }) {
+  const seriesConfig = CONFIG.SERIES[seriesId]
   console.log(`\n📥 同步 ${seriesConfig.name} (${seriesId})...`)
 
-  const seriesDir = path.join(CONFIG.OUTPUT_DIR, seriesId)
+  const stats = { added: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 }
+  let plan
+  try {
+    plan = await planSeries(seriesId, manifest, force)
+  }
+  catch (error) {
+    console.error(`  ❌ 无法获取文件列表: ${error.message}`)
+    return { success: false, error: error.message, stats }
+  }
 
-  // Bing 系列使用特殊路径
-  const baseUrl = seriesConfig.isBing
-    ? CONFIG.BING_DATA_BASE_URL
-    : `${CONFIG.ONLINE_DATA_BASE_URL}/${seriesId}`
+  stats.unchanged = plan.filter(entry => entry.action === 'unchanged').length
+  const report = (action, key) => {
+    stats[{ add: 'added', update: 'updated', remove: 'removed' }[action]]++
+    console.log(`  ${ACTION_LABELS[action]} ${key}`)
+  }
 
-  // 创建输出目录
-  if (!fs.existsSync(seriesDir)) {
-    fs.mkdirSync(seriesDir, { recursive: true })
+  // 有线上哈希时预览无需下载；没有哈希的文件需要下载后比较内容
+  const downloads = plan.filter(entry => entry.action === 'check' || (!dryRun && ['add', 'update'].includes(entry.action)))
+  if (dryRun) {
+    plan.filter(entry => ['add', 'update'].includes(entry.action)).forEach(entry => report(entry.action, entry.key))
   }
 
-  try {
-    let downloadedCount = 0
-    let totalItems = 0
-
-    // 1. 下载 index.json
-    const indexPath = path.join(seriesDir, 'index.json')
-    const indexData = await downloadFile(`${baseUrl}/index.json`, indexPath)
-    totalItems = indexData.total || 0
-    downloadedCount++
-    console.log(`  ✅ index.json (${totalItems} 项)`)
-
-    // 2. 如果是 Bing 系列，下载年度数据文件
-    if (seriesConfig.isBing) {
-      // 从 index.json 获取年份列表
-      const years = indexData.years || []
-      const currentYear = new Date().getFullYear()
-
-      for (const yearInfo of years) {
-        try {
-          const filePath = path.join(seriesDir, yearInfo.file)
-
-          // 只下载会变化的文件：latest.json、今年的年份文件
-          const isLatest = yearInfo.file === 'latest.json'
-          const isCurrentYear = yearInfo.year === currentYear
-          const shouldDownload = isLatest || isCurrentYear
-
-          if (!shouldDownload) {
-            // 历史年份数据不会变化，检查是否存在
-            if (fs.existsSync(filePath)) {
-              console.log(`  ⏭️  ${yearInfo.file} (${yearInfo.year} 年) - 历史数据，跳过`)
-              continue
-            }
-            else {
-              console.log(`  📥 ${yearInfo.file} (${yearInfo.year} 年) - 首次下载`)
-            }
-          }
-
-          await downloadFile(`${baseUrl}/${yearInfo.file}`, filePath)
-          downloadedCount++
-          console.log(`  ✅ ${yearInfo.file} (${yearInfo.year} 年)`)
-        }
-        catch (e) {
-          console.warn(`  ⚠️  ${yearInfo.file} 下载失败`, e)
-        }
-      }
+  const download = async (entry) => {
+    try {
+      if (await downloadEntry(entry, dryRun))
+        report(entry.action === 'add' ? 'add' : 'update', entry.key)
+      else
+        stats.unchanged++
     }
-    else {
-      // 3. 普通系列：获取分类文件列表
-      const categoryFiles = await listJsonFiles(baseUrl)
-
-      // 4. 下载所有分类文件
-      for (const file of categoryFiles) {
-        try {
-          const filePath = path.join(seriesDir, file)
-          await downloadFile(`${baseUrl}/${file}`, filePath)
-          downloadedCount++
-          console.log(`  ✅ ${file}`)
-        }
-        catch (e) {
-          console.warn(`  ⚠️  ${file} 下载失败`, e)
-        }
-      }
-
-      // 5. 下载传统单文件（向后兼容）
-      try {
-        const legacyPath = path.join(CONFIG.OUTPUT_DIR, `${seriesId}.json`)
-        await downloadFile(`${CONFIG.ONLINE_DATA_BASE_URL}/${seriesId}.json`, legacyPath)
-        downloadedCount++
-        console.log(`  ✅ ${seriesId}.json (兼容格式)`)
-      }
-      catch (e) {
-        // 兼容格式可选
-        console.log(e)
-      }
+    catch (error) {
+      stats.failed++
+      console.warn(`  ⚠️ ${entry.key} 下载失败: ${error.message}`)
     }
+  }
 
-    console.log(`  🎉 完成 (${downloadedCount} 个文件)`)
-    return { success: true, count: totalItems, files: downloadedCount }
+  // 先同步分类 / 年份文件，全部成功后再写入 index.json，避免本地索引引用尚未下载的文件
+  const indexKey = `${seriesId}/index.json`
+  await runWithConcurrency(downloads.filter(entry => entry.key !== indexKey), concurrency, download)
+  const indexEntry = downloads.find(entry => entry.key === indexKey)
+
+  // 有文件下载失败时不更新索引、不删除：旧的分类文件可能仍被本地的 index.json 引用
+  const removals = plan.filter(entry => entry.action === 'remove')
+  if (stats.failed > 0) {
+    const skipped = [indexEntry && indexKey, removals.length > 0 && `删除 ${removals.length} 个本地文件`].filter(Boolean)
+    if (skipped.length > 0)
+      console.warn(`  ⚠️ 有 ${stats.failed} 个文件下载失败，跳过${skipped.join('、')}`)
+    return { success: false, stats }
   }
-  catch (e) {
-    console.error(`  ❌ 失败: ${e.message}`)
-    return { success: false, error: e.message }
+
+  if (indexEntry) {
+    await download(indexEntry)
+    if (stats.failed > 0) {
+      if (removals.length > 0)
+        console.warn(`  ⚠️ ${indexKey} 下载失败，跳过删除 ${removals.length} 个本地文件`)
+      return { success: false, stats }
+    }
   }
+
+  removals.forEach((entry) => {
+    if (!dryRun)
+      fs.rmSync(getLocalPath(entry.key), { force: true })
+    report('remove', entry.key)
+  })
+
+  return { success: true, stats }
 }
 
 /**
  * 主函数
  */
 async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
   console.log('='.repeat(60))
-  console.log('� 数据同步工具')
+  console.log(`🔄 数据同步工具${args.dryRun ? '（预览，不写入）' : ''}`)
   console.log('='.repeat(60))
   console.log(`\n来源: ${CONFIG.ONLINE_DATA_BASE_URL}`)
   console.log(`输出: ${CONFIG.OUTPUT_DIR}`)
+  console.log(`系列: ${args.series.join(', ')}`)
 
-  // 确保输出目录存在
-  if (!fs.existsSync(CONFIG.OUTPUT_DIR)) {
-    fs.mkdirSync(CONFIG.OUTPUT_DIR, { recursive: true })
-  }
+  const manifest = await loadRemoteManifest()
+  if (manifest)
+    console.log(`清单: ${Object.keys(manifest.files).length} 个文件，生成于 ${manifest.generatedAt}`)
 
-  // 同步所有系列
   const results = []
-  for (const [seriesId, seriesConfig] of Object.entries(CONFIG.SERIES)) {
-    const result = await syncSeries(seriesId, seriesConfig)
+  for (const seriesId of args.series) {
+    const result = await syncSeries(seriesId, { manifest, ...args })
     results.push({ seriesId, ...result })
   }
 
+  // 全部成功后保存清单，下次同步时可据此判断线上版本
+  const allSucceeded = results.every(result => result.success)
+  if (manifest && allSucceeded && !args.dryRun)
+    writeFileAtomic(getLocalPath(CONFIG.MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`)
+
   // 汇总结果
   console.log(`\n${'='.repeat(60)}`)
-  console.log('📊 同步汇总')
+  console.log(args.dryRun ? '📊 变化预览' : '📊 同步汇总')
   console.log('='.repeat(60))
 
-  let totalCount = 0
-  let totalFiles = 0
-  let successCount = 0
-
-  results.forEach((result) => {
-    const status = result.success ? '✅' : '❌'
-    const count = result.count || 0
-    const files = result.files || 0
-    const info = result.error ? ` (${result.error})` : ''
-
-    console.log(`${status} ${result.seriesId}: ${count} 项, ${files} 个文件${info}`)
-
-    if (result.success)
-      successCount++
-    totalCount += count
-    totalFiles += files
+  results.forEach(({ seriesId, success, stats, error }) => {
+    const status = success ? '✅' : '❌'
+    const info = error ? ` (${error})` : ''
+    console.log(`${status} ${seriesId}: 新增 ${stats.added}，更新 ${stats.updated}，未变化 ${stats.unchanged}，删除 ${stats.removed}${stats.failed ? `，失败 ${stats.failed}` : ''}${info}`)
   })
 
   console.log('-'.repeat(60))
-  console.log(`总计: ${totalCount} 项, ${totalFiles} 个文件`)
-  console.log(`成功: ${successCount}/${Object.keys(CONFIG.SERIES).length} 个系列`)
+  console.log(`成功: ${results.filter(result => result.success).length}/${results.length} 个系列`)
 
+  if (!allSucceeded) {
+    console.log('\n⚠️ 部分文件同步失败，失败系列的 index.json 和待删除的文件保持不变，请稍后重试\n')
+    process.exit(1)
+  }
   console.log('\n✨ 完成!\n')
 }
 
-main().catch((error) => {
-  console.error('\n❌ 错误:', error.message)
-  process.exit(1)
-})
+// 作为模块导入（测试）时不执行
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error('\n❌ 错误:', error.message)
+    process.exit(1)
+  })
+}
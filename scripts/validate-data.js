@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * 数据校验脚本
+ *
+ * 功能：按 src/utils/data-schema.js 中的结构校验数据目录下的所有 JSON 文件，列出每一处错误（文件 + 位置）
+ *
+ * - 系列索引、分类文件、全部壁纸文件（解码 blob 后校验内容）
+ * - Bing 索引、年度文件和 latest.json
+ * - 热门统计文件和 summary.json
+ * - 索引引用的文件是否存在，同一系列内壁纸 id 是否重复
+ *
+ * 有错误时退出码为 1，可在生成或同步数据后、部署前运行。
+ * 应用加载数据时使用相同的结构，格式错误的条目会被跳过，不会导致整个分类加载失败。
+ *
+ * 用法：
+ *   npm run validate                              # 校验 public/data
+ *   node scripts/validate-data.js --dir ../nuanXinProPic/data
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import process from 'node:process'
+import { fileURLToPath } from 'node:url'
+import { decodeData } from '../src/utils/codec.js'
+import {
+  BING_INDEX_SCHEMA,
+  BING_LATEST_SCHEMA,
+  BING_YEAR_SCHEMA,
+  CATEGORY_FILE_SCHEMA,
+  CATEGORY_INDEX_SCHEMA,
+  SERIES_DATA_FILE_SCHEMA,
+  SERIES_INDEX_FILE_SCHEMA,
+  STATS_HOT_SCHEMA,
+  STATS_SUMMARY_SCHEMA,
+  validate,
+  WALLPAPER_LIST_SCHEMA,
+} from '../src/utils/data-schema.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// 配置
+const CONFIG = {
+  DATA_DIR: path.resolve(__dirname, '../public/data'),
+  // 不校验的文件（sync-data / generate-data 的文件清单）
+  IGNORED_FILES: ['manifest.json'],
+}
+
+// 文件类型：[匹配规则, 文件结构, blob 解码后的结构]
+const FILE_TYPES = [
+  [/^stats\/summary\.json$/, STATS_SUMMARY_SCHEMA],
+  [/^stats\/hot-[\w-]+\.json$/, STATS_HOT_SCHEMA],
+  [/^bing\/index\.json$/, BING_INDEX_SCHEMA],
+  [/^bing\/latest\.json$/, BING_LATEST_SCHEMA],
+  [/^bing\/\d{4}\.json$/, BING_YEAR_SCHEMA],
+  [/^[^/]+\/index\.json$/, SERIES_INDEX_FILE_SCHEMA, CATEGORY_INDEX_SCHEMA],
+  [/^[^/]+\/[^/]+\.json$/, CATEGORY_FILE_SCHEMA, WALLPAPER_LIST_SCHEMA],
+  [/^[^/]+\.json$/, SERIES_DATA_FILE_SCHEMA, WALLPAPER_LIST_SCHEMA],
+]
+
+// ========================================
+// 命令行参数
+// ========================================
+
+function parseArgs(argv) {
+  const args = { dir: CONFIG.DATA_DIR }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir')
+      args.dir = path.resolve(argv[++i])
+  }
+  return args
+}
+
+// ========================================
+// 校验
+// ========================================
+
+/**
+ * 列出目录下的所有 JSON 文件（相对路径，使用 /）
+ */
+function listJsonFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name
+      if (entry.isDirectory())
+        return listJsonFiles(path.join(dir, entry.name), key)
+      return entry.name.endsWith('.json') ? [key] : []
+    })
+}
+
+/**
+ * 校验单个文件
+ * @returns {{ errors: import('../src/utils/data-schema.js').Violation[], data: *, skipped?: boolean }} data 为解码后的内容
+ */
+function validateFile(dir, key) {
+  const type = FILE_TYPES.find(([pattern]) => pattern.test(key))
+  if (!type)
+    return { errors: [], data: null, skipped: true }
+
+  const [, fileSchema, blobSchema] = type
+  let raw
+  try {
+    raw = JSON.parse(fs.readFileSync(path.join(dir, key), 'utf-8'))
+  }
+  catch (error) {
+    return { errors: [{ path: '(根)', message: `JSON 解析失败：${error.message}` }], data: null }
+  }
+
+  const errors = validate(fileSchema, raw)
+  if (!blobSchema || typeof raw?.blob !== 'string')
+    return { errors, data: blobSchema ? null : raw }
+
+  let data
+  try {
+    data = JSON.parse(decodeData(raw.blob))
+  }
+  catch (error) {
+    errors.push({ path: 'blob', message: `解码失败：${error.message}` })
+    return { errors, data: null }
+  }
+  errors.push(...validate(blobSchema, data, 'blob'))
+  return { errors, data }
+}
+
+/**
+ * 跨文件检查：索引引用的文件是否存在，同一系列内壁纸 id 是否重复
+ * @param {Map<string, *>} contents - 相对路径 -> 解码后的内容
+ * @returns {Map<string, Array>} 相对路径 -> 错误
+ */
+function crossCheck(contents) {
+  const problems = new Map()
+  const report = (key, error) => {
+    problems.set(key, [...(problems.get(key) || []), error])
+  }
+
+  contents.forEach((data, key) => {
+    const dir = path.posix.dirname(key)
+    if (key === 'bing/index.json') {
+      data?.years?.forEach((year, index) => {
+        if (year?.file && !contents.has(`bing/${year.file}`))
+          report(key, { path: `years[${index}].file`, message: `引用的文件不存在：bing/${year.file}` })
+      })
+    }
+    else if (/^[^/]+\/index\.json$/.test(key) && Array.isArray(data)) {
+      data.forEach((category, index) => {
+        if (category?.file && !contents.has(`${dir}/${category.file}`))
+          report(key, { path: `blob[${index}].file`, message: `引用的文件不存在：${dir}/${category.file}` })
+      })
+    }
+  })
+
+  // 同一系列的分类文件之间 id 不能重复（收藏、浏览记录依赖 id）
+  const seen = new Map()
+  contents.forEach((data, key) => {
+    if (!/^[^/]+\/[^/]+\.json$/.test(key) || key.startsWith('bing/') || key.startsWith('stats/') || key.endsWith('/index.json') || !Array.isArray(data))
+      return
+    data.forEach((wallpaper, index) => {
+      const id = `${path.posix.dirname(key)}:${wallpaper?.id}`
+      if (typeof wallpaper?.id !== 'string')
+        return
+      if (seen.has(id))
+        report(key, { path: `blob[${index}].id`, message: `id 重复：${wallpaper.id}（已在 ${seen.get(id)} 中使用）` })
+      else
+        seen.set(id, key)
+    })
+  })
+  return problems
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (!fs.existsSync(args.dir)) {
+    console.error(`❌ 数据目录不存在：${args.dir}`)
+    process.exit(1)
+  }
+
+  console.log(`🔍 校验数据目录：${args.dir}\n`)
+
+  const files = listJsonFiles(args.dir).filter(key => !CONFIG.IGNORED_FILES.includes(key))
+  const contents = new Map()
+  const problems = new Map()
+  const skipped = []
+
+  files.forEach((key) => {
+    const { errors, data, skipped: isSkipped } = validateFile(args.dir, key)
+    if (isSkipped)
+      skipped.push(key)
+    else
+      contents.set(key, data)
+    if (errors.length > 0)
+      problems.set(key, errors)
+  })
+  crossCheck(contents).forEach((errors, key) => {
+    problems.set(key, [...(problems.get(key) || []), ...errors])
+  })
+
+  problems.forEach((errors, key) => {
+    console.log(`❌ ${key}（${errors.length} 处错误）`)
+    errors.forEach(error => console.log(`   ${error.path}: ${error.message}`))
+  })
+  skipped.forEach(key => console.log(`⚠️  ${key}：未知的文件类型，已跳过`))
+
+  const violationCount = [...problems.values()].reduce((sum, errors) => sum + errors.length, 0)
+  console.log(`\n${'='.repeat(60)}`)
+  console.log(`📊 已校验 ${contents.size} 个文件，${problems.size} 个文件有错误，共 ${violationCount} 处`)
+
+  if (problems.size > 0)
+    process.exit(1)
+  console.log('✨ 数据格式正确')
+}
+
+main()
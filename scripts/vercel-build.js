@@ -8,17 +8,18 @@ import fs from 'node:fs'
 import path from 'node:path'
 import process from 'node:process'
 import { fileURLToPath } from 'node:url'
+import { SITE_CONFIG } from '../src/utils/site-config.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const ROOT_DIR = path.resolve(__dirname, '..')
 
-// 配置
+// 配置（图床仓库见 site.config.js 的 imageRepo）
 const CONFIG = {
-  GITHUB_OWNER: 'IT-NuanxinPro',
-  GITHUB_REPO: 'nuanXinProPic',
+  GITHUB_OWNER: SITE_CONFIG.imageRepo.owner,
+  GITHUB_REPO: SITE_CONFIG.imageRepo.name,
   CONSTANTS_FILE: path.join(ROOT_DIR, 'src/utils/constants.js'),
-  REPO_DIR: path.join(ROOT_DIR, 'nuanXinProPic'),
+  REPO_DIR: path.join(ROOT_DIR, SITE_CONFIG.imageRepo.localDir),
   DEFAULT_CDN_VERSION: 'v1.1.1',
   MAX_RETRIES: 3,
   RETRY_DELAYS: [1000, 2000, 4000], // 指数退避延迟（毫秒）
@@ -149,7 +150,7 @@ function cloneImageRepo(version) {
     }
 
     // 克隆指定版本
-    const cloneCmd = `git clone --depth 1 --branch ${version} https://github.com/${CONFIG.GITHUB_OWNER}/${CONFIG.GITHUB_REPO}.git nuanXinProPic`
+    const cloneCmd = `git clone --depth 1 --branch ${version} https://github.com/${CONFIG.GITHUB_OWNER}/${CONFIG.GITHUB_REPO}.git "${CONFIG.REPO_DIR}"`
     console.log(`  Running: ${cloneCmd}`)
 
     execSync(cloneCmd, {
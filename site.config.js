@@ -0,0 +1,61 @@
+// ========================================
+// 站点配置（Fork 部署时只需修改此文件）
+// ========================================
+// 应用（src/utils/site-config.js）、Node 脚本（scripts/*）、Vite 插件（build/vite-plugin-site.js）
+// 和部署 workflow（scripts/site-info.js）统一从这里读取，加载时会校验必填字段。
+
+/** @type {import('./src/utils/site-config.js').SiteConfig} */
+export default {
+  // 站点信息（用于 index.html 的 SEO 标签、sitemap.xml、robots.txt）
+  site: {
+    url: 'https://wallpaper.061129.xyz',
+    title: 'Wallpaper Gallery - 精选高清4K壁纸免费下载',
+    description: 'Wallpaper Gallery - 精选高清4K壁纸，涵盖动漫、风景、人像、游戏等多种分类，免费下载，支持电脑壁纸、手机壁纸和头像',
+    keywords: '壁纸,高清壁纸,4K壁纸,桌面壁纸,手机壁纸,免费壁纸,动漫壁纸,风景壁纸,人像壁纸,游戏壁纸,头像',
+    // 社交分享图片（相对站点根路径）
+    ogImage: '/og-image.jpg',
+    twitterImage: '/twitter-card.jpg',
+  },
+
+  // 品牌（用于页面标题、PWA 清单、页头链接）
+  branding: {
+    name: 'Wallpaper Gallery',
+    shortName: 'Wallpaper',
+    tagline: '精选高清壁纸',
+    themeColor: '#6366f1',
+    backgroundColor: '#f8f9fa',
+    // 前端项目仓库地址（页头、关于页的 GitHub 链接）
+    repoUrl: 'https://github.com/IT-NuanxinPro/wallpaper-gallery',
+  },
+
+  // 图床仓库（壁纸图片和数据所在的 GitHub 仓库）
+  imageRepo: {
+    owner: 'IT-NuanxinPro',
+    name: 'nuanXinProPic',
+    branch: 'main',
+    // 本地克隆目录（相对项目根目录，vercel-build、generate-visual-features 使用）
+    localDir: 'nuanXinProPic',
+  },
+
+  // 图片 CDN 镜像（按优先级排序，{owner}/{repo}/{tag} 在运行时替换）
+  // proxy 镜像包装 source 镜像的地址，只用于缩略图和预览图
+  cdn: {
+    mirrors: [
+      { id: 'jsdelivr', name: 'jsDelivr', baseUrl: 'https://cdn.jsdelivr.net/gh/{owner}/{repo}@{tag}' },
+      { id: 'jsdelivr-fastly', name: 'jsDelivr (Fastly)', baseUrl: 'https://fastly.jsdelivr.net/gh/{owner}/{repo}@{tag}' },
+      // 无文件大小限制（jsDelivr 对超过 20MB 的文件返回 403）
+      { id: 'github-raw', name: 'GitHub Raw', baseUrl: 'https://raw.githubusercontent.com/{owner}/{repo}/{tag}' },
+      { id: 'wsrv', name: 'wsrv.nl 代理', proxy: true, source: 'github-raw', kinds: ['thumbnail', 'preview'] },
+    ],
+    // 数据同步地址（sync-data 使用，{tag} 替换为 imageRepo.branch）
+    dataBaseUrl: 'https://cdn.jsdelivr.net/gh/{owner}/{repo}@{tag}',
+  },
+
+  // 启用的系列（顺序即导航顺序），可选 desktop / bing / mobile / avatar
+  series: ['desktop', 'bing', 'mobile', 'avatar'],
+
+  // 统计（留空则不启用，也可通过环境变量 VITE_UMAMI_WEBSITE_ID 设置）
+  analytics: {
+    umamiWebsiteId: '',
+  },
+}
@@ -0,0 +1,224 @@
+// ========================================
+// 批量下载 Composable
+// ========================================
+// 将多张壁纸原图边下载边写入浏览器端生成的 ZIP（附 manifest.json 元数据），
+// 支持进度显示、取消，以及失败项单独重试
+
+import { computed, ref, shallowRef } from 'vue'
+import { trackWallpaperDownload } from '@/utils/analytics'
+import { fetchOriginalImage, saveBlob } from '@/utils/format'
+import { recordDownload } from '@/utils/supabase'
+import { createZipWriter } from '@/utils/zip'
+
+// 同时下载的文件数
+const CONCURRENCY = 3
+
+// 单个压缩包最多包含的文件数（避免一次性占用过多内存）
+export const BATCH_DOWNLOAD_LIMIT = 200
+
+/**
+ * 生成 manifest.json 中的单条记录
+ */
+function createManifestEntry(wallpaper, series, file) {
+  const entry = {
+    file,
+    id: wallpaper.id,
+    series,
+    filename: wallpaper.filename,
+    title: wallpaper.displayTitle || wallpaper.title || '',
+    category: wallpaper.category || '',
+    subcategory: wallpaper.subcategory || '',
+    tags: wallpaper.tags || [],
+    format: wallpaper.format || '',
+    size: wallpaper.size || 0,
+    resolution: wallpaper.resolution
+      ? { width: wallpaper.resolution.width, height: wallpaper.resolution.height, label: wallpaper.resolution.label }
+      : null,
+    createdAt: wallpaper.createdAt || '',
+    url: wallpaper.downloadUrl || wallpaper.url,
+  }
+  // Bing 壁纸保留版权信息
+  if (wallpaper.isBing) {
+    entry.date = wallpaper.date
+    entry.copyright = wallpaper.copyright || ''
+  }
+  return entry
+}
+
+/**
+ * 生成压缩包文件名
+ */
+function getZipFilename(count) {
+  const date = new Date().toISOString().slice(0, 10)
+  return `wallpapers-${date}-${count}.zip`
+}
+
+export function useBatchDownload() {
+  // 状态：idle 空闲 | running 下载中 | done 完成 | cancelled 已取消 | error 全部失败
+  const status = ref('idle')
+
+  // 总文件数 / 已处理数（含失败）
+  const total = ref(0)
+  const processed = ref(0)
+
+  // 已下载字节数 / 预计总字节数（部分壁纸没有文件大小，仅作参考）
+  const loadedBytes = ref(0)
+  const expectedBytes = ref(0)
+
+  // 下载失败的项 [{ wallpaper, series, error }]
+  const failedItems = shallowRef([])
+
+  // 成功写入压缩包的数量
+  const succeededCount = ref(0)
+
+  let controller = null
+
+  const isRunning = computed(() => status.value === 'running')
+
+  // 进度百分比（优先按字节计算，无法预估大小时按文件数计算）
+  const percent = computed(() => {
+    if (total.value === 0)
+      return 0
+    if (expectedBytes.value > 0)
+      return Math.min(99, Math.round((loadedBytes.value / expectedBytes.value) * 100))
+    return Math.round((processed.value / total.value) * 100)
+  })
+
+  /**
+   * 下载单个文件并写入压缩包
+   */
+  async function addWallpaper(zip, { wallpaper, series }, folder, signal) {
+    const response = await fetchOriginalImage(wallpaper, { signal })
+    const name = folder ? `${series}/${wallpaper.filename}` : wallpaper.filename
+    const file = await zip.addStream(name, response.body, {
+      signal,
+      date: wallpaper.createdAt ? new Date(wallpaper.createdAt) : new Date(),
+      onProgress: (bytes) => {
+        loadedBytes.value += bytes
+      },
+    })
+
+    // 与单张下载一致：追踪下载事件并记录到统计
+    trackWallpaperDownload(wallpaper, series)
+    recordDownload(wallpaper, series)
+
+    return createManifestEntry(wallpaper, series, file)
+  }
+
+  /**
+   * 批量下载为 ZIP
+   * @param {Array<{ wallpaper: object, series: string }>} items - 要下载的壁纸及所属系列
+   * @returns {Promise<boolean>} 是否生成了压缩包
+   */
+  async function downloadAsZip(items) {
+    if (isRunning.value || items.length === 0)
+      return false
+
+    const list = items.slice(0, BATCH_DOWNLOAD_LIMIT)
+    controller = new AbortController()
+    const { signal } = controller
+
+    status.value = 'running'
+    total.value = list.length
+    processed.value = 0
+    loadedBytes.value = 0
+    expectedBytes.value = list.every(item => item.wallpaper.size > 0)
+      ? list.reduce((sum, item) => sum + item.wallpaper.size, 0)
+      : 0
+    succeededCount.value = 0
+    failedItems.value = []
+
+    const zip = createZipWriter()
+    const manifestFiles = []
+    const failed = []
+    // 包含多个系列时按系列分文件夹
+    const folder = new Set(list.map(item => item.series)).size > 1
+    let cursor = 0
+
+    async function worker() {
+      while (cursor < list.length && !signal.aborted) {
+        const item = list[cursor++]
+        try {
+          manifestFiles.push(await addWallpaper(zip, item, folder, signal))
+          succeededCount.value++
+        }
+        catch (error) {
+          if (signal.aborted)
+            return
+          console.warn('[BatchDownload] 下载失败:', item.wallpaper.filename, error)
+          failed.push({ ...item, error: error.message || String(error) })
+        }
+        finally {
+          processed.value++
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, list.length) }, worker))
+
+    controller = null
+    failedItems.value = failed
+
+    if (signal.aborted) {
+      status.value = 'cancelled'
+      return false
+    }
+
+    if (manifestFiles.length === 0) {
+      status.value = 'error'
+      return false
+    }
+
+    zip.addFile('manifest.json', JSON.stringify({
+      generator: 'wallpaper-gallery',
+      exportedAt: new Date().toISOString(),
+      count: manifestFiles.length,
+      files: manifestFiles,
+      failed: failed.map(({ wallpaper, series, error }) => ({ id: wallpaper.id, series, filename: wallpaper.filename, error })),
+    }, null, 2))
+
+    saveBlob(zip.toBlob(), getZipFilename(manifestFiles.length))
+    status.value = 'done'
+    return true
+  }
+
+  /**
+   * 重新下载失败的项（生成新的压缩包）
+   */
+  function retryFailed() {
+    return downloadAsZip(failedItems.value.map(({ wallpaper, series }) => ({ wallpaper, series })))
+  }
+
+  /**
+   * 取消下载（已下载的内容会被丢弃）
+   */
+  function cancel() {
+    controller?.abort()
+  }
+
+  /**
+   * 重置状态（关闭进度面板）
+   */
+  function reset() {
+    if (isRunning.value)
+      return
+    status.value = 'idle'
+    total.value = 0
+    processed.value = 0
+    failedItems.value = []
+  }
+
+  return {
+    status,
+    total,
+    processed,
+    succeededCount,
+    failedItems,
+    isRunning,
+    percent,
+    downloadAsZip,
+    retryFailed,
+    cancel,
+    reset,
+  }
+}
@@ -123,6 +123,18 @@ function getDeviceType(windowWidth) {
   return DEVICE_TYPES.DESKTOP
 }
 
+/**
+ * 获取屏幕的物理分辨率（CSS 像素 × 设备像素比）
+ * @returns {{ width: number, height: number }}
+ */
+export function getScreenResolution() {
+  const dpr = window.devicePixelRatio || 1
+  return {
+    width: Math.round(window.screen.width * dpr),
+    height: Math.round(window.screen.height * dpr),
+  }
+}
+
 /**
  * 设备检测 Composable
  * 用于响应式检测当前设备类型
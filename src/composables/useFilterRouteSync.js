@@ -0,0 +1,236 @@
+// ========================================
+// 筛选状态 <-> 路由 Query 双向同步 Composable
+// ========================================
+// 例：/desktop?cat=风景&sub=天空&res=4K&sort=popular&q=云海
+//     /mobile?ratio=9:19.5&minw=1170&minh=2532&color=blue
+// - 筛选变化时 push 新的 query（浏览器前进/后退可回到之前的筛选状态）
+// - query 变化时（前进/后退、打开分享链接）回填到 filterStore
+
+import { watch } from 'vue'
+import { useRoute, useRouter } from 'vue-router'
+import { useFilterStore } from '@/stores/filter'
+import { ASPECT_RATIO_OPTIONS, COLOR_OPTIONS, FORMAT_OPTIONS, ORIENTATION_OPTIONS, RESOLUTION_OPTIONS, SORT_OPTIONS } from '@/utils/constants'
+
+// Query 参数名映射（短参数名，便于分享）
+export const FILTER_QUERY_KEYS = {
+  categoryFilter: 'cat',
+  subcategoryFilter: 'sub',
+  formatFilter: 'fmt',
+  resolutionFilter: 'res',
+  aspectRatioFilter: 'ratio',
+  orientationFilter: 'orient',
+  minWidth: 'minw',
+  minHeight: 'minh',
+  colorFilter: 'color',
+  sortBy: 'sort',
+  searchQuery: 'q',
+}
+
+const DEFAULT_SORT = 'newest'
+const BING_MONTH_PATTERN = /^\d{4}-\d{2}$/
+const PIXEL_PATTERN = /^[1-9]\d{0,4}$/
+
+/**
+ * 读取单个 query 值（重复参数取第一个）
+ */
+function readQueryValue(query, key) {
+  const value = query[key]
+  if (Array.isArray(value))
+    return value[0] ?? null
+  return typeof value === 'string' ? value : null
+}
+
+/**
+ * 判断 query 中是否包含任意筛选参数
+ * @param {object} query - 路由 query
+ * @returns {boolean}
+ */
+export function hasFilterQuery(query) {
+  return Object.values(FILTER_QUERY_KEYS).some(key => readQueryValue(query, key) !== null)
+}
+
+/**
+ * 将 query 解析为筛选状态（非法值回退到默认值）
+ * @param {object} query - 路由 query
+ * @param {string} series - 当前系列
+ * @param {string} defaultCategory - 当前系列的默认一级分类
+ * @returns {object} 筛选状态
+ */
+export function parseFilterQuery(query, series, defaultCategory) {
+  const pick = (stateKey, isValid, fallback) => {
+    const value = readQueryValue(query, FILTER_QUERY_KEYS[stateKey])
+    return value !== null && isValid(value) ? value : fallback
+  }
+
+  const categoryFilter = pick(
+    'categoryFilter',
+    value => value !== '' && (series !== 'bing' || value === 'all' || BING_MONTH_PATTERN.test(value)),
+    defaultCategory,
+  )
+
+  return {
+    categoryFilter,
+    // 一级分类为“全部”时二级分类无意义
+    subcategoryFilter: categoryFilter === 'all' ? 'all' : pick('subcategoryFilter', value => value !== '', 'all'),
+    formatFilter: pick('formatFilter', value => FORMAT_OPTIONS.some(opt => opt.value === value), 'all'),
+    resolutionFilter: pick('resolutionFilter', value => RESOLUTION_OPTIONS.some(opt => opt.value === value), 'all'),
+    aspectRatioFilter: pick('aspectRatioFilter', value => ASPECT_RATIO_OPTIONS.some(opt => opt.value === value), 'all'),
+    orientationFilter: pick('orientationFilter', value => ORIENTATION_OPTIONS.some(opt => opt.value === value), 'all'),
+    minWidth: Number(pick('minWidth', value => PIXEL_PATTERN.test(value), 0)),
+    minHeight: Number(pick('minHeight', value => PIXEL_PATTERN.test(value), 0)),
+    colorFilter: pick('colorFilter', value => COLOR_OPTIONS.some(opt => opt.value === value), 'all'),
+    sortBy: pick('sortBy', value => SORT_OPTIONS.some(opt => opt.value === value), DEFAULT_SORT),
+    searchQuery: pick('searchQuery', () => true, '').trim(),
+  }
+}
+
+/**
+ * 将筛选状态序列化为 query（默认值不写入 URL，保持链接简洁）
+ * @param {object} state - 筛选状态
+ * @param {string} defaultCategory - 当前系列的默认一级分类
+ * @returns {object} 路由 query
+ */
+export function buildFilterQuery(state, defaultCategory) {
+  const query = {}
+  if (state.categoryFilter !== defaultCategory)
+    query[FILTER_QUERY_KEYS.categoryFilter] = state.categoryFilter
+  if (state.subcategoryFilter !== 'all')
+    query[FILTER_QUERY_KEYS.subcategoryFilter] = state.subcategoryFilter
+  if (state.formatFilter !== 'all')
+    query[FILTER_QUERY_KEYS.formatFilter] = state.formatFilter
+  if (state.resolutionFilter !== 'all')
+    query[FILTER_QUERY_KEYS.resolutionFilter] = state.resolutionFilter
+  if (state.aspectRatioFilter !== 'all')
+    query[FILTER_QUERY_KEYS.aspectRatioFilter] = state.aspectRatioFilter
+  if (state.orientationFilter !== 'all')
+    query[FILTER_QUERY_KEYS.orientationFilter] = state.orientationFilter
+  if (state.minWidth > 0)
+    query[FILTER_QUERY_KEYS.minWidth] = String(state.minWidth)
+  if (state.minHeight > 0)
+    query[FILTER_QUERY_KEYS.minHeight] = String(state.minHeight)
+  if (state.colorFilter !== 'all')
+    query[FILTER_QUERY_KEYS.colorFilter] = state.colorFilter
+  if (state.sortBy !== DEFAULT_SORT)
+    query[FILTER_QUERY_KEYS.sortBy] = state.sortBy
+  if (state.searchQuery)
+    query[FILTER_QUERY_KEYS.searchQuery] = state.searchQuery
+  return query
+}
+
+/**
+ * 比较两个 query 中的筛选参数是否一致
+ */
+function isSameFilterQuery(a, b) {
+  return Object.values(FILTER_QUERY_KEYS).every(key => readQueryValue(a, key) === readQueryValue(b, key))
+}
+
+/**
+ * 筛选状态与路由 query 双向同步
+ * @param {object} options - 选项
+ * @param {import('vue').Ref<string>} options.series - 当前系列
+ * @param {import('vue').Ref<boolean>} options.enabled - 是否启用同步（系列数据初始化完成前不同步）
+ */
+export function useFilterRouteSync({ series, enabled }) {
+  const route = useRoute()
+  const router = useRouter()
+  const filterStore = useFilterStore()
+
+  // 正在从 URL 回填状态时，跳过反向同步，避免循环
+  let applyingFromRoute = false
+
+  function getCurrentState() {
+    return {
+      categoryFilter: filterStore.categoryFilter,
+      subcategoryFilter: filterStore.subcategoryFilter,
+      formatFilter: filterStore.formatFilter,
+      resolutionFilter: filterStore.resolutionFilter,
+      aspectRatioFilter: filterStore.aspectRatioFilter,
+      orientationFilter: filterStore.orientationFilter,
+      minWidth: filterStore.minWidth,
+      minHeight: filterStore.minHeight,
+      colorFilter: filterStore.colorFilter,
+      sortBy: filterStore.sortBy,
+      // 搜索使用防抖后的值，避免每次按键都产生历史记录
+      searchQuery: filterStore.debouncedQuery.trim(),
+    }
+  }
+
+  /**
+   * 将路由 query 回填到 filterStore
+   * @param {object} query - 路由 query
+   * @param {object} options - 选项
+   * @param {boolean} options.onlyIfPresent - query 不含筛选参数时保留当前状态（用于进入系列时保留缓存的筛选）
+   * @returns {boolean} 是否应用了 query
+   */
+  function applyRouteQuery(query = route.query, { onlyIfPresent = false } = {}) {
+    if (onlyIfPresent && !hasFilterQuery(query))
+      return false
+
+    const state = parseFilterQuery(query, series.value, filterStore.getDefaultCategory(series.value))
+
+    applyingFromRoute = true
+    filterStore.categoryFilter = state.categoryFilter
+    filterStore.subcategoryFilter = state.subcategoryFilter
+    filterStore.formatFilter = state.formatFilter
+    filterStore.resolutionFilter = state.resolutionFilter
+    filterStore.aspectRatioFilter = state.aspectRatioFilter
+    filterStore.orientationFilter = state.orientationFilter
+    filterStore.minWidth = state.minWidth
+    filterStore.minHeight = state.minHeight
+    filterStore.colorFilter = state.colorFilter
+    filterStore.sortBy = state.sortBy
+    // 同时更新防抖值，立即生效且不触发额外的 push
+    filterStore.searchQuery = state.searchQuery
+    filterStore.debouncedQuery = state.searchQuery
+    // 等待本轮 watcher 执行完毕后再恢复同步
+    Promise.resolve().then(() => {
+      applyingFromRoute = false
+    })
+    return true
+  }
+
+  /**
+   * 将 filterStore 当前状态写入路由 query
+   * @param {object} options - 选项
+   * @param {boolean} options.replace - 是否替换当前历史记录（默认 push）
+   */
+  function syncToRoute({ replace = false } = {}) {
+    const filterQuery = buildFilterQuery(getCurrentState(), filterStore.getDefaultCategory(series.value))
+    if (isSameFilterQuery(route.query, filterQuery))
+      return
+
+    // 保留非筛选类的 query 参数
+    const otherQuery = Object.fromEntries(
+      Object.entries(route.query).filter(([key]) => !Object.values(FILTER_QUERY_KEYS).includes(key)),
+    )
+    const location = { path: route.path, query: { ...otherQuery, ...filterQuery }, hash: route.hash }
+    if (replace)
+      router.replace(location)
+    else
+      router.push(location)
+  }
+
+  // Store -> URL：筛选变化时 push 新记录
+  watch(getCurrentState, () => {
+    if (!enabled.value || applyingFromRoute)
+      return
+    syncToRoute()
+  }, { deep: true })
+
+  // URL -> Store：同一系列内 query 变化（前进/后退）时回填
+  // 系列切换由页面的系列加载流程处理（见 applyRouteQuery 的 onlyIfPresent）
+  watch(() => ({ routeSeries: route.meta?.series, query: route.query }), (newVal, oldVal) => {
+    if (!enabled.value || newVal.routeSeries !== oldVal.routeSeries || newVal.routeSeries !== series.value)
+      return
+    if (isSameFilterQuery(newVal.query, oldVal.query))
+      return
+    if (isSameFilterQuery(newVal.query, buildFilterQuery(getCurrentState(), filterStore.getDefaultCategory(series.value))))
+      return
+    applyRouteQuery(newVal.query)
+  })
+
+  return {
+    applyRouteQuery,
+    syncToRoute,
+  }
+}
@@ -0,0 +1,95 @@
+// ========================================
+// 筛选排序结果 Composable
+// ========================================
+// 筛选排序在 Worker 中异步执行（见 useWorker 的 workerFilterAndSort），大系列不再阻塞主线程。
+// 条件连续变化时取消未完成的任务，并按版本号丢弃过期结果。
+
+import { onScopeDispose, ref, shallowRef, toValue, watch } from 'vue'
+import { workerFilterAndSort } from '@/composables/useWorker'
+import { useFilterStore } from '@/stores/filter'
+
+// 任务超过该时长才显示“排序中”，避免快速完成时闪烁
+const SORTING_INDICATOR_DELAY = 120
+
+/**
+ * 筛选和排序后的壁纸列表
+ * @param {import('vue').MaybeRefOrGetter<Array>} source - 原始壁纸列表
+ * @param {object} options - 选项
+ * @param {import('vue').MaybeRefOrGetter<boolean>} [options.skipCategoryFilter] - 是否跳过分类筛选
+ */
+export function useFilteredWallpapers(source, options = {}) {
+  const filterStore = useFilterStore()
+
+  // 最近一次完成的结果
+  const filteredWallpapers = shallowRef([])
+  // 是否有未完成的筛选排序任务（超过 SORTING_INDICATOR_DELAY 后为 true）
+  const sorting = ref(false)
+  // 当前结果是否基于当前的原始列表（列表整体替换后、首个结果返回前为 false，可显示骨架屏）
+  const ready = ref(false)
+
+  let version = 0
+  let resultSource = null
+  let currentJob = null
+  let indicatorTimer = null
+
+  function finish() {
+    clearTimeout(indicatorTimer)
+    indicatorTimer = null
+    currentJob = null
+    sorting.value = false
+  }
+
+  async function run([wallpapers, criteria, context]) {
+    const jobVersion = ++version
+    currentJob?.cancel()
+
+    if (!indicatorTimer) {
+      indicatorTimer = setTimeout(() => {
+        sorting.value = true
+      }, SORTING_INDICATOR_DELAY)
+    }
+    if (wallpapers !== resultSource)
+      ready.value = false
+
+    const job = workerFilterAndSort(wallpapers || [], criteria, context)
+    currentJob = job
+    try {
+      const result = await job.promise
+      // 期间条件已变化，丢弃过期结果
+      if (jobVersion !== version)
+        return
+      filteredWallpapers.value = result
+      resultSource = wallpapers
+      ready.value = true
+      finish()
+    }
+    catch (error) {
+      if (error.name !== 'AbortError' && jobVersion === version) {
+        console.warn('[Filter] 筛选排序失败:', error)
+        finish()
+      }
+    }
+  }
+
+  watch(
+    () => [
+      toValue(source),
+      filterStore.getFilterCriteria({ skipCategoryFilter: toValue(options.skipCategoryFilter) }),
+      filterStore.getFilterContext(),
+    ],
+    run,
+    { immediate: true },
+  )
+
+  onScopeDispose(() => {
+    version++
+    currentJob?.cancel()
+    clearTimeout(indicatorTimer)
+  })
+
+  return {
+    filteredWallpapers,
+    sorting,
+    ready,
+  }
+}
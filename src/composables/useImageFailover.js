@@ -0,0 +1,54 @@
+// ========================================
+// 图片镜像切换 Composable
+// ========================================
+// 图片加载失败时自动切换到下一个镜像，并向 services/imageMirrors.js 回报结果
+
+import { computed, ref, toValue, watch } from 'vue'
+import { getImageCandidates, reportImageError, reportImageLoad } from '@/services/imageMirrors'
+
+/**
+ * @param {import('vue').MaybeRefOrGetter<object|string>} source - 壁纸对象或图片地址
+ * @param {import('vue').MaybeRefOrGetter<'original'|'preview'|'thumbnail'|'download'>} [kind] - 图片类型
+ */
+export function useImageFailover(source, kind = 'original') {
+  const attempt = ref(0)
+  // 所有候选地址都失败
+  const failed = ref(false)
+
+  // 候选列表只在图片变化时生成，避免加载过程中健康度变化导致顺序错乱
+  const candidates = computed(() => getImageCandidates(toValue(source), toValue(kind)))
+
+  const src = computed(() => candidates.value[attempt.value] || '')
+
+  watch(candidates, () => {
+    attempt.value = 0
+    failed.value = false
+  })
+
+  function handleLoad() {
+    reportImageLoad(src.value)
+  }
+
+  /**
+   * 处理加载失败
+   * @returns {boolean} 是否已切换到下一个镜像（false 表示没有更多候选）
+   */
+  function handleError() {
+    if (!src.value)
+      return false
+    reportImageError(src.value)
+    if (attempt.value < candidates.value.length - 1) {
+      attempt.value++
+      return true
+    }
+    failed.value = true
+    return false
+  }
+
+  return {
+    src,
+    failed,
+    handleLoad,
+    handleError,
+  }
+}
@@ -0,0 +1,74 @@
+// ========================================
+// 图片占位图 Composable
+// ========================================
+// 图片加载前的占位：优先使用数据中的 blurhash（在 Worker 中解码），没有时使用主色调。
+// 解码结果按 blurhash + 尺寸缓存，卡片复用或打开详情时同一张壁纸可以同步绘制。
+
+import { computed, toValue } from 'vue'
+import { workerDecodeBlurhash } from '@/composables/useWorker'
+import { isValidBlurhash } from '@/utils/blurhash'
+import { getDominantColor } from '@/utils/color'
+import { LRUCache } from '@/utils/lruCache'
+
+// 占位图长边的像素数（由 CSS 拉伸，模糊图不需要更高的分辨率）
+const PLACEHOLDER_SIZE = 32
+
+// 已解码的像素（每张 32x32 约 4KB）
+const decodedCache = new LRUCache(300)
+
+/**
+ * 占位图的绘制尺寸（按壁纸分辨率保持宽高比，没有分辨率时为正方形）
+ * @returns {{ width: number, height: number, exact: boolean }} exact 表示宽高比是否准确
+ */
+function getPlaceholderSize(wallpaper) {
+  const { width, height } = wallpaper?.resolution || {}
+  if (!(width > 0 && height > 0))
+    return { width: PLACEHOLDER_SIZE, height: PLACEHOLDER_SIZE, exact: false }
+  const scale = PLACEHOLDER_SIZE / Math.max(width, height)
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    exact: true,
+  }
+}
+
+/**
+ * 读取已解码的占位图像素（未解码时返回 undefined）
+ */
+export function getDecodedPlaceholder(hash, width, height) {
+  return decodedCache.get(`${hash}@${width}x${height}`)
+}
+
+/**
+ * 解码占位图像素并缓存
+ * @returns {Promise<Uint8ClampedArray>} RGBA 像素
+ */
+export async function decodePlaceholder(hash, width, height) {
+  const key = `${hash}@${width}x${height}`
+  const cached = decodedCache.get(key)
+  if (cached)
+    return cached
+  const pixels = await workerDecodeBlurhash(hash, width, height)
+  decodedCache.set(key, pixels)
+  return pixels
+}
+
+/**
+ * @param {import('vue').MaybeRefOrGetter<object>} source - 壁纸对象
+ */
+export function useImagePlaceholder(source) {
+  const blurhash = computed(() => {
+    const hash = toValue(source)?.blurhash
+    return isValidBlurhash(hash) ? hash : null
+  })
+  const color = computed(() => getDominantColor(toValue(source)))
+  const size = computed(() => getPlaceholderSize(toValue(source)))
+  const hasPlaceholder = computed(() => Boolean(blurhash.value || color.value))
+
+  return {
+    blurhash,
+    color,
+    size,
+    hasPlaceholder,
+  }
+}
@@ -0,0 +1,31 @@
+// ========================================
+// 网络状态 Composable
+// ========================================
+
+import { ref } from 'vue'
+
+// 全局状态（单例）
+const isOnline = ref(typeof navigator === 'undefined' ? true : navigator.onLine)
+
+let initialized = false
+
+function init() {
+  if (initialized || typeof window === 'undefined')
+    return
+  initialized = true
+
+  window.addEventListener('online', () => {
+    isOnline.value = true
+  })
+  window.addEventListener('offline', () => {
+    isOnline.value = false
+  })
+}
+
+export function useNetworkStatus() {
+  init()
+
+  return {
+    isOnline,
+  }
+}
@@ -0,0 +1,36 @@
+// ========================================
+// 离线保存原图 Composable
+// ========================================
+// 开启后，用户打开详情的壁纸会把原图和预览图写入 Cache Storage，离线时由 Service Worker 读取
+
+import { ref } from 'vue'
+import { isOriginalsCacheAvailable, saveOriginalForOffline } from '@/services/offlineOriginals'
+import { STORAGE_KEYS } from '@/utils/constants'
+
+// 全局状态（单例，默认关闭）
+const enabled = ref(localStorage.getItem(STORAGE_KEYS.SAVE_ORIGINALS_OFFLINE) === 'true')
+
+export function useOfflineOriginals() {
+  const supported = isOriginalsCacheAvailable()
+
+  const setEnabled = (value) => {
+    enabled.value = value
+    localStorage.setItem(STORAGE_KEYS.SAVE_ORIGINALS_OFFLINE, String(value))
+  }
+
+  /**
+   * 开启时保存壁纸原图（后台执行，失败只记录日志）
+   */
+  const saveIfEnabled = (wallpaper) => {
+    if (!enabled.value || !supported || !wallpaper)
+      return
+    saveOriginalForOffline(wallpaper)
+  }
+
+  return {
+    enabled,
+    supported,
+    setEnabled,
+    saveIfEnabled,
+  }
+}
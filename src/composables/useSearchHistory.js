@@ -0,0 +1,37 @@
+// ========================================
+// 搜索历史记录 Composable
+// ========================================
+
+import { computed, toValue, watch } from 'vue'
+import { useFilterStore } from '@/stores/filter'
+import { useSearchHistoryStore } from '@/stores/searchHistory'
+
+/**
+ * 搜索生效后更新搜索历史中该搜索的结果数量
+ * 搜索历史只在 SearchBar 确认搜索（回车、选择建议）时记录，避免输入中途的半截搜索词占满历史；
+ * 搜索索引结果异步返回，结果数量变化时会更新同一条记录
+ *
+ * @param {import('vue').MaybeRefOrGetter<string>} series - 当前系列 ID
+ * @param {import('vue').MaybeRefOrGetter<number>} resultCount - 当前结果数量
+ * @param {import('vue').MaybeRefOrGetter<boolean>} enabled - 是否更新（数据加载中不更新）
+ */
+export function useSearchHistoryRecorder(series, resultCount, enabled = true) {
+  const filterStore = useFilterStore()
+  const historyStore = useSearchHistoryStore()
+
+  // 当前生效的搜索在历史中的记录（确认搜索后才有）
+  const entry = computed(() => {
+    const query = filterStore.debouncedQuery.trim()
+    return query ? historyStore.getEntries(toValue(series)).find(item => item.query === query) : null
+  })
+
+  watch(
+    () => [entry.value, toValue(resultCount), toValue(enabled)],
+    ([current, count, isEnabled]) => {
+      // 有语法错误的搜索不更新
+      if (!current || !isEnabled || filterStore.parsedQuery.errors.length > 0)
+        return
+      historyStore.updateCount(toValue(series), current.query, count)
+    },
+  )
+}
@@ -0,0 +1,143 @@
+// ========================================
+// 用户数据导出/导入 Composable
+// ========================================
+// 收集收藏、偏好设置和筛选预设生成备份文件，
+// 以及读取、校验备份文件并按合并/替换模式写回各 Store
+
+import { ref } from 'vue'
+import { useFavoritesStore } from '@/stores/favorites'
+import { useFilterStore } from '@/stores/filter'
+import { useSeriesStore } from '@/stores/series'
+import { STORAGE_KEYS } from '@/utils/constants'
+import { saveBlob } from '@/utils/format'
+import { createBundle, getBundleFilename, IMPORT_MODES, validateBundle } from '@/utils/userDataBundle'
+import { useTheme } from './useTheme'
+import { useViewMode } from './useViewMode'
+
+// 备份文件大小上限（收藏快照体积很小，超过此值基本可以判定为错误文件）
+const MAX_BUNDLE_SIZE = 10 * 1024 * 1024
+
+export function useUserDataTransfer() {
+  const favoritesStore = useFavoritesStore()
+  const filterStore = useFilterStore()
+  const seriesStore = useSeriesStore()
+  const { theme, setTheme } = useTheme()
+  const { viewMode, setViewMode } = useViewMode()
+
+  // 是否正在处理（导出或导入）
+  const busy = ref(false)
+
+  /**
+   * 收集当前偏好设置
+   */
+  function collectPreferences() {
+    const preferences = {
+      theme: theme.value,
+      sort: localStorage.getItem(STORAGE_KEYS.SORT) || filterStore.sortBy,
+      viewMode: viewMode.value,
+      series: seriesStore.currentSeries,
+      announcementClosed: localStorage.getItem(STORAGE_KEYS.ANNOUNCEMENT_CLOSED) === 'true',
+    }
+    const category = localStorage.getItem(STORAGE_KEYS.CATEGORY)
+    if (category)
+      preferences.category = category
+    return preferences
+  }
+
+  /**
+   * 应用偏好设置（仅应用备份中包含且校验通过的项）
+   */
+  function applyPreferences(preferences) {
+    if (preferences.theme)
+      setTheme(preferences.theme)
+    if (preferences.sort)
+      filterStore.sortBy = preferences.sort
+    if (preferences.category)
+      localStorage.setItem(STORAGE_KEYS.CATEGORY, preferences.category)
+    if (preferences.viewMode)
+      setViewMode(preferences.viewMode)
+    if (preferences.series && !seriesStore.switchSeries(preferences.series)) {
+      // 当前设备不支持该系列（如移动端的 Bing），只保存选择，换回支持的设备后生效
+      localStorage.setItem(STORAGE_KEYS.CURRENT_SERIES, preferences.series)
+    }
+    if (typeof preferences.announcementClosed === 'boolean') {
+      if (preferences.announcementClosed)
+        localStorage.setItem(STORAGE_KEYS.ANNOUNCEMENT_CLOSED, 'true')
+      else
+        localStorage.removeItem(STORAGE_KEYS.ANNOUNCEMENT_CLOSED)
+    }
+  }
+
+  /**
+   * 导出备份文件
+   */
+  async function exportData() {
+    busy.value = true
+    try {
+      await favoritesStore.init()
+      const bundle = createBundle({
+        favorites: JSON.parse(JSON.stringify(favoritesStore.items)),
+        preferences: collectPreferences(),
+        filterPresets: filterStore.getFilterPresets(),
+      })
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' })
+      saveBlob(blob, getBundleFilename())
+      return bundle
+    }
+    finally {
+      busy.value = false
+    }
+  }
+
+  /**
+   * 读取并校验备份文件
+   * @param {File} file - 用户选择的文件
+   * @returns {Promise<{ valid: boolean, errors: string[], warnings: string[], data: object|null }>} 校验结果
+   */
+  async function readBackupFile(file) {
+    if (!file)
+      return { valid: false, errors: ['未选择文件'], warnings: [], data: null }
+    if (file.size > MAX_BUNDLE_SIZE)
+      return { valid: false, errors: ['文件过大，不是有效的备份文件'], warnings: [], data: null }
+
+    let raw
+    try {
+      raw = JSON.parse(await file.text())
+    }
+    catch {
+      return { valid: false, errors: ['文件不是有效的 JSON'], warnings: [], data: null }
+    }
+
+    return validateBundle(raw)
+  }
+
+  /**
+   * 导入已校验的备份数据
+   * @param {object} data - validateBundle 返回的 data
+   * @param {'merge'|'replace'} mode - 导入模式
+   * @returns {Promise<{ addedFavorites: number, preferences: number, filterPresets: number }>} 导入结果
+   */
+  async function importData(data, mode = IMPORT_MODES.MERGE) {
+    busy.value = true
+    try {
+      const addedFavorites = await favoritesStore.importFavorites(data.favorites, mode)
+      applyPreferences(data.preferences)
+      filterStore.importFilterPresets(data.filterPresets, mode)
+      return {
+        addedFavorites,
+        preferences: Object.keys(data.preferences).length,
+        filterPresets: Object.keys(data.filterPresets).length,
+      }
+    }
+    finally {
+      busy.value = false
+    }
+  }
+
+  return {
+    busy,
+    exportData,
+    readBackupFile,
+    importData,
+  }
+}
@@ -2,7 +2,9 @@
  * 版本检测服务
  * - 页面进入时检查一次服务器版本
  * - 检测到新版本时通知用户
- * - 支持强制刷新清除缓存
+ * - 生产环境注册 Service Worker：新版本安装完成（waiting）后才提示更新，
+ *   用户确认后激活新 Service Worker 并刷新一次
+ * - 不支持 Service Worker 时回退为强制刷新清除缓存
  */
 
 import { onMounted, ref } from 'vue'
@@ -15,14 +17,56 @@ const BUILD_TIME = __BUILD_TIME__ || ''
 
 // 配置
 const VERSION_URL = `${import.meta.env.BASE_URL}version.json`
+const SW_URL = `${import.meta.env.BASE_URL}sw.js`
 
 // 全局状态（单例）
 const hasNewVersion = ref(false)
 const newVersionInfo = ref(null)
 const isChecking = ref(false)
 
+// Service Worker 状态
+let registration = null
+const waitingWorker = ref(null)
+
 let initialized = false
 
+/**
+ * 监听新 Service Worker 安装完成
+ * 已有控制者时新版本会进入 waiting，首次安装则直接激活（无需提示）
+ */
+function trackInstalling(worker) {
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      waitingWorker.value = worker
+      if (newVersionInfo.value)
+        hasNewVersion.value = true
+    }
+  })
+}
+
+/**
+ * 注册 Service Worker（仅生产环境，sw.js 由 build/vite-plugin-pwa.js 生成）
+ */
+async function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator))
+    return
+
+  try {
+    registration = await navigator.serviceWorker.register(SW_URL)
+
+    if (registration.waiting && navigator.serviceWorker.controller)
+      waitingWorker.value = registration.waiting
+
+    registration.addEventListener('updatefound', () => {
+      if (registration.installing)
+        trackInstalling(registration.installing)
+    })
+  }
+  catch (error) {
+    console.warn('[VersionCheck] Service Worker 注册失败:', error)
+  }
+}
+
 /**
  * 获取服务器版本（带缓存破坏）
  */
@@ -91,13 +135,23 @@ async function checkForUpdates() {
 
     if (comparison > 0) {
       // 服务器版本更新
-      hasNewVersion.value = true
       newVersionInfo.value = {
         current: CURRENT_VERSION,
         latest: serverVersion.version,
         buildTime: serverVersion.buildTime,
       }
       console.log(`[VersionCheck] 发现新版本: ${CURRENT_VERSION} → ${serverVersion.version}`)
+
+      if (registration) {
+        // 等新 Service Worker 安装完成（进入 waiting）后再提示，确保刷新后使用新版本
+        if (waitingWorker.value)
+          hasNewVersion.value = true
+        else
+          registration.update().catch(() => {})
+      }
+      else {
+        hasNewVersion.value = true
+      }
     }
   }
   catch (error) {
@@ -132,6 +186,27 @@ function forceRefresh() {
   window.location.href = url.toString()
 }
 
+/**
+ * 应用更新：激活等待中的 Service Worker，控制权切换后刷新一次
+ * 没有等待中的 Service Worker 时回退为强制刷新
+ */
+function applyUpdate() {
+  const worker = waitingWorker.value
+  if (!worker) {
+    forceRefresh()
+    return
+  }
+
+  let refreshing = false
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (refreshing)
+      return
+    refreshing = true
+    window.location.reload()
+  })
+  worker.postMessage({ type: 'SKIP_WAITING' })
+}
+
 /**
  * 忽略本次更新
  */
@@ -151,6 +226,8 @@ export function useVersionCheck() {
     if (!initialized) {
       initialized = true
 
+      registerServiceWorker()
+
       // 检查是否已忽略过此版本
       const dismissedVersion = sessionStorage.getItem('dismissed_version')
       if (dismissedVersion && newVersionInfo.value?.latest === dismissedVersion) {
@@ -174,6 +251,7 @@ export function useVersionCheck() {
     // 方法
     checkForUpdates,
     forceRefresh,
+    applyUpdate,
     dismissUpdate,
   }
 }
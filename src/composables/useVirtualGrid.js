@@ -0,0 +1,371 @@
+// ========================================
+// 虚拟滚动网格 Composable
+// ========================================
+// 只渲染视口附近的卡片，离开视口的卡片节点按槽位复用给新进入视口的壁纸。
+// 支持三种布局：
+// - grid / list：按行排列，行高取该行卡片的最大高度
+// - masonry：JS 瀑布流，每张卡片放入当前最短的一列
+// 列数和间距读取容器的计算样式（断点仍由 SCSS 定义），卡片高度先按比例估算，渲染后按实际高度修正。
+// 视口按容器相对窗口的位置计算，弹窗锁定 body 滚动时也能保持当前窗口不变。
+
+import { computed, onMounted, onUnmounted, shallowRef, triggerRef, watch } from 'vue'
+
+// 视口上下额外渲染的高度（相对窗口高度的比例）
+const OVERSCAN_RATIO = 0.75
+
+// 未测量过列表卡片时的估算高度
+const DEFAULT_LIST_HEIGHT = 140
+
+/**
+ * 虚拟滚动网格
+ * @param {object} options - 配置
+ * @param {import('vue').Ref<HTMLElement|null>} options.containerRef - 网格容器
+ * @param {import('vue').Ref<Array<object>>} options.items - 全部壁纸
+ * @param {import('vue').Ref<string>} options.mode - 布局模式（grid / list / masonry）
+ * @param {(item: object, mode: string) => number} options.getAspectRatio - 卡片图片宽高比（宽 / 高）
+ * @param {(item: object) => string} [options.getKey] - 唯一键
+ */
+export function useVirtualGrid({ containerRef, items, mode, getAspectRatio, getKey = item => item.id }) {
+  // 容器尺寸、列数和间距
+  const metrics = shallowRef({ width: 0, columns: 1, columnGap: 0, rowGap: 0 })
+
+  // 视口范围（容器坐标系）
+  const viewport = shallowRef({ top: 0, bottom: typeof window === 'undefined' ? 0 : window.innerHeight })
+
+  // 已测量的卡片高度：布局模式 -> Map(键 -> 高度)，容器宽度变化时清空（变化时 triggerRef 触发重新布局）
+  const measuredHeights = shallowRef(new Map())
+  // 卡片信息区高度（卡片高度 - 图片高度）的统计，用于估算未测量的卡片
+  const extraStats = new Map()
+
+  // 暂停视口更新（视图切换动画期间避免复用正在动画的节点）
+  let paused = false
+  let frameId = null
+  let resizeObserver = null
+  const observedCells = new Set()
+
+  function getHeightMap(layoutMode) {
+    let heights = measuredHeights.value.get(layoutMode)
+    if (!heights) {
+      heights = new Map()
+      measuredHeights.value.set(layoutMode, heights)
+    }
+    return heights
+  }
+
+  function estimateHeight(item, layoutMode, cellWidth) {
+    const stats = extraStats.get(layoutMode)
+    const average = stats?.count ? stats.sum / stats.count : null
+    if (layoutMode === 'list')
+      return average ?? DEFAULT_LIST_HEIGHT
+    return cellWidth / (getAspectRatio(item, layoutMode) || 1) + (average ?? 0)
+  }
+
+  // ========================================
+  // 布局计算
+  // ========================================
+
+  const layout = computed(() => {
+    const { width, columns, columnGap, rowGap } = metrics.value
+    const list = items.value
+    const layoutMode = mode.value
+    const cellWidth = Math.max(0, (width - columnGap * (columns - 1)) / columns)
+    const heights = getHeightMap(layoutMode)
+    const positions = Array.from({ length: list.length })
+    const getHeight = item => heights.get(getKey(item)) ?? estimateHeight(item, layoutMode, cellWidth)
+    let totalHeight = 0
+
+    if (layoutMode === 'masonry') {
+      const columnHeights = Array.from({ length: columns }, () => 0)
+      list.forEach((item, index) => {
+        const column = columnHeights.indexOf(Math.min(...columnHeights))
+        const height = getHeight(item)
+        positions[index] = { top: columnHeights[column], left: column * (cellWidth + columnGap), height }
+        columnHeights[column] += height + rowGap
+      })
+      totalHeight = Math.max(0, ...columnHeights.map(height => height - rowGap))
+    }
+    else {
+      for (let start = 0; start < list.length; start += columns) {
+        const row = list.slice(start, start + columns)
+        const rowHeight = Math.max(...row.map(getHeight))
+        row.forEach((item, offset) => {
+          positions[start + offset] = { top: totalHeight, left: offset * (cellWidth + columnGap), height: rowHeight }
+        })
+        totalHeight += rowHeight + rowGap
+      }
+      totalHeight = Math.max(0, totalHeight - rowGap)
+    }
+
+    return { positions, cellWidth, totalHeight }
+  })
+
+  const totalHeight = computed(() => layout.value.totalHeight)
+
+  // ========================================
+  // 可见窗口与节点复用
+  // ========================================
+
+  // 壁纸键 -> 槽位（Vue 以槽位作为 key，节点随槽位复用）
+  const slotByKey = new Map()
+  let slotCount = 0
+
+  const cells = computed(() => {
+    const { positions, cellWidth } = layout.value
+    const { top, bottom } = viewport.value
+    const list = items.value
+
+    const visible = []
+    positions.forEach((position, index) => {
+      if (position.top < bottom && position.top + position.height > top)
+        visible.push(index)
+    })
+
+    // 释放离开视口的槽位，优先复用编号较小的槽位
+    const visibleKeys = new Set(visible.map(index => getKey(list[index])))
+    const freeSlots = []
+    slotByKey.forEach((slot, key) => {
+      if (!visibleKeys.has(key)) {
+        freeSlots.push(slot)
+        slotByKey.delete(key)
+      }
+    })
+    freeSlots.sort((a, b) => a - b)
+
+    return visible.map((index) => {
+      const item = list[index]
+      const key = getKey(item)
+      if (!slotByKey.has(key))
+        slotByKey.set(key, freeSlots.length > 0 ? freeSlots.shift() : slotCount++)
+      const position = positions[index]
+      return {
+        slot: slotByKey.get(key),
+        key,
+        index,
+        item,
+        style: {
+          top: `${position.top}px`,
+          left: `${position.left}px`,
+          width: `${cellWidth}px`,
+        },
+      }
+    })
+  })
+
+  // ========================================
+  // 测量
+  // ========================================
+
+  /**
+   * 读取容器宽度、列数和间距（视图模式或窗口尺寸变化后调用）
+   */
+  function refreshMetrics() {
+    const el = containerRef.value
+    if (!el)
+      return
+
+    const style = getComputedStyle(el)
+    const width = el.clientWidth
+    const columns = mode.value === 'masonry'
+      ? Number.parseInt(style.columnCount, 10) || 1
+      : style.gridTemplateColumns.split(' ').filter(Boolean).length || 1
+    const columnGap = Number.parseFloat(style.columnGap) || 0
+    // 瀑布流纵向间距与列间距一致
+    const rowGap = mode.value === 'masonry' ? columnGap : Number.parseFloat(style.rowGap) || 0
+
+    const previous = metrics.value
+    if (previous.width === width && previous.columns === columns && previous.columnGap === columnGap && previous.rowGap === rowGap)
+      return
+
+    // 卡片宽度变化后，已测量的高度全部失效
+    if (previous.width !== width || previous.columns !== columns || previous.columnGap !== columnGap) {
+      measuredHeights.value = new Map()
+      extraStats.clear()
+    }
+    metrics.value = { width, columns, columnGap, rowGap }
+  }
+
+  /**
+   * 测量已渲染卡片的实际高度
+   */
+  function measureCells() {
+    const el = containerRef.value
+    if (!el)
+      return
+
+    const layoutMode = mode.value
+    const heights = getHeightMap(layoutMode)
+    const { cellWidth } = layout.value
+    const itemByKey = new Map(cells.value.map(cell => [String(cell.key), cell.item]))
+    let changed = false
+
+    el.querySelectorAll('[data-virtual-key]').forEach((cell) => {
+      const key = cell.dataset.virtualKey
+      const item = itemByKey.get(key)
+      const height = cell.offsetHeight
+      if (!item || height <= 0)
+        return
+
+      const previous = heights.get(getKey(item))
+      if (previous !== undefined && Math.abs(previous - height) < 1)
+        return
+
+      heights.set(getKey(item), height)
+      if (previous === undefined) {
+        const extra = layoutMode === 'list' ? height : height - cellWidth / (getAspectRatio(item, layoutMode) || 1)
+        const stats = extraStats.get(layoutMode) || { sum: 0, count: 0 }
+        stats.sum += extra
+        stats.count++
+        extraStats.set(layoutMode, stats)
+      }
+      changed = true
+    })
+
+    // 清理已移除的节点
+    observedCells.forEach((cell) => {
+      if (!cell.isConnected) {
+        resizeObserver?.unobserve(cell)
+        observedCells.delete(cell)
+      }
+    })
+
+    if (changed)
+      triggerRef(measuredHeights)
+  }
+
+  /**
+   * 卡片节点的 ref 回调（监听尺寸变化，如图片加载后高度改变）
+   */
+  function observeCell(el) {
+    if (!el || observedCells.has(el) || !resizeObserver)
+      return
+    observedCells.add(el)
+    resizeObserver.observe(el)
+  }
+
+  /**
+   * 按容器当前位置更新视口范围
+   * @param {boolean} force - 暂停期间也更新
+   */
+  function updateViewport(force = false) {
+    const el = containerRef.value
+    if (!el || (paused && !force))
+      return
+    const rect = el.getBoundingClientRect()
+    const overscan = window.innerHeight * OVERSCAN_RATIO
+    const top = -rect.top - overscan
+    const bottom = -rect.top + window.innerHeight + overscan
+    if (viewport.value.top !== top || viewport.value.bottom !== bottom)
+      viewport.value = { top, bottom }
+  }
+
+  function scheduleUpdate() {
+    if (frameId !== null)
+      return
+    frameId = requestAnimationFrame(() => {
+      frameId = null
+      refreshMetrics()
+      updateViewport()
+      measureCells()
+    })
+  }
+
+  // ========================================
+  // 滚动锚点（切换视图模式时保持位置）
+  // ========================================
+
+  /**
+   * 记录视口顶部第一张卡片及其相对窗口的位置
+   * @returns {{ key: string, offset: number }|null} 锚点
+   */
+  function getScrollAnchor() {
+    const el = containerRef.value
+    if (!el)
+      return null
+    const rect = el.getBoundingClientRect()
+    const viewTop = -rect.top
+    let anchor = null
+    layout.value.positions.forEach((position, index) => {
+      if (position.top + position.height <= viewTop)
+        return
+      if (!anchor || position.top < anchor.top)
+        anchor = { top: position.top, index }
+    })
+    if (!anchor)
+      return null
+    return { key: getKey(items.value[anchor.index]), offset: anchor.top + rect.top }
+  }
+
+  /**
+   * 滚动到锚点卡片在新布局中的位置（需在新布局生效后调用）
+   */
+  function restoreScrollAnchor(anchor) {
+    const el = containerRef.value
+    if (!el || !anchor)
+      return
+    const index = items.value.findIndex(item => getKey(item) === anchor.key)
+    if (index === -1)
+      return
+    const rect = el.getBoundingClientRect()
+    const delta = layout.value.positions[index].top + rect.top - anchor.offset
+    if (Math.abs(delta) >= 1)
+      window.scrollBy({ top: delta, behavior: 'instant' })
+    updateViewport(true)
+  }
+
+  function pause() {
+    paused = true
+  }
+
+  function resume() {
+    paused = false
+    scheduleUpdate()
+  }
+
+  // 视图模式变化后重新读取列数
+  watch(mode, () => {
+    refreshMetrics()
+    updateViewport()
+  }, { flush: 'post' })
+
+  // 渲染的卡片变化后测量新卡片
+  watch(cells, () => scheduleUpdate(), { flush: 'post' })
+
+  // 容器出现 / 重建时（如从空状态恢复）重新测量
+  watch(containerRef, (el) => {
+    if (el) {
+      resizeObserver?.observe(el)
+      scheduleUpdate()
+    }
+  }, { flush: 'post' })
+
+  onMounted(() => {
+    resizeObserver = new ResizeObserver(scheduleUpdate)
+    if (containerRef.value)
+      resizeObserver.observe(containerRef.value)
+    window.addEventListener('scroll', scheduleUpdate, { passive: true })
+    window.addEventListener('resize', scheduleUpdate)
+    refreshMetrics()
+    updateViewport()
+  })
+
+  onUnmounted(() => {
+    window.removeEventListener('scroll', scheduleUpdate)
+    window.removeEventListener('resize', scheduleUpdate)
+    if (frameId !== null)
+      cancelAnimationFrame(frameId)
+    resizeObserver?.disconnect()
+    observedCells.clear()
+  })
+
+  return {
+    cells,
+    totalHeight,
+    observeCell,
+    refreshMetrics,
+    updateViewport,
+    getScrollAnchor,
+    restoreScrollAnchor,
+    pause,
+    resume,
+  }
+}
@@ -0,0 +1,135 @@
+// ========================================
+// 壁纸详情路由 Composable
+// ========================================
+// 详情路由：/desktop/w/:id、/mobile/w/:id、/avatar/w/:id、/bing/YYYY-MM-DD
+// - 点击壁纸：push 详情路由
+// - 弹窗内上一张/下一张：replace 详情路由
+// - 关闭弹窗：回到列表路由（不新增历史记录）
+
+import { useRoute, useRouter } from 'vue-router'
+import { useWallpaperStore } from '@/stores/wallpaper'
+
+// 系列 -> 详情路由名
+const DETAIL_ROUTE_NAMES = {
+  desktop: 'DesktopDetail',
+  mobile: 'MobileDetail',
+  avatar: 'AvatarDetail',
+  bing: 'BingDetail',
+}
+
+/**
+ * 构建壁纸详情路由
+ * @param {string} series - 系列 ID
+ * @param {object} wallpaper - 壁纸对象
+ * @param {object} query - 需要保留的 query（筛选条件）
+ * @returns {object|null} 路由位置
+ */
+export function getWallpaperDetailLocation(series, wallpaper, query = {}) {
+  const name = DETAIL_ROUTE_NAMES[series]
+  if (!name || !wallpaper)
+    return null
+  if (series === 'bing') {
+    return wallpaper.date ? { name, params: { date: wallpaper.date }, query } : null
+  }
+  return { name, params: { id: wallpaper.id }, query }
+}
+
+/**
+ * 从详情路由中解析壁纸 ID
+ * @param {object} route - 当前路由
+ * @returns {string|null} 壁纸 ID
+ */
+export function getWallpaperIdFromRoute(route) {
+  if (!route.meta?.detail)
+    return null
+  if (route.meta.series === 'bing')
+    return route.params.date ? `bing-${route.params.date}` : null
+  return route.params.id || null
+}
+
+/**
+ * 壁纸详情路由管理
+ * @param {object} options - 选项
+ * @param {import('vue').Ref<string>} options.series - 当前系列
+ */
+export function useWallpaperDetailRoute({ series }) {
+  const route = useRoute()
+  const router = useRouter()
+  const wallpaperStore = useWallpaperStore()
+
+  // 是否由列表页 push 进入详情（决定关闭时 back 还是 replace）
+  let pushedFromGrid = false
+
+  /**
+   * 当前路由对应的列表页位置
+   */
+  function getGridLocation() {
+    return { path: `/${route.meta.series}`, query: route.query }
+  }
+
+  /**
+   * 从列表打开壁纸详情
+   */
+  function openDetail(wallpaper) {
+    const location = getWallpaperDetailLocation(series.value, wallpaper, route.query)
+    if (!location)
+      return
+    pushedFromGrid = !route.meta?.detail
+    router.push(location)
+  }
+
+  /**
+   * 弹窗内切换壁纸（替换当前记录）
+   */
+  function replaceDetail(wallpaper) {
+    const location = getWallpaperDetailLocation(series.value, wallpaper, route.query)
+    if (location)
+      router.replace(location)
+  }
+
+  /**
+   * 关闭详情，回到列表页（不新增历史记录）
+   */
+  function closeDetail() {
+    if (!route.meta?.detail)
+      return
+    if (pushedFromGrid) {
+      pushedFromGrid = false
+      router.back()
+      return
+    }
+    // 直接打开的详情链接：替换为列表页
+    router.replace(getGridLocation())
+  }
+
+  /**
+   * 解析当前详情路由对应的壁纸（必要时加载对应分类或 Bing 年份）
+   * @returns {Promise<object|null>} 壁纸对象；路由不是详情页或壁纸不存在时返回 null
+   */
+  async function resolveRouteWallpaper() {
+    const id = getWallpaperIdFromRoute(route)
+    if (!id)
+      return null
+
+    try {
+      const wallpaper = await wallpaperStore.findWallpaper(route.meta.series, id)
+      if (wallpaper)
+        return wallpaper
+      console.warn(`[WallpaperDetail] 未找到壁纸: ${id}`)
+    }
+    catch (e) {
+      console.warn(`[WallpaperDetail] 加载壁纸失败: ${id}`, e)
+    }
+
+    // 壁纸不存在：回到列表页
+    router.replace(getGridLocation())
+    return null
+  }
+
+  return {
+    openDetail,
+    replaceDetail,
+    closeDetail,
+    resolveRouteWallpaper,
+  }
+}
@@ -2,8 +2,10 @@
 // Web Worker 管理器
 // ========================================
 
-import { ref, shallowRef } from 'vue'
+import { ref, shallowRef, toRaw } from 'vue'
+import { decodeBlurhash } from '@/utils/blurhash'
 import { decodeData } from '@/utils/codec'
+import { filterAndSortWallpapers } from '@/utils/filter-pipeline'
 import * as sorting from '@/utils/sorting'
 
 // Worker 实例（单例）
@@ -49,11 +51,12 @@ function getWorker() {
 }
 
 /**
- * 发送消息到 Worker 并等待结果
+ * 发送消息到 Worker
+ * @returns {{ id: number, promise: Promise<any> }} 消息 ID（用于取消）和结果
  */
-function sendMessage(type, data) {
-  return new Promise((resolve, reject) => {
-    const id = ++messageId
+function postJob(type, data, transfer = []) {
+  const id = ++messageId
+  const promise = new Promise((resolve, reject) => {
     const worker = getWorker()
 
     // 存储定时器引用
@@ -69,8 +72,47 @@ function sendMessage(type, data) {
       reject,
       timeout: timeoutTimer, // 存储定时器
     })
-    worker.postMessage({ type, id, data })
+    try {
+      worker.postMessage({ type, id, data }, transfer)
+    }
+    catch (e) {
+      // 数据无法复制（如 DataCloneError）时不会有回复，立即清理
+      clearTimeout(timeoutTimer)
+      pendingMessages.delete(id)
+      reject(e)
+    }
   })
+  return { id, promise }
+}
+
+/**
+ * 转换为可发送到 Worker 的普通数组
+ * toRaw 只去掉数组本身的响应式代理，从响应式数组合并、展开得到的新数组中元素仍是代理，postMessage 无法复制
+ * @param {Array} list - 列表（可为响应式数组）
+ * @returns {Array} 数组和元素均为原始对象
+ */
+export function toCloneableList(list) {
+  return toRaw(list).map(item => toRaw(item))
+}
+
+/**
+ * 发送消息到 Worker 并等待结果
+ */
+function sendMessage(type, data) {
+  return postJob(type, data).promise
+}
+
+/**
+ * 取消等待中的任务（结果 Promise 以 AbortError 拒绝，Worker 尚未开始处理时直接跳过）
+ */
+function cancelJob(id) {
+  const pending = pendingMessages.get(id)
+  if (!pending)
+    return
+  pendingMessages.delete(id)
+  clearTimeout(pending.timeout)
+  pending.reject(new DOMException('Worker job cancelled', 'AbortError'))
+  workerInstance?.postMessage({ type: 'cancel', id: ++messageId, data: { id } })
 }
 
 /**
@@ -121,7 +163,7 @@ export async function workerSort(method, wallpapers, options) {
 
     return await sendMessage('sort', {
       method,
-      wallpapers,
+      wallpapers: toCloneableList(wallpapers),
       options: serializedOptions,
     })
   }
@@ -131,35 +173,197 @@ export async function workerSort(method, wallpapers, options) {
   }
 }
 
+// ========================================
+// 筛选排序
+// ========================================
+
+// 已发送到 Worker 的壁纸数据集（按数组实例标识，淘汰规则与 Worker 端缓存一致）
+const MAX_FILTER_DATASETS = 4
+const datasetKeys = new WeakMap()
+const sentDatasets = new Set()
+let datasetId = 0
+
 /**
- * 使用 Worker 批量处理筛选和排序
+ * 获取壁纸数组的数据集标识（列表整体替换时生成新标识）
  */
-export async function workerFilterAndSort(wallpapers, filters, sortMethod, popularityMap) {
-  try {
-    // 如果数据量小，直接在主线程处理
-    if (wallpapers.length < 100) {
-      return null // 返回 null 表示应使用主线程
-    }
+function getDatasetKey(wallpapers) {
+  let key = datasetKeys.get(wallpapers)
+  if (!key) {
+    key = `dataset-${++datasetId}`
+    datasetKeys.set(wallpapers, key)
+  }
+  return key
+}
 
-    // 将 Map 转换为可序列化的格式
-    let serializedPopularityMap = null
-    if (popularityMap instanceof Map) {
-      serializedPopularityMap = Array.from(popularityMap.entries())
+function touchDataset(key) {
+  sentDatasets.delete(key)
+  sentDatasets.add(key)
+  if (sentDatasets.size > MAX_FILTER_DATASETS)
+    sentDatasets.delete(sentDatasets.values().next().value)
+}
+
+/**
+ * 在 Worker 中筛选 + 排序（可取消）
+ * 壁纸数据按数据集只发送一次，后续任务只发送筛选条件；Worker 返回结果下标，映射回传入数组中的原对象。
+ * 数据量小、Worker 不可用或出错时在主线程执行。
+ * @param {Array} wallpapers - 壁纸列表（可为响应式数组，结果元素取自该数组）
+ * @param {object} criteria - 筛选条件（见 filter store 的 getFilterCriteria）
+ * @param {object} context - 排序依赖的数据（见 filter store 的 getFilterContext）
+ * @returns {{ promise: Promise<Array>, cancel: Function }} 结果和取消函数（取消后 promise 以 AbortError 拒绝）
+ */
+export function workerFilterAndSort(wallpapers, criteria, context) {
+  const runOnMainThread = () => filterAndSortWallpapers(wallpapers, criteria, context)
+
+  // 如果数据量小，直接在主线程处理更快
+  if (wallpapers.length < 100 || !isWorkerAvailable())
+    return { promise: Promise.resolve(runOnMainThread()), cancel() {} }
+
+  const raw = toRaw(wallpapers)
+  const key = getDatasetKey(raw)
+  let currentId = null
+  let cancelled = false
+
+  const run = async (includeData) => {
+    const job = postJob('filterAndSort', {
+      key,
+      wallpapers: includeData ? toCloneableList(raw) : null,
+      criteria,
+      context: { ...context, searchScores: context.searchScores ? toRaw(context.searchScores) : null },
+    })
+    currentId = job.id
+    touchDataset(key)
+    return job.promise
+  }
+
+  const promise = (async () => {
+    try {
+      let indices
+      try {
+        indices = await run(!sentDatasets.has(key))
+      }
+      catch (e) {
+        // Worker 端缓存已淘汰该数据集时重新发送
+        if (cancelled || !e.message.startsWith('Dataset not found'))
+          throw e
+        sentDatasets.delete(key)
+        indices = await run(true)
+      }
+      return Array.from(indices, index => wallpapers[index])
     }
-    else if (popularityMap) {
-      serializedPopularityMap = Array.from(popularityMap.entries())
+    catch (e) {
+      // 被更新的任务取代（Worker 端跳过）视为取消
+      if (e.name === 'AbortError' || e.message === 'Filter job cancelled')
+        throw new DOMException('Worker job cancelled', 'AbortError')
+      sentDatasets.delete(key)
+      console.warn('[Worker] filterAndSort failed, falling back to main thread:', e)
+      return runOnMainThread()
     }
+  })()
 
-    return await sendMessage('filterAndSort', {
-      wallpapers,
-      filters,
-      sortMethod,
-      popularityMap: serializedPopularityMap,
-    })
+  return {
+    promise,
+    cancel() {
+      cancelled = true
+      if (currentId !== null)
+        cancelJob(currentId)
+    },
+  }
+}
+
+// ========================================
+// 搜索索引
+// ========================================
+
+// 搜索模块（含拼音数据）按需加载，不占用首屏体积
+const loadSearchModule = () => import('@/utils/search-index')
+
+// 主线程备用数据（Worker 不可用或出错时在主线程构建索引）
+const MAX_FALLBACK_SOURCES = 4
+const fallbackDocuments = new Map()
+const fallbackIndexes = new Map()
+
+/**
+ * 主线程查询（按需构建索引）
+ */
+async function searchOnMainThread(key, query) {
+  const { buildSearchIndex, searchIndex } = await loadSearchModule()
+  let index = fallbackIndexes.get(key)
+  if (!index) {
+    const documents = fallbackDocuments.get(key)
+    if (!documents)
+      return []
+    index = buildSearchIndex(documents)
+    fallbackIndexes.clear()
+    fallbackIndexes.set(key, index)
+  }
+  return searchIndex(index, query)
+}
+
+/**
+ * 构建搜索索引（在 Worker 中构建并缓存）
+ * @param {string} key - 索引标识（系列 + 数据版本）
+ * @param {Array} wallpapers - 壁纸列表
+ */
+export async function workerBuildSearchIndex(key, wallpapers) {
+  const { toSearchDocument } = await loadSearchModule()
+  const documents = wallpapers.map(toSearchDocument)
+
+  fallbackDocuments.delete(key)
+  fallbackDocuments.set(key, documents)
+  if (fallbackDocuments.size > MAX_FALLBACK_SOURCES)
+    fallbackDocuments.delete(fallbackDocuments.keys().next().value)
+
+  if (!isWorkerAvailable())
+    return
+
+  try {
+    await sendMessage('buildSearchIndex', { key, documents })
+  }
+  catch (e) {
+    console.warn('Worker buildSearchIndex failed, falling back to main thread:', e)
+  }
+}
+
+/**
+ * 查询搜索索引
+ * @param {string} key - 索引标识（与构建时一致）
+ * @param {string} query - 搜索词
+ * @returns {Promise<Array<[string, number]>>} [壁纸 ID, 得分]，按得分降序
+ */
+export async function workerSearch(key, query) {
+  if (!isWorkerAvailable())
+    return searchOnMainThread(key, query)
+
+  try {
+    return await sendMessage('search', { key, query })
+  }
+  catch (e) {
+    console.warn('Worker search failed, falling back to main thread:', e)
+    return searchOnMainThread(key, query)
+  }
+}
+
+// ========================================
+// 占位图
+// ========================================
+
+/**
+ * 解码 blurhash 占位图（Worker 不可用或出错时在主线程解码）
+ * @param {string} hash - blurhash
+ * @param {number} width - 输出宽度
+ * @param {number} height - 输出高度
+ * @returns {Promise<Uint8ClampedArray>} RGBA 像素
+ */
+export async function workerDecodeBlurhash(hash, width, height) {
+  if (!isWorkerAvailable())
+    return decodeBlurhash(hash, width, height)
+
+  try {
+    return await sendMessage('decodeBlurhash', { hash, width, height })
   }
   catch (e) {
-    console.warn('Worker filterAndSort failed:', e)
-    return null // 返回 null 表示应使用主线程
+    console.warn('Worker decodeBlurhash failed, falling back to main thread:', e)
+    return decodeBlurhash(hash, width, height)
   }
 }
 
@@ -184,6 +388,7 @@ export function terminateWorker() {
       }
     })
     pendingMessages.clear()
+    sentDatasets.clear()
   }
 }
 
@@ -1,7 +1,8 @@
 import { createPinia } from 'pinia'
 import { createApp } from 'vue'
-import App from './App.vue'
+import { SITE_CONFIG } from '@/utils/site-config'
 
+import App from './App.vue'
 import router from './router'
 
 // 自定义 flexible 适配方案（PC 端保持设计稿尺寸，移动端等比缩放）
@@ -27,7 +28,8 @@ handleLegacyHashUrl()
 
 // 动态加载 Umami Analytics
 function loadUmamiAnalytics() {
-  const websiteId = import.meta.env.VITE_UMAMI_WEBSITE_ID
+  // 环境变量优先，其次使用 site.config.js 中的配置
+  const websiteId = import.meta.env.VITE_UMAMI_WEBSITE_ID || SITE_CONFIG.analytics.umamiWebsiteId
   if (websiteId) {
     const script = document.createElement('script')
     script.async = true
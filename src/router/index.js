@@ -1,6 +1,10 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import { isMobileDevice } from '@/composables/useDevice'
-import { DEVICE_SERIES } from '@/utils/constants'
+import { DEFAULT_SERIES, DEVICE_SERIES } from '@/utils/constants'
+import { SITE_CONFIG } from '@/utils/site-config'
+
+// 页面标题后缀（站点名称）
+const SITE_NAME = SITE_CONFIG.branding.name
 
 // ========================================
 // 路由配置（使用标准懒加载，骨架屏由 App.vue Suspense 处理）
@@ -11,7 +15,7 @@ const routes = [
     path: '/',
     name: 'Home',
     component: () => import('@/views/Home.vue'),
-    meta: { title: 'Wallpaper Gallery - 精选高清壁纸' },
+    meta: { title: `${SITE_NAME} - ${SITE_CONFIG.branding.tagline}` },
   },
   // 电脑壁纸（横屏 16:10）
   {
@@ -19,9 +23,21 @@ const routes = [
     name: 'Desktop',
     component: () => import('@/views/Home.vue'),
     meta: {
-      title: '电脑壁纸 - Wallpaper Gallery',
+      title: `电脑壁纸 - ${SITE_NAME}`,
+      series: 'desktop',
+      aspectType: 'landscape',
+    },
+  },
+  // 电脑壁纸详情（直接打开壁纸弹窗，如 /desktop/w/desktop-314）
+  {
+    path: '/desktop/w/:id',
+    name: 'DesktopDetail',
+    component: () => import('@/views/Home.vue'),
+    meta: {
+      title: `电脑壁纸 - ${SITE_NAME}`,
       series: 'desktop',
       aspectType: 'landscape',
+      detail: true,
     },
   },
   // 每日 Bing 壁纸（横屏 16:9）
@@ -30,20 +46,44 @@ const routes = [
     name: 'Bing',
     component: () => import('@/views/Home.vue'),
     meta: {
-      title: '每日 Bing 壁纸 - Wallpaper Gallery',
+      title: `每日 Bing 壁纸 - ${SITE_NAME}`,
       series: 'bing',
       aspectType: 'landscape',
     },
   },
+  // 每日 Bing 壁纸详情（按日期，如 /bing/2025-12-31）
+  {
+    path: '/bing/:date(\\d{4}-\\d{2}-\\d{2})',
+    name: 'BingDetail',
+    component: () => import('@/views/Home.vue'),
+    meta: {
+      title: `每日 Bing 壁纸 - ${SITE_NAME}`,
+      series: 'bing',
+      aspectType: 'landscape',
+      detail: true,
+    },
+  },
   // 手机壁纸（竖屏 9:16）
   {
     path: '/mobile',
     name: 'Mobile',
     component: () => import('@/views/Home.vue'),
     meta: {
-      title: '手机壁纸 - Wallpaper Gallery',
+      title: `手机壁纸 - ${SITE_NAME}`,
+      series: 'mobile',
+      aspectType: 'portrait',
+    },
+  },
+  // 手机壁纸详情
+  {
+    path: '/mobile/w/:id',
+    name: 'MobileDetail',
+    component: () => import('@/views/Home.vue'),
+    meta: {
+      title: `手机壁纸 - ${SITE_NAME}`,
       series: 'mobile',
       aspectType: 'portrait',
+      detail: true,
     },
   },
   // 头像（正方形 1:1）
@@ -52,24 +92,43 @@ const routes = [
     name: 'Avatar',
     component: () => import('@/views/Home.vue'),
     meta: {
-      title: '头像 - Wallpaper Gallery',
+      title: `头像 - ${SITE_NAME}`,
+      series: 'avatar',
+      aspectType: 'square',
+    },
+  },
+  // 头像详情
+  {
+    path: '/avatar/w/:id',
+    name: 'AvatarDetail',
+    component: () => import('@/views/Home.vue'),
+    meta: {
+      title: `头像 - ${SITE_NAME}`,
       series: 'avatar',
       aspectType: 'square',
+      detail: true,
     },
   },
+  // 我的收藏（本地收藏夹，混合展示各系列壁纸）
+  {
+    path: '/favorites',
+    name: 'Favorites',
+    component: () => import('@/views/Favorites.vue'),
+    meta: { title: `我的收藏 - ${SITE_NAME}` },
+  },
   // 关于页面
   {
     path: '/about',
     name: 'About',
     component: () => import('@/views/About.vue'),
-    meta: { title: '关于我们 - Wallpaper Gallery' },
+    meta: { title: `关于我们 - ${SITE_NAME}` },
   },
   // Android 下载页面
   {
     path: '/download',
     name: 'Download',
     component: () => import('@/views/DownloadPage.vue'),
-    meta: { title: '下载 App - Wallpaper Gallery', hideHeader: true },
+    meta: { title: `下载 App - ${SITE_NAME}`, hideHeader: true },
   },
   // iPhone 真机预览 Demo
   {
@@ -99,6 +158,10 @@ const router = createRouter({
     if (savedPosition) {
       return savedPosition
     }
+    // 同一页面内仅 query 变化（筛选条件同步到 URL）或同系列列表/详情切换时保持滚动位置
+    if (to.path === from.path || (to.meta?.series && to.meta.series === from.meta?.series)) {
+      return false
+    }
     return { top: 0, behavior: 'smooth' }
   },
 })
@@ -124,7 +187,7 @@ function getDefaultSeries() {
   const saved = localStorage.getItem(STORAGE_KEY)
   if (saved && available.includes(saved))
     return saved
-  return device === 'mobile' ? 'mobile' : 'desktop'
+  return DEFAULT_SERIES[device]
 }
 
 // 路由守卫
@@ -134,7 +197,7 @@ router.beforeEach((to, from, next) => {
 
   // 首页重定向到默认系列
   if (to.path === '/') {
-    next({ path: `/${getDefaultSeries()}`, replace: true })
+    next({ path: `/${getDefaultSeries()}`, query: to.query, replace: true })
     return
   }
 
@@ -0,0 +1,132 @@
+// ========================================
+// 收藏夹持久化（IndexedDB）
+// ========================================
+// 每条收藏保存壁纸对象快照（含 series、path、cdnTag、Bing urlbase 等），
+// 离开对应系列后依然可以独立展示和下载
+
+const DB_NAME = 'wallpaper-gallery-favorites'
+const DB_VERSION = 1
+const STORE_NAME = 'favorites'
+
+let dbPromise = null
+
+/**
+ * 检查 IndexedDB 是否可用（隐私模式等环境可能不可用）
+ */
+export function isFavoritesStorageAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+/**
+ * 将 IDBRequest 包装为 Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * 打开数据库（单例）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (dbPromise)
+    return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        store.createIndex('favoritedAt', 'favoritedAt')
+        store.createIndex('series', 'series')
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      // 打开失败时允许下次重试
+      dbPromise = null
+      reject(request.error)
+    }
+  })
+
+  return dbPromise
+}
+
+/**
+ * 在事务中执行操作
+ * @param {IDBTransactionMode} mode - 事务模式
+ * @param {(store: IDBObjectStore) => IDBRequest|void} operation - 操作
+ */
+async function withStore(mode, operation) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode)
+    const store = tx.objectStore(STORE_NAME)
+    const request = operation(store)
+    let result
+    if (request)
+      promisifyRequest(request).then((value) => { result = value }, reject)
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+/**
+ * 读取全部收藏（按收藏时间倒序）
+ * @returns {Promise<Array>}
+ */
+export async function getAllFavorites() {
+  const items = await withStore('readonly', store => store.getAll())
+  return (items || []).sort((a, b) => (b.favoritedAt || 0) - (a.favoritedAt || 0))
+}
+
+/**
+ * 写入（或覆盖）一条收藏
+ * @param {object} record - 收藏记录（必须包含 id）
+ */
+export function putFavorite(record) {
+  return withStore('readwrite', store => store.put(record))
+}
+
+/**
+ * 批量写入收藏
+ * @param {Array} records - 收藏记录
+ */
+export function putFavorites(records) {
+  return withStore('readwrite', (store) => {
+    records.forEach(record => store.put(record))
+  })
+}
+
+/**
+ * 用给定记录整体替换收藏（清空与写入在同一事务中完成，失败时不会留下空收藏夹）
+ * @param {Array} records - 收藏记录
+ */
+export function replaceFavorites(records) {
+  return withStore('readwrite', (store) => {
+    store.clear()
+    records.forEach(record => store.put(record))
+  })
+}
+
+/**
+ * 删除一条收藏
+ * @param {string} id - 壁纸 ID
+ */
+export function deleteFavorite(id) {
+  return withStore('readwrite', store => store.delete(id))
+}
+
+/**
+ * 清空收藏
+ */
+export function clearFavorites() {
+  return withStore('readwrite', store => store.clear())
+}
@@ -0,0 +1,294 @@
+// ========================================
+// 图片镜像解析与健康度追踪
+// ========================================
+// 所有图片地址都通过 resolveImageUrl() 生成：按 IMAGE_MIRRORS 的顺序和各镜像的健康度挑选镜像。
+// 组件加载成功 / 失败后回报结果（reportImageLoad / reportImageError），
+// 连续失败的镜像进入冷却期，期间新请求会直接使用其他镜像，实现全站自动切换。
+// 健康度持久化到 localStorage，刷新页面后依然生效。
+
+import { CDN_VERSION, IMAGE_MIRROR_HEALTH, IMAGE_MIRRORS, IMAGE_PROXY, STORAGE_KEYS } from '@/utils/constants'
+import { fetchWithRetry } from '@/utils/request'
+
+// 健康分平滑系数（每次结果对健康分的影响权重）
+const SCORE_WEIGHT = 0.2
+
+// 写入 localStorage 的防抖间隔
+const SAVE_DELAY = 1000
+
+// 各类型图片的字段，缺失时依次回退
+const KIND_FIELDS = {
+  original: [['path', 'url']],
+  download: [['path', 'downloadUrl'], ['path', 'url']],
+  preview: [['previewPath', 'previewUrl'], ['path', 'url']],
+  thumbnail: [['thumbnailPath', 'thumbnailUrl'], ['previewPath', 'previewUrl'], ['path', 'url']],
+}
+
+// 代理镜像输出宽度
+const PROXY_WIDTHS = {
+  thumbnail: IMAGE_PROXY.THUMB_WIDTH,
+  preview: IMAGE_PROXY.PREVIEW_WIDTH,
+}
+
+const mirrorById = new Map(IMAGE_MIRRORS.map(mirror => [mirror.id, mirror]))
+
+// 镜像地址匹配规则：baseUrl 中的 {tag} 匹配任意版本
+const mirrorPatterns = IMAGE_MIRRORS
+  .filter(mirror => !mirror.proxy)
+  .map((mirror) => {
+    const [prefix, suffix] = mirror.baseUrl.split('{tag}').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    return { mirror, pattern: new RegExp(`^${prefix}([^/]+)${suffix}(/.*)$`) }
+  })
+
+// ========================================
+// 健康度
+// ========================================
+
+let saveTimer = null
+
+/**
+ * 读取持久化的健康度（忽略已移除的镜像）
+ * @returns {Record<string, { score: number, failures: number, cooldownUntil: number }>}
+ */
+function loadHealth() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEYS.IMAGE_MIRROR_HEALTH) || '{}')
+    const result = {}
+    Object.entries(raw || {}).forEach(([id, state]) => {
+      if (!mirrorById.has(id) || typeof state?.score !== 'number')
+        return
+      result[id] = {
+        score: Math.min(1, Math.max(0, state.score)),
+        failures: Number(state.failures) || 0,
+        cooldownUntil: Number(state.cooldownUntil) || 0,
+      }
+    })
+    return result
+  }
+  catch {
+    return {}
+  }
+}
+
+const health = loadHealth()
+
+function scheduleSave() {
+  if (saveTimer)
+    return
+  saveTimer = setTimeout(() => {
+    saveTimer = null
+    try {
+      localStorage.setItem(STORAGE_KEYS.IMAGE_MIRROR_HEALTH, JSON.stringify(health))
+    }
+    catch {}
+  }, SAVE_DELAY)
+}
+
+function getMirrorState(id) {
+  if (!health[id])
+    health[id] = { score: 1, failures: 0, cooldownUntil: 0 }
+  return health[id]
+}
+
+function isCoolingDown(id) {
+  return getMirrorState(id).cooldownUntil > Date.now()
+}
+
+/**
+ * 获取支持指定类型的镜像（按健康度排序）
+ * 正常镜像保持配置顺序，健康分过低的排在其后，冷却中的镜像排在最后（仍作为兜底）
+ * @param {string} kind - 图片类型
+ * @returns {object[]} 镜像列表
+ */
+export function getMirrorOrder(kind) {
+  const rank = (mirror) => {
+    if (isCoolingDown(mirror.id))
+      return 2
+    return getMirrorState(mirror.id).score < IMAGE_MIRROR_HEALTH.UNHEALTHY_SCORE ? 1 : 0
+  }
+  return IMAGE_MIRRORS
+    .filter(mirror => !mirror.kinds || mirror.kinds.includes(kind))
+    .map(mirror => ({ mirror, rank: rank(mirror) }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ mirror }) => mirror)
+}
+
+/**
+ * 根据图片地址找到所属镜像
+ * @param {string} url - 图片地址
+ * @returns {object|null} 镜像配置，非镜像地址（如 Bing CDN）返回 null
+ */
+function findMirrorByUrl(url) {
+  if (!url)
+    return null
+  if (url.startsWith(IMAGE_PROXY.BASE_URL))
+    return IMAGE_MIRRORS.find(mirror => mirror.proxy) || null
+  return mirrorPatterns.find(({ pattern }) => pattern.test(url))?.mirror || null
+}
+
+/**
+ * 回报图片加载成功
+ * @param {string} url - 加载成功的地址
+ */
+export function reportImageLoad(url) {
+  const mirror = findMirrorByUrl(url)
+  if (!mirror)
+    return
+  const state = getMirrorState(mirror.id)
+  state.score = state.score * (1 - SCORE_WEIGHT) + SCORE_WEIGHT
+  state.failures = 0
+  state.cooldownUntil = 0
+  scheduleSave()
+}
+
+/**
+ * 回报图片加载失败（连续失败达到阈值后进入冷却）
+ * @param {string} url - 加载失败的地址
+ */
+export function reportImageError(url) {
+  const mirror = findMirrorByUrl(url)
+  if (!mirror)
+    return
+  const state = getMirrorState(mirror.id)
+  state.score *= 1 - SCORE_WEIGHT
+  state.failures++
+  if (state.failures >= IMAGE_MIRROR_HEALTH.FAILURE_THRESHOLD && !isCoolingDown(mirror.id)) {
+    state.cooldownUntil = Date.now() + IMAGE_MIRROR_HEALTH.COOLDOWN_MS
+    console.warn(`[ImageMirrors] ${mirror.name} 连续失败 ${state.failures} 次，暂停使用 ${IMAGE_MIRROR_HEALTH.COOLDOWN_MS / 60000} 分钟`)
+  }
+  scheduleSave()
+}
+
+// ========================================
+// 地址解析
+// ========================================
+
+/**
+ * 解析镜像地址
+ * @param {string} url - 完整地址
+ * @returns {{ path: string, tag: string }|null} 非镜像地址返回 null
+ */
+export function parseMirrorUrl(url) {
+  for (const { pattern } of mirrorPatterns) {
+    const match = url?.match(pattern)
+    if (match)
+      return { tag: match[1], path: match[2] }
+  }
+  return null
+}
+
+/**
+ * 获取图片来源
+ * @param {object|string} source - 壁纸对象或图片地址
+ * @param {string} kind - 图片类型
+ * @returns {{ path?: string, tag?: string, url?: string, originalUrl?: string }|null}
+ *   镜像图片返回 path 和 tag，外部图片（如 Bing CDN）返回 url；originalUrl 为代理镜像使用的原图地址
+ */
+function getImageSource(source, kind) {
+  if (!source)
+    return null
+
+  if (typeof source === 'string') {
+    const parsed = parseMirrorUrl(source)
+    return parsed ? { ...parsed, originalUrl: source } : { url: source, originalUrl: source }
+  }
+
+  const tag = source.cdnTag || CDN_VERSION
+  const originalUrl = source.path ? buildMirrorUrl(IMAGE_MIRRORS[0], { path: source.path, tag }) : source.url
+  for (const [pathField, urlField] of KIND_FIELDS[kind] || KIND_FIELDS.original) {
+    if (source[pathField])
+      return { path: source[pathField], tag, originalUrl }
+    if (source[urlField]) {
+      const parsed = parseMirrorUrl(source[urlField])
+      return parsed ? { ...parsed, originalUrl } : { url: source[urlField], originalUrl }
+    }
+  }
+  return null
+}
+
+/**
+ * 生成镜像地址
+ */
+function buildMirrorUrl(mirror, { path, tag }) {
+  return `${mirror.baseUrl.replace('{tag}', tag)}${path}`
+}
+
+/**
+ * 生成代理地址（包装 source 镜像上的原图，不存在缩略图时也能生成）
+ */
+function buildProxyUrl(mirror, source, kind) {
+  const parsed = parseMirrorUrl(source.originalUrl)
+  const sourceMirror = mirrorById.get(mirror.source)
+  const target = parsed && sourceMirror ? buildMirrorUrl(sourceMirror, parsed) : source.originalUrl
+  if (!target)
+    return null
+  const width = PROXY_WIDTHS[kind] || IMAGE_PROXY.THUMB_WIDTH
+  return `${IMAGE_PROXY.BASE_URL}?url=${encodeURIComponent(target)}&w=${width}&q=${IMAGE_PROXY.THUMB_QUALITY}&output=${IMAGE_PROXY.FORMAT}`
+}
+
+/**
+ * 获取图片的所有候选地址（按镜像健康度排序）
+ * @param {object|string} source - 壁纸对象或图片地址
+ * @param {'original'|'preview'|'thumbnail'|'download'} kind - 图片类型
+ * @returns {string[]} 候选地址
+ */
+export function getImageCandidates(source, kind = 'original') {
+  const imageSource = getImageSource(source, kind)
+  if (!imageSource)
+    return []
+
+  const candidates = getMirrorOrder(kind)
+    .map((mirror) => {
+      if (mirror.proxy)
+        return buildProxyUrl(mirror, imageSource, kind)
+      return imageSource.url ? null : buildMirrorUrl(mirror, imageSource)
+    })
+    .filter(Boolean)
+
+  // 外部图片（如 Bing CDN）没有镜像，原地址优先，代理兜底
+  if (imageSource.url)
+    candidates.unshift(imageSource.url)
+
+  return [...new Set(candidates)]
+}
+
+/**
+ * 解析图片地址
+ * @param {object|string} source - 壁纸对象或图片地址
+ * @param {'original'|'preview'|'thumbnail'|'download'} [kind] - 图片类型
+ * @param {number} [attempt] - 第几次尝试（从 0 开始，失败后递增以切换到下一个镜像）
+ * @returns {string|null} 图片地址，没有更多候选时返回 null
+ */
+export function resolveImageUrl(source, kind = 'original', attempt = 0) {
+  return getImageCandidates(source, kind)[attempt] || null
+}
+
+/**
+ * 请求图片（依次尝试各镜像，用于下载和打包）
+ * @param {object|string} source - 壁纸对象或图片地址
+ * @param {string} [kind] - 图片类型
+ * @param {object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Response>} 成功的响应
+ */
+export async function fetchImageWithFailover(source, kind = 'download', { signal } = {}) {
+  const candidates = getImageCandidates(source, kind)
+  let lastError = new Error('没有可用的图片地址')
+
+  for (const url of candidates) {
+    try {
+      // 每个镜像只重试一次，尽快切换到下一个镜像
+      const response = await fetchWithRetry(url, { signal }, 2)
+      reportImageLoad(url)
+      return response
+    }
+    catch (error) {
+      if (signal?.aborted)
+        throw error
+      reportImageError(url)
+      lastError = error
+      console.warn('[ImageMirrors] 请求失败，切换到下一个镜像:', url, error.message)
+    }
+  }
+
+  throw lastError
+}
@@ -0,0 +1,205 @@
+// ========================================
+// 离线数据缓存（IndexedDB）
+// ========================================
+// 持久化解码后的系列索引、分类数据和 Bing 年度数据，刷新页面后无需重新请求和解码。
+// 每条记录带版本号（由调用方根据 CDN_VERSION、generatedAt 等生成），版本不一致时视为过期。
+// 元数据（版本、估算大小、最近访问时间）与数据分开存储，按字节预算淘汰时只需读取元数据。
+
+const DB_NAME = 'wallpaper-gallery-offline'
+const DB_VERSION = 1
+const META_STORE = 'meta'
+const DATA_STORE = 'data'
+
+// 缓存总大小上限（估算值），超出时淘汰最久未访问的记录
+export const OFFLINE_CACHE_BUDGET = 48 * 1024 * 1024
+
+let dbPromise = null
+
+/**
+ * 检查 IndexedDB 是否可用（隐私模式等环境可能不可用）
+ */
+export function isOfflineCacheAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+/**
+ * 将 IDBRequest 包装为 Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * 打开数据库（单例）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (dbPromise)
+    return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(META_STORE))
+        db.createObjectStore(META_STORE, { keyPath: 'key' })
+      if (!db.objectStoreNames.contains(DATA_STORE))
+        db.createObjectStore(DATA_STORE, { keyPath: 'key' })
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      // 打开失败时允许下次重试
+      dbPromise = null
+      reject(request.error)
+    }
+  })
+
+  return dbPromise
+}
+
+/**
+ * 在事务中执行操作
+ * @param {string[]} storeNames - 涉及的对象仓库
+ * @param {IDBTransactionMode} mode - 事务模式
+ * @param {(stores: Record<string, IDBObjectStore>) => IDBRequest|void} operation - 操作
+ */
+async function withStores(storeNames, mode, operation) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]))
+    const request = operation(stores)
+    let result
+    if (request)
+      promisifyRequest(request).then((value) => { result = value }, reject)
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+/**
+ * 估算数据占用的字节数（按 JSON 字符数 × 2，与 IndexedDB 存储字符串的开销接近）
+ */
+function estimateSize(data) {
+  return JSON.stringify(data).length * 2
+}
+
+/**
+ * 读取缓存记录
+ * @param {string} key - 缓存键（系列/文件名）
+ * @returns {Promise<{ version: string, data: any }|null>} 不存在或读取失败时返回 null
+ */
+export async function readOfflineEntry(key) {
+  if (!isOfflineCacheAvailable())
+    return null
+
+  try {
+    const [meta, record] = await Promise.all([
+      withStores([META_STORE], 'readonly', stores => stores[META_STORE].get(key)),
+      withStores([DATA_STORE], 'readonly', stores => stores[DATA_STORE].get(key)),
+    ])
+    if (!meta || !record)
+      return null
+
+    // 更新最近访问时间（用于淘汰），失败不影响读取
+    withStores([META_STORE], 'readwrite', stores => stores[META_STORE].put({ ...meta, accessedAt: Date.now() }))
+      .catch(() => {})
+
+    return { version: meta.version, data: record.data }
+  }
+  catch (error) {
+    console.warn('[OfflineCache] 读取失败:', key, error)
+    return null
+  }
+}
+
+/**
+ * 写入缓存记录（写入后按字节预算淘汰旧记录）
+ * @param {string} key - 缓存键（系列/文件名）
+ * @param {string} version - 数据版本
+ * @param {any} data - 可结构化克隆的数据
+ */
+export async function writeOfflineEntry(key, version, data) {
+  if (!isOfflineCacheAvailable())
+    return
+
+  try {
+    const size = estimateSize(data)
+    // 单条记录超出预算时不缓存
+    if (size > OFFLINE_CACHE_BUDGET)
+      return
+
+    const now = Date.now()
+    await withStores([META_STORE, DATA_STORE], 'readwrite', (stores) => {
+      stores[META_STORE].put({ key, version, size, updatedAt: now, accessedAt: now })
+      stores[DATA_STORE].put({ key, data })
+    })
+    await evictOverBudget(key)
+  }
+  catch (error) {
+    console.warn('[OfflineCache] 写入失败:', key, error)
+  }
+}
+
+/**
+ * 淘汰最久未访问的记录，直到总大小不超过预算
+ * @param {string} keepKey - 本次写入的记录（不淘汰）
+ */
+async function evictOverBudget(keepKey) {
+  const metas = await withStores([META_STORE], 'readonly', stores => stores[META_STORE].getAll())
+  let total = metas.reduce((sum, meta) => sum + (meta.size || 0), 0)
+  if (total <= OFFLINE_CACHE_BUDGET)
+    return
+
+  const evicted = []
+  metas
+    .filter(meta => meta.key !== keepKey)
+    .sort((a, b) => a.accessedAt - b.accessedAt)
+    .forEach((meta) => {
+      if (total <= OFFLINE_CACHE_BUDGET)
+        return
+      total -= meta.size || 0
+      evicted.push(meta.key)
+    })
+
+  await withStores([META_STORE, DATA_STORE], 'readwrite', (stores) => {
+    evicted.forEach((key) => {
+      stores[META_STORE].delete(key)
+      stores[DATA_STORE].delete(key)
+    })
+  })
+}
+
+/**
+ * 获取缓存占用情况
+ * @returns {Promise<{ entries: number, bytes: number }>}
+ */
+export async function getOfflineCacheUsage() {
+  if (!isOfflineCacheAvailable())
+    return { entries: 0, bytes: 0 }
+
+  const metas = await withStores([META_STORE], 'readonly', stores => stores[META_STORE].getAll())
+  return {
+    entries: metas.length,
+    bytes: metas.reduce((sum, meta) => sum + (meta.size || 0), 0),
+  }
+}
+
+/**
+ * 清空离线数据
+ */
+export function clearOfflineCache() {
+  if (!isOfflineCacheAvailable())
+    return Promise.resolve()
+
+  return withStores([META_STORE, DATA_STORE], 'readwrite', (stores) => {
+    stores[META_STORE].clear()
+    stores[DATA_STORE].clear()
+  })
+}
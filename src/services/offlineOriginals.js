@@ -0,0 +1,95 @@
+// ========================================
+// 离线原图 / 运行时缓存（Cache Storage）
+// ========================================
+// 用户开启“离线保存原图”后，打开过的壁纸原图和预览图写入 Cache Storage，
+// Service Worker（build/service-worker.js）在离线时从同名缓存中读取。
+// 缓存名称与 Service Worker 保持一致。
+
+import { resolveImageUrl } from '@/services/imageMirrors'
+
+const DATA_CACHE = 'wallpaper-data'
+const THUMBNAIL_CACHE = 'wallpaper-thumbnails'
+const ORIGINALS_CACHE = 'wallpaper-originals'
+
+// 最多保存的图片数量（每张壁纸保存原图和预览图两条），超出时淘汰最早保存的
+const MAX_ORIGINALS = 80
+
+/**
+ * 检查 Cache Storage 是否可用（非 HTTPS 环境不可用）
+ */
+export function isOriginalsCacheAvailable() {
+  return typeof caches !== 'undefined'
+}
+
+/**
+ * 下载图片（优先 CORS 请求；不支持跨域的图床降级为不透明响应，仍可用于 <img> 显示）
+ */
+async function fetchImage(url) {
+  try {
+    const response = await fetch(url, { mode: 'cors' })
+    if (response.ok)
+      return response
+  }
+  catch {}
+  return fetch(url, { mode: 'no-cors' })
+}
+
+/**
+ * 保存壁纸原图和预览图
+ * @param {object} wallpaper - 壁纸对象
+ * @returns {Promise<boolean>} 是否有新保存的图片
+ */
+export async function saveOriginalForOffline(wallpaper) {
+  if (!isOriginalsCacheAvailable() || !wallpaper)
+    return false
+
+  // 保存当前镜像的地址（与页面实际请求的地址一致，Service Worker 才能命中）
+  const urls = [...new Set([resolveImageUrl(wallpaper, 'original'), resolveImageUrl(wallpaper, 'preview')].filter(Boolean))]
+  if (urls.length === 0)
+    return false
+
+  try {
+    const cache = await caches.open(ORIGINALS_CACHE)
+    let saved = false
+    for (const url of urls) {
+      if (await cache.match(url, { ignoreVary: true }))
+        continue
+      const response = await fetchImage(url)
+      if (!response.ok && response.type !== 'opaque')
+        continue
+      await cache.put(url, response)
+      saved = true
+    }
+
+    // 按写入顺序淘汰最早的图片
+    const keys = await cache.keys()
+    const overflow = keys.length - MAX_ORIGINALS
+    if (overflow > 0)
+      await Promise.all(keys.slice(0, overflow).map(key => cache.delete(key)))
+
+    return saved
+  }
+  catch (error) {
+    console.warn('[OfflineOriginals] 保存失败:', wallpaper.id, error)
+    return false
+  }
+}
+
+/**
+ * 已保存的图片数量
+ */
+export async function getSavedOriginalsCount() {
+  if (!isOriginalsCacheAvailable())
+    return 0
+  const cache = await caches.open(ORIGINALS_CACHE)
+  return (await cache.keys()).length
+}
+
+/**
+ * 清除运行时缓存（数据 JSON、缩略图、离线原图），应用外壳由 Service Worker 管理，不在此清除
+ */
+export async function clearRuntimeCaches() {
+  if (!isOriginalsCacheAvailable())
+    return
+  await Promise.all([DATA_CACHE, THUMBNAIL_CACHE, ORIGINALS_CACHE].map(name => caches.delete(name)))
+}
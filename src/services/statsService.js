@@ -14,6 +14,20 @@ const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY
 // 静态统计文件路径
 const STATS_BASE_URL = '/data/stats'
 
+// 统计时间范围（all: 累计，week: 最近 7 天，month: 最近 30 天）
+export const STATS_RANGES = {
+  all: { fileSuffix: '', days: 0 },
+  week: { fileSuffix: '-week', days: 7 },
+  month: { fileSuffix: '-month', days: 30 },
+}
+
+/**
+ * 获取统计缓存键（各时间范围独立缓存）
+ */
+function getStatsCacheKey(series, range) {
+  return `${series}${STATS_RANGES[range]?.fileSuffix || ''}`
+}
+
 /**
  * 检查 Supabase 是否配置
  */
@@ -25,22 +39,25 @@ export function isSupabaseConfigured() {
  * 加载静态统计数据
  * @param {string} series - 系列名称
  * @param {boolean} forceRefresh - 是否强制刷新（忽略缓存）
+ * @param {string} range - 时间范围：all | week | month
  * @returns {Promise<Map>} - 统计数据 Map<imageId, {views, downloads}>
  */
-export async function loadStaticStats(series, forceRefresh = false) {
+export async function loadStaticStats(series, forceRefresh = false, range = 'all') {
+  const cacheKey = getStatsCacheKey(series, range)
+
   // 检查缓存
   if (!forceRefresh) {
-    const cached = getCachedStats(series)
+    const cached = getCachedStats(cacheKey)
     if (cached) {
       if (import.meta.env.DEV) {
-        console.log(`[StatsService] 使用缓存数据: ${series}`)
+        console.log(`[StatsService] 使用缓存数据: ${cacheKey}`)
       }
       return cached
     }
   }
 
   try {
-    const url = `${STATS_BASE_URL}/hot-${series}.json`
+    const url = `${STATS_BASE_URL}/hot-${cacheKey}.json`
     const response = await fetch(url)
 
     if (!response.ok) {
@@ -82,16 +99,16 @@ export async function loadStaticStats(series, forceRefresh = false) {
     }
 
     // 写入缓存
-    setCachedStats(series, statsMap)
+    setCachedStats(cacheKey, statsMap)
 
     if (import.meta.env.DEV) {
-      console.log(`[StatsService] 加载静态数据: ${series}, ${statsMap.size} 条`)
+      console.log(`[StatsService] 加载静态数据: ${cacheKey}, ${statsMap.size} 条`)
     }
 
     return statsMap
   }
   catch (error) {
-    console.error(`[StatsService] 加载静态统计失败: ${series}`, error)
+    console.error(`[StatsService] 加载静态统计失败: ${cacheKey}`, error)
     return new Map()
   }
 }
@@ -172,16 +189,26 @@ async function callRPC(functionName, params) {
  * 从 Supabase 直接加载热门数据（备用方案，仅在静态文件不可用时使用）
  * @param {string} series - 系列名称
  * @param {number} limit - 返回数量
+ * @param {string} range - 时间范围：all | week | month
  * @returns {Promise<Map>}
  */
-export async function loadStatsFromSupabase(series, limit = 100) {
+export async function loadStatsFromSupabase(series, limit = 100, range = 'all') {
   if (!isSupabaseConfigured()) {
     return new Map()
   }
 
+  // 时间窗口数据使用 get_hot_stats_window（按日统计表聚合）
+  const days = STATS_RANGES[range]?.days || 0
+  const functionName = days > 0 ? 'get_hot_stats_window' : 'get_hot_stats'
+  const params = {
+    series_filter: series,
+    limit_count: limit,
+    ...(days > 0 && { days }),
+  }
+
   try {
     const response = await fetch(
-      `${SUPABASE_URL}/rest/v1/rpc/get_hot_stats`,
+      `${SUPABASE_URL}/rest/v1/rpc/${functionName}`,
       {
         method: 'POST',
         headers: {
@@ -189,10 +216,7 @@ export async function loadStatsFromSupabase(series, limit = 100) {
           'apikey': SUPABASE_ANON_KEY,
           'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
         },
-        body: JSON.stringify({
-          series_filter: series,
-          limit_count: limit,
-        }),
+        body: JSON.stringify(params),
       },
     )
 
@@ -213,7 +237,7 @@ export async function loadStatsFromSupabase(series, limit = 100) {
     }
 
     // 写入缓存
-    setCachedStats(series, statsMap)
+    setCachedStats(getStatsCacheKey(series, range), statsMap)
 
     return statsMap
   }
@@ -0,0 +1,218 @@
+// ========================================
+// 收藏夹 Store
+// ========================================
+// 收藏数据保存在 IndexedDB（见 services/favoritesStorage），
+// 内存中按收藏时间倒序维护一份列表，供“我的收藏”页面和收藏按钮使用
+
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+import {
+  deleteFavorite,
+  getAllFavorites,
+  isFavoritesStorageAvailable,
+  putFavorite,
+  putFavorites,
+  replaceFavorites,
+} from '@/services/favoritesStorage'
+
+export const useFavoritesStore = defineStore('favorites', () => {
+  // ========================================
+  // State
+  // ========================================
+
+  // 收藏列表（壁纸快照，按收藏时间倒序）
+  const items = ref([])
+
+  // 是否已从 IndexedDB 加载
+  const loaded = ref(false)
+
+  // 加载状态
+  const loading = ref(false)
+
+  // 加载中的 Promise（避免并发重复加载）
+  let loadPromise = null
+
+  // ========================================
+  // Getters
+  // ========================================
+
+  // 已收藏的壁纸 ID 集合（用于快速判断）
+  const favoriteIds = computed(() => new Set(items.value.map(item => item.id)))
+
+  // 收藏数量
+  const count = computed(() => items.value.length)
+
+  // ========================================
+  // Helpers
+  // ========================================
+
+  /**
+   * 创建壁纸快照（去除响应式代理，附加系列和收藏时间）
+   * @param {object} wallpaper - 壁纸对象
+   * @param {string} series - 壁纸所属系列
+   */
+  function createSnapshot(wallpaper, series) {
+    const snapshot = JSON.parse(JSON.stringify(wallpaper))
+    return {
+      ...snapshot,
+      series: series || snapshot.series || (snapshot.isBing ? 'bing' : ''),
+      favoritedAt: Date.now(),
+    }
+  }
+
+  // ========================================
+  // Actions
+  // ========================================
+
+  /**
+   * 从 IndexedDB 加载收藏（只加载一次）
+   */
+  async function init() {
+    if (loaded.value)
+      return
+    if (loadPromise)
+      return loadPromise
+
+    if (!isFavoritesStorageAvailable()) {
+      console.warn('[FavoritesStore] 当前环境不支持 IndexedDB，收藏仅在本次访问中有效')
+      loaded.value = true
+      return
+    }
+
+    loading.value = true
+    loadPromise = getAllFavorites()
+      .then((records) => {
+        items.value = records
+      })
+      .catch((err) => {
+        console.error('[FavoritesStore] 加载收藏失败:', err)
+      })
+      .finally(() => {
+        loaded.value = true
+        loading.value = false
+        loadPromise = null
+      })
+
+    return loadPromise
+  }
+
+  /**
+   * 是否已收藏
+   * @param {string} id - 壁纸 ID
+   */
+  function isFavorite(id) {
+    return favoriteIds.value.has(id)
+  }
+
+  /**
+   * 添加收藏
+   * @param {object} wallpaper - 壁纸对象
+   * @param {string} series - 壁纸所属系列
+   */
+  async function addFavorite(wallpaper, series) {
+    if (!wallpaper?.id || isFavorite(wallpaper.id))
+      return
+
+    const snapshot = createSnapshot(wallpaper, series)
+    items.value = [snapshot, ...items.value]
+
+    if (!isFavoritesStorageAvailable())
+      return
+
+    try {
+      await putFavorite(snapshot)
+    }
+    catch (err) {
+      console.error('[FavoritesStore] 保存收藏失败:', err)
+      items.value = items.value.filter(item => item.id !== snapshot.id)
+    }
+  }
+
+  /**
+   * 取消收藏
+   * @param {string} id - 壁纸 ID
+   */
+  async function removeFavorite(id) {
+    const index = items.value.findIndex(item => item.id === id)
+    if (index === -1)
+      return
+
+    const removed = items.value[index]
+    items.value = items.value.filter(item => item.id !== id)
+
+    if (!isFavoritesStorageAvailable())
+      return
+
+    try {
+      await deleteFavorite(id)
+    }
+    catch (err) {
+      console.error('[FavoritesStore] 取消收藏失败:', err)
+      // 恢复到原位置
+      const restored = [...items.value]
+      restored.splice(index, 0, removed)
+      items.value = restored
+    }
+  }
+
+  /**
+   * 切换收藏状态
+   * @param {object} wallpaper - 壁纸对象
+   * @param {string} series - 壁纸所属系列
+   * @returns {Promise<boolean>} 切换后是否为已收藏
+   */
+  async function toggleFavorite(wallpaper, series) {
+    if (!wallpaper?.id)
+      return false
+    if (isFavorite(wallpaper.id)) {
+      await removeFavorite(wallpaper.id)
+      return false
+    }
+    await addFavorite(wallpaper, series)
+    return true
+  }
+
+  /**
+   * 导入收藏（来自数据备份文件）
+   * @param {Array} records - 已校验的收藏记录（包含 id、series、favoritedAt）
+   * @param {'merge'|'replace'} mode - merge 合并（已存在的保留本地记录），replace 整体替换
+   * @returns {Promise<number>} 新增的收藏数量
+   */
+  async function importFavorites(records, mode = 'merge') {
+    await init()
+
+    const incoming = mode === 'replace'
+      ? records
+      : records.filter(record => !isFavorite(record.id))
+
+    const nextItems = (mode === 'replace' ? [...incoming] : [...items.value, ...incoming])
+      .sort((a, b) => (b.favoritedAt || 0) - (a.favoritedAt || 0))
+
+    if (isFavoritesStorageAvailable()) {
+      if (mode === 'replace')
+        await replaceFavorites(incoming)
+      else if (incoming.length > 0)
+        await putFavorites(incoming)
+    }
+
+    items.value = nextItems
+    return incoming.length
+  }
+
+  return {
+    // State
+    items,
+    loaded,
+    loading,
+    // Getters
+    favoriteIds,
+    count,
+    // Actions
+    init,
+    isFavorite,
+    addFavorite,
+    removeFavorite,
+    toggleFavorite,
+    importFavorites,
+  }
+})
@@ -3,10 +3,12 @@
 // ========================================
 
 import { defineStore } from 'pinia'
-import { ref, watch } from 'vue'
-import { RESOLUTION_THRESHOLDS, STORAGE_KEYS } from '@/utils/constants'
+import { computed, ref, shallowRef, toRaw, watch } from 'vue'
+import { workerBuildSearchIndex, workerSearch } from '@/composables/useWorker'
+import { STORAGE_KEYS } from '@/utils/constants'
+import { filterAndSortWallpapers, filterWallpapers, POPULARITY_SORTS, sortWallpapers } from '@/utils/filter-pipeline'
 import { debounce } from '@/utils/format'
-import { sortByDate, sortByDownloads, sortByName, sortByPopularity, sortBySize, sortByViews } from '@/utils/sorting'
+import { getIndexedTerms, parseSearchQuery } from '@/utils/search-query'
 import { usePopularityStore } from './popularity'
 
 export const useFilterStore = defineStore('filter', () => {
@@ -27,6 +29,17 @@ export const useFilterStore = defineStore('filter', () => {
   // 分辨率筛选（仅 PC 端电脑壁纸系列）
   const resolutionFilter = ref('all')
 
+  // 宽高比、方向筛选（所有系列）
+  const aspectRatioFilter = ref('all')
+  const orientationFilter = ref('all')
+
+  // 最小尺寸（像素，0 表示不限）
+  const minWidth = ref(0)
+  const minHeight = ref(0)
+
+  // 颜色筛选（按主色调，见 utils/color.js）
+  const colorFilter = ref('all')
+
   // 分类筛选（一级分类）
   const categoryFilter = ref(localStorage.getItem(STORAGE_KEYS.CATEGORY) || 'all')
 
@@ -43,6 +56,25 @@ export const useFilterStore = defineStore('filter', () => {
   // 各系列独立的筛选状态缓存
   const seriesFilterCache = ref({})
 
+  // 当前搜索数据源的索引标识（索引构建完成后更新）
+  const searchSourceKey = ref('')
+
+  // 搜索结果 { key, query, scores: Map<壁纸 ID, 相关度得分> }
+  const searchResult = shallowRef(null)
+
+  // 解析后的搜索查询（字段条件、排除项、OR 分组等，语法见 utils/search-query.js）
+  const parsedQuery = computed(() => parseSearchQuery(debouncedQuery.value))
+
+  // 交给搜索索引查询的关键词节点（顶层 AND 中的普通关键词）
+  const indexedTerms = computed(() => getIndexedTerms(parsedQuery.value.ast))
+
+  // 普通关键词（用于搜索索引查询和结果高亮）
+  const searchKeywords = computed(() => indexedTerms.value.map(node => node.value).join(' '))
+
+  // 最近一次请求构建的索引标识 / 搜索请求序号（用于丢弃过期结果）
+  let pendingSourceKey = ''
+  let searchRequestId = 0
+
   // ========================================
   // Composable Dependencies
   // ========================================
@@ -62,6 +94,20 @@ export const useFilterStore = defineStore('filter', () => {
     updateDebouncedQuery(value)
   })
 
+  // 关键词或数据源变化时查询搜索索引（在 Worker 中执行）
+  watch([searchKeywords, searchSourceKey], async ([query, key]) => {
+    const requestId = ++searchRequestId
+    if (!query || !key) {
+      searchResult.value = null
+      return
+    }
+
+    const results = await workerSearch(key, query)
+    if (requestId !== searchRequestId)
+      return
+    searchResult.value = { key, query, scores: new Map(results) }
+  })
+
   // 保存排序偏好
   watch(sortBy, (value) => {
     localStorage.setItem(STORAGE_KEYS.SORT, value)
@@ -133,6 +179,48 @@ export const useFilterStore = defineStore('filter', () => {
     return result
   }
 
+  /**
+   * 合并分类加载状态（分类陆续加载时，尚未加载的分类也显示在列表中，并标记加载中/加载失败）
+   * @param {Array} categoryOptions - createCategoryOptions 的结果
+   * @param {Record<string, { status: string, count: number, subcategories?: Array, error?: string }>} states - wallpaper store 的 categoryStates
+   */
+  function mergeCategoryStates(categoryOptions, states) {
+    const entries = Object.entries(states)
+    if (entries.length === 0) {
+      return categoryOptions
+    }
+
+    const merged = categoryOptions.map((opt) => {
+      const state = states[opt.value]
+      return state ? { ...opt, status: state.status, error: state.error } : opt
+    })
+
+    // 尚未加载的分类使用索引中的数量
+    const known = new Set(categoryOptions.map(opt => opt.value))
+    entries
+      .filter(([name]) => !known.has(name))
+      .forEach(([name, state]) => {
+        merged.push({
+          value: name,
+          label: name,
+          count: state.count,
+          status: state.status,
+          error: state.error,
+          ...(state.subcategories?.length > 0 && { subcategories: state.subcategories }),
+        })
+      })
+
+    // 「全部分类」：还有分类在加载时显示加载中，有分类失败时显示失败（点击重试所有失败的分类）
+    const statuses = entries.map(([, state]) => state.status)
+    if (statuses.some(status => status === 'pending' || status === 'loading')) {
+      merged[0] = { ...merged[0], status: 'loading' }
+    }
+    else if (statuses.includes('error')) {
+      merged[0] = { ...merged[0], status: 'error', error: '部分分类加载失败，点击重试' }
+    }
+    return merged
+  }
+
   /**
    * 创建二级分类选项
    */
@@ -156,131 +244,79 @@ export const useFilterStore = defineStore('filter', () => {
   }
 
   /**
-   * 应用筛选条件
-   * @param {Array} wallpapers - 壁纸列表
+   * 获取与当前关键词、数据源一致的搜索得分（没有关键词或索引未就绪时返回 null）
+   */
+  function getSearchScores() {
+    const result = searchResult.value
+    if (!result || result.key !== searchSourceKey.value || result.query !== searchKeywords.value)
+      return null
+    return result.scores
+  }
+
+  /**
+   * 当前筛选条件（纯数据，可发送到 Worker）
    * @param {object} options - 选项
    * @param {boolean} options.skipCategoryFilter - 是否跳过分类筛选（筛选模式下使用）
    */
-  function applyFilters(wallpapers, options = {}) {
-    const { skipCategoryFilter = false } = options
-    let result = [...wallpapers]
-
-    // 搜索过滤（支持多关键词搜索，用空格分隔）
-    if (debouncedQuery.value) {
-      const queryTerms = debouncedQuery.value.toLowerCase().split(/\s+/).filter(Boolean)
-
-      result = result.filter((w) => {
-        // 构建搜索文本集合
-        const searchableTexts = [
-          w.filename?.toLowerCase() || '',
-          w.category?.toLowerCase() || '',
-          w.subcategory?.toLowerCase() || '',
-          w.displayTitle?.toLowerCase() || '',
-          w.description?.toLowerCase() || '',
-        ]
-
-        // 添加 tags 数组
-        if (w.tags && Array.isArray(w.tags)) {
-          searchableTexts.push(...w.tags.map(t => t.toLowerCase()))
-        }
-
-        // 添加 keywords 数组（AI 生成的关键词）
-        if (w.keywords && Array.isArray(w.keywords)) {
-          searchableTexts.push(...w.keywords.map(k => k.toLowerCase()))
-        }
-
-        // 所有搜索词都必须匹配（AND 逻辑）
-        return queryTerms.every(term =>
-          searchableTexts.some(text => text.includes(term)),
-        )
-      })
-    }
-
-    // 格式过滤
-    if (formatFilter.value !== 'all') {
-      result = result.filter(w =>
-        w.format.toLowerCase() === formatFilter.value.toLowerCase(),
-      )
-    }
-
-    // 分辨率过滤（精确匹配：根据长边判断所属分辨率等级）
-    if (resolutionFilter.value !== 'all') {
-      result = result.filter((w) => {
-        const maxSide = Math.max(w.resolution?.width || 0, w.resolution?.height || 0)
-        // 找到壁纸所属的分辨率等级（精确匹配区间）
-        const matchedThreshold = RESOLUTION_THRESHOLDS.find((t, i) => {
-          const upperBound = i > 0 ? RESOLUTION_THRESHOLDS[i - 1].minWidth : Number.POSITIVE_INFINITY
-          return maxSide >= t.minWidth && maxSide < upperBound
-        })
-        return matchedThreshold?.label === resolutionFilter.value
-      })
+  function getFilterCriteria(options = {}) {
+    return {
+      query: debouncedQuery.value,
+      formatFilter: formatFilter.value,
+      resolutionFilter: resolutionFilter.value,
+      aspectRatioFilter: aspectRatioFilter.value,
+      orientationFilter: orientationFilter.value,
+      minWidth: minWidth.value,
+      minHeight: minHeight.value,
+      colorFilter: colorFilter.value,
+      categoryFilter: categoryFilter.value,
+      subcategoryFilter: subcategoryFilter.value,
+      skipCategoryFilter: !!options.skipCategoryFilter,
+      sortBy: sortBy.value,
     }
+  }
 
-    // 一级分类过滤（筛选模式下跳过，因为数据已经是该分类的）
-    if (!skipCategoryFilter && categoryFilter.value !== 'all') {
-      result = result.filter(w =>
-        w.category === categoryFilter.value,
-      )
+  /**
+   * 当前排序依赖的数据（搜索得分、当前排序方式对应的热度排行）
+   */
+  function getFilterContext() {
+    const popularityMaps = {
+      'weekly-hot': popularityStore.weeklyMap,
+      'monthly-hot': popularityStore.monthlyMap,
     }
-
-    // 二级分类过滤
-    if (subcategoryFilter.value !== 'all') {
-      result = result.filter(w =>
-        w.subcategory === subcategoryFilter.value,
-      )
+    return {
+      searchScores: getSearchScores(),
+      popularityMap: POPULARITY_SORTS.includes(sortBy.value)
+        ? toRaw(popularityMaps[sortBy.value] || popularityStore.popularityMap)
+        : null,
+      popularityLoading: popularityStore.loading,
     }
+  }
 
-    return result
+  /**
+   * 应用筛选条件
+   * @param {Array} wallpapers - 壁纸列表
+   * @param {object} options - 选项
+   * @param {boolean} options.skipCategoryFilter - 是否跳过分类筛选（筛选模式下使用）
+   */
+  function applyFilters(wallpapers, options = {}) {
+    return filterWallpapers(wallpapers, getFilterCriteria(options), getSearchScores())
   }
 
   /**
    * 应用排序
    */
   function applySort(wallpapers) {
-    // 如果排序依赖 popularityStore 但数据未加载完成，暂时使用日期排序（降级方案）
-    // 这样可以避免在数据加载过程中显示错误的排序结果，防止界面跳动
-    const needsPopularity = ['popular', 'downloads', 'views', 'weekly-hot', 'monthly-hot'].includes(sortBy.value)
-    if (needsPopularity && popularityStore.loading) {
-      return sortByDate(wallpapers, 'desc')
-    }
-
-    switch (sortBy.value) {
-      case 'newest':
-        return sortByDate(wallpapers, 'desc')
-      case 'oldest':
-        return sortByDate(wallpapers, 'asc')
-      case 'popular':
-        return sortByPopularity(wallpapers, popularityStore.popularityMap)
-      case 'downloads':
-        return sortByDownloads(wallpapers, popularityStore.popularityMap)
-      case 'views':
-        return sortByViews(wallpapers, popularityStore.popularityMap)
-      case 'weekly-hot':
-        return sortByPopularity(wallpapers, popularityStore.weeklyMap.size > 0 ? popularityStore.weeklyMap : popularityStore.popularityMap)
-      case 'monthly-hot':
-        return sortByPopularity(wallpapers, popularityStore.monthlyMap.size > 0 ? popularityStore.monthlyMap : popularityStore.popularityMap)
-      case 'largest':
-        return sortBySize(wallpapers, 'desc')
-      case 'smallest':
-        return sortBySize(wallpapers, 'asc')
-      case 'name-asc':
-        return sortByName(wallpapers, 'asc')
-      case 'name-desc':
-        return sortByName(wallpapers, 'desc')
-      default:
-        return wallpapers
-    }
+    return sortWallpapers(wallpapers, sortBy.value, getFilterContext())
   }
 
   /**
-   * 获取筛选和排序后的结果（组合函数）
+   * 获取筛选和排序后的结果（组合函数，主线程同步执行；大数据量使用 useFilteredWallpapers）
    * @param {Array} wallpapers - 壁纸列表
    * @param {object} options - 选项
    * @param {boolean} options.skipCategoryFilter - 是否跳过分类筛选（筛选模式下使用）
    */
   function getFilteredAndSorted(wallpapers, options = {}) {
-    const filtered = applyFilters(wallpapers, options)
-    return applySort(filtered)
+    return filterAndSortWallpapers(wallpapers, getFilterCriteria(options), getFilterContext())
   }
 
   // ========================================
@@ -297,6 +333,34 @@ export const useFilterStore = defineStore('filter', () => {
     return `${year}-${month}`
   }
 
+  /**
+   * 获取系列的默认一级分类（Bing 系列为当前年月，其他系列为 all）
+   * @param {string} series - 系列 ID
+   */
+  function getDefaultCategory(series = '') {
+    return series === 'bing' ? getCurrentYearMonth() : 'all'
+  }
+
+  /**
+   * 是否设置了宽高比、方向或最小尺寸
+   */
+  function hasDimensionFilters() {
+    return aspectRatioFilter.value !== 'all'
+      || orientationFilter.value !== 'all'
+      || minWidth.value > 0
+      || minHeight.value > 0
+  }
+
+  /**
+   * 重置宽高比、方向和最小尺寸
+   */
+  function resetDimensionFilters() {
+    aspectRatioFilter.value = 'all'
+    orientationFilter.value = 'all'
+    minWidth.value = 0
+    minHeight.value = 0
+  }
+
   /**
    * 检查是否有激活的筛选条件
    * @param {string} currentSeries - 当前系列（可选，用于判断 Bing 系列默认值）
@@ -308,6 +372,10 @@ export const useFilterStore = defineStore('filter', () => {
       return true
     if (resolutionFilter.value !== 'all')
       return true
+    if (hasDimensionFilters())
+      return true
+    if (colorFilter.value !== 'all')
+      return true
     if (subcategoryFilter.value !== 'all')
       return true
 
@@ -338,6 +406,8 @@ export const useFilterStore = defineStore('filter', () => {
     debouncedQuery.value = ''
     formatFilter.value = 'all'
     resolutionFilter.value = 'all'
+    resetDimensionFilters()
+    colorFilter.value = 'all'
     subcategoryFilter.value = 'all'
     sortBy.value = defaultSort
 
@@ -375,6 +445,9 @@ export const useFilterStore = defineStore('filter', () => {
     resolutionFilter.value = 'all'
     // 重置格式筛选
     formatFilter.value = 'all'
+    // 重置宽高比、方向、最小尺寸和颜色
+    resetDimensionFilters()
+    colorFilter.value = 'all'
 
     // Bing 系列默认加载当前年月（不从 localStorage 恢复）
     if (series === 'bing') {
@@ -419,6 +492,11 @@ export const useFilterStore = defineStore('filter', () => {
       subcategoryFilter: subcategoryFilter.value,
       resolutionFilter: resolutionFilter.value,
       formatFilter: formatFilter.value,
+      aspectRatioFilter: aspectRatioFilter.value,
+      orientationFilter: orientationFilter.value,
+      minWidth: minWidth.value,
+      minHeight: minHeight.value,
+      colorFilter: colorFilter.value,
     }
   }
 
@@ -432,6 +510,12 @@ export const useFilterStore = defineStore('filter', () => {
       subcategoryFilter.value = cached.subcategoryFilter
       resolutionFilter.value = cached.resolutionFilter
       formatFilter.value = cached.formatFilter
+      // 旧版本保存的状态没有以下字段
+      aspectRatioFilter.value = cached.aspectRatioFilter ?? 'all'
+      orientationFilter.value = cached.orientationFilter ?? 'all'
+      minWidth.value = cached.minWidth ?? 0
+      minHeight.value = cached.minHeight ?? 0
+      colorFilter.value = cached.colorFilter ?? 'all'
       return true
     }
     return false
@@ -451,6 +535,66 @@ export const useFilterStore = defineStore('filter', () => {
     clearCategoryCache()
   }
 
+  /**
+   * 获取各系列的筛选预设（包含当前系列的最新状态，用于数据备份）
+   */
+  function getFilterPresets() {
+    saveCurrentSeriesFilter()
+    return JSON.parse(JSON.stringify(seriesFilterCache.value))
+  }
+
+  /**
+   * 导入各系列的筛选预设（来自数据备份文件）
+   * @param {object} presets - 已校验的筛选预设（系列 ID -> 筛选状态）
+   * @param {'merge'|'replace'} mode - merge 覆盖备份中包含的系列、保留其他系列，replace 整体替换
+   */
+  function importFilterPresets(presets, mode = 'merge') {
+    seriesFilterCache.value = mode === 'replace'
+      ? { ...presets }
+      : { ...seriesFilterCache.value, ...presets }
+
+    // 当前系列有对应预设时立即生效
+    if (currentSeriesId.value && presets[currentSeriesId.value])
+      restoreSeriesFilter(currentSeriesId.value)
+  }
+
+  /**
+   * 设置搜索数据源并构建搜索索引（壁纸列表变化时调用）
+   * @param {string} scope - 数据源标识（系列 ID 或 favorites）
+   * @param {Array} wallpapers - 壁纸列表
+   */
+  async function setSearchSource(scope, wallpapers) {
+    if (!wallpapers?.length) {
+      pendingSourceKey = ''
+      searchSourceKey.value = ''
+      return
+    }
+
+    const first = wallpapers[0].id
+    const last = wallpapers[wallpapers.length - 1].id
+    const key = `${scope}:${wallpapers.length}:${first}:${last}`
+    if (key === pendingSourceKey)
+      return
+
+    pendingSourceKey = key
+    try {
+      await workerBuildSearchIndex(key, wallpapers)
+    }
+    catch (error) {
+      console.warn('[Filter] 搜索索引构建失败，使用关键词匹配:', error)
+      // 清除标识：不再使用旧数据源的索引，下次设置同一数据源时重试
+      if (pendingSourceKey === key) {
+        pendingSourceKey = ''
+        searchSourceKey.value = ''
+      }
+      return
+    }
+
+    // 构建期间数据源已再次变化，丢弃本次结果
+    if (pendingSourceKey === key)
+      searchSourceKey.value = key
+  }
+
   return {
     // State
     searchQuery,
@@ -458,16 +602,30 @@ export const useFilterStore = defineStore('filter', () => {
     sortBy,
     formatFilter,
     resolutionFilter,
+    aspectRatioFilter,
+    orientationFilter,
+    minWidth,
+    minHeight,
+    colorFilter,
     categoryFilter,
     subcategoryFilter,
     currentSeriesId,
+    searchSourceKey,
+    searchResult,
+    // Getters
+    parsedQuery,
+    searchKeywords,
     // Helpers
     createCategoryOptions,
     createSubcategoryOptions,
+    mergeCategoryStates,
+    getFilterCriteria,
+    getFilterContext,
     applyFilters,
     applySort,
     getFilteredAndSorted,
     // Actions
+    getDefaultCategory,
     hasActiveFilters,
     resetFilters,
     setDefaultSortBySeries,
@@ -476,5 +634,8 @@ export const useFilterStore = defineStore('filter', () => {
     switchSeries,
     saveCurrentSeriesFilter,
     restoreSeriesFilter,
+    getFilterPresets,
+    importFilterPresets,
+    setSearchSource,
   }
 })
@@ -2,7 +2,9 @@
 // Store Barrel Export
 // ========================================
 
+export { useFavoritesStore } from './favorites'
 export { useFilterStore } from './filter'
 export { usePopularityStore } from './popularity'
+export { useSearchHistoryStore } from './searchHistory'
 export { useSeriesStore } from './series'
 export { useWallpaperStore } from './wallpaper'
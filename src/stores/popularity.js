@@ -15,9 +15,13 @@ export const usePopularityStore = defineStore('popularity', () => {
   // State
   // ========================================
 
-  // 统计数据 Map<imageId, {views, downloads}>
+  // 统计数据 Map<imageId, {views, downloads}>（累计）
   const statsMap = ref(new Map())
 
+  // 最近 7 天 / 30 天统计数据
+  const weeklyStatsMap = ref(new Map())
+  const monthlyStatsMap = ref(new Map())
+
   // 加载状态
   const loading = ref(false)
 
@@ -31,10 +35,11 @@ export const usePopularityStore = defineStore('popularity', () => {
   // Getters
   // ========================================
 
-  // 热门数据（按浏览量排序的数组）
-  const allTimeData = computed(() => {
-    const entries = Array.from(statsMap.value.entries())
-    return entries
+  /**
+   * 统计 Map 转为按热度排序的数组
+   */
+  function toRankedData(map) {
+    return Array.from(map.entries())
       .map(([imageId, stats]) => {
         const views = stats.views || 0
         const downloads = stats.downloads || 0
@@ -47,12 +52,14 @@ export const usePopularityStore = defineStore('popularity', () => {
         }
       })
       .sort((a, b) => b.popularity_score - a.popularity_score)
-  })
+  }
 
-  // 热门数据 Map（用于快速查找）
-  const popularityMap = computed(() => {
+  /**
+   * 排序数组转为查找 Map
+   */
+  function toRankMap(data) {
     const map = new Map()
-    allTimeData.value.forEach((item, index) => {
+    data.forEach((item, index) => {
       map.set(item.filename, {
         rank: index + 1,
         score: item.popularity_score,
@@ -61,15 +68,17 @@ export const usePopularityStore = defineStore('popularity', () => {
       })
     })
     return map
-  })
+  }
 
-  // 兼容旧 API：weeklyMap 和 monthlyMap 返回相同数据
-  const weeklyMap = computed(() => popularityMap.value)
-  const monthlyMap = computed(() => popularityMap.value)
+  // 热门数据（按热度排序的数组）
+  const allTimeData = computed(() => toRankedData(statsMap.value))
+  const weeklyData = computed(() => toRankedData(weeklyStatsMap.value))
+  const monthlyData = computed(() => toRankedData(monthlyStatsMap.value))
 
-  // 兼容旧 API
-  const weeklyData = computed(() => allTimeData.value)
-  const monthlyData = computed(() => allTimeData.value)
+  // 热门数据 Map（用于快速查找）
+  const popularityMap = computed(() => toRankMap(allTimeData.value))
+  const weeklyMap = computed(() => toRankMap(weeklyData.value))
+  const monthlyMap = computed(() => toRankMap(monthlyData.value))
 
   // 是否有热门数据
   const hasData = computed(() => statsMap.value.size > 0)
@@ -104,46 +113,71 @@ export const usePopularityStore = defineStore('popularity', () => {
   /**
    * 获取指定文件的热门分数
    */
-  function getPopularityScore(filename, _timeRange = 'all') {
-    return popularityMap.value.get(filename)?.score || 0
+  function getPopularityScore(filename, timeRange = 'all') {
+    const map = timeRange === 'week'
+      ? weeklyMap.value
+      : timeRange === 'month' ? monthlyMap.value : popularityMap.value
+    return map.get(filename)?.score || 0
+  }
+
+  /**
+   * 加载指定时间范围的统计数据（静态文件为空时降级到 Supabase）
+   */
+  async function loadRangeStats(series, forceRefresh, range) {
+    // 多个系列（我的收藏）：合并各系列统计
+    if (Array.isArray(series)) {
+      const maps = await Promise.all(series.map(item => loadRangeStats(item, forceRefresh, range)))
+      return new Map(maps.flatMap(map => Array.from(map.entries())))
+    }
+
+    const data = await loadStaticStats(series, forceRefresh, range)
+    if (data.size > 0)
+      return data
+
+    if (import.meta.env.DEV) {
+      console.log(`[PopularityStore] 静态文件为空，尝试从 Supabase 加载: ${series} (${range})`)
+    }
+    return loadStatsFromSupabase(series, 500, range)
   }
 
   /**
    * 加载热门数据
-   * @param {string} series - 系列名称
+   * @param {string|string[]} series - 系列名称（传入数组时合并多个系列，用于我的收藏）
    * @param {boolean} forceRefresh - 是否强制刷新
    */
   async function fetchPopularityData(series, forceRefresh = false) {
+    const seriesKey = Array.isArray(series) ? series.join(',') : series
+
     // 如果已加载且不强制刷新，直接返回
-    if (!forceRefresh && currentSeries.value === series && hasData.value) {
+    if (!forceRefresh && currentSeries.value === seriesKey && hasData.value) {
       return
     }
 
     loading.value = true
-    currentSeries.value = series
+    currentSeries.value = seriesKey
 
     try {
-      // 优先从静态文件加载
-      let data = await loadStaticStats(series, forceRefresh)
-
-      // 如果静态文件为空，尝试从 Supabase 加载（降级方案）
-      if (data.size === 0) {
-        if (import.meta.env.DEV) {
-          console.log(`[PopularityStore] 静态文件为空，尝试从 Supabase 加载: ${series}`)
-        }
-        data = await loadStatsFromSupabase(series, 500)
-      }
-
-      statsMap.value = data
+      // 累计 / 周 / 月数据并行加载，互不影响
+      const [allResult, weekResult, monthResult] = await Promise.allSettled([
+        loadRangeStats(series, forceRefresh, 'all'),
+        loadRangeStats(series, forceRefresh, 'week'),
+        loadRangeStats(series, forceRefresh, 'month'),
+      ])
+
+      statsMap.value = allResult.status === 'fulfilled' ? allResult.value : new Map()
+      weeklyStatsMap.value = weekResult.status === 'fulfilled' ? weekResult.value : new Map()
+      monthlyStatsMap.value = monthResult.status === 'fulfilled' ? monthResult.value : new Map()
       loaded.value = true
 
       if (import.meta.env.DEV) {
-        console.log(`[PopularityStore] 加载完成: ${series}, ${data.size} 条数据`)
+        console.log(`[PopularityStore] 加载完成: ${seriesKey}, 累计 ${statsMap.value.size} 条, 周 ${weeklyStatsMap.value.size} 条, 月 ${monthlyStatsMap.value.size} 条`)
       }
     }
     catch (err) {
       console.error('[PopularityStore] 加载热门数据失败:', err)
       statsMap.value = new Map()
+      weeklyStatsMap.value = new Map()
+      monthlyStatsMap.value = new Map()
     }
     finally {
       loading.value = false
@@ -155,6 +189,8 @@ export const usePopularityStore = defineStore('popularity', () => {
    */
   function clearData() {
     statsMap.value = new Map()
+    weeklyStatsMap.value = new Map()
+    monthlyStatsMap.value = new Map()
     currentSeries.value = ''
     loaded.value = false
   }
@@ -162,10 +198,12 @@ export const usePopularityStore = defineStore('popularity', () => {
   return {
     // State
     statsMap,
+    weeklyStatsMap,
+    monthlyStatsMap,
     loading,
     currentSeries,
     loaded,
-    // Getters (兼容旧 API)
+    // Getters
     allTimeData,
     weeklyData,
     monthlyData,
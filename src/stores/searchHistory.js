@@ -0,0 +1,177 @@
+// ========================================
+// 搜索历史 Store
+// ========================================
+// 按系列分别记录最近的搜索词及结果数量，支持置顶（收藏的搜索），保存在 localStorage
+
+import { defineStore } from 'pinia'
+import { ref, watch } from 'vue'
+import { STORAGE_KEYS } from '@/utils/constants'
+
+// 每个系列最多保留的最近搜索数（不含置顶）
+const MAX_RECENT = 10
+
+// 每个系列最多置顶的搜索数
+export const MAX_PINNED = 20
+
+/**
+ * 从 localStorage 读取搜索历史（格式异常时丢弃）
+ */
+function loadHistory() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEYS.SEARCH_HISTORY) || '{}')
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw))
+      return {}
+
+    const history = {}
+    Object.entries(raw).forEach(([series, entries]) => {
+      if (!Array.isArray(entries))
+        return
+      history[series] = entries
+        .filter(entry => entry && typeof entry.query === 'string' && entry.query.trim())
+        .map(entry => ({
+          query: entry.query,
+          count: Number.isFinite(entry.count) ? entry.count : null,
+          pinned: entry.pinned === true,
+          updatedAt: Number(entry.updatedAt) || 0,
+        }))
+    })
+    return history
+  }
+  catch {
+    return {}
+  }
+}
+
+export const useSearchHistoryStore = defineStore('searchHistory', () => {
+  // ========================================
+  // State
+  // ========================================
+
+  // 系列 ID -> [{ query, count, pinned, updatedAt }]
+  const history = ref(loadHistory())
+
+  // ========================================
+  // Watchers
+  // ========================================
+
+  // 持久化到 localStorage
+  watch(history, (value) => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.SEARCH_HISTORY, JSON.stringify(value))
+    }
+    catch (error) {
+      console.warn('[SearchHistory] 保存搜索历史失败:', error)
+    }
+  }, { deep: true })
+
+  // ========================================
+  // Getters
+  // ========================================
+
+  /**
+   * 获取系列的搜索历史（置顶在前，其余按最近搜索时间倒序）
+   * @param {string} series - 系列 ID
+   */
+  function getEntries(series) {
+    const entries = history.value[series] || []
+    return [
+      ...entries.filter(entry => entry.pinned),
+      ...entries.filter(entry => !entry.pinned).sort((a, b) => b.updatedAt - a.updatedAt),
+    ]
+  }
+
+  // ========================================
+  // Actions
+  // ========================================
+
+  /**
+   * 记录一次搜索（已存在时更新时间，提供结果数量时一并更新）
+   * @param {string} series - 系列 ID
+   * @param {string} query - 搜索词
+   * @param {number} [count] - 结果数量（省略时保留已有记录的数量）
+   */
+  function recordSearch(series, query, count) {
+    const text = query.trim()
+    if (!series || !text)
+      return
+
+    const entries = history.value[series] || []
+    const existing = entries.find(entry => entry.query === text)
+    if (existing) {
+      if (count !== undefined)
+        existing.count = count
+      existing.updatedAt = Date.now()
+      return
+    }
+
+    const recent = [{ query: text, count: count ?? null, pinned: false, updatedAt: Date.now() }, ...entries.filter(entry => !entry.pinned)]
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, MAX_RECENT)
+    history.value[series] = [...entries.filter(entry => entry.pinned), ...recent]
+  }
+
+  /**
+   * 更新已记录搜索的结果数量（不改变排序，没有记录时忽略）
+   * @param {string} series - 系列 ID
+   * @param {string} query - 搜索词
+   * @param {number} count - 结果数量
+   */
+  function updateCount(series, query, count) {
+    const entry = history.value[series]?.find(item => item.query === query.trim())
+    if (entry && entry.count !== count)
+      entry.count = count
+  }
+
+  /**
+   * 置顶 / 取消置顶
+   * @returns {boolean} 是否操作成功（置顶数量达到上限时返回 false）
+   */
+  function togglePin(series, query) {
+    const entry = history.value[series]?.find(item => item.query === query)
+    if (!entry)
+      return false
+
+    if (!entry.pinned && history.value[series].filter(item => item.pinned).length >= MAX_PINNED)
+      return false
+
+    entry.pinned = !entry.pinned
+    entry.updatedAt = Date.now()
+    // 置顶的搜索按置顶顺序排列（新置顶的在最后）
+    if (entry.pinned)
+      history.value[series] = [...history.value[series].filter(item => item !== entry), entry]
+    return true
+  }
+
+  /**
+   * 删除一条搜索记录
+   */
+  function removeEntry(series, query) {
+    const entries = history.value[series]
+    if (!entries)
+      return
+    history.value[series] = entries.filter(entry => entry.query !== query)
+  }
+
+  /**
+   * 清除系列的最近搜索（保留置顶的搜索）
+   */
+  function clearRecent(series) {
+    const entries = history.value[series]
+    if (!entries)
+      return
+    history.value[series] = entries.filter(entry => entry.pinned)
+  }
+
+  return {
+    // State
+    history,
+    // Getters
+    getEntries,
+    // Actions
+    recordSearch,
+    updateCount,
+    togglePin,
+    removeEntry,
+    clearRecent,
+  }
+})
@@ -5,10 +5,18 @@
 import { defineStore } from 'pinia'
 import { computed, ref } from 'vue'
 import { isWorkerAvailable, workerDecodeAndParse } from '@/composables/useWorker'
+import { clearOfflineCache, getOfflineCacheUsage, readOfflineEntry, writeOfflineEntry } from '@/services/offlineDataCache'
+import { clearRuntimeCaches } from '@/services/offlineOriginals'
 import { decodeData } from '@/utils/codec'
-import { DATA_CACHE_BUSTER, SERIES_CONFIG } from '@/utils/constants'
+import { CDN_VERSION, DATA_CACHE_BUSTER, SERIES_CONFIG } from '@/utils/constants'
+import { BING_ITEM_SCHEMA, BING_YEAR_ENTRY_SCHEMA, CATEGORY_ENTRY_SCHEMA, partitionRecords, WALLPAPER_SCHEMA } from '@/utils/data-schema'
 import { buildBingPreviewUrl, buildBingThumbnailUrl, buildBingUHDUrl, buildImageUrl } from '@/utils/format'
 import { LRUCache } from '@/utils/lruCache'
+import { fetchWithRetry } from '@/utils/request'
+import { compareByDateDesc, mergeByDateDesc, sortByDate } from '@/utils/sorting'
+
+// 同时加载的分类数量上限
+const CATEGORY_CONCURRENCY = 3
 
 export const useWallpaperStore = defineStore('wallpaper', () => {
   // ========================================
@@ -19,6 +27,7 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
   const seriesIndexCache = ref({})
 
   // 分类数据缓存（使用 LRU 缓存，最多保留 15 个分类，约 60MB）
+  // 解码后的原始数据另存到 IndexedDB（services/offlineDataCache.js），刷新页面后优先使用
   const categoryCache = new LRUCache(15)
 
   // Bing 壁纸缓存（完整加载后缓存）
@@ -41,41 +50,37 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
   // 后台加载状态（用于控制 UI 是否显示加载中的数量变化）
   const isBackgroundLoading = ref(false)
 
-  // 首次加载完成后的初始数量（用于在后台加载期间稳定显示）
-  const initialLoadedCount = ref(0)
+  // 各分类的加载状态（当前系列，分类名 -> { status: 'pending' | 'loading' | 'loaded' | 'error', count, subcategories, error }）
+  const categoryStates = ref({})
 
   // 系列总数量（从索引文件中获取，用于显示预期总数）
   const expectedTotal = ref(0)
 
-  // 重试配置
-  const MAX_RETRIES = 3
-  const RETRY_DELAY = 1000 // 1秒
+  // 格式错误被跳过的条目数（系列/文件名 -> 数量，结构见 utils/data-schema.js）
+  const quarantine = ref({})
 
   // 请求版本号（用于防止竞态条件）
   let requestVersion = 0
 
+  // 当前系列的分类加载任务（切换系列时取消）
+  let loadJob = null
+
   // ========================================
   // Getters
   // ========================================
 
   const total = computed(() => wallpapers.value.length)
 
-  // 用于 UI 显示的稳定总数（后台加载期间显示预期总数，避免误导用户）
-  const displayTotal = computed(() => {
-    // 如果正在后台加载且有预期总数，显示预期总数（避免误导用户）
-    if (isBackgroundLoading.value && expectedTotal.value > 0) {
-      return expectedTotal.value
-    }
-    // 如果有预期总数且已加载完成，显示实际数量
-    if (expectedTotal.value > 0 && !isBackgroundLoading.value) {
-      return wallpapers.value.length
-    }
-    // 默认显示实际数量
-    return wallpapers.value.length
-  })
-
   const loaded = computed(() => wallpapers.value.length > 0)
 
+  // 当前系列中格式错误被跳过的条目数（用于错误提示）
+  const quarantinedCount = computed(() => {
+    const prefix = `${currentLoadedSeries.value}/`
+    return Object.entries(quarantine.value)
+      .filter(([key]) => key.startsWith(prefix))
+      .reduce((sum, [, count]) => sum + count, 0)
+  })
+
   // 统计信息
   const statistics = computed(() => {
     const items = wallpapers.value
@@ -147,47 +152,6 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     }
   }
 
-  /**
-   * 延迟函数
-   */
-  function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
-  }
-
-  /**
-   * 带重试的 fetch 请求
-   */
-  async function fetchWithRetry(url, options = {}, retries = MAX_RETRIES) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url, options)
-        if (!response.ok) {
-          // 4xx 错误不重试
-          if (response.status >= 400 && response.status < 500) {
-            throw new Error(`HTTP error! status: ${response.status}`)
-          }
-          // 5xx 错误重试
-          if (i < retries - 1) {
-            await delay(RETRY_DELAY * (i + 1))
-            continue
-          }
-          throw new Error(`HTTP error! status: ${response.status}`)
-        }
-        return response
-      }
-      catch (error) {
-        // 网络错误重试
-        if (error instanceof TypeError && error.message.includes('fetch')) {
-          if (i < retries - 1) {
-            await delay(RETRY_DELAY * (i + 1))
-            continue
-          }
-        }
-        throw error
-      }
-    }
-  }
-
   /**
    * 解码数据（优先使用 Worker，降级到主线程）
    */
@@ -206,6 +170,42 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     return JSON.parse(jsonStr)
   }
 
+  /**
+   * 离线缓存键（系列/文件名）
+   */
+  function getOfflineKey(seriesId, file) {
+    return `${seriesId}/${file}`
+  }
+
+  /**
+   * 隔离格式错误的条目（跳过并记录数量），避免一条坏数据导致整个分类加载失败或排序时出错
+   * @param {string} seriesId - 系列 ID
+   * @param {string} file - 数据文件名
+   * @param {Array} records - 条目列表
+   * @param {Function} schema - 单个条目的结构
+   * @returns {Array} 格式正确的条目
+   */
+  function quarantineInvalid(seriesId, file, records, schema) {
+    const key = getOfflineKey(seriesId, file)
+    const { valid, invalid } = partitionRecords(records, schema)
+    if (invalid.length > 0) {
+      quarantine.value[key] = invalid.length
+      const details = invalid.map(({ index, errors }) => `#${index} ${errors[0].path}: ${errors[0].message}`)
+      console.warn(`[Wallpaper] ${key} 中 ${invalid.length} 条数据格式错误，已跳过:`, details)
+    }
+    else {
+      delete quarantine.value[key]
+    }
+    return valid
+  }
+
+  /**
+   * 数据版本（图床版本 + 数据生成时间或条目数），与离线缓存记录的版本不一致时视为过期
+   */
+  function getDataVersion(stamp) {
+    return `${CDN_VERSION}@${stamp ?? ''}`
+  }
+
   /**
    * 将相对路径转换为完整 URL
    * 使用图片专属的 cdnTag 实现精准缓存控制
@@ -271,14 +271,9 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
   // ========================================
 
   /**
-   * 加载系列的分类索引（只加载索引，不加载具体数据）
+   * 从网络加载系列的分类索引（同时写入离线缓存）
    */
-  async function loadSeriesIndex(seriesId) {
-    // 如果已有缓存，直接返回
-    if (seriesIndexCache.value[seriesId]) {
-      return seriesIndexCache.value[seriesId]
-    }
-
+  async function fetchSeriesIndex(seriesId, signal) {
     const seriesConfig = SERIES_CONFIG[seriesId]
     if (!seriesConfig) {
       const err = new Error(`Invalid series: ${seriesId}`)
@@ -287,7 +282,7 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     }
 
     try {
-      const response = await fetchWithRetry(seriesConfig.indexUrl)
+      const response = await fetchWithRetry(seriesConfig.indexUrl, { signal })
       let data
       try {
         data = await response.json()
@@ -339,11 +334,13 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
         throw err
       }
 
-      // 存入缓存
-      seriesIndexCache.value[seriesId] = indexData
-      return indexData
+      writeOfflineEntry(getOfflineKey(seriesId, 'index.json'), getDataVersion(indexData.generatedAt), indexData)
+      return { ...indexData, categories: quarantineInvalid(seriesId, 'index.json', indexData.categories, CATEGORY_ENTRY_SCHEMA) }
     }
     catch (e) {
+      if (e.name === 'AbortError') {
+        throw e
+      }
       const errType = classifyError(e)
       errorType.value = errType
       console.error(`Failed to load series index for ${seriesId}:`, e)
@@ -351,10 +348,41 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     }
   }
 
+  /**
+   * 加载系列的分类索引（只加载索引，不加载具体数据）
+   */
+  async function loadSeriesIndex(seriesId, signal) {
+    // 如果已有缓存，直接返回
+    if (seriesIndexCache.value[seriesId]) {
+      return seriesIndexCache.value[seriesId]
+    }
+
+    const indexData = await fetchSeriesIndex(seriesId, signal)
+    // 存入缓存
+    seriesIndexCache.value[seriesId] = indexData
+    return indexData
+  }
+
+  /**
+   * 从离线缓存恢复系列的分类索引（内存中没有索引时调用）
+   * @returns {Promise<boolean>} 是否恢复成功（成功时需在后台重新验证）
+   */
+  async function restoreOfflineIndex(seriesId) {
+    const offline = await readOfflineEntry(getOfflineKey(seriesId, 'index.json'))
+    if (!Array.isArray(offline?.data?.categories))
+      return false
+    const categories = quarantineInvalid(seriesId, 'index.json', offline.data.categories, CATEGORY_ENTRY_SCHEMA)
+    seriesIndexCache.value[seriesId] = { ...offline.data, categories }
+    return true
+  }
+
   /**
    * 加载单个分类的数据
+   * @param {string} seriesId - 系列 ID
+   * @param {string} categoryFile - 分类文件名
+   * @param {{ signal?: AbortSignal }} [options] - signal：取消请求（切换系列时）
    */
-  async function loadCategory(seriesId, categoryFile) {
+  async function loadCategory(seriesId, categoryFile, { signal } = {}) {
     const cacheKey = `${seriesId}:${categoryFile}`
 
     // 如果已有缓存，直接返回
@@ -369,9 +397,20 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
       throw err
     }
 
+    // 离线缓存的版本与当前索引一致时直接使用，无需请求和解码
+    const offlineKey = getOfflineKey(seriesId, categoryFile)
+    const version = getDataVersion(seriesIndexCache.value[seriesId]?.generatedAt)
+    const offline = await readOfflineEntry(offlineKey)
+    if (offline?.version === version && Array.isArray(offline.data)) {
+      const validList = quarantineInvalid(seriesId, categoryFile, offline.data, WALLPAPER_SCHEMA)
+      const transformedList = validList.map(w => transformWallpaperUrls(w))
+      categoryCache.set(cacheKey, transformedList)
+      return transformedList
+    }
+
     try {
       const categoryUrl = `${seriesConfig.categoryBaseUrl}/${categoryFile}${DATA_CACHE_BUSTER}`
-      const response = await fetchWithRetry(categoryUrl)
+      const response = await fetchWithRetry(categoryUrl, { signal })
       let data
       try {
         data = await response.json()
@@ -412,14 +451,21 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
         throw err
       }
 
-      // 转换 URL
-      const transformedList = wallpaperList.map(w => transformWallpaperUrls(w))
+      // 保存解码后的原始数据（URL 在读取时按当前配置生成）
+      writeOfflineEntry(offlineKey, version, wallpaperList)
+
+      // 跳过格式错误的条目，转换 URL
+      const validList = quarantineInvalid(seriesId, categoryFile, wallpaperList, WALLPAPER_SCHEMA)
+      const transformedList = validList.map(w => transformWallpaperUrls(w))
 
       // 存入缓存（LRU 会自动淘汰旧数据）
       categoryCache.set(cacheKey, transformedList)
       return transformedList
     }
     catch (e) {
+      if (e.name === 'AbortError') {
+        throw e
+      }
       const errType = classifyError(e)
       errorType.value = errType
       console.error(`Failed to load category ${categoryFile}:`, e)
@@ -427,6 +473,48 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     }
   }
 
+  /**
+   * 从网络加载 Bing 索引文件（同时写入离线缓存）
+   */
+  async function fetchBingIndex(seriesId) {
+    const indexResponse = await fetchWithRetry(SERIES_CONFIG[seriesId].indexUrl)
+    const indexData = await indexResponse.json()
+    writeOfflineEntry(getOfflineKey(seriesId, 'index.json'), getDataVersion(indexData.generatedAt), indexData)
+    return sanitizeBingIndex(seriesId, indexData)
+  }
+
+  /**
+   * 跳过 Bing 索引中格式错误的年份条目
+   */
+  function sanitizeBingIndex(seriesId, indexData) {
+    if (!Array.isArray(indexData?.years))
+      return indexData
+    return { ...indexData, years: quarantineInvalid(seriesId, 'index.json', indexData.years, BING_YEAR_ENTRY_SCHEMA) }
+  }
+
+  /**
+   * 加载 Bing 年度数据的原始条目
+   * 历史年份的数据不再变化，按条目数判断离线缓存是否过期
+   * @param {string} seriesId - 系列 ID
+   * @param {object} yearInfo - 索引中的年份信息 { year, count, file }
+   * @returns {Promise<Array>} 原始条目
+   */
+  async function loadBingYearItems(seriesId, yearInfo) {
+    const offlineKey = getOfflineKey(seriesId, yearInfo.file)
+    const version = getDataVersion(yearInfo.count)
+    const offline = await readOfflineEntry(offlineKey)
+    if (offline?.version === version && Array.isArray(offline.data)) {
+      return quarantineInvalid(seriesId, yearInfo.file, offline.data, BING_ITEM_SCHEMA)
+    }
+
+    const yearUrl = `${SERIES_CONFIG[seriesId].yearBaseUrl}/${yearInfo.file}${DATA_CACHE_BUSTER}`
+    const yearResponse = await fetchWithRetry(yearUrl)
+    const yearData = await yearResponse.json()
+    const items = Array.isArray(yearData.items) ? yearData.items : []
+    writeOfflineEntry(offlineKey, version, items)
+    return quarantineInvalid(seriesId, yearInfo.file, items, BING_ITEM_SCHEMA)
+  }
+
   /**
    * 初始化每日 Bing 壁纸系列
    * Bing 系列使用年度数据文件结构，不同于其他系列的分类结构
@@ -470,16 +558,13 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     currentLoadedSeries.value = seriesId
     loadedCategories.value = new Set()
     isBackgroundLoading.value = false
-    initialLoadedCount.value = 0
     expectedTotal.value = 0
 
-    const seriesConfig = SERIES_CONFIG[seriesId]
-
     try {
-      // 1. 加载 Bing 索引文件
-      const indexUrl = seriesConfig.indexUrl
-      const indexResponse = await fetchWithRetry(indexUrl)
-      const indexData = await indexResponse.json()
+      // 1. 加载 Bing 索引文件（优先使用离线缓存，显示后在后台重新验证）
+      const offlineIndex = await readOfflineEntry(getOfflineKey(seriesId, 'index.json'))
+      const fromOffline = Array.isArray(offlineIndex?.data?.years)
+      const indexData = fromOffline ? sanitizeBingIndex(seriesId, offlineIndex.data) : await fetchBingIndex(seriesId)
 
       // 检查请求是否过期
       if (requestVersion !== currentRequestVersion) {
@@ -494,18 +579,16 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
       const currentYearInfo = indexData.years?.find(y => y.year === currentYear)
 
       if (currentYearInfo) {
-        const yearUrl = `${seriesConfig.yearBaseUrl}/${currentYearInfo.file}${DATA_CACHE_BUSTER}`
-        const yearResponse = await fetchWithRetry(yearUrl)
-        const yearData = await yearResponse.json()
+        const items = await loadBingYearItems(seriesId, currentYearInfo)
 
         // 再次检查请求是否过期
         if (requestVersion !== currentRequestVersion) {
           return
         }
 
-        if (yearData.items && Array.isArray(yearData.items)) {
+        if (items.length > 0) {
           // 转换数据格式
-          const transformedItems = yearData.items.map((item, index) =>
+          const transformedItems = items.map((item, index) =>
             transformBingWallpaper(item, index),
           )
 
@@ -514,7 +597,6 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
 
           // 一次性设置数据
           wallpapers.value = transformedItems
-          initialLoadedCount.value = transformedItems.length
           expectedTotal.value = transformedItems.length
 
           // 标记已加载的年份
@@ -530,6 +612,11 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
       // 3. 清除错误状态
       error.value = null
       errorType.value = null
+
+      // 4. 使用了离线索引：后台向服务器重新验证
+      if (fromOffline) {
+        revalidateBing(seriesId, currentRequestVersion)
+      }
     }
     catch (e) {
       // 如果请求已过期，不处理错误
@@ -555,7 +642,6 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
    */
   async function loadBingYear(year) {
     const seriesId = 'bing'
-    const seriesConfig = SERIES_CONFIG[seriesId]
 
     // 如果已加载该年份，跳过
     if (loadedCategories.value.has(year.toString())) {
@@ -568,9 +654,7 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     // 获取索引数据
     let indexData = seriesIndexCache.value[seriesId]
     if (!indexData) {
-      const indexUrl = seriesConfig.indexUrl
-      const indexResponse = await fetchWithRetry(indexUrl)
-      indexData = await indexResponse.json()
+      indexData = await fetchBingIndex(seriesId)
 
       // 检查请求是否过期
       if (requestVersion !== currentRequestVersion) {
@@ -588,18 +672,16 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     }
 
     try {
-      const yearUrl = `${seriesConfig.yearBaseUrl}/${yearInfo.file}${DATA_CACHE_BUSTER}`
-      const yearResponse = await fetchWithRetry(yearUrl)
-      const yearData = await yearResponse.json()
+      const items = await loadBingYearItems(seriesId, yearInfo)
 
       // 检查请求是否过期
       if (requestVersion !== currentRequestVersion) {
         return
       }
 
-      if (yearData.items && Array.isArray(yearData.items)) {
+      if (items.length > 0) {
         // 过滤已加载的数据
-        const newItems = yearData.items.filter(
+        const newItems = items.filter(
           item => !loadedCategories.value.has(item.date),
         )
 
@@ -620,7 +702,6 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
           wallpapers.value = merged
 
           // 更新计数
-          initialLoadedCount.value = wallpapers.value.length
           expectedTotal.value = wallpapers.value.length
         }
       }
@@ -637,23 +718,82 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
   }
 
   /**
-   * 初始化系列（首屏优化：先加载前3个分类，后台加载剩余分类）
-   * 确保数据完整且不会出现数字递增的问题
+   * 后台重新验证 Bing 数据（使用离线索引显示后调用）
+   * 索引有更新时重新加载当前年份和已加载的年份，合并新增的条目
+   * @param {string} seriesId - 系列 ID
+   * @param {number} expectedVersion - 期望的请求版本号
+   */
+  async function revalidateBing(seriesId, expectedVersion) {
+    try {
+      const latest = await fetchBingIndex(seriesId)
+      if (requestVersion !== expectedVersion) {
+        return
+      }
+
+      const previous = seriesIndexCache.value[seriesId]
+      seriesIndexCache.value[seriesId] = latest
+      if (latest.generatedAt === previous?.generatedAt) {
+        return
+      }
+
+      const currentYear = new Date().getFullYear()
+      const years = (latest.years || []).filter(y =>
+        y.year === currentYear || loadedCategories.value.has(y.year.toString()),
+      )
+      const results = await Promise.all(years.map(info => loadBingYearItems(seriesId, info)))
+      if (requestVersion !== expectedVersion) {
+        return
+      }
+
+      years.forEach(y => loadedCategories.value.add(y.year.toString()))
+      const newItems = results.flat().filter(item => !loadedCategories.value.has(item.date))
+      if (newItems.length === 0) {
+        return
+      }
+
+      newItems.forEach((item) => {
+        loadedCategories.value.add(item.date)
+      })
+      const merged = [...wallpapers.value, ...newItems.map(item => transformBingWallpaper(item))]
+      merged.sort((a, b) => b.date.localeCompare(a.date))
+      wallpapers.value = merged
+      expectedTotal.value = merged.length
+      if (bingWallpapersCache.value) {
+        bingWallpapersCache.value = [...merged]
+      }
+    }
+    catch (e) {
+      console.warn('[Wallpaper] 后台更新 Bing 数据失败，继续使用离线数据:', e)
+    }
+  }
+
+  /**
+   * 初始化系列：加载分类索引后并发加载各分类（最多 CATEGORY_CONCURRENCY 个），每个分类到达后立即合并显示
+   * 切换系列时取消未完成的请求；首批分类加载完成（或全部失败）后返回
+   * @param {string} seriesId - 系列 ID
+   * @param {boolean} [forceRefresh] - 是否忽略已加载的数据
+   * @param {{ priority?: string }} [options] - priority：优先加载的分类（如 URL 中指定的分类）
    */
-  async function initSeries(seriesId, forceRefresh = false) {
+  async function initSeries(seriesId, forceRefresh = false, { priority } = {}) {
     // 如果已加载相同系列且有数据，跳过
     if (!forceRefresh && currentLoadedSeries.value === seriesId && wallpapers.value.length > 0) {
       return
     }
 
+    // 取消上一个系列未完成的分类请求
+    cancelLoadJob()
+
     // 检查是否为每日 Bing 系列
     const seriesConfig = SERIES_CONFIG[seriesId]
     if (seriesConfig?.isDaily) {
+      categoryStates.value = {}
       return initBingSeries(seriesId, forceRefresh)
     }
 
-    // 递增请求版本号，用于防止竞态条件
-    const currentRequestVersion = ++requestVersion
+    // 递增请求版本号（使进行中的 Bing 请求失效）
+    ++requestVersion
+    const job = createLoadJob(seriesId)
+    loadJob = job
 
     // 立即清空旧数据，避免切换系列时显示旧图片
     wallpapers.value = []
@@ -663,75 +803,44 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     errorType.value = null
     currentLoadedSeries.value = seriesId
     loadedCategories.value = new Set()
+    categoryStates.value = {}
     isBackgroundLoading.value = false
-    initialLoadedCount.value = 0
     expectedTotal.value = 0
 
     try {
-      // 1. 加载分类索引
-      const indexData = await loadSeriesIndex(seriesId)
-
-      // 检查请求是否过期（用户已切换到其他系列）
-      if (requestVersion !== currentRequestVersion) {
+      // 1. 加载分类索引（内存中没有时优先使用离线缓存，显示后在后台重新验证）
+      const fromOffline = !seriesIndexCache.value[seriesId] && await restoreOfflineIndex(seriesId)
+      const indexData = await loadSeriesIndex(seriesId, job.signal)
+      if (job.signal.aborted) {
         return
       }
 
-      // 2. 记录预期总数（从索引文件中获取，用于显示）
+      // 2. 记录预期总数和各分类状态，优先加载指定的分类
       expectedTotal.value = indexData.total || 0
-
-      // 3. 首屏优化：只加载前3个分类（快速显示）
-      const initialCategories = indexData.categories.slice(0, 3)
-      const initialPromises = initialCategories.map(cat => loadCategory(seriesId, cat.file))
-      const initialDataArrays = await Promise.all(initialPromises)
-
-      // 再次检查请求是否过期
-      if (requestVersion !== currentRequestVersion) {
+      categoryStates.value = Object.fromEntries(indexData.categories.map(cat => [cat.name, {
+        status: 'pending',
+        count: cat.count,
+        subcategories: cat.subcategories,
+      }]))
+      job.queue = [...indexData.categories]
+      moveToFront(job.queue, priority)
+
+      // 3. 并发加载分类，等待首批结果
+      isBackgroundLoading.value = true
+      pumpLoadJob(job)
+      await job.ready
+      if (job.signal.aborted) {
         return
       }
 
-      // 4. 立即显示前3个分类的数据（预排序，确保数据层有序）
-      const initialData = initialDataArrays.flat()
-      initialData.sort((a, b) => {
-        // 按日期降序（最新优先）
-        const dateA = new Date(a.createdAt)
-        const dateB = new Date(b.createdAt)
-        const dateDiff = dateB - dateA
-
-        // 日期相同时按文件名排序，确保稳定性
-        if (dateDiff === 0) {
-          return a.filename.localeCompare(b.filename)
-        }
-        return dateDiff
-      })
-      wallpapers.value = initialData
-
-      // 5. 记录已加载的分类
-      initialCategories.forEach((cat) => {
-        loadedCategories.value.add(cat.file)
-      })
-
-      // 6. 记录初始加载数量（用于 UI 稳定显示）
-      initialLoadedCount.value = wallpapers.value.length
-
-      // 7. 清除错误状态
-      error.value = null
-      errorType.value = null
-
-      // 8. 后台加载剩余分类（不阻塞主流程）
-      const remainingCategories = indexData.categories.slice(3)
-      if (remainingCategories.length > 0) {
-        isBackgroundLoading.value = true
-        // 后台加载，传入请求版本号用于检查
-        loadRemainingCategoriesSilently(seriesId, remainingCategories, currentRequestVersion)
-      }
-      else {
-        // 如果没有剩余分类，直接设置预期总数为实际数量
-        expectedTotal.value = wallpapers.value.length
+      // 4. 使用了离线索引：全部加载完成后向服务器重新验证
+      if (fromOffline) {
+        job.finished.then(() => revalidateSeries(seriesId, job))
       }
     }
     catch (e) {
-      // 如果请求已过期，不处理错误
-      if (requestVersion !== currentRequestVersion) {
+      // 切换系列导致的取消不是错误
+      if (job.signal.aborted) {
         return
       }
       console.error(`Failed to init series ${seriesId}:`, e)
@@ -739,199 +848,208 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
       errorType.value = errType
       error.value = getErrorMessage(e, errType, `系列: ${seriesId}`)
       wallpapers.value = []
+      isBackgroundLoading.value = false
     }
     finally {
-      // 只有当请求未过期时才更新 loading 状态
-      if (requestVersion === currentRequestVersion) {
+      if (loadJob === job) {
         loading.value = false
       }
     }
   }
 
   /**
-   * 后台静默加载剩余分类（收集完整数据后一次性更新，避免数字递增）
-   * @param {string} seriesId - 系列 ID
-   * @param {Array} categories - 待加载的分类列表
-   * @param {number} expectedVersion - 期望的请求版本号，用于检测竞态条件
+   * 创建分类加载任务（每个系列一个，切换系列时通过 AbortController 取消）
    */
-  async function loadRemainingCategoriesSilently(seriesId, categories, expectedVersion) {
-    try {
-      // 批量加载：每次加载3个分类
-      const BATCH_SIZE = 3
-      const batches = []
-
-      for (let i = 0; i < categories.length; i += BATCH_SIZE) {
-        batches.push(categories.slice(i, i + BATCH_SIZE))
-      }
-
-      // 收集所有后台加载的数据
-      const allRemainingData = []
-
-      for (const batch of batches) {
-        // 检查请求版本号，如果已过期则停止加载
-        if (requestVersion !== expectedVersion) {
-          return
-        }
-
-        // 过滤已加载的分类
-        const unloadedBatch = batch.filter(cat => !loadedCategories.value.has(cat.file))
-        if (unloadedBatch.length === 0)
-          continue
-
-        try {
-          // 并行加载批次内的所有分类
-          const batchPromises = unloadedBatch.map(cat => loadCategory(seriesId, cat.file))
-          const batchResults = await Promise.all(batchPromises)
+  function createLoadJob(seriesId) {
+    const job = {
+      seriesId,
+      controller: new AbortController(),
+      queue: [],
+      active: 0,
+      lastError: null,
+    }
+    job.signal = job.controller.signal
+    // ready：首个分类加载成功或全部结束；finished：队列清空且没有进行中的请求
+    job.ready = new Promise((resolve) => {
+      job.resolveReady = resolve
+    })
+    job.finished = new Promise((resolve) => {
+      job.resolveFinished = resolve
+    })
+    return job
+  }
 
-          // 再次检查请求版本号（加载完成后）
-          if (requestVersion !== expectedVersion) {
-            return
-          }
+  /**
+   * 取消当前的分类加载任务
+   */
+  function cancelLoadJob() {
+    if (!loadJob)
+      return
+    loadJob.controller.abort()
+    loadJob.resolveReady()
+    loadJob.resolveFinished()
+    loadJob = null
+    isBackgroundLoading.value = false
+  }
 
-          // 收集本批次的数据（不立即更新 wallpapers）
-          const batchData = batchResults.flat()
-          allRemainingData.push(...batchData)
+  /**
+   * 将指定分类移到队首
+   */
+  function moveToFront(queue, categoryName) {
+    const index = queue.findIndex(cat => cat.name === categoryName)
+    if (index > 0) {
+      queue.unshift(...queue.splice(index, 1))
+    }
+  }
 
-          // 标记本批次的分类为已加载
-          unloadedBatch.forEach((cat) => {
-            loadedCategories.value.add(cat.file)
-          })
+  function setCategoryState(name, patch) {
+    categoryStates.value[name] = { ...categoryStates.value[name], ...patch }
+  }
 
-          // 批次间暂停，避免阻塞主线程
-          await delay(150)
-        }
-        catch (e) {
-          console.warn(`Failed to load batch:`, e)
-          // 继续加载下一批次
-        }
-      }
+  /**
+   * 在并发上限内从队列中取出分类开始加载；没有待加载和进行中的分类时结束任务
+   */
+  function pumpLoadJob(job) {
+    while (job.active < CATEGORY_CONCURRENCY && job.queue.length > 0) {
+      runCategoryLoad(job, job.queue.shift())
+    }
+    if (job.active === 0 && job.queue.length === 0) {
+      finishLoadJob(job)
+    }
+  }
 
-      // 所有后台数据加载完成后，一次性更新 wallpapers（避免数字递增）
-      // 再次检查请求版本号，确保数据仍然有效
-      if (requestVersion === expectedVersion && allRemainingData.length > 0) {
-        // 先关闭后台加载标记，再更新数据
-        // 这样 displayTotal 会立即显示完整数量，不会出现中间状态
-        isBackgroundLoading.value = false
-
-        // 合并数据并按日期+文件名排序，确保数据层有序
-        // 这样 UI 层排序时结果稳定，不会导致图片跳动
-        const merged = [...wallpapers.value, ...allRemainingData]
-        merged.sort((a, b) => {
-          // 按日期降序（最新优先）
-          const dateA = new Date(a.createdAt)
-          const dateB = new Date(b.createdAt)
-          const dateDiff = dateB - dateA
-
-          // 日期相同时按文件名排序，确保稳定性
-          if (dateDiff === 0) {
-            return a.filename.localeCompare(b.filename)
-          }
-          return dateDiff
-        })
+  /**
+   * 将分类合并到当前列表（已合并的分类跳过，详情链接可能先于后台任务加载同一分类）
+   */
+  function mergeCategory(cat, list) {
+    if (loadedCategories.value.has(cat.file))
+      return
+    wallpapers.value = mergeByDateDesc(wallpapers.value, [...list].sort(compareByDateDesc))
+    loadedCategories.value.add(cat.file)
+    setCategoryState(cat.name, { status: 'loaded' })
+  }
 
-        wallpapers.value = merged
-        // 更新初始加载数量（现在显示完整数量）
-        initialLoadedCount.value = wallpapers.value.length
+  /**
+   * 加载单个分类并合并到当前列表（失败时记录到分类状态，不影响其他分类）
+   */
+  async function runCategoryLoad(job, cat) {
+    job.active++
+    setCategoryState(cat.name, { status: 'loading', error: null })
+    try {
+      const list = await loadCategory(job.seriesId, cat.file, { signal: job.signal })
+      if (job.signal.aborted) {
+        return
       }
-      else if (requestVersion === expectedVersion) {
-        // 如果没有数据但请求仍有效，也要关闭后台加载标记
-        isBackgroundLoading.value = false
+      mergeCategory(cat, list)
+      if (error.value) {
+        error.value = null
+        errorType.value = null
       }
-      // 如果请求已过期，不做任何操作
+      job.resolveReady()
     }
     catch (e) {
-      // 只有请求未过期时才处理错误
-      if (requestVersion === expectedVersion) {
-        console.error('Background loading failed:', e)
-        isBackgroundLoading.value = false
+      if (job.signal.aborted) {
+        return
+      }
+      job.lastError = e
+      setCategoryState(cat.name, { status: 'error', error: getErrorMessage(e, classifyError(e), cat.name) })
+    }
+    finally {
+      if (!job.signal.aborted) {
+        job.active--
+        pumpLoadJob(job)
       }
     }
   }
 
   /**
-   * 后台加载剩余分类（不阻塞主流程）
+   * 分类加载任务结束：全部分类都失败时显示错误
    */
-  async function loadRemainingCategories(seriesId, categories) {
-    // 批量加载：每次加载3个分类后才更新一次 wallpapers
-    const BATCH_SIZE = 3
-    const batches = []
-
-    for (let i = 0; i < categories.length; i += BATCH_SIZE) {
-      batches.push(categories.slice(i, i + BATCH_SIZE))
+  function finishLoadJob(job) {
+    isBackgroundLoading.value = false
+    if (wallpapers.value.length === 0 && job.lastError) {
+      const errType = classifyError(job.lastError)
+      errorType.value = errType
+      error.value = getErrorMessage(job.lastError, errType, `系列: ${job.seriesId}`)
     }
+    job.resolveReady()
+    job.resolveFinished()
+  }
 
-    for (const batch of batches) {
-      // 检查系列是否已切换，如果切换则停止加载
-      if (currentLoadedSeries.value !== seriesId) {
-        return
-      }
-
-      // 过滤已加载的分类
-      const unloadedBatch = batch.filter(cat => !loadedCategories.value.has(cat.file))
-      if (unloadedBatch.length === 0)
-        continue
-
-      try {
-        // 并行加载批次内的所有分类
-        const batchPromises = unloadedBatch.map(cat => loadCategory(seriesId, cat.file))
-        const batchResults = await Promise.all(batchPromises)
-
-        // 再次检查系列是否已切换（加载完成后）
-        if (currentLoadedSeries.value !== seriesId) {
-          return
+  /**
+   * 优先加载用户选中的分类：排队中的分类立即开始（不受并发上限限制），加载失败的分类重新加载
+   * @param {string} categoryName - 分类名，'all' 表示重新加载所有失败的分类
+   */
+  function prioritizeCategory(categoryName) {
+    const job = loadJob
+    if (!job || job.signal.aborted) {
+      return
+    }
+    const indexData = seriesIndexCache.value[job.seriesId]
+    const names = categoryName === 'all'
+      ? Object.keys(categoryStates.value).filter(name => categoryStates.value[name].status === 'error')
+      : [categoryName]
+
+    names.forEach((name) => {
+      const status = categoryStates.value[name]?.status
+      if (status === 'pending') {
+        const index = job.queue.findIndex(cat => cat.name === name)
+        if (index >= 0) {
+          isBackgroundLoading.value = true
+          runCategoryLoad(job, job.queue.splice(index, 1)[0])
         }
-
-        // 合并本批次的数据
-        const batchData = batchResults.flat()
-
-        // 一次性追加本批次的所有数据(减少响应式更新次数)
-        wallpapers.value = [...wallpapers.value, ...batchData]
-
-        // 标记本批次的分类为已加载
-        unloadedBatch.forEach((cat) => {
-          loadedCategories.value.add(cat.file)
-        })
-
-        // 批次间暂停，避免阻塞主线程
-        await new Promise(resolve => setTimeout(resolve, 150))
       }
-      catch (e) {
-        console.warn(`Failed to load batch:`, e)
-        // 继续加载下一批次
+      else if (status === 'error') {
+        const cat = indexData?.categories.find(item => item.name === name)
+        if (cat) {
+          isBackgroundLoading.value = true
+          runCategoryLoad(job, cat)
+        }
       }
-    }
-
-    // 后台加载完成，更新状态（仅当系列未切换时）
-    if (currentLoadedSeries.value === seriesId) {
-      isBackgroundLoading.value = false
-      initialLoadedCount.value = wallpapers.value.length
-    }
+    })
   }
 
   /**
-   * 加载所有分类（用户主动触发）
+   * 后台重新验证系列数据（使用离线索引显示后调用）
+   * 索引的 generatedAt 有变化时重新加载全部分类（版本不一致的离线数据会从网络更新），一次性替换列表
+   * @param {string} seriesId - 系列 ID
+   * @param {object} job - 发起验证的加载任务（已取消时放弃结果）
    */
-  async function loadAllCategories(seriesId) {
-    const indexData = seriesIndexCache.value[seriesId]
-    if (!indexData) {
-      await loadSeriesIndex(seriesId)
+  async function revalidateSeries(seriesId, job) {
+    if (job.signal.aborted) {
       return
     }
+    try {
+      const latest = await fetchSeriesIndex(seriesId, job.signal)
+      if (job.signal.aborted) {
+        return
+      }
 
-    const unloadedCategories = indexData.categories.filter(cat =>
-      !loadedCategories.value.has(cat.file),
-    )
+      const previous = seriesIndexCache.value[seriesId]
+      if (getDataVersion(latest.generatedAt) === getDataVersion(previous?.generatedAt)) {
+        return
+      }
 
-    if (unloadedCategories.length === 0) {
-      return
-    }
+      seriesIndexCache.value[seriesId] = latest
+      categoryCache.deleteByPrefix(`${seriesId}:`)
+      const lists = await Promise.all(latest.categories.map(cat => loadCategory(seriesId, cat.file, { signal: job.signal })))
+      if (job.signal.aborted) {
+        return
+      }
 
-    loading.value = true
-    try {
-      await loadRemainingCategories(seriesId, unloadedCategories)
+      wallpapers.value = sortByDate(lists.flat(), 'desc')
+      loadedCategories.value = new Set(latest.categories.map(cat => cat.file))
+      categoryStates.value = Object.fromEntries(latest.categories.map(cat => [cat.name, {
+        status: 'loaded',
+        count: cat.count,
+        subcategories: cat.subcategories,
+      }]))
+      expectedTotal.value = wallpapers.value.length
     }
-    finally {
-      loading.value = false
+    catch (e) {
+      if (!job.signal.aborted) {
+        console.warn(`[Wallpaper] 后台更新 ${seriesId} 数据失败，继续使用离线数据:`, e)
+      }
     }
   }
 
@@ -942,6 +1060,53 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     return wallpapers.value.find(w => w.id === id)
   }
 
+  /**
+   * 查找指定系列中的壁纸（用于详情页直达链接）
+   * 已加载数据中找不到时，按需加载 Bing 年份数据或逐个加载尚未加载的分类
+   * @param {string} seriesId - 系列 ID
+   * @param {string} id - 壁纸 ID（Bing 为 bing-YYYY-MM-DD）
+   * @returns {Promise<object|null>} 壁纸对象，不存在时返回 null
+   */
+  async function findWallpaper(seriesId, id) {
+    if (currentLoadedSeries.value === seriesId) {
+      const loadedMatch = getWallpaperById(id)
+      if (loadedMatch)
+        return loadedMatch
+    }
+
+    // Bing：根据日期加载对应年份
+    if (SERIES_CONFIG[seriesId]?.isDaily) {
+      const year = Number.parseInt(id.replace(/^bing-/, '').substring(0, 4))
+      if (Number.isNaN(year))
+        return null
+      await loadBingYear(year)
+      return getWallpaperById(id) || null
+    }
+
+    // 其他系列：依次加载未加载的分类（命中 LRU 缓存，后台加载时可复用）
+    const indexData = await loadSeriesIndex(seriesId)
+    for (const cat of indexData.categories) {
+      if (currentLoadedSeries.value === seriesId && loadedCategories.value.has(cat.file))
+        continue
+      const list = await loadCategory(seriesId, cat.file)
+      const match = list.find(w => w.id === id)
+      if (!match)
+        continue
+      // 合并到当前列表，详情的上一张 / 下一张和位置基于完整列表
+      if (currentLoadedSeries.value === seriesId) {
+        mergeCategory(cat, list)
+        const job = loadJob
+        const queued = job?.seriesId === seriesId ? job.queue.findIndex(item => item.file === cat.file) : -1
+        if (queued >= 0) {
+          job.queue.splice(queued, 1)
+          pumpLoadJob(job)
+        }
+      }
+      return match
+    }
+    return null
+  }
+
   /**
    * 获取壁纸索引
    */
@@ -979,6 +1144,9 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
       // 清除指定系列的缓存
       delete seriesIndexCache.value[seriesId]
       categoryCache.deleteByPrefix(`${seriesId}:`)
+      Object.keys(quarantine.value)
+        .filter(key => key.startsWith(`${seriesId}/`))
+        .forEach(key => delete quarantine.value[key])
       // 清除 Bing 缓存
       if (seriesId === 'bing') {
         bingWallpapersCache.value = null
@@ -988,10 +1156,27 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
       // 清除所有缓存
       seriesIndexCache.value = {}
       categoryCache.clear()
+      quarantine.value = {}
       bingWallpapersCache.value = null
     }
   }
 
+  /**
+   * 获取离线数据占用情况
+   * @returns {Promise<{ entries: number, bytes: number }>}
+   */
+  function getOfflineDataUsage() {
+    return getOfflineCacheUsage()
+  }
+
+  /**
+   * 清除离线数据（当前已加载的数据不受影响，下次打开时重新从网络加载）
+   * 同时清除 Service Worker 的运行时缓存（数据 JSON、缩略图、离线原图）
+   */
+  async function clearOfflineData() {
+    await Promise.all([clearOfflineCache(), clearRuntimeCaches()])
+  }
+
   return {
     // State
     wallpapers,
@@ -1001,20 +1186,24 @@ export const useWallpaperStore = defineStore('wallpaper', () => {
     currentLoadedSeries,
     loadedCategories,
     isBackgroundLoading,
+    categoryStates,
     // Getters
+    quarantinedCount,
     total,
-    displayTotal,
     loaded,
     statistics,
     // Actions
     initSeries,
-    loadAllCategories,
+    prioritizeCategory,
     loadCategory,
     loadBingYear,
     getWallpaperById,
+    findWallpaper,
     getWallpaperIndex,
     getPrevWallpaper,
     getNextWallpaper,
     clearCache,
+    getOfflineDataUsage,
+    clearOfflineData,
   }
 })
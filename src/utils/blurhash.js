@@ -0,0 +1,186 @@
+// ========================================
+// Blurhash 编解码（图片加载前的模糊占位图）
+// ========================================
+// 算法与 https://blurha.sh 一致：把缩略图分解为少量余弦分量，编码为 20-30 个字符的 base83 字符串。
+// 编码由 scripts/generate-visual-features.js 离线完成，解码在 Web Worker 中进行（主线程备用），
+// 不依赖浏览器或 Node API。
+
+const BASE83_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~'
+const BLURHASH_REGEX = /^[\w#$%*+,\-.:;=?@[\]^{|}~]{6,}$/
+
+// 每个方向的分量数上限（标准规定 1-9）
+const MAX_COMPONENTS = 9
+
+function encode83(value, length) {
+  let result = ''
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / 83 ** (length - i)) % 83
+    result += BASE83_CHARS[digit]
+  }
+  return result
+}
+
+function decode83(str) {
+  let value = 0
+  for (const char of str) {
+    const digit = BASE83_CHARS.indexOf(char)
+    if (digit === -1)
+      throw new Error(`Invalid blurhash character: ${char}`)
+    value = value * 83 + digit
+  }
+  return value
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4
+}
+
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value))
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5)
+}
+
+function signPow(value, exp) {
+  return Math.sign(value) * Math.abs(value) ** exp
+}
+
+/**
+ * 字符串是否为格式正确的 blurhash（字符集和长度与分量数一致）
+ * @param {*} hash
+ * @returns {boolean}
+ */
+export function isValidBlurhash(hash) {
+  if (typeof hash !== 'string' || !BLURHASH_REGEX.test(hash))
+    return false
+  const sizeFlag = BASE83_CHARS.indexOf(hash[0])
+  const componentsX = (sizeFlag % 9) + 1
+  const componentsY = Math.floor(sizeFlag / 9) + 1
+  return hash.length === 4 + 2 * componentsX * componentsY
+}
+
+/**
+ * 编码 blurhash
+ * @param {ArrayLike<number>} pixels - RGB 像素（每通道 8 位，无 alpha）
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @param {number} [componentsX] - 横向分量数（1-9）
+ * @param {number} [componentsY] - 纵向分量数（1-9）
+ * @returns {string} blurhash
+ */
+export function encodeBlurhash(pixels, width, height, componentsX = 4, componentsY = 3) {
+  if (componentsX < 1 || componentsX > MAX_COMPONENTS || componentsY < 1 || componentsY > MAX_COMPONENTS)
+    throw new Error(`Blurhash components must be between 1 and ${MAX_COMPONENTS}`)
+  if (pixels.length < width * height * 3)
+    throw new Error('Pixel data is smaller than width * height * 3')
+
+  // 先转换为线性 RGB，避免每个分量重复计算
+  const linear = new Float64Array(width * height * 3)
+  for (let i = 0; i < linear.length; i++)
+    linear[i] = sRGBToLinear(pixels[i])
+
+  const factors = []
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const normalisation = i === 0 && j === 0 ? 1 : 2
+      let r = 0
+      let g = 0
+      let b = 0
+      for (let y = 0; y < height; y++) {
+        const basisY = Math.cos((Math.PI * j * y) / height)
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos((Math.PI * i * x) / width) * basisY
+          const offset = (y * width + x) * 3
+          r += basis * linear[offset]
+          g += basis * linear[offset + 1]
+          b += basis * linear[offset + 2]
+        }
+      }
+      const scale = 1 / (width * height)
+      factors.push([r * scale, g * scale, b * scale])
+    }
+  }
+
+  const [dc, ...ac] = factors
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1)
+
+  let maximumValue = 1
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs))
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)))
+    maximumValue = (quantisedMaximum + 1) / 166
+    hash += encode83(quantisedMaximum, 1)
+  }
+  else {
+    hash += encode83(0, 1)
+  }
+
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4)
+
+  for (const factor of ac) {
+    const [qr, qg, qb] = factor.map(value =>
+      Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5))))
+    hash += encode83(qr * 19 * 19 + qg * 19 + qb, 2)
+  }
+  return hash
+}
+
+/**
+ * 解码 blurhash
+ * @param {string} hash - blurhash
+ * @param {number} width - 输出宽度（占位图只需要很小的尺寸，由 CSS 拉伸）
+ * @param {number} height - 输出高度
+ * @returns {Uint8ClampedArray} RGBA 像素（可直接用于 ImageData）
+ * @throws {Error} 格式错误时抛出
+ */
+export function decodeBlurhash(hash, width, height) {
+  if (!isValidBlurhash(hash))
+    throw new Error(`Invalid blurhash: ${hash}`)
+
+  const sizeFlag = decode83(hash[0])
+  const componentsX = (sizeFlag % 9) + 1
+  const componentsY = Math.floor(sizeFlag / 9) + 1
+  const maximumValue = (decode83(hash[1]) + 1) / 166
+
+  const colors = Array.from({ length: componentsX * componentsY }, (_, i) => {
+    if (i === 0) {
+      const dc = decode83(hash.slice(2, 6))
+      return [sRGBToLinear(dc >> 16), sRGBToLinear((dc >> 8) & 255), sRGBToLinear(dc & 255)]
+    }
+    const value = decode83(hash.slice(4 + i * 2, 6 + i * 2))
+    return [Math.floor(value / (19 * 19)), Math.floor(value / 19) % 19, value % 19]
+      .map(quantised => signPow((quantised - 9) / 9, 2) * maximumValue)
+  })
+
+  // 余弦基函数按行 / 列预先计算
+  const basisX = Array.from({ length: componentsX }, (_, i) =>
+    Array.from({ length: width }, (_, x) => Math.cos((Math.PI * x * i) / width)))
+  const basisY = Array.from({ length: componentsY }, (_, j) =>
+    Array.from({ length: height }, (_, y) => Math.cos((Math.PI * y * j) / height)))
+
+  const pixels = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0
+      let g = 0
+      let b = 0
+      for (let j = 0; j < componentsY; j++) {
+        for (let i = 0; i < componentsX; i++) {
+          const basis = basisX[i][x] * basisY[j][y]
+          const color = colors[i + j * componentsX]
+          r += color[0] * basis
+          g += color[1] * basis
+          b += color[2] * basis
+        }
+      }
+      const offset = (y * width + x) * 4
+      pixels[offset] = linearToSRGB(r)
+      pixels[offset + 1] = linearToSRGB(g)
+      pixels[offset + 2] = linearToSRGB(b)
+      pixels[offset + 3] = 255
+    }
+  }
+  return pixels
+}
@@ -78,4 +78,12 @@ export const CHAR_MAP_DECODE = Object.fromEntries(
 )
 
 // 版本前缀
-export const VERSION_PREFIX = 'v1.'
+// v1：Base64 + 字符映射 + 反转
+// v2：压缩 + CRC32 校验后再按 v1 的方式编码，格式为 v2.{crc32}.{编码内容}
+export const VERSION_PREFIXES = {
+  v1: 'v1.',
+  v2: 'v2.',
+}
+
+// 脚本写入数据时默认使用的版本
+export const DEFAULT_CODEC_VERSION = 'v2'
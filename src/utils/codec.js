@@ -2,29 +2,73 @@
 // 数据编码/解码（防止在线工具直接解码）
 // ========================================
 
-import { CHAR_MAP_DECODE, CHAR_MAP_ENCODE, VERSION_PREFIX } from './codec-config.js'
+import { CHAR_MAP_DECODE, CHAR_MAP_ENCODE, DEFAULT_CODEC_VERSION, VERSION_PREFIXES } from './codec-config.js'
+import { compress, crc32, decompress } from './compression.js'
 
 /**
- * 自定义编码（Base64 + 字符映射 + 反转）
+ * 二进制字符串 -> Base64 + 字符映射 + 反转
+ */
+function scramble(binary) {
+  const mapped = btoa(binary).split('').map(c => CHAR_MAP_ENCODE[c] || c).join('')
+  return mapped.split('').reverse().join('')
+}
+
+/**
+ * scramble 的逆操作
+ */
+function unscramble(encoded) {
+  const reversed = encoded.split('').reverse().join('')
+  return atob(reversed.split('').map(c => CHAR_MAP_DECODE[c] || c).join(''))
+}
+
+/**
+ * 自定义编码
  * @param {string} str - 原始字符串
+ * @param {'v1'|'v2'} [version] - 编码版本，默认 DEFAULT_CODEC_VERSION
  * @returns {string} 编码后的字符串
  */
-export function encodeData(str) {
-  const base64 = btoa(unescape(encodeURIComponent(str)))
-  const mapped = base64.split('').map(c => CHAR_MAP_ENCODE[c] || c).join('')
-  return VERSION_PREFIX + mapped.split('').reverse().join('')
+export function encodeData(str, version = DEFAULT_CODEC_VERSION) {
+  const binary = unescape(encodeURIComponent(str))
+  if (version === 'v1')
+    return VERSION_PREFIXES.v1 + scramble(binary)
+  if (version === 'v2')
+    return `${VERSION_PREFIXES.v2}${crc32(binary)}.${scramble(compress(binary))}`
+  throw new Error(`Unknown codec version: ${version}`)
 }
 
 /**
- * 自定义解码
+ * 自定义解码（根据版本前缀选择解码方式）
  * @param {string} encoded - 编码后的字符串
  * @returns {string} 原始字符串
+ * @throws {Error} 格式未知或校验失败（数据被截断或损坏）时抛出
  */
 export function decodeData(encoded) {
-  if (!encoded.startsWith(VERSION_PREFIX)) {
-    throw new Error('Invalid data format')
+  if (encoded.startsWith(VERSION_PREFIXES.v1))
+    return decodeURIComponent(escape(unscramble(encoded.slice(VERSION_PREFIXES.v1.length))))
+
+  if (encoded.startsWith(VERSION_PREFIXES.v2)) {
+    const body = encoded.slice(VERSION_PREFIXES.v2.length)
+    const separator = body.indexOf('.')
+    let binary
+    try {
+      binary = decompress(unscramble(body.slice(separator + 1)))
+    }
+    catch (error) {
+      throw new Error(`Invalid data: truncated or corrupted (${error.message})`)
+    }
+    if (separator !== 8 || crc32(binary) !== body.slice(0, separator))
+      throw new Error('Invalid data checksum: data may be truncated or corrupted')
+    return decodeURIComponent(escape(binary))
   }
-  const reversed = encoded.slice(VERSION_PREFIX.length).split('').reverse().join('')
-  const base64 = reversed.split('').map(c => CHAR_MAP_DECODE[c] || c).join('')
-  return decodeURIComponent(escape(atob(base64)))
+
+  throw new Error('Invalid data format')
+}
+
+/**
+ * 获取编码版本
+ * @param {string} encoded - 编码后的字符串
+ * @returns {'v1'|'v2'|null} 未知格式返回 null
+ */
+export function getCodecVersion(encoded) {
+  return Object.keys(VERSION_PREFIXES).find(version => encoded?.startsWith(VERSION_PREFIXES[version])) ?? null
 }
@@ -0,0 +1,146 @@
+// ========================================
+// 颜色分类（按颜色筛选、按色调排序）
+// ========================================
+// 主色调（palette）和平均亮度（luminance）由 scripts/generate-visual-features.js 离线生成，
+// 主线程和 Worker（filter-pipeline）共用，不依赖浏览器 API。
+// 没有主色调的壁纸（尚未生成特征的数据、Bing 壁纸）不匹配任何颜色，按色调排序时排在最后。
+
+const HEX_COLOR_REGEX = /^#[0-9a-f]{6}$/i
+
+// 参与颜色匹配的主色数量（靠后的颜色占比较小）
+const MATCH_PALETTE_SIZE = 3
+
+// 色相区间（角度，[起点, 终点)），红色跨越 0°
+const HUE_RANGES = [
+  ['red', 345, 15],
+  ['orange', 15, 45],
+  ['yellow', 45, 70],
+  ['green', 70, 165],
+  ['cyan', 165, 200],
+  ['blue', 200, 255],
+  ['purple', 255, 290],
+  ['pink', 290, 345],
+]
+
+// 彩色的判定阈值（饱和度过低为灰色，亮度过低 / 过高接近黑白）
+const MIN_SATURATION = 0.25
+const MIN_LIGHTNESS = 0.12
+const MAX_LIGHTNESS = 0.9
+
+// 柔和色：明亮但仍有颜色
+const PASTEL_MIN_LIGHTNESS = 0.7
+
+// 平均亮度（0-100）阈值
+const DARK_LUMINANCE = 30
+const LIGHT_LUMINANCE = 70
+
+/**
+ * #rrggbb 转 HSL
+ * @param {string} hex - 颜色
+ * @returns {{ h: number, s: number, l: number }} h 为 0-360，s / l 为 0-1
+ */
+export function hexToHsl(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => Number.parseInt(hex.slice(i, i + 2), 16) / 255)
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  const d = max - min
+  if (d === 0)
+    return { h: 0, s: 0, l }
+
+  const s = d / (1 - Math.abs(2 * l - 1))
+  let h
+  if (max === r)
+    h = ((g - b) / d + 6) % 6
+  else if (max === g)
+    h = (b - r) / d + 2
+  else
+    h = (r - g) / d + 4
+  return { h: h * 60, s, l }
+}
+
+/**
+ * 壁纸的有效主色（按占比从高到低）
+ * @returns {string[]}
+ */
+export function getPaletteColors(wallpaper) {
+  if (!Array.isArray(wallpaper?.palette))
+    return []
+  return wallpaper.palette.filter(color => HEX_COLOR_REGEX.test(color))
+}
+
+/**
+ * 主色（用于图片加载前的占位背景），没有时返回 null
+ */
+export function getDominantColor(wallpaper) {
+  return getPaletteColors(wallpaper)[0] || null
+}
+
+function isChromatic({ s, l }) {
+  return s >= MIN_SATURATION && l >= MIN_LIGHTNESS && l <= MAX_LIGHTNESS
+}
+
+/**
+ * 彩色所属的色系
+ * @returns {string|null} 色系（见 HUE_RANGES），非彩色返回 null
+ */
+function getHueFamily(hsl) {
+  if (!isChromatic(hsl))
+    return null
+  const match = HUE_RANGES.find(([, start, end]) =>
+    start < end ? hsl.h >= start && hsl.h < end : hsl.h >= start || hsl.h < end)
+  return match[0]
+}
+
+/**
+ * 平均亮度（0-100），数据中没有时用主色的亮度估算
+ */
+function getLuminance(wallpaper, colors) {
+  if (Number.isFinite(wallpaper.luminance))
+    return wallpaper.luminance
+  return colors.length > 0 ? hexToHsl(colors[0]).l * 100 : null
+}
+
+/**
+ * 壁纸是否符合颜色筛选
+ * - 色系（red / blue 等）：前几个主色中有该色系的颜色
+ * - dark / light：平均亮度
+ * - pastel：前几个主色中多数为明亮的彩色
+ * @param {object} wallpaper - 壁纸
+ * @param {string} color - COLOR_OPTIONS 中的值
+ * @returns {boolean}
+ */
+export function matchesColor(wallpaper, color) {
+  const colors = getPaletteColors(wallpaper)
+  if (colors.length === 0)
+    return false
+
+  if (color === 'dark' || color === 'light') {
+    const luminance = getLuminance(wallpaper, colors)
+    return color === 'dark' ? luminance <= DARK_LUMINANCE : luminance >= LIGHT_LUMINANCE
+  }
+
+  const hsls = colors.slice(0, MATCH_PALETTE_SIZE).map(hexToHsl)
+  if (color === 'pastel') {
+    const pastelCount = hsls.filter(hsl => hsl.s >= MIN_SATURATION && hsl.l >= PASTEL_MIN_LIGHTNESS).length
+    return pastelCount * 2 > hsls.length
+  }
+  return hsls.some(hsl => getHueFamily(hsl) === color)
+}
+
+/**
+ * 按色调排序的键：彩色按主要彩色的色相，其次是黑白灰（按亮度从亮到暗），没有主色调的排在最后
+ * @returns {[number, number]} [分组, 组内顺序]
+ */
+export function getHueSortKey(wallpaper) {
+  const colors = getPaletteColors(wallpaper)
+  if (colors.length === 0)
+    return [2, 0]
+
+  const hsls = colors.slice(0, MATCH_PALETTE_SIZE).map(hexToHsl)
+  const chromatic = hsls.find(isChromatic)
+  // 红色跨越 0°，从红色区间的起点开始排，避免偏紫的红色排到粉色之后
+  if (chromatic)
+    return [0, (chromatic.h + 360 - HUE_RANGES[0][1]) % 360]
+  return [1, 1 - hsls[0].l]
+}
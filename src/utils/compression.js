@@ -0,0 +1,159 @@
+// ========================================
+// 压缩与校验（数据编码 v2 使用）
+// ========================================
+// 同步的 LZW 压缩和 CRC32 校验，输入输出均为二进制字符串（每个字符 0-255）。
+// 应用、Web Worker 和 Node 脚本共用，不依赖浏览器或 Node API。
+
+// 编码宽度从 9 位开始，最多 16 位；字典写满后输出 CLEAR 并重新开始
+const MIN_WIDTH = 9
+const MAX_WIDTH = 16
+const MAX_CODE = 1 << MAX_WIDTH
+const CLEAR_CODE = 256
+const FIRST_CODE = 257
+
+// 每次转换的字符数（避免 String.fromCharCode 参数过多）
+const CHUNK_SIZE = 0x8000
+
+function bitLength(value) {
+  return 32 - Math.clz32(value)
+}
+
+function bytesToBinary(bytes) {
+  let result = ''
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE)
+    result += String.fromCharCode.apply(null, bytes.slice(i, i + CHUNK_SIZE))
+  return result
+}
+
+/**
+ * LZW 压缩
+ * @param {string} input - 二进制字符串
+ * @returns {string} 压缩后的二进制字符串
+ */
+export function compress(input) {
+  if (input.length === 0)
+    return ''
+
+  const bytes = []
+  let buffer = 0
+  let bufferBits = 0
+  let width = MIN_WIDTH
+  const write = (code) => {
+    buffer = (buffer << width) | code
+    bufferBits += width
+    while (bufferBits >= 8) {
+      bufferBits -= 8
+      bytes.push((buffer >>> bufferBits) & 0xFF)
+    }
+    buffer &= (1 << bufferBits) - 1
+  }
+
+  // 字典键：前缀编码 * 256 + 下一个字节
+  let dictionary = new Map()
+  let nextCode = FIRST_CODE
+  let prefix = input.charCodeAt(0)
+  for (let i = 1; i < input.length; i++) {
+    const byte = input.charCodeAt(i)
+    const key = prefix * 256 + byte
+    const code = dictionary.get(key)
+    if (code !== undefined) {
+      prefix = code
+      continue
+    }
+
+    write(prefix)
+    if (nextCode === MAX_CODE) {
+      write(CLEAR_CODE)
+      dictionary = new Map()
+      nextCode = FIRST_CODE
+      width = MIN_WIDTH
+    }
+    else {
+      dictionary.set(key, nextCode++)
+      // 下一个输出的编码最大为 nextCode - 1
+      width = Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, bitLength(nextCode - 1)))
+    }
+    prefix = byte
+  }
+  write(prefix)
+
+  if (bufferBits > 0)
+    bytes.push((buffer << (8 - bufferBits)) & 0xFF)
+  return bytesToBinary(bytes)
+}
+
+/**
+ * LZW 解压
+ * @param {string} input - compress 输出的二进制字符串
+ * @returns {string} 原始二进制字符串
+ * @throws {Error} 数据损坏时抛出
+ */
+export function decompress(input) {
+  const output = []
+  let dictionary = []
+  let previous = null
+  let buffer = 0
+  let bufferBits = 0
+  let position = 0
+
+  while (true) {
+    // 编码器比解码器早一步写入字典，宽度按编码器的字典大小计算
+    const width = previous === null
+      ? MIN_WIDTH
+      : Math.min(MAX_WIDTH, bitLength(FIRST_CODE + dictionary.length))
+    while (bufferBits < width && position < input.length) {
+      buffer = ((buffer << 8) | input.charCodeAt(position++)) & 0xFFFFFF
+      bufferBits += 8
+    }
+    if (bufferBits < width)
+      break
+    bufferBits -= width
+    const code = (buffer >>> bufferBits) & ((1 << width) - 1)
+
+    if (code === CLEAR_CODE) {
+      dictionary = []
+      previous = null
+      continue
+    }
+
+    let entry
+    if (code < CLEAR_CODE)
+      entry = String.fromCharCode(code)
+    else if (code - FIRST_CODE < dictionary.length)
+      entry = dictionary[code - FIRST_CODE]
+    else if (previous !== null && code - FIRST_CODE === dictionary.length)
+      entry = previous + previous[0]
+    else
+      throw new Error(`Invalid compressed data: unexpected code ${code}`)
+
+    if (previous !== null)
+      dictionary.push(previous + entry[0])
+    output.push(entry)
+    previous = entry
+  }
+
+  return output.join('')
+}
+
+// CRC32 查找表（多项式 0xEDB88320）
+let crcTable = null
+
+/**
+ * 计算 CRC32
+ * @param {string} input - 二进制字符串
+ * @returns {string} 8 位十六进制
+ */
+export function crc32(input) {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n
+      for (let k = 0; k < 8; k++)
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      return c >>> 0
+    })
+  }
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < input.length; i++)
+    crc = crcTable[(crc ^ input.charCodeAt(i)) & 0xFF] ^ (crc >>> 8)
+  return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0')
+}
@@ -2,6 +2,9 @@
 // 常量定义
 // ========================================
 
+import { RESOLUTION_THRESHOLDS } from './resolution'
+import { fillTemplate, IMAGE_REPO_VALUES, SITE_CONFIG } from './site-config'
+
 // CDN 版本号
 // - 本地开发：使用此默认值
 // - 线上构建：GitHub Actions 会自动替换为图床最新 tag
@@ -15,17 +18,20 @@ export const APP_VERSION = typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSIO
 // 数据请求版本参数（使用 CDN_VERSION 破坏缓存，确保图床更新后数据同步刷新）
 export const DATA_CACHE_BUSTER = `?v=${CDN_VERSION}`
 
-// CDN URL 动态构建（防止静态分析提取完整链接）
-const _cdnParts = {
-  p: 'https:/',
-  h: '/cdn.jsdelivr.net',
-  g: '/gh/IT-NuanxinPro',
-  r: `/nuanXinProPic@${CDN_VERSION}`,
-}
-const CDN_BASE = `${_cdnParts.p}${_cdnParts.h}${_cdnParts.g}${_cdnParts.r}`
+// ========================================
+// 图片镜像配置（按优先级排序，来自 site.config.js）
+// ========================================
+// 图片统一通过 services/imageMirrors.js 的 resolveImageUrl() 解析，镜像失败时自动切换到下一个
+// - baseUrl：{tag} 替换为图片的 cdnTag（没有时使用 CDN_VERSION），后接图片路径（如 /wallpaper/desktop/xxx.png）
+// - proxy：图片代理服务，包装 source 镜像的地址，只用于缩略图和预览图
+// - kinds：支持的图片类型（original / preview / thumbnail / download），不填表示全部支持
+export const IMAGE_MIRRORS = SITE_CONFIG.cdn.mirrors.map(mirror => ({
+  ...mirror,
+  baseUrl: mirror.baseUrl && fillTemplate(mirror.baseUrl, IMAGE_REPO_VALUES),
+}))
 
-// 备用：raw.githubusercontent.com（如 jsdelivr 不可用时切换）
-// const _cdnParts = { p: 'https:/', h: '/raw.githubusercontent.com', g: '/IT-NuanxinPro', r: '/nuanXinProPic/main' }
+// 默认镜像的基础地址（用于生成图片的默认 URL）
+const CDN_BASE = IMAGE_MIRRORS[0].baseUrl.replace('{tag}', CDN_VERSION)
 
 // ========================================
 // 四大系列配置
@@ -97,36 +103,61 @@ export const SERIES_CONFIG = {
   },
 }
 
-// 设备可见的系列（PC端显示所有系列，平板显示所有系列，移动端不显示 Bing）
+// 启用的系列（site.config.js 的 series，顺序即导航顺序）
+const ENABLED_SERIES = SITE_CONFIG.series
+
+// 设备可见的系列（PC端显示所有系列，平板显示所有系列，移动端不显示 Bing），只保留已启用的系列
 export const DEVICE_SERIES = {
-  desktop: ['desktop', 'bing', 'mobile', 'avatar'], // PC端可见所有系列
-  tablet: ['desktop', 'bing', 'mobile', 'avatar'], // 平板可见所有系列
-  mobile: ['mobile', 'avatar'], // 移动端只显示手机壁纸和头像（Bing 仅 PC 端）
+  desktop: ['desktop', 'bing', 'mobile', 'avatar'].filter(id => ENABLED_SERIES.includes(id)), // PC端可见所有系列
+  tablet: ['desktop', 'bing', 'mobile', 'avatar'].filter(id => ENABLED_SERIES.includes(id)), // 平板可见所有系列
+  mobile: ['mobile', 'avatar'].filter(id => ENABLED_SERIES.includes(id)), // 移动端只显示手机壁纸和头像（Bing 仅 PC 端）
+}
+
+// 移动端没有可用系列时（如只启用了 desktop / bing），使用所有启用的系列
+if (DEVICE_SERIES.mobile.length === 0)
+  DEVICE_SERIES.mobile = ENABLED_SERIES.filter(id => !SERIES_CONFIG[id].pcOnly)
+if (DEVICE_SERIES.mobile.length === 0)
+  DEVICE_SERIES.mobile = [...ENABLED_SERIES]
+
+/**
+ * 默认系列：首选系列已启用时使用首选，否则使用该设备第一个可见系列
+ */
+function pickDefaultSeries(device, preferred) {
+  return DEVICE_SERIES[device].includes(preferred) ? preferred : DEVICE_SERIES[device][0]
 }
 
 // 默认系列（根据设备类型）
 export const DEFAULT_SERIES = {
-  desktop: 'desktop', // PC端默认显示电脑壁纸
-  tablet: 'desktop', // 平板默认显示电脑壁纸（适合横屏使用）
-  mobile: 'mobile', // 移动端默认显示手机壁纸
+  desktop: pickDefaultSeries('desktop', 'desktop'), // PC端默认显示电脑壁纸
+  tablet: pickDefaultSeries('tablet', 'desktop'), // 平板默认显示电脑壁纸（适合横屏使用）
+  mobile: pickDefaultSeries('mobile', 'mobile'), // 移动端默认显示手机壁纸
 }
 
-// 所有系列ID列表
+// 所有系列ID列表（数据校验、备份导入使用，包含未启用的系列）
 export const ALL_SERIES = ['desktop', 'bing', 'mobile', 'avatar']
 
 // ========================================
-// 图片代理服务配置（备用方案，如本地缩略图不可用时使用）
+// 图片代理服务配置（镜像列表中的 proxy 镜像使用）
 // ========================================
 export const IMAGE_PROXY = {
   BASE_URL: 'https://wsrv.nl/',
   THUMB_WIDTH: 400,
+  PREVIEW_WIDTH: 1080,
   THUMB_QUALITY: 80,
   FORMAT: 'webp',
 }
 
+// 镜像健康度配置
+export const IMAGE_MIRROR_HEALTH = {
+  FAILURE_THRESHOLD: 3, // 连续失败次数达到阈值后进入冷却
+  COOLDOWN_MS: 5 * 60 * 1000, // 冷却时长（冷却结束后重新尝试）
+  UNHEALTHY_SCORE: 0.5, // 健康分低于此值的镜像排在健康镜像之后
+}
+
 // 排序选项
 export const SORT_OPTIONS = [
   { value: 'newest', label: '🕐 最新优先', icon: 'clock' },
+  { value: 'relevance', label: '🎯 最相关', icon: 'target' }, // 按搜索相关度排序（无搜索词时按最新）
   { value: 'popular', label: '🔥 最热门', icon: 'fire' },
   { value: 'downloads', label: '📥 下载量最高', icon: 'download' },
   { value: 'views', label: '👁️ 浏览量最高', icon: 'eye' },
@@ -135,6 +166,7 @@ export const SORT_OPTIONS = [
   { value: 'oldest', label: '🕰️ 最早优先', icon: 'clock-reverse' },
   { value: 'largest', label: '📦 最大优先', icon: 'arrow-down' },
   { value: 'smallest', label: '📄 最小优先', icon: 'arrow-up' },
+  { value: 'hue', label: '🎨 按色调', icon: 'palette' }, // 按主色调的色相排序（见 utils/color.js）
   { value: 'name-asc', label: '🔤 名称 A-Z', icon: 'sort-alpha' },
   { value: 'name-desc', label: '🔡 名称 Z-A', icon: 'sort-alpha-reverse' },
 ]
@@ -150,19 +182,9 @@ export const FORMAT_OPTIONS = [
 ]
 
 // ========================================
-// 分辨率标签阈值（按长边判断，用于弹窗中根据真实图片尺寸动态生成标签）
+// 分辨率标签阈值（按长边判断，用于弹窗中根据真实图片尺寸动态生成标签，定义见 resolution.js）
 // ========================================
-export const RESOLUTION_THRESHOLDS = [
-  { minWidth: 15360, label: '16K', type: 'danger' },
-  { minWidth: 7680, label: '8K', type: 'danger' },
-  { minWidth: 5120, label: '5K+', type: 'danger' },
-  { minWidth: 4096, label: '4K+', type: 'warning' },
-  { minWidth: 3840, label: '4K', type: 'success' },
-  { minWidth: 2048, label: '2K', type: 'info' },
-  { minWidth: 1920, label: '超清', type: 'primary' },
-  { minWidth: 1280, label: '高清', type: 'secondary' },
-  { minWidth: 0, label: '标清', type: 'secondary' },
-]
+export { RESOLUTION_THRESHOLDS }
 
 // 分辨率筛选选项（基于 RESOLUTION_THRESHOLDS 生成，用于 FilterPanel）
 export const RESOLUTION_OPTIONS = [
@@ -174,6 +196,51 @@ export const RESOLUTION_OPTIONS = [
   })),
 ]
 
+// ========================================
+// 宽高比 / 方向筛选（按图片真实尺寸匹配，所有系列可用）
+// ========================================
+
+// 宽高比允许的相对误差（如 2560×1080 和 3440×1440 都算 21:9）
+export const ASPECT_RATIO_TOLERANCE = 0.03
+
+// 宽高比筛选选项（ratio = 宽 / 高）
+export const ASPECT_RATIO_OPTIONS = [
+  { value: 'all', label: '全部比例' },
+  { value: '16:9', label: '16:9', ratio: 16 / 9 },
+  { value: '16:10', label: '16:10', ratio: 16 / 10 },
+  { value: '21:9', label: '21:9 带鱼屏', ratio: 21 / 9 },
+  { value: '32:9', label: '32:9 超宽屏', ratio: 32 / 9 },
+  { value: '9:19.5', label: '9:19.5 手机', ratio: 9 / 19.5 },
+  { value: '1:1', label: '1:1 方形', ratio: 1 },
+]
+
+// ========================================
+// 颜色筛选（按主色调和平均亮度匹配，规则见 utils/color.js）
+// ========================================
+// swatch 为选择器中显示的色块
+export const COLOR_OPTIONS = [
+  { value: 'all', label: '全部颜色' },
+  { value: 'red', label: '红', swatch: '#e53935' },
+  { value: 'orange', label: '橙', swatch: '#fb8c00' },
+  { value: 'yellow', label: '黄', swatch: '#fdd835' },
+  { value: 'green', label: '绿', swatch: '#43a047' },
+  { value: 'cyan', label: '青', swatch: '#00acc1' },
+  { value: 'blue', label: '蓝', swatch: '#1e88e5' },
+  { value: 'purple', label: '紫', swatch: '#8e24aa' },
+  { value: 'pink', label: '粉', swatch: '#ec407a' },
+  { value: 'dark', label: '暗色', swatch: '#1f2937' },
+  { value: 'light', label: '亮色', swatch: '#f5f5f4' },
+  { value: 'pastel', label: '柔和', swatch: 'linear-gradient(135deg, #f8bbd0, #b3e5fc, #fff9c4)' },
+]
+
+// 方向筛选选项（宽高比在 1:1 误差范围内算方形）
+export const ORIENTATION_OPTIONS = [
+  { value: 'all', label: '全部方向' },
+  { value: 'landscape', label: '横屏' },
+  { value: 'portrait', label: '竖屏' },
+  { value: 'square', label: '方形' },
+]
+
 // 主题
 export const THEMES = {
   LIGHT: 'light',
@@ -196,4 +263,8 @@ export const STORAGE_KEYS = {
   CATEGORY: 'wallpaper-gallery-category',
   VIEW_MODE: 'wallpaper-gallery-view-mode',
   CURRENT_SERIES: 'wallpaper-gallery-current-series', // 当前选择的系列
+  ANNOUNCEMENT_CLOSED: 'announcement_banner_closed_v1', // 公告横幅是否已关闭
+  SEARCH_HISTORY: 'wallpaper-gallery-search-history', // 各系列的搜索历史和置顶搜索
+  SAVE_ORIGINALS_OFFLINE: 'wallpaper-gallery-save-originals-offline', // 是否离线保存打开过的原图
+  IMAGE_MIRROR_HEALTH: 'wallpaper-gallery-image-mirror-health', // 图片镜像健康度
 }
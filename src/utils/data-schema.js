@@ -0,0 +1,332 @@
+// ========================================
+// 数据文件结构校验
+// ========================================
+// 定义 public/data 下各类 JSON 的结构（系列索引、分类文件、Bing 年度文件、统计文件），
+// 应用（隔离格式错误的条目）和 Node 脚本（validate-data）共用，不依赖浏览器或 Node API。
+// 只校验使用到的字段，未列出的字段不报错，便于数据格式向后兼容地扩展。
+
+/**
+ * @typedef {object} Violation
+ * @property {string} path - 出错位置，如 blob[3].resolution.width
+ * @property {string} message - 错误描述
+ */
+
+/**
+ * @callback Schema
+ * @param {*} value - 待校验的值
+ * @param {string} path - 当前位置
+ * @param {Violation[]} errors - 收集错误
+ */
+
+// ========================================
+// 校验器
+// ========================================
+
+function joinPath(path, key) {
+  if (typeof key === 'number')
+    return `${path}[${key}]`
+  return path ? `${path}.${key}` : key
+}
+
+function describe(value) {
+  if (value === null)
+    return 'null'
+  if (Array.isArray(value))
+    return '数组'
+  return typeof value
+}
+
+function fail(errors, path, message) {
+  errors.push({ path: path || '(根)', message })
+}
+
+/**
+ * 可选字段（undefined 和 null 视为未提供）
+ * @param {Schema} schema
+ * @returns {Schema}
+ */
+function optional(schema) {
+  const check = (value, path, errors) => {
+    if (value !== undefined && value !== null)
+      schema(value, path, errors)
+  }
+  check.optional = true
+  return check
+}
+
+/**
+ * 字符串
+ * @param {{ nonEmpty?: boolean, pattern?: RegExp, hint?: string }} [options] - hint 为 pattern 的说明
+ * @returns {Schema}
+ */
+function string({ nonEmpty = false, pattern = null, hint = '' } = {}) {
+  return (value, path, errors) => {
+    if (typeof value !== 'string')
+      fail(errors, path, `应为字符串，实际为 ${describe(value)}`)
+    else if (nonEmpty && value.trim() === '')
+      fail(errors, path, '不能为空')
+    else if (pattern && !pattern.test(value))
+      fail(errors, path, `格式错误（应为 ${hint || pattern}）：${value}`)
+  }
+}
+
+/**
+ * 整数
+ * @param {{ min?: number, max?: number }} [options]
+ * @returns {Schema}
+ */
+function integer({ min = Number.NEGATIVE_INFINITY, max = Number.POSITIVE_INFINITY } = {}) {
+  return (value, path, errors) => {
+    if (!Number.isInteger(value))
+      fail(errors, path, `应为整数，实际为 ${describe(value)} ${JSON.stringify(value)}`)
+    else if (value < min)
+      fail(errors, path, `不能小于 ${min}：${value}`)
+    else if (value > max)
+      fail(errors, path, `不能大于 ${max}：${value}`)
+  }
+}
+
+/**
+ * 可被 Date 解析的时间字符串
+ * @returns {Schema}
+ */
+function dateString() {
+  return (value, path, errors) => {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value)))
+      fail(errors, path, `应为有效的日期时间，实际为 ${JSON.stringify(value)}`)
+  }
+}
+
+/**
+ * 数组
+ * @param {Schema} item - 元素结构
+ * @returns {Schema}
+ */
+function array(item) {
+  return (value, path, errors) => {
+    if (!Array.isArray(value))
+      return fail(errors, path, `应为数组，实际为 ${describe(value)}`)
+    value.forEach((element, index) => item(element, joinPath(path, index), errors))
+  }
+}
+
+/**
+ * 对象
+ * @param {Record<string, Schema>} shape - 字段结构（非 optional 的字段必须存在）
+ * @returns {Schema}
+ */
+function object(shape) {
+  return (value, path, errors) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value))
+      return fail(errors, path, `应为对象，实际为 ${describe(value)}`)
+    Object.entries(shape).forEach(([key, schema]) => {
+      const childPath = joinPath(path, key)
+      if (value[key] === undefined && !schema.optional)
+        fail(errors, childPath, '缺少字段')
+      else
+        schema(value[key], childPath, errors)
+    })
+  }
+}
+
+/**
+ * 键值对（键任意，值结构相同）
+ * @param {Schema} item - 值结构
+ * @returns {Schema}
+ */
+function record(item) {
+  return (value, path, errors) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value))
+      return fail(errors, path, `应为对象，实际为 ${describe(value)}`)
+    Object.entries(value).forEach(([key, element]) => item(element, joinPath(path, key), errors))
+  }
+}
+
+// ========================================
+// 壁纸数据（desktop / mobile / avatar）
+// ========================================
+
+const jsonFile = string({ pattern: /^[^/\\]+\.json$/, hint: '*.json 文件名' })
+const sitePath = string({ pattern: /^\//, hint: '以 / 开头的路径' })
+
+// 单张壁纸（分类文件解码后的数组元素）
+export const WALLPAPER_SCHEMA = object({
+  id: string({ nonEmpty: true }),
+  filename: string({ nonEmpty: true }),
+  category: string({ nonEmpty: true }),
+  subcategory: optional(string()),
+  path: sitePath,
+  thumbnailPath: optional(sitePath),
+  previewPath: optional(sitePath),
+  size: integer({ min: 0 }),
+  format: string({ nonEmpty: true }),
+  createdAt: dateString(),
+  cdnTag: optional(string()),
+  tags: optional(array(string())),
+  keywords: optional(array(string())),
+  resolution: optional(object({
+    width: integer({ min: 1 }),
+    height: integer({ min: 1 }),
+    label: string(),
+    type: string(),
+  })),
+  // 视觉特征（generate-visual-features 生成）
+  phash: optional(string({ pattern: /^[0-9a-f]{16}$/, hint: '16 位十六进制' })),
+  palette: optional(array(string({ pattern: /^#[0-9a-f]{6}$/i, hint: '#rrggbb' }))),
+  luminance: optional(integer({ min: 0, max: 100 })),
+  blurhash: optional(string({ pattern: /^[\w#$%*+,\-.:;=?@[\]^{|}~]{6,}$/, hint: 'blurhash 字符串' })),
+})
+
+// 分类索引条目（index.json 解码后的数组元素）
+export const CATEGORY_ENTRY_SCHEMA = object({
+  id: string({ nonEmpty: true }),
+  name: string({ nonEmpty: true }),
+  count: integer({ min: 0 }),
+  thumbnail: optional(string()),
+  file: jsonFile,
+  subcategories: optional(array(object({
+    name: string({ nonEmpty: true }),
+    count: integer({ min: 0 }),
+  }))),
+})
+
+// 编码后的数据文件公共字段（blob 的内容单独校验）
+const ENCODED_FILE_FIELDS = {
+  generatedAt: dateString(),
+  series: string({ nonEmpty: true }),
+  total: integer({ min: 0 }),
+  blob: string({ nonEmpty: true }),
+  schema: optional(integer({ min: 1 })),
+}
+
+// {系列}/index.json
+export const SERIES_INDEX_FILE_SCHEMA = object({
+  ...ENCODED_FILE_FIELDS,
+  seriesName: optional(string()),
+  categoryCount: optional(integer({ min: 0 })),
+})
+
+// {系列}/{分类}.json
+export const CATEGORY_FILE_SCHEMA = object({
+  ...ENCODED_FILE_FIELDS,
+  category: string({ nonEmpty: true }),
+})
+
+// {系列}.json（全部壁纸，向后兼容）
+export const SERIES_DATA_FILE_SCHEMA = object({
+  ...ENCODED_FILE_FIELDS,
+  seriesName: optional(string()),
+})
+
+// 解码后的 blob
+export const CATEGORY_INDEX_SCHEMA = array(CATEGORY_ENTRY_SCHEMA)
+export const WALLPAPER_LIST_SCHEMA = array(WALLPAPER_SCHEMA)
+
+// ========================================
+// Bing 数据
+// ========================================
+
+// 单日 Bing 壁纸
+export const BING_ITEM_SCHEMA = object({
+  date: string({ pattern: /^\d{4}-\d{2}-\d{2}$/, hint: 'YYYY-MM-DD' }),
+  title: string(),
+  copyright: string(),
+  copyrightlink: optional(string()),
+  quiz: optional(string()),
+  hsh: optional(string()),
+  urlbase: string({ nonEmpty: true }),
+})
+
+// Bing 索引中的年份条目
+export const BING_YEAR_ENTRY_SCHEMA = object({
+  year: integer({ min: 1970 }),
+  count: integer({ min: 0 }),
+  file: jsonFile,
+})
+
+// bing/index.json
+export const BING_INDEX_SCHEMA = object({
+  generatedAt: dateString(),
+  series: string({ nonEmpty: true }),
+  seriesName: optional(string()),
+  total: integer({ min: 0 }),
+  years: array(BING_YEAR_ENTRY_SCHEMA),
+})
+
+// bing/{年份}.json
+export const BING_YEAR_SCHEMA = object({
+  year: integer({ min: 1970 }),
+  total: integer({ min: 0 }),
+  updatedAt: optional(dateString()),
+  items: array(BING_ITEM_SCHEMA),
+})
+
+// bing/latest.json
+export const BING_LATEST_SCHEMA = object({
+  generatedAt: dateString(),
+  total: integer({ min: 0 }),
+  items: array(BING_ITEM_SCHEMA),
+})
+
+// ========================================
+// 统计数据（export-stats 生成）
+// ========================================
+
+// stats/hot-{系列}[-week|-month].json
+export const STATS_HOT_SCHEMA = array(object({
+  image_id: string({ nonEmpty: true }),
+  views: integer({ min: 0 }),
+  downloads: integer({ min: 0 }),
+}))
+
+const STATS_SUMMARY_ENTRY = {
+  count: optional(integer({ min: 0 })),
+  totalViews: optional(integer({ min: 0 })),
+  totalDownloads: optional(integer({ min: 0 })),
+  error: optional(string()),
+}
+
+// stats/summary.json（导出失败的系列只有 error 字段）
+export const STATS_SUMMARY_SCHEMA = object({
+  exportedAt: dateString(),
+  series: record(object({
+    ...STATS_SUMMARY_ENTRY,
+    windows: optional(record(object(STATS_SUMMARY_ENTRY))),
+  })),
+})
+
+// ========================================
+// 校验入口
+// ========================================
+
+/**
+ * 校验数据
+ * @param {Schema} schema - 数据结构
+ * @param {*} value - 待校验的值
+ * @param {string} [path] - 起始位置（用于错误信息）
+ * @returns {Violation[]} 所有错误，为空表示通过
+ */
+export function validate(schema, value, path = '') {
+  const errors = []
+  schema(value, path, errors)
+  return errors
+}
+
+/**
+ * 拆分有效和格式错误的条目（运行时隔离坏数据，避免整个分类加载失败）
+ * @param {Array} records - 条目列表
+ * @param {Schema} schema - 单个条目的结构
+ * @returns {{ valid: Array, invalid: Array<{ index: number, errors: Violation[] }> }}
+ */
+export function partitionRecords(records, schema) {
+  const valid = []
+  const invalid = []
+  records.forEach((item, index) => {
+    const errors = validate(schema, item)
+    if (errors.length > 0)
+      invalid.push({ index, errors })
+    else
+      valid.push(item)
+  })
+  return { valid, invalid }
+}
@@ -0,0 +1,185 @@
+// ========================================
+// 筛选排序流水线
+// ========================================
+// 纯函数实现，主线程（filter store）和 Worker 共用同一套逻辑。
+// 输入只包含可结构化克隆的数据，便于整体发送到 Worker：
+// - criteria：筛选条件和排序方式（见 filter store 的 getFilterCriteria）
+// - context：排序 / 搜索依赖的外部数据（搜索得分、热度排行，见 getFilterContext）
+
+import { matchesColor } from '@/utils/color'
+import { ASPECT_RATIO_OPTIONS, ASPECT_RATIO_TOLERANCE, RESOLUTION_THRESHOLDS } from '@/utils/constants'
+import { getIndexedTerms, matchesQuery, matchesTextTerm, parseSearchQuery } from '@/utils/search-query'
+import { sortByDate, sortByDownloads, sortByHue, sortByName, sortByPopularity, sortByRelevance, sortBySize, sortByViews } from '@/utils/sorting'
+
+// 依赖热度数据的排序方式
+export const POPULARITY_SORTS = ['popular', 'downloads', 'views', 'weekly-hot', 'monthly-hot']
+
+/**
+ * 根据长边判断壁纸所属的分辨率等级（精确匹配区间）
+ */
+function getResolutionLabel(wallpaper) {
+  const maxSide = Math.max(wallpaper.resolution?.width || 0, wallpaper.resolution?.height || 0)
+  const matched = RESOLUTION_THRESHOLDS.find((t, i) => {
+    const upperBound = i > 0 ? RESOLUTION_THRESHOLDS[i - 1].minWidth : Number.POSITIVE_INFINITY
+    return maxSide >= t.minWidth && maxSide < upperBound
+  })
+  return matched?.label
+}
+
+/**
+ * 宽高比是否在误差范围内一致
+ */
+function isSameAspectRatio(ratio, target) {
+  return Math.abs(ratio / target - 1) <= ASPECT_RATIO_TOLERANCE
+}
+
+/**
+ * 根据宽高比判断方向
+ * @returns {'landscape'|'portrait'|'square'}
+ */
+function getOrientation(ratio) {
+  if (isSameAspectRatio(ratio, 1))
+    return 'square'
+  return ratio > 1 ? 'landscape' : 'portrait'
+}
+
+/**
+ * 应用筛选条件
+ * @param {Array} wallpapers - 壁纸列表
+ * @param {object} criteria - 筛选条件
+ * @param {string} criteria.query - 搜索语句（语法见 utils/search-query.js）
+ * @param {string} criteria.formatFilter - 格式
+ * @param {string} criteria.resolutionFilter - 分辨率等级
+ * @param {string} criteria.aspectRatioFilter - 宽高比（见 ASPECT_RATIO_OPTIONS）
+ * @param {string} criteria.orientationFilter - 方向（landscape / portrait / square）
+ * @param {number} criteria.minWidth - 最小宽度（0 表示不限）
+ * @param {number} criteria.minHeight - 最小高度（0 表示不限）
+ * @param {string} criteria.colorFilter - 颜色（见 COLOR_OPTIONS）
+ * @param {string} criteria.categoryFilter - 一级分类
+ * @param {string} criteria.subcategoryFilter - 二级分类
+ * @param {boolean} criteria.skipCategoryFilter - 是否跳过一级分类筛选（筛选模式下数据已经是该分类的）
+ * @param {Map<string, number>|null} searchScores - 搜索索引结果（壁纸 ID -> 得分），未就绪时为 null
+ */
+export function filterWallpapers(wallpapers, criteria, searchScores = null) {
+  let result = [...wallpapers]
+
+  // 搜索过滤（关键词支持拼音、首字母和模糊匹配；另支持字段条件、排除项和 OR 分组）
+  const { ast } = parseSearchQuery(criteria.query || '')
+  if (ast) {
+    const indexed = new Set(getIndexedTerms(ast))
+    // 索引结果就绪时普通关键词用索引结果，否则（以及短语、排除项、OR 分组中的关键词）用子串匹配
+    const matchText = (node, w) => (searchScores && indexed.has(node) ? searchScores.has(w.id) : matchesTextTerm(w, node.value))
+    result = result.filter(w => matchesQuery(ast, w, matchText))
+  }
+
+  // 格式过滤
+  const format = criteria.formatFilter || 'all'
+  if (format !== 'all') {
+    result = result.filter(w =>
+      w.format.toLowerCase() === format.toLowerCase(),
+    )
+  }
+
+  // 分辨率过滤
+  const resolution = criteria.resolutionFilter || 'all'
+  if (resolution !== 'all') {
+    result = result.filter(w => getResolutionLabel(w) === resolution)
+  }
+
+  // 宽高比、方向和最小尺寸过滤（没有尺寸信息的壁纸视为不匹配）
+  const targetRatio = ASPECT_RATIO_OPTIONS.find(opt => opt.value === criteria.aspectRatioFilter)?.ratio
+  const orientation = criteria.orientationFilter || 'all'
+  const minWidth = criteria.minWidth || 0
+  const minHeight = criteria.minHeight || 0
+  if (targetRatio || orientation !== 'all' || minWidth > 0 || minHeight > 0) {
+    result = result.filter((w) => {
+      const width = w.resolution?.width || 0
+      const height = w.resolution?.height || 0
+      if (width <= 0 || height <= 0)
+        return false
+      const ratio = width / height
+      return (!targetRatio || isSameAspectRatio(ratio, targetRatio))
+        && (orientation === 'all' || getOrientation(ratio) === orientation)
+        && width >= minWidth
+        && height >= minHeight
+    })
+  }
+
+  // 颜色过滤（没有主色调的壁纸视为不匹配）
+  const color = criteria.colorFilter || 'all'
+  if (color !== 'all') {
+    result = result.filter(w => matchesColor(w, color))
+  }
+
+  // 一级分类过滤
+  const category = criteria.categoryFilter || 'all'
+  if (!criteria.skipCategoryFilter && category !== 'all') {
+    result = result.filter(w => w.category === category)
+  }
+
+  // 二级分类过滤
+  const subcategory = criteria.subcategoryFilter || 'all'
+  if (subcategory !== 'all') {
+    result = result.filter(w => w.subcategory === subcategory)
+  }
+
+  return result
+}
+
+/**
+ * 应用排序
+ * @param {Array} wallpapers - 壁纸列表
+ * @param {string} sortBy - 排序方式
+ * @param {object} context - 排序依赖的数据
+ * @param {Map<string, number>|null} context.searchScores - 搜索得分（相关度排序）
+ * @param {Map<string, object>|null} context.popularityMap - 当前排序方式对应的热度排行（总榜 / 周榜 / 月榜）
+ * @param {boolean} context.popularityLoading - 热度数据是否加载中
+ */
+export function sortWallpapers(wallpapers, sortBy, context = {}) {
+  // 如果排序依赖热度数据但数据未加载完成，暂时使用日期排序（降级方案）
+  // 这样可以避免在数据加载过程中显示错误的排序结果，防止界面跳动
+  if (POPULARITY_SORTS.includes(sortBy) && (context.popularityLoading || !context.popularityMap)) {
+    return sortByDate(wallpapers, 'desc')
+  }
+
+  switch (sortBy) {
+    case 'newest':
+      return sortByDate(wallpapers, 'desc')
+    case 'oldest':
+      return sortByDate(wallpapers, 'asc')
+    case 'relevance':
+      // 没有关键词（或结果未就绪）时按最新排序
+      return context.searchScores ? sortByRelevance(wallpapers, context.searchScores) : sortByDate(wallpapers, 'desc')
+    case 'popular':
+    case 'weekly-hot':
+    case 'monthly-hot':
+      return sortByPopularity(wallpapers, context.popularityMap)
+    case 'downloads':
+      return sortByDownloads(wallpapers, context.popularityMap)
+    case 'views':
+      return sortByViews(wallpapers, context.popularityMap)
+    case 'largest':
+      return sortBySize(wallpapers, 'desc')
+    case 'smallest':
+      return sortBySize(wallpapers, 'asc')
+    case 'hue':
+      return sortByHue(wallpapers)
+    case 'name-asc':
+      return sortByName(wallpapers, 'asc')
+    case 'name-desc':
+      return sortByName(wallpapers, 'desc')
+    default:
+      return wallpapers
+  }
+}
+
+/**
+ * 筛选 + 排序
+ * @param {Array} wallpapers - 壁纸列表
+ * @param {object} criteria - 筛选条件（含 sortBy）
+ * @param {object} context - 排序依赖的数据
+ */
+export function filterAndSortWallpapers(wallpapers, criteria, context = {}) {
+  const filtered = filterWallpapers(wallpapers, criteria, context.searchScores)
+  return sortWallpapers(filtered, criteria.sortBy, context)
+}
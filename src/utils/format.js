@@ -2,18 +2,12 @@
 // 格式化工具函数
 // ========================================
 
-import { CDN_VERSION, RESOLUTION_THRESHOLDS, SERIES_CONFIG } from '@/utils/constants'
-
-// URL 构建器（运行时动态拼接，防止静态分析提取完整 URL）
-const _urlParts = {
-  p: 'https://',
-  h: 'cdn.jsdelivr.net',
-  g: '/gh/IT-NuanxinPro',
-  r: `/nuanXinProPic@${CDN_VERSION}`,
-}
+import { fetchImageWithFailover, resolveImageUrl } from '@/services/imageMirrors'
+import { CDN_VERSION, IMAGE_MIRRORS, SERIES_CONFIG } from '@/utils/constants'
 
 /**
- * 动态构建图片 URL（支持 cdnTag 缓存优化）
+ * 构建图片的默认 URL（默认镜像，支持 cdnTag 缓存优化）
+ * 实际显示和下载时通过 services/imageMirrors.js 的 resolveImageUrl() 按镜像健康度切换
  * @param {string} path - 相对路径，如 /wallpaper/desktop/xxx.png
  * @param {string} [cdnTag] - 可选的 CDN tag (用于精准缓存控制)
  * @returns {string} 完整 URL
@@ -26,47 +20,11 @@ const _urlParts = {
  * buildImageUrl('/wallpaper/desktop/xxx.png', 'v1.0.5')
  */
 export function buildImageUrl(path, cdnTag) {
-  const { p, h, g } = _urlParts
-  const tag = cdnTag || CDN_VERSION
-  const r = `/nuanXinProPic@${tag}`
-  return `${p}${h}${g}${r}${path}`
-}
-
-/**
- * 从完整 URL 提取路径部分
- * @param {string} url - 完整 URL
- * @returns {string} 路径部分
- */
-export function extractPathFromUrl(url) {
-  if (!url)
-    return ''
-  const marker = '@main'
-  const idx = url.indexOf(marker)
-  if (idx === -1)
-    return url
-  return url.slice(idx + marker.length)
+  return `${IMAGE_MIRRORS[0].baseUrl.replace('{tag}', cdnTag || CDN_VERSION)}${path}`
 }
 
-/**
- * 根据真实分辨率获取标签
- * @param {number} width - 图片宽度
- * @param {number} height - 图片高度
- * @returns {object} { width, height, label, type }
- */
-export function getResolutionLabel(width, height) {
-  const maxSide = Math.max(width, height) // 取长边判断
-  for (const threshold of RESOLUTION_THRESHOLDS) {
-    if (maxSide >= threshold.minWidth) {
-      return {
-        width,
-        height,
-        label: threshold.label,
-        type: threshold.type,
-      }
-    }
-  }
-  return { width, height, label: '标清', type: 'secondary' }
-}
+// 根据真实分辨率获取标签（与 Node 脚本共用）
+export { getResolutionLabel } from '@/utils/resolution'
 
 /**
  * 格式化数字（如 1.2k）
@@ -210,77 +168,50 @@ export function getDisplayFilename(filename) {
   return name
 }
 
+/**
+ * 将 Blob 保存为本地文件（触发浏览器下载）
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 保存的文件名
+ */
+export function saveBlob(blob, filename) {
+  const blobUrl = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = blobUrl
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(blobUrl)
+}
+
 /**
  * 下载文件
- * @param {string} url - 文件 URL
+ * @param {object|string} source - 壁纸对象或文件 URL（镜像失败时自动切换）
  * @param {string} filename - 保存的文件名
  */
-export async function downloadFile(url, filename) {
+export async function downloadFile(source, filename) {
   try {
-    // 动态重建 URL（如果是 CDN 链接）
-    let finalUrl = url
-    if (url.includes('@main')) {
-      const path = extractPathFromUrl(url)
-      finalUrl = buildImageUrl(path)
-    }
-
-    const response = await fetch(finalUrl)
-
-    // 如果 CDN 返回 403 或 404，回退到 GitHub Raw CDN
-    if (!response.ok || response.status === 403 || response.status === 404) {
-      console.warn('[downloadFile] CDN 失败，回退到 GitHub Raw CDN:', response.status)
-      finalUrl = buildRawImageUrl(finalUrl)
-      const fallbackResponse = await fetch(finalUrl)
-
-      if (!fallbackResponse.ok) {
-        throw new Error(`GitHub Raw CDN 失败: ${fallbackResponse.status}`)
-      }
-
-      const blob = await fallbackResponse.blob()
-      const blobUrl = URL.createObjectURL(blob)
-
-      const link = document.createElement('a')
-      link.href = blobUrl
-      link.download = filename
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      URL.revokeObjectURL(blobUrl)
-    }
-    else {
-      const blob = await response.blob()
-      const blobUrl = URL.createObjectURL(blob)
-
-      const link = document.createElement('a')
-      link.href = blobUrl
-      link.download = filename
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      URL.revokeObjectURL(blobUrl)
-    }
+    const response = await fetchOriginalImage(source)
+    saveBlob(await response.blob(), filename)
   }
   catch {
     // 降级方案：直接打开链接
-    window.open(url, '_blank')
+    const url = resolveImageUrl(source, 'download')
+    if (url)
+      window.open(url, '_blank')
   }
 }
 
 /**
- * 构建 GitHub Raw CDN URL（无大小限制）
- * @param {string} cdnUrl - jsDelivr CDN URL
- * @returns {string} GitHub Raw CDN URL
+ * 请求原图（带重试，当前镜像失败时依次切换到其他镜像）
+ * @param {object|string} source - 壁纸对象或图片 URL
+ * @param {object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Response>} 成功的响应（调用方自行读取 blob 或 body 流）
  */
-export function buildRawImageUrl(cdnUrl) {
-  // 从 jsDelivr URL 提取路径
-  // 示例: https://cdn.jsdelivr.net/gh/IT-NuanxinPro/nuanXinProPic@v1.1.14/wallpaper/...
-  const match = cdnUrl.match(/\/gh\/IT-NuanxinPro\/nuanXinProPic@([^/]+)(\/.*)/)
-  if (match) {
-    const version = match[1]
-    const path = match[2]
-    return `https://raw.githubusercontent.com/IT-NuanxinPro/nuanXinProPic/${version}${path}`
-  }
-  return cdnUrl
+export function fetchOriginalImage(source, { signal } = {}) {
+  return fetchImageWithFailover(source, 'download', { signal })
 }
 
 // ========================================
@@ -0,0 +1,33 @@
+// ========================================
+// 图片路径约定
+// ========================================
+// 原图：/wallpaper/{系列}/{分类}/{二级分类}/{文件名}（目录保持原样，文件名 URL 编码）
+// 缩略图、预览图：/thumbnail|preview/ 下的同名 .webp 文件
+// Node 脚本（generate-data、generate-thumbnails）共用，不依赖浏览器或 Node API
+
+// 原图根目录
+export const ORIGINAL_ROOT = 'wallpaper'
+
+// 派生图片类型（同时也是图床仓库中的根目录名）
+export const DERIVATIVE_KINDS = ['thumbnail', 'preview']
+
+/**
+ * 生成原图路径
+ * @param {string[]} dirs - 系列、分类、二级分类目录
+ * @param {string} filename - 文件名
+ * @returns {string} 如 /wallpaper/desktop/风景/山川/%E6%A0%91....jpg
+ */
+export function buildOriginalPath(dirs, filename) {
+  return `/${[ORIGINAL_ROOT, ...dirs].join('/')}/${encodeURIComponent(filename)}`
+}
+
+/**
+ * 根据原图路径生成缩略图 / 预览图路径
+ * @param {string} originalPath - 原图路径
+ * @param {'thumbnail'|'preview'} kind - 派生图片类型
+ * @returns {string|null} 不是原图路径时返回 null
+ */
+export function getDerivativePath(originalPath, kind) {
+  const match = originalPath?.match(new RegExp(`^/${ORIGINAL_ROOT}(/.+)\\.[^./]+$`))
+  return match ? `/${kind}${match[1]}.webp` : null
+}
@@ -0,0 +1,79 @@
+// ========================================
+// 汉字转拼音工具（用于搜索索引）
+// ========================================
+
+import { PINYIN_DATA } from './pinyin-data'
+
+// 单个短语最多生成的拼音组合数（多音字组合会成倍增长）
+const MAX_VARIANTS = 8
+
+const HAN_REGEX = /\p{Script=Han}/u
+
+// 汉字 -> 拼音列表（懒加载）
+let charMap = null
+
+function getCharMap() {
+  if (charMap)
+    return charMap
+
+  charMap = new Map()
+  PINYIN_DATA.split('|').forEach((group) => {
+    const [syllable, chars] = group.split(':')
+    // ü 写作 v，同时兼容用户输入 u（如 nv / nu）
+    const readings = syllable.includes('v') ? [syllable, syllable.replace(/v/g, 'u')] : [syllable]
+    for (const char of chars) {
+      const list = charMap.get(char)
+      if (list)
+        list.push(...readings)
+      else
+        charMap.set(char, [...readings])
+    }
+  })
+  return charMap
+}
+
+/**
+ * 是否为汉字
+ * @param {string} char - 单个字符
+ */
+export function isHanChar(char) {
+  return HAN_REGEX.test(char)
+}
+
+/**
+ * 获取单个汉字的拼音（无声调，多音字返回多个）
+ * @param {string} char - 单个汉字
+ * @returns {string[]} 拼音列表，未收录的字返回空数组
+ */
+export function getCharPinyin(char) {
+  return getCharMap().get(char) || []
+}
+
+/**
+ * 获取汉字短语的拼音形式（全拼音节、首字母）
+ * 多音字会生成多种组合（最多 MAX_VARIANTS 种），未收录的字保留原字
+ *
+ * @example
+ * getPinyinVariants('风景') // [['feng', 'jing']]
+ * getPinyinVariants('长城') // [['chang', 'cheng'], ['zhang', 'cheng']]
+ *
+ * @param {string} text - 汉字短语
+ * @returns {string[][]} 每种组合的音节数组
+ */
+export function getPinyinVariants(text) {
+  let variants = [[]]
+  for (const char of text) {
+    const readings = getCharPinyin(char)
+    const options = readings.length > 0 ? readings : [char]
+    const next = []
+    for (const variant of variants) {
+      for (const reading of options) {
+        if (next.length >= MAX_VARIANTS)
+          break
+        next.push([...variant, reading])
+      }
+    }
+    variants = next
+  }
+  return variants
+}
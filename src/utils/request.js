@@ -0,0 +1,54 @@
+// ========================================
+// 网络请求工具
+// ========================================
+
+// 重试配置
+const MAX_RETRIES = 3
+const RETRY_DELAY = 1000 // 1秒
+
+/**
+ * 延迟函数
+ * @param {number} ms - 延迟毫秒数
+ */
+export function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * 带重试的 fetch 请求
+ * 4xx 错误不重试；5xx 和网络错误按递增间隔重试；请求被取消（AbortError）时立即抛出
+ * @param {string} url - 请求地址
+ * @param {RequestInit} [options] - fetch 选项（可传入 signal 用于取消）
+ * @param {number} [retries] - 最大尝试次数
+ * @returns {Promise<Response>} 成功的响应
+ */
+export async function fetchWithRetry(url, options = {}, retries = MAX_RETRIES) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const response = await fetch(url, options)
+      if (!response.ok) {
+        // 4xx 错误不重试
+        if (response.status >= 400 && response.status < 500) {
+          throw new Error(`HTTP error! status: ${response.status}`)
+        }
+        // 5xx 错误重试
+        if (i < retries - 1) {
+          await delay(RETRY_DELAY * (i + 1))
+          continue
+        }
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+      return response
+    }
+    catch (error) {
+      // 网络错误重试（已取消的请求不再重试）
+      if (error instanceof TypeError && error.message.includes('fetch') && !options.signal?.aborted) {
+        if (i < retries - 1) {
+          await delay(RETRY_DELAY * (i + 1))
+          continue
+        }
+      }
+      throw error
+    }
+  }
+}
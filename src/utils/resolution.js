@@ -0,0 +1,38 @@
+// ========================================
+// 分辨率标签
+// ========================================
+// 应用和 Node 脚本（generate-data）共用，不依赖浏览器 API
+
+// 分辨率标签阈值（按长边判断）
+export const RESOLUTION_THRESHOLDS = [
+  { minWidth: 15360, label: '16K', type: 'danger' },
+  { minWidth: 7680, label: '8K', type: 'danger' },
+  { minWidth: 5120, label: '5K+', type: 'danger' },
+  { minWidth: 4096, label: '4K+', type: 'warning' },
+  { minWidth: 3840, label: '4K', type: 'success' },
+  { minWidth: 2048, label: '2K', type: 'info' },
+  { minWidth: 1920, label: '超清', type: 'primary' },
+  { minWidth: 1280, label: '高清', type: 'secondary' },
+  { minWidth: 0, label: '标清', type: 'secondary' },
+]
+
+/**
+ * 根据真实分辨率获取标签
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @returns {object} { width, height, label, type }
+ */
+export function getResolutionLabel(width, height) {
+  const maxSide = Math.max(width, height) // 取长边判断
+  for (const threshold of RESOLUTION_THRESHOLDS) {
+    if (maxSide >= threshold.minWidth) {
+      return {
+        width,
+        height,
+        label: threshold.label,
+        type: threshold.type,
+      }
+    }
+  }
+  return { width, height, label: '标清', type: 'secondary' }
+}
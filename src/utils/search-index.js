@@ -0,0 +1,306 @@
+// ========================================
+// 壁纸搜索索引（倒排索引 + 拼音 + 模糊匹配）
+// ========================================
+// 在 Web Worker 中构建和查询（见 workers/data-processor.worker.js），
+// Worker 不可用时也可以直接在主线程使用。
+//
+// 索引词项来源：
+// - 英文 / 数字单词及其后缀（后缀用于子串匹配，如 set -> sunset）
+// - 汉字短语及其后缀（如 风景壁纸 -> 景壁纸、壁纸、纸）
+// - 汉字短语的全拼及按音节切分的后缀（fengjing、jing）
+// - 汉字短语的拼音首字母及其后缀（fj、j）
+// 查询时每个关键词在有序词表上做前缀查找，较长的英文 / 拼音关键词再做编辑距离模糊匹配，
+// 多个关键词之间为 AND 关系，得分累加。
+
+import { getPinyinVariants, isHanChar } from './pinyin'
+
+// 字段权重
+const FIELD_WEIGHTS = {
+  displayTitle: 5,
+  tags: 4,
+  keywords: 4,
+  category: 3,
+  subcategory: 3,
+  filename: 2,
+  description: 1,
+}
+
+// 词项类型系数
+const TERM_FACTORS = {
+  word: 1, // 原文单词 / 短语
+  pinyin: 0.9, // 全拼
+  initials: 0.75, // 拼音首字母
+  suffix: 0.7, // 后缀（子串匹配）
+}
+
+// 模糊匹配得分系数（编辑距离 -> 系数）
+const FUZZY_FACTORS = { 1: 0.5, 2: 0.35 }
+
+// 触发模糊匹配的最短关键词长度
+const FUZZY_MIN_LENGTH = 4
+
+// 搜索时参与索引的壁纸字段
+export const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS)
+
+/**
+ * 规范化文本（小写、全角转半角）
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFKC').toLowerCase()
+}
+
+/**
+ * 将文本切分为汉字短语和英文 / 数字单词
+ * @returns {{ han: string[], words: string[] }} 切分结果
+ */
+function splitText(text) {
+  const han = []
+  const words = []
+  let hanRun = ''
+  let wordRun = ''
+
+  const flush = () => {
+    if (hanRun)
+      han.push(hanRun)
+    if (wordRun)
+      words.push(wordRun)
+    hanRun = ''
+    wordRun = ''
+  }
+
+  for (const char of normalizeText(text)) {
+    if (isHanChar(char)) {
+      if (wordRun) {
+        words.push(wordRun)
+        wordRun = ''
+      }
+      hanRun += char
+    }
+    else if (/[a-z0-9]/.test(char)) {
+      if (hanRun) {
+        han.push(hanRun)
+        hanRun = ''
+      }
+      wordRun += char
+    }
+    else {
+      flush()
+    }
+  }
+  flush()
+
+  return { han, words }
+}
+
+/**
+ * 从壁纸对象中提取搜索所需的字段（减少传给 Worker 的数据量）
+ * @param {object} wallpaper - 壁纸对象
+ */
+export function toSearchDocument(wallpaper) {
+  const doc = { id: wallpaper.id }
+  SEARCH_FIELDS.forEach((field) => {
+    const value = wallpaper[field]
+    if (Array.isArray(value))
+      doc[field] = value.filter(item => typeof item === 'string')
+    else if (typeof value === 'string' && value)
+      doc[field] = field === 'filename' ? value.replace(/\.[^.]+$/, '') : value
+  })
+  return doc
+}
+
+/**
+ * 构建搜索索引
+ * @param {Array<object>} documents - toSearchDocument 生成的文档
+ * @returns {object} 索引（可在同一线程内反复查询）
+ */
+export function buildSearchIndex(documents) {
+  // 词项 -> Map(文档序号 -> 权重)
+  const postings = new Map()
+  // 可参与模糊匹配的完整词（英文单词、全拼），按长度分组
+  const fuzzyBuckets = new Map()
+
+  function addTerm(term, docIndex, weight) {
+    if (!term)
+      return
+    let docs = postings.get(term)
+    if (!docs) {
+      docs = new Map()
+      postings.set(term, docs)
+    }
+    if ((docs.get(docIndex) || 0) < weight)
+      docs.set(docIndex, weight)
+  }
+
+  function addFuzzyTerm(term) {
+    if (term.length < FUZZY_MIN_LENGTH - 1)
+      return
+    let bucket = fuzzyBuckets.get(term.length)
+    if (!bucket) {
+      bucket = new Set()
+      fuzzyBuckets.set(term.length, bucket)
+    }
+    bucket.add(term)
+  }
+
+  // 添加词项及其后缀（后缀至少 minLength 个字符 / 音节）
+  function addWithSuffixes(parts, docIndex, weight, minLength = 1) {
+    addTerm(parts.join(''), docIndex, weight)
+    for (let i = 1; i <= parts.length - minLength; i++)
+      addTerm(parts.slice(i).join(''), docIndex, weight * TERM_FACTORS.suffix)
+  }
+
+  documents.forEach((doc, docIndex) => {
+    SEARCH_FIELDS.forEach((field) => {
+      const value = doc[field]
+      if (!value)
+        return
+      const fieldWeight = FIELD_WEIGHTS[field]
+      const texts = Array.isArray(value) ? value : [value]
+
+      texts.forEach((text) => {
+        const { han, words } = splitText(text)
+
+        words.forEach((word) => {
+          addWithSuffixes([...word], docIndex, fieldWeight * TERM_FACTORS.word, 2)
+          addFuzzyTerm(word)
+        })
+
+        han.forEach((phrase) => {
+          addWithSuffixes([...phrase], docIndex, fieldWeight * TERM_FACTORS.word)
+
+          getPinyinVariants(phrase).forEach((syllables) => {
+            addWithSuffixes(syllables, docIndex, fieldWeight * TERM_FACTORS.pinyin)
+            addWithSuffixes(syllables.map(s => s[0]), docIndex, fieldWeight * TERM_FACTORS.initials)
+            addFuzzyTerm(syllables.join(''))
+          })
+        })
+      })
+    })
+  })
+
+  return {
+    ids: documents.map(doc => doc.id),
+    postings,
+    sortedTerms: [...postings.keys()].sort(),
+    fuzzyBuckets,
+  }
+}
+
+/**
+ * 二分查找第一个 >= prefix 的词项位置
+ */
+function lowerBound(sortedTerms, prefix) {
+  let low = 0
+  let high = sortedTerms.length
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    if (sortedTerms[mid] < prefix)
+      low = mid + 1
+    else
+      high = mid
+  }
+  return low
+}
+
+/**
+ * 编辑距离（超过 maxDistance 时提前返回 maxDistance + 1）
+ */
+function boundedLevenshtein(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance)
+    return maxDistance + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > maxDistance)
+      return maxDistance + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * 查询单个关键词，返回 Map(文档序号 -> 得分)
+ */
+function searchToken(index, token) {
+  const scores = new Map()
+
+  function collect(term, factor) {
+    index.postings.get(term)?.forEach((weight, docIndex) => {
+      const score = weight * factor
+      if ((scores.get(docIndex) || 0) < score)
+        scores.set(docIndex, score)
+    })
+  }
+
+  // 前缀匹配（包含精确匹配；后缀词项使前缀匹配同时覆盖子串匹配）
+  const { sortedTerms } = index
+  for (let i = lowerBound(sortedTerms, token); i < sortedTerms.length; i++) {
+    const term = sortedTerms[i]
+    if (!term.startsWith(token))
+      break
+    // 关键词覆盖词项越完整，得分越高
+    collect(term, term === token ? 1 : 0.6 + 0.3 * (token.length / term.length))
+  }
+
+  // 模糊匹配（容忍拼写错误，仅对较长的英文 / 拼音关键词）
+  if (token.length >= FUZZY_MIN_LENGTH && /^[a-z0-9]+$/.test(token)) {
+    const maxDistance = token.length >= 8 ? 2 : 1
+    for (let length = token.length - maxDistance; length <= token.length + maxDistance; length++) {
+      index.fuzzyBuckets.get(length)?.forEach((term) => {
+        if (term.startsWith(token))
+          return
+        const distance = boundedLevenshtein(token, term, maxDistance)
+        if (distance > 0 && distance <= maxDistance)
+          collect(term, FUZZY_FACTORS[distance])
+      })
+    }
+  }
+
+  return scores
+}
+
+/**
+ * 查询索引
+ * 多个关键词（空格或标点分隔）为 AND 关系，得分为各关键词得分之和
+ * @param {object} index - buildSearchIndex 返回的索引
+ * @param {string} query - 搜索词
+ * @returns {Array<[string, number]>} [壁纸 ID, 得分]，按得分降序
+ */
+export function searchIndex(index, query) {
+  // 空格、标点等非文字字符均视为分隔符
+  const tokens = normalizeText(query)
+    .split(/[^\p{Script=Han}a-z0-9]+/u)
+    .filter(Boolean)
+
+  if (tokens.length === 0)
+    return []
+
+  let total = null
+  for (const token of tokens) {
+    const scores = searchToken(index, token)
+    if (total === null) {
+      total = scores
+    }
+    else {
+      const merged = new Map()
+      total.forEach((score, docIndex) => {
+        if (scores.has(docIndex))
+          merged.set(docIndex, score + scores.get(docIndex))
+      })
+      total = merged
+    }
+    if (total.size === 0)
+      return []
+  }
+
+  return [...total.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([docIndex, score]) => [index.ids[docIndex], Math.round(score * 1000) / 1000])
+}
@@ -0,0 +1,658 @@
+// ========================================
+// 搜索查询语法解析
+// ========================================
+// 搜索框除普通关键词外，还支持结构化查询，例：
+//   cat:动漫 res:>=4K fmt:png -萌宠 date:2025-06..2025-08 size:<2MB
+//   "城市 夜景" (星空 OR 银河)
+//
+// 语法：
+// - 多个条件用空格分隔，为 AND 关系；用 OR（或 |）连接为 OR 关系，可用括号分组
+// - -条件 表示排除；"..." 为精确短语（不做拼音 / 模糊匹配）
+// - 字段:值，字段见 QUERY_FIELDS；res / size / date 支持 > >= < <= 比较和 a..b 区间
+//
+// 字段条件与筛选面板语义一致：
+// - cat / sub 对应 categoryFilter / subcategoryFilter（精确匹配）
+// - fmt 对应 formatFilter
+// - res:4K 对应 resolutionFilter（按长边所属的分辨率等级匹配），res:>=4K 表示 4K 及以上
+
+import { FORMAT_OPTIONS, RESOLUTION_THRESHOLDS } from '@/utils/constants'
+
+// 支持的字段（key 为规范名称）
+export const QUERY_FIELDS = {
+  cat: { label: '一级分类', type: 'text', aliases: ['category', '分类'], example: 'cat:风景' },
+  sub: { label: '二级分类', type: 'text', aliases: ['subcategory', '子分类'], example: 'sub:天空' },
+  tag: { label: '标签', type: 'text', aliases: ['tags', '标签'], example: 'tag:夜景' },
+  fmt: { label: '格式', type: 'format', aliases: ['format', '格式'], example: 'fmt:png' },
+  res: { label: '分辨率', type: 'resolution', aliases: ['resolution', '分辨率'], example: 'res:>=4K' },
+  size: { label: '文件大小', type: 'size', aliases: ['大小'], example: 'size:<2MB' },
+  date: { label: '日期', type: 'date', aliases: ['日期'], example: 'date:2025-06..2025-08' },
+}
+
+// 字段别名 -> 规范名称
+const FIELD_ALIASES = Object.fromEntries(
+  Object.entries(QUERY_FIELDS).flatMap(([key, field]) => [key, ...field.aliases].map(name => [name, key])),
+)
+
+// 可选格式（不含“全部”）
+const FORMAT_VALUES = FORMAT_OPTIONS.map(opt => opt.value).filter(value => value !== 'all')
+
+// 文件大小单位
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 }
+
+// 文件大小快捷值（用于自动补全）
+const SIZE_PRESETS = ['<500KB', '<1MB', '<2MB', '<5MB', '>5MB', '>10MB', '1MB..5MB']
+
+const COMPARATOR_REGEX = /^([<>]=?|=)?(.*)$/
+
+/**
+ * 创建错误信息
+ */
+function createError(message, start, end) {
+  return { message, start, end }
+}
+
+// ========================================
+// 词法分析
+// ========================================
+
+/**
+ * 读取引号内的文本
+ * @returns {{ value: string, end: number }} 文本和结束位置（右引号之后）
+ */
+function readQuoted(input, quoteIndex, errors) {
+  const close = input.indexOf('"', quoteIndex + 1)
+  if (close === -1) {
+    errors.push(createError('缺少右引号', quoteIndex, input.length))
+    return { value: input.slice(quoteIndex + 1), end: input.length }
+  }
+  return { value: input.slice(quoteIndex + 1, close), end: close + 1 }
+}
+
+/**
+ * 将查询拆分为词法单元
+ * 类型：word 关键词 | phrase 短语 | field 字段条件 | or | not | ( | )
+ */
+function tokenize(input, errors) {
+  const tokens = []
+  let i = 0
+
+  while (i < input.length) {
+    const char = input[i]
+
+    if (/\s/.test(char)) {
+      i++
+      continue
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, start: i, end: i + 1 })
+      i++
+      continue
+    }
+
+    if (char === '|') {
+      tokens.push({ type: 'or', start: i, end: i + 1 })
+      i++
+      continue
+    }
+
+    if (char === '-') {
+      if (i + 1 >= input.length || /\s/.test(input[i + 1]))
+        errors.push(createError('“-” 后缺少要排除的条件', i, i + 1))
+      else
+        tokens.push({ type: 'not', start: i, end: i + 1 })
+      i++
+      continue
+    }
+
+    if (char === '"') {
+      const { value, end } = readQuoted(input, i, errors)
+      tokens.push({ type: 'phrase', value, start: i, end })
+      i = end
+      continue
+    }
+
+    // 关键词 / 字段条件（中文冒号视为英文冒号）
+    const start = i
+    while (i < input.length && !/[\s()|"]/.test(input[i]))
+      i++
+    const word = input.slice(start, i)
+    const colon = word.search(/[:：]/)
+
+    if (colon > 0 && colon === word.length - 1 && input[i] === '"') {
+      // 字段值带引号：cat:"城市 夜景"
+      const { value, end } = readQuoted(input, i, errors)
+      tokens.push({ type: 'field', name: word.slice(0, colon), value, quoted: true, start, end })
+      i = end
+    }
+    else if (colon > 0) {
+      tokens.push({ type: 'field', name: word.slice(0, colon), value: word.slice(colon + 1), start, end: i })
+    }
+    else if (word === 'OR') {
+      tokens.push({ type: 'or', start, end: i })
+    }
+    else {
+      tokens.push({ type: 'word', value: word, start, end: i })
+    }
+  }
+
+  return tokens
+}
+
+// ========================================
+// 字段值解析
+// ========================================
+
+/**
+ * 解析单个数值（返回左闭右开区间 [min, max)）
+ * @returns {{ min: number, max: number, tolerance?: number } | { error: string }} 区间或错误信息
+ */
+function parseValue(type, raw) {
+  const value = raw.trim()
+
+  if (type === 'resolution') {
+    // 分辨率等级：区间为该等级覆盖的长边范围
+    const index = RESOLUTION_THRESHOLDS.findIndex(t => t.label.toLowerCase() === value.toLowerCase())
+    if (index !== -1) {
+      return {
+        min: RESOLUTION_THRESHOLDS[index].minWidth,
+        max: index > 0 ? RESOLUTION_THRESHOLDS[index - 1].minWidth : Number.POSITIVE_INFINITY,
+      }
+    }
+    // 宽x高 或 长边像素
+    const dimensions = value.match(/^(\d+)\s*[x×*]\s*(\d+)$/i)
+    const pixels = dimensions ? Math.max(Number(dimensions[1]), Number(dimensions[2])) : (/^\d+$/.test(value) ? Number(value) : null)
+    if (pixels !== null)
+      return { min: pixels, max: pixels + 1 }
+    return { error: `无法识别的分辨率 "${value}"，示例：4K、2K、2560、3840x2160` }
+  }
+
+  if (type === 'size') {
+    const match = value.match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i)
+    if (!match)
+      return { error: `无法识别的文件大小 "${value}"，示例：500KB、2MB` }
+    const unit = SIZE_UNITS[match[2].toLowerCase()]
+    if (!unit)
+      return { error: `文件大小需要单位（B / KB / MB / GB），如 ${match[1]}MB` }
+    const bytes = Math.round(Number(match[1]) * unit)
+    // “等于”按所写单位的精度匹配（size:2MB 匹配 1.5MB ~ 2.5MB）
+    return { min: bytes, max: bytes + 1, tolerance: unit / 2 }
+  }
+
+  // 日期：2025 / 2025-06 / 2025-06-15（按 UTC 计算，与数据中的 createdAt 一致）
+  const match = value.match(/^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?$/)
+  if (match) {
+    const year = Number(match[1])
+    const month = match[2] ? Number(match[2]) : null
+    const day = match[3] ? Number(match[3]) : null
+    const daysInMonth = month ? new Date(Date.UTC(year, month, 0)).getUTCDate() : 0
+    if ((month === null || (month >= 1 && month <= 12)) && (day === null || (day >= 1 && day <= daysInMonth))) {
+      if (day)
+        return { min: Date.UTC(year, month - 1, day), max: Date.UTC(year, month - 1, day + 1) }
+      if (month)
+        return { min: Date.UTC(year, month - 1, 1), max: Date.UTC(year, month, 1) }
+      return { min: Date.UTC(year, 0, 1), max: Date.UTC(year + 1, 0, 1) }
+    }
+  }
+  return { error: `无法识别的日期 "${value}"，示例：2025、2025-06、2025-06-15` }
+}
+
+/**
+ * 解析比较 / 区间表达式（>=4K、<2MB、2025-06..2025-08）
+ * @returns {{ min: number, max: number } | { error: string }} 左闭右开区间或错误信息
+ */
+function parseRange(type, raw) {
+  const parts = raw.split('..')
+
+  if (parts.length > 2)
+    return { error: '区间格式应为 起点..终点' }
+
+  if (parts.length === 2) {
+    const [from, to] = parts
+    if (!from.trim() && !to.trim())
+      return { error: '区间缺少起点和终点' }
+    const lower = from.trim() ? parseValue(type, from) : { min: Number.NEGATIVE_INFINITY }
+    if (lower.error)
+      return lower
+    const upper = to.trim() ? parseValue(type, to) : { max: Number.POSITIVE_INFINITY }
+    if (upper.error)
+      return upper
+    if (lower.min >= upper.max)
+      return { error: '区间起点不能大于终点' }
+    return { min: lower.min, max: upper.max }
+  }
+
+  const [, operator = '=', rest] = raw.match(COMPARATOR_REGEX)
+  if (!rest.trim())
+    return { error: `“${operator}” 后缺少值` }
+  const value = parseValue(type, rest)
+  if (value.error)
+    return value
+
+  switch (operator) {
+    case '>=':
+      return { min: value.min, max: Number.POSITIVE_INFINITY }
+    case '>':
+      return { min: value.max, max: Number.POSITIVE_INFINITY }
+    case '<':
+      return { min: Number.NEGATIVE_INFINITY, max: value.min }
+    case '<=':
+      return { min: Number.NEGATIVE_INFINITY, max: value.max }
+    default:
+      return value.tolerance
+        ? { min: value.min - value.tolerance, max: value.min + value.tolerance }
+        : { min: value.min, max: value.max }
+  }
+}
+
+/**
+ * 解析字段条件
+ * @returns {object|null} 字段节点，无法解析时返回 null（并记录错误）
+ */
+function parseField(token, errors) {
+  const key = FIELD_ALIASES[token.name.toLowerCase()]
+  const { start, end } = token
+
+  if (!key) {
+    // 英文字段名大概率是拼写错误，其他情况（如 12:30）按普通关键词处理
+    if (/^[a-z]+$/i.test(token.name)) {
+      errors.push(createError(`未知字段 "${token.name}:"，可用字段：${Object.keys(QUERY_FIELDS).join('、')}`, start, end))
+      return null
+    }
+    return { type: 'text', value: `${token.name}:${token.value}`.toLowerCase(), start, end }
+  }
+
+  const raw = token.value.trim()
+  if (!raw) {
+    errors.push(createError(`“${key}:” 后缺少${QUERY_FIELDS[key].label}，如 ${QUERY_FIELDS[key].example}`, start, end))
+    return null
+  }
+
+  const { type } = QUERY_FIELDS[key]
+
+  if (type === 'text') {
+    if (!token.quoted && (/^[<>]/.test(raw) || raw.includes('..'))) {
+      errors.push(createError(`${QUERY_FIELDS[key].label}不支持比较或区间`, start, end))
+      return null
+    }
+    return { type: 'field', field: key, value: raw.toLowerCase(), start, end }
+  }
+
+  if (type === 'format') {
+    const value = raw.toLowerCase()
+    if (!FORMAT_VALUES.includes(value)) {
+      errors.push(createError(`未知格式 "${raw}"，可选：${FORMAT_VALUES.join('、')}`, start, end))
+      return null
+    }
+    return { type: 'field', field: key, value, start, end }
+  }
+
+  const range = parseRange(type, raw)
+  if (range.error) {
+    errors.push(createError(range.error, start, end))
+    return null
+  }
+  return { type: 'field', field: key, min: range.min, max: range.max, start, end }
+}
+
+// ========================================
+// 语法分析
+// ========================================
+
+/**
+ * 合并子节点（只有一个子节点时直接返回该节点）
+ */
+function combine(type, children) {
+  if (children.length === 0)
+    return null
+  if (children.length === 1)
+    return children[0]
+  return { type, children, start: children[0].start, end: children[children.length - 1].end }
+}
+
+/**
+ * 解析搜索查询
+ *
+ * AST 节点类型：
+ * - { type: 'and' | 'or', children }
+ * - { type: 'not', child }
+ * - { type: 'text', value, phrase? } 关键词 / 精确短语（已转小写）
+ * - { type: 'field', field, value } 文本类字段（cat / sub / tag / fmt）
+ * - { type: 'field', field, min, max } 数值类字段（res / size / date），左闭右开区间
+ * 所有节点都带有 start / end（在原查询中的位置），出错的部分会被忽略，其余条件仍然生效
+ *
+ * @param {string} input - 搜索框输入
+ * @returns {{ ast: object|null, errors: Array<{ message: string, start: number, end: number }> }} 解析结果
+ */
+export function parseSearchQuery(input) {
+  const errors = []
+  const tokens = tokenize(input || '', errors)
+  let pos = 0
+
+  const peek = () => tokens[pos]
+  const isBoundary = token => !token || token.type === 'or' || token.type === ')'
+
+  function parseOr() {
+    const children = []
+    const first = parseAnd()
+    if (first)
+      children.push(first)
+
+    while (peek()?.type === 'or') {
+      const orToken = tokens[pos++]
+      if (children.length === 0)
+        errors.push(createError('OR 前缺少条件', orToken.start, orToken.end))
+      const node = parseAnd()
+      if (node)
+        children.push(node)
+      else
+        errors.push(createError('OR 后缺少条件', orToken.start, orToken.end))
+    }
+
+    return combine('or', children)
+  }
+
+  function parseAnd() {
+    const children = []
+    while (!isBoundary(peek())) {
+      const node = parseUnary()
+      if (node)
+        children.push(node)
+    }
+    return combine('and', children)
+  }
+
+  function parseUnary() {
+    const token = peek()
+    if (token.type !== 'not')
+      return parsePrimary()
+
+    pos++
+    if (isBoundary(peek())) {
+      errors.push(createError('“-” 后缺少要排除的条件', token.start, token.end))
+      return null
+    }
+    const child = parseUnary()
+    return child ? { type: 'not', child, start: token.start, end: child.end } : null
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++]
+    switch (token.type) {
+      case '(': {
+        const node = parseOr()
+        if (peek()?.type === ')')
+          pos++
+        else
+          errors.push(createError('缺少右括号', token.start, token.end))
+        if (!node)
+          errors.push(createError('括号内没有条件', token.start, token.end))
+        return node
+      }
+      case 'phrase': {
+        const value = token.value.trim().toLowerCase()
+        if (!value) {
+          errors.push(createError('引号内没有内容', token.start, token.end))
+          return null
+        }
+        return { type: 'text', value, phrase: true, start: token.start, end: token.end }
+      }
+      case 'field':
+        return parseField(token, errors)
+      default:
+        return { type: 'text', value: token.value.toLowerCase(), start: token.start, end: token.end }
+    }
+  }
+
+  const nodes = []
+  while (pos < tokens.length) {
+    const node = parseOr()
+    if (node)
+      nodes.push(node)
+    // 多余的右括号：报错后跳过，继续解析后面的条件
+    if (peek()?.type === ')') {
+      errors.push(createError('多余的右括号', peek().start, peek().end))
+      pos++
+    }
+  }
+
+  return { ast: combine('and', nodes), errors }
+}
+
+/**
+ * 获取可交给搜索索引查询的关键词节点
+ * 仅包含顶层 AND 中的普通关键词（不含短语、排除项和 OR 分组），这些关键词需要全部匹配
+ * @param {object|null} ast - parseSearchQuery 返回的 AST
+ * @returns {object[]} text 节点列表
+ */
+export function getIndexedTerms(ast) {
+  if (!ast)
+    return []
+  const nodes = ast.type === 'and' ? ast.children : [ast]
+  return nodes.filter(node => node.type === 'text' && !node.phrase)
+}
+
+// ========================================
+// 匹配
+// ========================================
+
+/**
+ * 关键词子串匹配（文件名、分类、标题、描述、标签、关键词）
+ * @param {object} wallpaper - 壁纸对象
+ * @param {string} term - 小写关键词
+ */
+export function matchesTextTerm(wallpaper, term) {
+  const searchableTexts = [
+    wallpaper.filename,
+    wallpaper.category,
+    wallpaper.subcategory,
+    wallpaper.displayTitle,
+    wallpaper.description,
+    ...(Array.isArray(wallpaper.tags) ? wallpaper.tags : []),
+    // AI 生成的关键词
+    ...(Array.isArray(wallpaper.keywords) ? wallpaper.keywords : []),
+  ]
+  return searchableTexts.some(text => typeof text === 'string' && text.toLowerCase().includes(term))
+}
+
+/**
+ * 获取壁纸的数值属性
+ */
+function getNumericValue(field, wallpaper) {
+  switch (field) {
+    case 'res':
+      // 与分辨率筛选一致：按长边判断
+      return Math.max(wallpaper.resolution?.width || 0, wallpaper.resolution?.height || 0)
+    case 'size':
+      return wallpaper.size || 0
+    case 'date':
+      return Date.parse(wallpaper.createdAt)
+    default:
+      return Number.NaN
+  }
+}
+
+/**
+ * 字段条件匹配
+ */
+function matchesField(node, wallpaper) {
+  switch (node.field) {
+    case 'cat':
+      return wallpaper.category?.toLowerCase() === node.value
+    case 'sub':
+      return wallpaper.subcategory?.toLowerCase() === node.value
+    case 'tag':
+      return Array.isArray(wallpaper.tags) && wallpaper.tags.some(tag => tag.toLowerCase() === node.value)
+    case 'fmt':
+      return wallpaper.format?.toLowerCase() === node.value
+    default: {
+      const value = getNumericValue(node.field, wallpaper)
+      return value >= node.min && value < node.max
+    }
+  }
+}
+
+/**
+ * 判断壁纸是否匹配查询
+ * @param {object} node - AST 节点
+ * @param {object} wallpaper - 壁纸对象
+ * @param {Function} matchText - 关键词匹配函数 (textNode, wallpaper) => boolean
+ */
+export function matchesQuery(node, wallpaper, matchText) {
+  switch (node.type) {
+    case 'and':
+      return node.children.every(child => matchesQuery(child, wallpaper, matchText))
+    case 'or':
+      return node.children.some(child => matchesQuery(child, wallpaper, matchText))
+    case 'not':
+      return !matchesQuery(node.child, wallpaper, matchText)
+    case 'field':
+      return matchesField(node, wallpaper)
+    default:
+      return matchText(node, wallpaper)
+  }
+}
+
+// ========================================
+// 自动补全
+// ========================================
+
+/**
+ * 获取光标所在的条件（用于自动补全）
+ * @param {string} input - 搜索框输入
+ * @param {number} caret - 光标位置
+ * @returns {{ start: number, end: number, negated: boolean, text: string, name: string, field: string|null, value: string }} 条件信息
+ */
+export function getTokenAtCursor(input, caret = input.length) {
+  let start = caret
+  // 光标前引号个数为奇数时，光标在引号内，从左引号开始向前查找
+  if (((input.slice(0, caret).match(/"/g) || []).length) % 2 === 1)
+    start = input.lastIndexOf('"', caret - 1)
+  while (start > 0 && !/[\s()|]/.test(input[start - 1]))
+    start--
+
+  let end = caret
+  while (end < input.length && !/[\s()|]/.test(input[end]))
+    end++
+
+  let text = input.slice(start, caret)
+  const negated = text.startsWith('-')
+  if (negated)
+    text = text.slice(1)
+
+  const match = text.match(/^([^:："]+)[:：]"?(.*)$/)
+  return {
+    start,
+    end,
+    negated,
+    text,
+    name: match ? match[1] : '',
+    field: match ? FIELD_ALIASES[match[1].toLowerCase()] || null : null,
+    value: match ? match[2] : '',
+  }
+}
+
+/**
+ * 按出现次数统计取值
+ */
+function countValues(values) {
+  const counts = new Map()
+  values.forEach((value) => {
+    if (value)
+      counts.set(value, (counts.get(value) || 0) + 1)
+  })
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count)
+}
+
+/**
+ * 从壁纸数据中收集各字段的可选值（用于自动补全）
+ * @param {Array} wallpapers - 壁纸列表
+ * @returns {object} 字段 -> [{ value, count }]
+ */
+export function collectQueryValues(wallpapers) {
+  const months = countValues(wallpapers.map(w => w.createdAt?.slice(0, 7)))
+    .sort((a, b) => b.value.localeCompare(a.value))
+
+  return {
+    cat: countValues(wallpapers.map(w => w.category)),
+    sub: countValues(wallpapers.map(w => w.subcategory)),
+    tag: countValues(wallpapers.flatMap(w => (Array.isArray(w.tags) ? w.tags : []))),
+    fmt: countValues(wallpapers.map(w => w.format?.toLowerCase())),
+    date: months,
+  }
+}
+
+/**
+ * 值中包含空格等特殊字符时加引号
+ */
+function quoteValue(value) {
+  return /[\s()|"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value
+}
+
+/**
+ * 获取自动补全建议
+ * @param {object} token - getTokenAtCursor 返回的条件信息
+ * @param {object} values - collectQueryValues 返回的可选值
+ * @param {number} limit - 最多返回的建议数
+ * @returns {Array<{ label: string, insert: string, hint: string, isField: boolean }>} 建议列表，insert 为替换当前条件的文本
+ */
+export function getQuerySuggestions(token, values, limit = 8) {
+  const prefix = token.negated ? '-' : ''
+
+  // 字段名补全
+  if (!token.field) {
+    const text = token.text.toLowerCase()
+    if (!text || token.name)
+      return []
+    return Object.entries(QUERY_FIELDS)
+      .filter(([key, field]) => [key, ...field.aliases].some(name => name.startsWith(text) && name !== text))
+      .map(([key, field]) => ({
+        label: `${key}:`,
+        insert: `${prefix}${key}:`,
+        hint: `${field.label}，如 ${field.example}`,
+        isField: true,
+      }))
+  }
+
+  // 字段值补全（保留已输入的比较符）
+  const [, operator = '', partial] = token.value.match(COMPARATOR_REGEX)
+  const keyword = partial.toLowerCase()
+  let candidates
+
+  switch (token.field) {
+    case 'res':
+      candidates = RESOLUTION_THRESHOLDS.map(t => ({ value: `${operator}${t.label}`, hint: `长边 ≥ ${t.minWidth}px` }))
+        .filter(item => item.value.toLowerCase().startsWith(token.value.toLowerCase()))
+      break
+    case 'size':
+      candidates = SIZE_PRESETS.filter(value => value.toLowerCase().startsWith(token.value.toLowerCase()))
+        .map(value => ({ value, hint: '' }))
+      break
+    case 'date':
+      candidates = (values.date || [])
+        .filter(item => item.value.startsWith(keyword))
+        .map(item => ({ value: `${operator}${item.value}`, hint: `${item.count} 张` }))
+      break
+    case 'fmt':
+      candidates = (values.fmt || [])
+        .filter(item => FORMAT_VALUES.includes(item.value) && item.value.startsWith(keyword))
+        .map(item => ({ value: item.value, hint: `${item.count} 张` }))
+      break
+    default:
+      candidates = (values[token.field] || [])
+        .filter(item => item.value.toLowerCase().includes(keyword))
+        .map(item => ({ value: item.value, hint: `${item.count} 张` }))
+  }
+
+  return candidates
+    .filter(item => item.value.toLowerCase() !== token.value.toLowerCase())
+    .slice(0, limit)
+    .map(item => ({
+      label: `${token.field}:${item.value}`,
+      insert: `${prefix}${token.field}:${quoteValue(item.value)}`,
+      hint: item.hint,
+      isField: false,
+    }))
+}
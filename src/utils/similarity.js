@@ -0,0 +1,151 @@
+// ========================================
+// 相似壁纸推荐
+// ========================================
+// 综合三类特征计算相似度：
+// - phash：感知哈希（汉明距离），由 scripts/generate-visual-features.js 离线生成
+// - palette：主色调（加权颜色距离），同上
+// - tags / keywords / subcategory：标签重合度（Jaccard）
+// 缺少视觉特征的壁纸（如尚未生成特征的数据、Bing 壁纸）只按标签计算。
+
+// 各特征权重（缺少某项特征时按剩余权重重新归一化）
+const WEIGHTS = {
+  hash: 0.4,
+  color: 0.25,
+  tags: 0.35,
+}
+
+// 汉明距离达到该值时哈希相似度为 0（64 位哈希，32 位差异相当于随机）
+const MAX_HASH_DISTANCE = 32
+
+// 颜色距离达到该值时颜色相似度为 0（redmean 距离最大约 765）
+const MAX_COLOR_DISTANCE = 300
+
+// 主色调中靠前的颜色权重更高
+const PALETTE_WEIGHTS = [0.4, 0.25, 0.15, 0.12, 0.08]
+
+// 低于该得分的壁纸不推荐
+const MIN_SCORE = 0.15
+
+const PHASH_REGEX = /^[0-9a-f]{16}$/
+const HEX_COLOR_REGEX = /^#[0-9a-f]{6}$/i
+
+// 0-15 的二进制 1 的个数
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4]
+
+/**
+ * 两个感知哈希的汉明距离
+ * @param {string} a - 16 位十六进制哈希
+ * @param {string} b - 16 位十六进制哈希
+ * @returns {number} 不同的位数（0-64），哈希无效时返回 -1
+ */
+export function hammingDistance(a, b) {
+  if (!PHASH_REGEX.test(a) || !PHASH_REGEX.test(b))
+    return -1
+
+  let distance = 0
+  for (let i = 0; i < a.length; i++)
+    distance += NIBBLE_BITS[Number.parseInt(a[i], 16) ^ Number.parseInt(b[i], 16)]
+  return distance
+}
+
+function parseColor(hex) {
+  return [1, 3, 5].map(i => Number.parseInt(hex.slice(i, i + 2), 16))
+}
+
+/**
+ * 颜色距离（redmean 近似，比 RGB 欧氏距离更接近人眼感知）
+ */
+function colorDistance([r1, g1, b1], [r2, g2, b2]) {
+  const rMean = (r1 + r2) / 2
+  const dr = r1 - r2
+  const dg = g1 - g2
+  const db = b1 - b2
+  return Math.sqrt((2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db)
+}
+
+function getPalette(wallpaper) {
+  if (!Array.isArray(wallpaper.palette))
+    return []
+  return wallpaper.palette.filter(color => HEX_COLOR_REGEX.test(color)).map(parseColor)
+}
+
+/**
+ * 单向主色调相似度：a 的每个主色在 b 中找最接近的颜色，按主色权重加权
+ */
+function paletteCoverage(a, b) {
+  let total = 0
+  let weightSum = 0
+  a.forEach((color, index) => {
+    const weight = PALETTE_WEIGHTS[index] || PALETTE_WEIGHTS.at(-1)
+    const nearest = Math.min(...b.map(other => colorDistance(color, other)))
+    total += weight * Math.max(0, 1 - nearest / MAX_COLOR_DISTANCE)
+    weightSum += weight
+  })
+  return total / weightSum
+}
+
+function getTagSet(wallpaper) {
+  const values = [
+    ...(Array.isArray(wallpaper.tags) ? wallpaper.tags : []),
+    ...(Array.isArray(wallpaper.keywords) ? wallpaper.keywords : []),
+    wallpaper.subcategory,
+  ]
+  return new Set(values
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim().toLowerCase()))
+}
+
+/**
+ * 计算两张壁纸的相似度
+ * @param {object} a - 壁纸
+ * @param {object} b - 壁纸
+ * @returns {number} 0-1，两张壁纸没有任何可比较的特征时返回 0
+ */
+export function getSimilarity(a, b) {
+  const parts = []
+
+  const distance = hammingDistance(a.phash, b.phash)
+  if (distance >= 0)
+    parts.push([WEIGHTS.hash, Math.max(0, 1 - distance / MAX_HASH_DISTANCE)])
+
+  const paletteA = getPalette(a)
+  const paletteB = getPalette(b)
+  if (paletteA.length > 0 && paletteB.length > 0)
+    parts.push([WEIGHTS.color, (paletteCoverage(paletteA, paletteB) + paletteCoverage(paletteB, paletteA)) / 2])
+
+  const tagsA = getTagSet(a)
+  const tagsB = getTagSet(b)
+  if (tagsA.size > 0 && tagsB.size > 0) {
+    let shared = 0
+    tagsA.forEach((tag) => {
+      if (tagsB.has(tag))
+        shared++
+    })
+    parts.push([WEIGHTS.tags, shared / (tagsA.size + tagsB.size - shared)])
+  }
+
+  const weightSum = parts.reduce((sum, [weight]) => sum + weight, 0)
+  if (weightSum === 0)
+    return 0
+  return parts.reduce((sum, [weight, score]) => sum + weight * score, 0) / weightSum
+}
+
+/**
+ * 查找相似壁纸
+ * @param {object} target - 当前壁纸
+ * @param {Array<object>} candidates - 候选壁纸（通常为同一系列）
+ * @param {number} limit - 最多返回数量
+ * @returns {Array<object>} 按相似度降序排列的壁纸
+ */
+export function findSimilarWallpapers(target, candidates, limit = 12) {
+  if (!target || !Array.isArray(candidates))
+    return []
+
+  return candidates
+    .filter(wallpaper => wallpaper && wallpaper.id !== target.id)
+    .map(wallpaper => ({ wallpaper, score: getSimilarity(target, wallpaper) }))
+    .filter(item => item.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || new Date(b.wallpaper.createdAt || 0) - new Date(a.wallpaper.createdAt || 0))
+    .slice(0, limit)
+    .map(item => item.wallpaper)
+}
@@ -0,0 +1,164 @@
+// ========================================
+// 站点配置加载与校验
+// ========================================
+// 读取项目根目录的 site.config.js 并校验，应用、Node 脚本和 Vite 插件共用（不依赖浏览器或 Node API）。
+// 缺少字段或格式错误时抛出错误，列出所有问题，便于 Fork 部署时定位。
+
+import rawSiteConfig from '../../site.config.js'
+
+/**
+ * @typedef {object} ImageMirrorConfig
+ * @property {string} id - 镜像标识
+ * @property {string} name - 显示名称
+ * @property {string} [baseUrl] - 地址模板，支持 {owner}/{repo}/{tag}（非代理镜像必填）
+ * @property {boolean} [proxy] - 是否为图片代理服务
+ * @property {string} [source] - 代理镜像包装的源镜像 id
+ * @property {string[]} [kinds] - 支持的图片类型（original / preview / thumbnail / download），不填表示全部
+ */
+
+/**
+ * @typedef {object} SiteConfig
+ * @property {{ url: string, title: string, description: string, keywords: string, ogImage: string, twitterImage: string }} site - 站点信息
+ * @property {{ name: string, shortName: string, tagline: string, themeColor: string, backgroundColor: string, repoUrl: string }} branding - 品牌
+ * @property {{ owner: string, name: string, branch: string, localDir: string }} imageRepo - 图床仓库
+ * @property {{ mirrors: ImageMirrorConfig[], dataBaseUrl: string }} cdn - 图片 CDN
+ * @property {string[]} series - 启用的系列
+ * @property {{ umamiWebsiteId?: string }} analytics - 统计
+ */
+
+// 支持的系列
+export const KNOWN_SERIES = ['desktop', 'bing', 'mobile', 'avatar']
+
+// 支持的图片类型
+const IMAGE_KINDS = ['original', 'preview', 'thumbnail', 'download']
+
+// 必填的字符串字段
+const REQUIRED_FIELDS = [
+  'site.url',
+  'site.title',
+  'site.description',
+  'branding.name',
+  'branding.shortName',
+  'branding.themeColor',
+  'imageRepo.owner',
+  'imageRepo.name',
+  'imageRepo.branch',
+  'imageRepo.localDir',
+  'cdn.dataBaseUrl',
+]
+
+function getField(config, field) {
+  return field.split('.').reduce((value, key) => value?.[key], config)
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== ''
+}
+
+/**
+ * 替换地址模板中的占位符
+ * @param {string} template - 模板，如 https://cdn.jsdelivr.net/gh/{owner}/{repo}@{tag}
+ * @param {Record<string, string>} values - 占位符的值，未提供的占位符保持原样
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match)
+}
+
+/**
+ * 校验镜像列表
+ * @returns {string[]} 错误信息
+ */
+function validateMirrors(mirrors) {
+  if (!Array.isArray(mirrors) || mirrors.length === 0)
+    return ['cdn.mirrors 至少需要配置一个镜像']
+
+  const errors = []
+  const ids = new Set(mirrors.map(mirror => mirror?.id))
+  mirrors.forEach((mirror, index) => {
+    const label = `cdn.mirrors[${index}]`
+    if (!isNonEmptyString(mirror?.id))
+      errors.push(`${label}.id 不能为空`)
+    if (!isNonEmptyString(mirror?.name))
+      errors.push(`${label}.name 不能为空`)
+    if (mirror?.proxy) {
+      if (!ids.has(mirror.source) || mirrors.find(item => item.id === mirror.source)?.proxy)
+        errors.push(`${label}.source 必须是非代理镜像的 id`)
+    }
+    else if (!isNonEmptyString(mirror?.baseUrl) || !mirror.baseUrl.includes('{tag}')) {
+      errors.push(`${label}.baseUrl 不能为空，且必须包含 {tag} 占位符`)
+    }
+    if (mirror?.kinds && (!Array.isArray(mirror.kinds) || mirror.kinds.some(kind => !IMAGE_KINDS.includes(kind))))
+      errors.push(`${label}.kinds 只能包含 ${IMAGE_KINDS.join(' / ')}`)
+  })
+  if (ids.size !== mirrors.length)
+    errors.push('cdn.mirrors 的 id 不能重复')
+  if (mirrors[0]?.proxy)
+    errors.push('cdn.mirrors 的第一个镜像不能是代理镜像')
+  return errors
+}
+
+/**
+ * 校验站点配置并补全默认值
+ * @param {SiteConfig} config - 原始配置
+ * @returns {SiteConfig} 校验后的配置（站点地址去掉末尾斜杠）
+ * @throws {Error} 配置无效时抛出，错误信息列出所有问题
+ */
+export function validateSiteConfig(config) {
+  const errors = REQUIRED_FIELDS
+    .filter(field => !isNonEmptyString(getField(config, field)))
+    .map(field => `${field} 不能为空`)
+
+  if (isNonEmptyString(config?.site?.url) && !/^https?:\/\/[^/]+/.test(config.site.url))
+    errors.push('site.url 必须是以 http:// 或 https:// 开头的完整地址')
+
+  if (isNonEmptyString(config?.branding?.themeColor) && !/^#[0-9a-f]{3,8}$/i.test(config.branding.themeColor))
+    errors.push('branding.themeColor 必须是十六进制颜色，如 #6366f1')
+
+  errors.push(...validateMirrors(config?.cdn?.mirrors))
+
+  const series = config?.series
+  if (!Array.isArray(series) || series.length === 0)
+    errors.push('series 至少需要启用一个系列')
+  else if (series.some(id => !KNOWN_SERIES.includes(id)))
+    errors.push(`series 只能包含 ${KNOWN_SERIES.join(' / ')}`)
+
+  if (errors.length > 0)
+    throw new Error(`[site-config] site.config.js 配置无效：\n${errors.map(error => `  - ${error}`).join('\n')}`)
+
+  return {
+    ...config,
+    site: {
+      ogImage: '',
+      twitterImage: '',
+      keywords: '',
+      ...config.site,
+      url: config.site.url.replace(/\/+$/, ''),
+    },
+    branding: {
+      tagline: '',
+      backgroundColor: '#ffffff',
+      repoUrl: '',
+      ...config.branding,
+    },
+    analytics: { umamiWebsiteId: '', ...config.analytics },
+  }
+}
+
+// 校验后的站点配置
+export const SITE_CONFIG = validateSiteConfig(rawSiteConfig)
+
+// 图床仓库占位符的值（用于 fillTemplate）
+export const IMAGE_REPO_VALUES = {
+  owner: SITE_CONFIG.imageRepo.owner,
+  repo: SITE_CONFIG.imageRepo.name,
+}
+
+/**
+ * 获取图床数据同步地址
+ * @param {string} [tag] - 分支或 tag，默认 imageRepo.branch
+ * @returns {string}
+ */
+export function getImageRepoDataUrl(tag = SITE_CONFIG.imageRepo.branch) {
+  return fillTemplate(SITE_CONFIG.cdn.dataBaseUrl, { ...IMAGE_REPO_VALUES, tag })
+}
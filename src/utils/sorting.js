@@ -2,6 +2,8 @@
 // 排序工具函数
 // ========================================
 
+import { getHueSortKey } from './color'
+
 /**
  * 按日期排序
  * 日期相同时按文件名排序，确保排序结果稳定
@@ -21,6 +23,31 @@ export function sortByDate(wallpapers, order = 'desc') {
   })
 }
 
+/**
+ * 按日期倒序比较（最新优先，日期相同时按文件名排序）
+ */
+export function compareByDateDesc(a, b) {
+  const dateDiff = new Date(b.createdAt) - new Date(a.createdAt)
+  return dateDiff === 0 ? a.filename.localeCompare(b.filename) : dateDiff
+}
+
+/**
+ * 合并两个已按日期倒序排列的列表（结果仍然有序）
+ * 分类数据陆续加载时逐个合并，避免每次都对全部壁纸重新排序
+ */
+export function mergeByDateDesc(sortedA, sortedB) {
+  const merged = []
+  let i = 0
+  let j = 0
+  while (i < sortedA.length && j < sortedB.length)
+    merged.push(compareByDateDesc(sortedA[i], sortedB[j]) <= 0 ? sortedA[i++] : sortedB[j++])
+  while (i < sortedA.length)
+    merged.push(sortedA[i++])
+  while (j < sortedB.length)
+    merged.push(sortedB[j++])
+  return merged
+}
+
 /**
  * 按热度排序（使用预计算的 Map）
  * 热度相同时按日期排序，日期也相同时按文件名排序
@@ -107,6 +134,23 @@ export function sortBySize(wallpapers, order = 'desc') {
   })
 }
 
+/**
+ * 按色调排序（彩色按色相，其次黑白灰，没有主色调的排在最后）
+ * 色调相同时按日期排序，日期也相同时按文件名排序
+ */
+export function sortByHue(wallpapers) {
+  const keys = new Map(wallpapers.map(w => [w, getHueSortKey(w)]))
+  return [...wallpapers].sort((a, b) => {
+    const [groupA, valueA] = keys.get(a)
+    const [groupB, valueB] = keys.get(b)
+    if (groupA !== groupB)
+      return groupA - groupB
+    if (valueA !== valueB)
+      return valueA - valueB
+    return compareByDateDesc(a, b)
+  })
+}
+
 /**
  * 按文件名排序
  */
@@ -117,3 +161,27 @@ export function sortByName(wallpapers, order = 'asc') {
       : b.filename.localeCompare(a.filename)
   })
 }
+
+/**
+ * 按搜索相关度排序
+ * 得分相同时按日期排序，日期也相同时按文件名排序
+ * @param {Array} wallpapers - 壁纸列表
+ * @param {Map<string, number>} scoreMap - 壁纸 ID -> 相关度得分
+ */
+export function sortByRelevance(wallpapers, scoreMap) {
+  return [...wallpapers].sort((a, b) => {
+    const scoreA = scoreMap.get(a.id) || 0
+    const scoreB = scoreMap.get(b.id) || 0
+
+    // 得分相同时按最新排序
+    if (scoreB === scoreA) {
+      const dateDiff = new Date(b.createdAt) - new Date(a.createdAt)
+      if (dateDiff === 0) {
+        return a.filename.localeCompare(b.filename)
+      }
+      return dateDiff
+    }
+
+    return scoreB - scoreA
+  })
+}
@@ -0,0 +1,251 @@
+// ========================================
+// 用户数据备份格式（导出/导入）
+// ========================================
+// 将收藏、偏好设置和各系列筛选预设打包为一个带版本号的 JSON 文件，
+// 方便在不同浏览器、设备之间迁移。
+// 统计缓存（stats_*）属于可再生的缓存数据，不包含在备份中。
+//
+// 文件结构（version 1）：
+// {
+//   app: 'wallpaper-gallery',
+//   version: 1,
+//   exportedAt: '2026-01-01T00:00:00.000Z',
+//   data: {
+//     favorites: [{ id, series, favoritedAt, url, ... }],
+//     preferences: { theme, sort, category, viewMode, series, announcementClosed },
+//     filterPresets: { [series]: { categoryFilter, subcategoryFilter, resolutionFilter, formatFilter,
+//                                  aspectRatioFilter?, orientationFilter?, minWidth?, minHeight?, colorFilter? } },
+//   },
+// }
+
+import { ALL_SERIES, ASPECT_RATIO_OPTIONS, COLOR_OPTIONS, FORMAT_OPTIONS, ORIENTATION_OPTIONS, RESOLUTION_OPTIONS, SORT_OPTIONS, THEMES } from './constants'
+
+export const BUNDLE_APP = 'wallpaper-gallery'
+export const BUNDLE_VERSION = 1
+
+// 导入模式
+export const IMPORT_MODES = {
+  MERGE: 'merge', // 合并：补充备份中新增的收藏，备份中包含的设置和筛选预设覆盖本地值
+  REPLACE: 'replace', // 替换：以备份内容为准，清空本地收藏和筛选预设后再导入
+}
+
+// 可导入的视图模式
+const VIEW_MODES = ['grid', 'list', 'masonry']
+
+// 筛选预设所属的系列（包含“我的收藏”虚拟系列）
+const PRESET_SERIES = [...ALL_SERIES, 'favorites']
+
+// ========================================
+// 导出
+// ========================================
+
+/**
+ * 创建备份数据
+ * @param {object} data - 备份内容
+ * @param {Array} data.favorites - 收藏列表
+ * @param {object} data.preferences - 偏好设置
+ * @param {object} data.filterPresets - 各系列筛选预设
+ */
+export function createBundle({ favorites = [], preferences = {}, filterPresets = {} }) {
+  return {
+    app: BUNDLE_APP,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      favorites,
+      preferences,
+      filterPresets,
+    },
+  }
+}
+
+/**
+ * 生成备份文件名
+ */
+export function getBundleFilename() {
+  const date = new Date().toISOString().slice(0, 10)
+  return `${BUNDLE_APP}-backup-${date}.json`
+}
+
+// ========================================
+// 校验
+// ========================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isOneOf(value, options) {
+  return typeof value === 'string' && options.includes(value)
+}
+
+/**
+ * 校验单条收藏记录
+ * @returns {object|null} 规范化后的记录，无效时返回 null
+ */
+function normalizeFavorite(record) {
+  if (!isPlainObject(record))
+    return null
+  if (typeof record.id !== 'string' || !record.id)
+    return null
+  if (!isOneOf(record.series, ALL_SERIES))
+    return null
+  if (typeof record.url !== 'string' || !record.url)
+    return null
+
+  const favoritedAt = Number(record.favoritedAt)
+  return {
+    ...record,
+    favoritedAt: Number.isFinite(favoritedAt) && favoritedAt > 0 ? favoritedAt : Date.now(),
+  }
+}
+
+/**
+ * 校验偏好设置（逐项校验，无效项跳过）
+ */
+function normalizePreferences(preferences, warnings) {
+  const result = {}
+  const rules = {
+    theme: value => isOneOf(value, Object.values(THEMES)),
+    sort: value => isOneOf(value, SORT_OPTIONS.map(o => o.value)),
+    category: value => typeof value === 'string' && value.length > 0,
+    viewMode: value => isOneOf(value, VIEW_MODES),
+    series: value => isOneOf(value, ALL_SERIES),
+    announcementClosed: value => typeof value === 'boolean',
+  }
+
+  Object.entries(preferences).forEach(([key, value]) => {
+    const rule = rules[key]
+    if (!rule) {
+      warnings.push(`忽略未知的偏好设置「${key}」`)
+      return
+    }
+    if (!rule(value)) {
+      warnings.push(`偏好设置「${key}」的值无效，已跳过`)
+      return
+    }
+    result[key] = value
+  })
+
+  return result
+}
+
+/**
+ * 校验筛选预设（逐系列校验，无效项跳过）
+ */
+function normalizeFilterPresets(filterPresets, warnings) {
+  const result = {}
+  const formats = FORMAT_OPTIONS.map(o => o.value)
+  const resolutions = RESOLUTION_OPTIONS.map(o => o.value)
+  const aspectRatios = ASPECT_RATIO_OPTIONS.map(o => o.value)
+  const orientations = ORIENTATION_OPTIONS.map(o => o.value)
+  const colors = COLOR_OPTIONS.map(o => o.value)
+  const isPixels = value => Number.isInteger(value) && value >= 0
+
+  Object.entries(filterPresets).forEach(([series, preset]) => {
+    const valid = isOneOf(series, PRESET_SERIES)
+      && isPlainObject(preset)
+      && typeof preset.categoryFilter === 'string'
+      && typeof preset.subcategoryFilter === 'string'
+      && isOneOf(preset.resolutionFilter, resolutions)
+      && isOneOf(preset.formatFilter, formats)
+      // 宽高比、方向、最小尺寸和颜色是后来加入的，旧备份中没有
+      && (preset.aspectRatioFilter === undefined || isOneOf(preset.aspectRatioFilter, aspectRatios))
+      && (preset.orientationFilter === undefined || isOneOf(preset.orientationFilter, orientations))
+      && (preset.minWidth === undefined || isPixels(preset.minWidth))
+      && (preset.minHeight === undefined || isPixels(preset.minHeight))
+      && (preset.colorFilter === undefined || isOneOf(preset.colorFilter, colors))
+
+    if (!valid) {
+      warnings.push(`系列「${series}」的筛选预设无效，已跳过`)
+      return
+    }
+
+    result[series] = {
+      categoryFilter: preset.categoryFilter,
+      subcategoryFilter: preset.subcategoryFilter,
+      resolutionFilter: preset.resolutionFilter,
+      formatFilter: preset.formatFilter,
+      aspectRatioFilter: preset.aspectRatioFilter ?? 'all',
+      orientationFilter: preset.orientationFilter ?? 'all',
+      minWidth: preset.minWidth ?? 0,
+      minHeight: preset.minHeight ?? 0,
+      colorFilter: preset.colorFilter ?? 'all',
+    }
+  })
+
+  return result
+}
+
+/**
+ * 校验并规范化备份数据
+ * 文件结构错误（非本站备份、版本过新等）时整体拒绝；
+ * 单条收藏或单项设置无效时跳过该项并给出提示
+ * @param {unknown} raw - JSON.parse 后的原始数据
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], data: object|null }} 校验结果
+ */
+export function validateBundle(raw) {
+  const errors = []
+  const warnings = []
+
+  if (!isPlainObject(raw) || raw.app !== BUNDLE_APP) {
+    errors.push('不是有效的壁纸站备份文件')
+    return { valid: false, errors, warnings, data: null }
+  }
+
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    errors.push('备份文件缺少版本号')
+    return { valid: false, errors, warnings, data: null }
+  }
+
+  if (raw.version > BUNDLE_VERSION) {
+    errors.push(`备份文件版本（v${raw.version}）高于当前支持的版本（v${BUNDLE_VERSION}），请先更新页面`)
+    return { valid: false, errors, warnings, data: null }
+  }
+
+  if (!isPlainObject(raw.data)) {
+    errors.push('备份文件缺少数据内容')
+    return { valid: false, errors, warnings, data: null }
+  }
+
+  const { favorites = [], preferences = {}, filterPresets = {} } = raw.data
+
+  if (!Array.isArray(favorites))
+    errors.push('收藏数据格式错误')
+  if (!isPlainObject(preferences))
+    errors.push('偏好设置格式错误')
+  if (!isPlainObject(filterPresets))
+    errors.push('筛选预设格式错误')
+
+  if (errors.length > 0)
+    return { valid: false, errors, warnings, data: null }
+
+  // 收藏：跳过无效记录，按 ID 去重（保留首次出现的记录）
+  const seen = new Set()
+  let invalidCount = 0
+  const normalizedFavorites = []
+  favorites.forEach((record) => {
+    const normalized = normalizeFavorite(record)
+    if (!normalized) {
+      invalidCount++
+      return
+    }
+    if (seen.has(normalized.id))
+      return
+    seen.add(normalized.id)
+    normalizedFavorites.push(normalized)
+  })
+  if (invalidCount > 0)
+    warnings.push(`${invalidCount} 条收藏记录无效，已跳过`)
+
+  return {
+    valid: true,
+    errors,
+    warnings,
+    data: {
+      favorites: normalizedFavorites,
+      preferences: normalizePreferences(preferences, warnings),
+      filterPresets: normalizeFilterPresets(filterPresets, warnings),
+    },
+  }
+}
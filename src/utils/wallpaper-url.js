@@ -2,12 +2,13 @@
  * 壁纸 URL 工具函数
  *
  * 用于构建壁纸图片的 CDN URL,支持基于 cdnTag 的精准缓存控制
+ * 镜像选择由 services/imageMirrors.js 统一处理
  */
 
-import { CDN_VERSION } from './constants'
+import { resolveImageUrl } from '@/services/imageMirrors'
 
 /**
- * 构建壁纸图片的 CDN URL
+ * 构建壁纸图片的 CDN URL（当前最健康的镜像）
  *
  * @param {object} wallpaper - 壁纸对象
  * @param {string} wallpaper.cdnTag - 图片专属的 CDN tag (用于缓存优化)
@@ -18,26 +19,7 @@ import { CDN_VERSION } from './constants'
  * @returns {string|null} CDN URL,如果不存在则返回 null
  */
 export function getWallpaperUrl(wallpaper, type = 'original') {
-  if (!wallpaper)
-    return null
-
-  // 使用图片专属的 cdnTag,如果没有则使用全局 CDN_VERSION
-  const cdnTag = wallpaper.cdnTag || CDN_VERSION
-
-  // 构建 CDN 基础 URL (使用图片专属 tag 实现精准缓存)
-  const cdnBase = `https://cdn.jsdelivr.net/gh/IT-NuanxinPro/nuanXinProPic@${cdnTag}`
-
-  switch (type) {
-    case 'thumbnail':
-      return wallpaper.thumbnailPath ? `${cdnBase}${wallpaper.thumbnailPath}` : null
-
-    case 'preview':
-      return wallpaper.previewPath ? `${cdnBase}${wallpaper.previewPath}` : null
-
-    case 'original':
-    default:
-      return wallpaper.path ? `${cdnBase}${wallpaper.path}` : null
-  }
+  return resolveImageUrl(wallpaper, type)
 }
 
 /**
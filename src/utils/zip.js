@@ -0,0 +1,242 @@
+// ========================================
+// 浏览器端 ZIP 打包工具
+// ========================================
+// 仅使用存储模式（不压缩）：壁纸原图本身已是压缩格式，再次压缩收益很小且耗时。
+// 文件内容以分块形式保存为 Blob 片段，最终合并为一个 Blob，避免整体拷贝大数组。
+// 不支持 ZIP64，单个压缩包总大小需小于 4GB。
+
+const ZIP_MAX_SIZE = 0xFFFFFFFF
+
+// UTF-8 文件名标记（通用位标记第 11 位）
+const FLAG_UTF8 = 0x0800
+
+let crcTable = null
+
+/**
+ * 生成 CRC32 查找表（懒加载）
+ */
+function getCrcTable() {
+  if (crcTable)
+    return crcTable
+  crcTable = new Uint32Array(256)
+  for (let i = 0; i < 256; i++) {
+    let c = i
+    for (let k = 0; k < 8; k++)
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    crcTable[i] = c >>> 0
+  }
+  return crcTable
+}
+
+/**
+ * 增量计算 CRC32
+ * @param {number} crc - 上一次的结果（初始为 0）
+ * @param {Uint8Array} bytes - 新数据
+ * @returns {number} 新的 CRC32
+ */
+function updateCrc32(crc, bytes) {
+  const table = getCrcTable()
+  let c = crc ^ 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++)
+    c = table[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * 转换为 DOS 时间格式
+ * @param {Date} date - 日期
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+/**
+ * 生成本地文件头
+ */
+function createLocalHeader(entry) {
+  const header = new Uint8Array(30 + entry.nameBytes.length)
+  const view = new DataView(header.buffer)
+  view.setUint32(0, 0x04034B50, true)
+  view.setUint16(4, 20, true) // 解压所需版本
+  view.setUint16(6, FLAG_UTF8, true)
+  view.setUint16(8, 0, true) // 存储模式
+  view.setUint16(10, entry.dosTime, true)
+  view.setUint16(12, entry.dosDate, true)
+  view.setUint32(14, entry.crc, true)
+  view.setUint32(18, entry.size, true)
+  view.setUint32(22, entry.size, true)
+  view.setUint16(26, entry.nameBytes.length, true)
+  view.setUint16(28, 0, true)
+  header.set(entry.nameBytes, 30)
+  return header
+}
+
+/**
+ * 生成中央目录记录
+ */
+function createCentralHeader(entry) {
+  const header = new Uint8Array(46 + entry.nameBytes.length)
+  const view = new DataView(header.buffer)
+  view.setUint32(0, 0x02014B50, true)
+  view.setUint16(4, 20, true) // 创建版本
+  view.setUint16(6, 20, true) // 解压所需版本
+  view.setUint16(8, FLAG_UTF8, true)
+  view.setUint16(10, 0, true)
+  view.setUint16(12, entry.dosTime, true)
+  view.setUint16(14, entry.dosDate, true)
+  view.setUint32(16, entry.crc, true)
+  view.setUint32(20, entry.size, true)
+  view.setUint32(24, entry.size, true)
+  view.setUint16(28, entry.nameBytes.length, true)
+  view.setUint32(42, entry.offset, true)
+  header.set(entry.nameBytes, 46)
+  return header
+}
+
+/**
+ * 生成中央目录结束记录
+ */
+function createEndRecord(entryCount, centralSize, centralOffset) {
+  const record = new Uint8Array(22)
+  const view = new DataView(record.buffer)
+  view.setUint32(0, 0x06054B50, true)
+  view.setUint16(8, entryCount, true)
+  view.setUint16(10, entryCount, true)
+  view.setUint32(12, centralSize, true)
+  view.setUint32(16, centralOffset, true)
+  return record
+}
+
+/**
+ * 创建 ZIP 打包器
+ *
+ * @example
+ * const zip = createZipWriter()
+ * await zip.addStream('a.jpg', response.body)
+ * zip.addFile('manifest.json', JSON.stringify(manifest))
+ * saveBlob(zip.toBlob(), 'wallpapers.zip')
+ */
+export function createZipWriter() {
+  const encoder = new TextEncoder()
+  const parts = []
+  const entries = []
+  const usedNames = new Set()
+  let offset = 0
+
+  /**
+   * 生成不重复的文件名（重名时追加序号）
+   */
+  function getUniqueName(name) {
+    if (!usedNames.has(name)) {
+      usedNames.add(name)
+      return name
+    }
+    const dotIndex = name.lastIndexOf('.')
+    const base = dotIndex > 0 ? name.slice(0, dotIndex) : name
+    const ext = dotIndex > 0 ? name.slice(dotIndex) : ''
+    let index = 2
+    while (usedNames.has(`${base} (${index})${ext}`))
+      index++
+    const unique = `${base} (${index})${ext}`
+    usedNames.add(unique)
+    return unique
+  }
+
+  /**
+   * 写入一个完整条目（内容已全部就绪）
+   * @returns {string} 实际写入的文件名
+   */
+  function commitEntry(name, chunks, crc, size, date) {
+    if (offset + size > ZIP_MAX_SIZE)
+      throw new Error('压缩包超过 4GB，请减少选择的文件数量')
+
+    const { time, date: dosDate } = toDosDateTime(date)
+    const uniqueName = getUniqueName(name)
+    const entry = {
+      nameBytes: encoder.encode(uniqueName),
+      crc,
+      size,
+      offset,
+      dosTime: time,
+      dosDate,
+    }
+    const header = createLocalHeader(entry)
+    parts.push(header, ...chunks)
+    offset += header.length + size
+    entries.push(entry)
+    return uniqueName
+  }
+
+  /**
+   * 从可读流写入文件（边读取边计算 CRC，读取失败时不会写入任何内容）
+   * @param {string} name - 压缩包内的文件名
+   * @param {ReadableStream<Uint8Array>} stream - 文件内容流
+   * @param {object} [options] - 选项
+   * @param {(bytes: number) => void} [options.onProgress] - 每读取一块数据时回调（参数为本块字节数）
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {Date} [options.date] - 文件修改时间
+   * @returns {Promise<string>} 实际写入的文件名（重名时会追加序号）
+   */
+  async function addStream(name, stream, { onProgress, signal, date = new Date() } = {}) {
+    const reader = stream.getReader()
+    const chunks = []
+    let crc = 0
+    let size = 0
+
+    try {
+      while (true) {
+        if (signal?.aborted)
+          throw new DOMException('Aborted', 'AbortError')
+        const { done, value } = await reader.read()
+        if (done)
+          break
+        crc = updateCrc32(crc, value)
+        size += value.length
+        chunks.push(value)
+        onProgress?.(value.length)
+      }
+    }
+    catch (error) {
+      reader.cancel().catch(() => {})
+      throw error
+    }
+
+    return commitEntry(name, chunks, crc, size, date)
+  }
+
+  /**
+   * 写入文本或二进制文件（如 manifest.json）
+   * @param {string} name - 压缩包内的文件名
+   * @param {string|Uint8Array} content - 文件内容
+   * @param {Date} [date] - 文件修改时间
+   * @returns {string} 实际写入的文件名
+   */
+  function addFile(name, content, date = new Date()) {
+    const bytes = typeof content === 'string' ? encoder.encode(content) : content
+    return commitEntry(name, [bytes], updateCrc32(0, bytes), bytes.length, date)
+  }
+
+  /**
+   * 生成 ZIP 文件
+   * @returns {Blob} ZIP Blob
+   */
+  function toBlob() {
+    const centralHeaders = entries.map(createCentralHeader)
+    const centralSize = centralHeaders.reduce((sum, header) => sum + header.length, 0)
+    const endRecord = createEndRecord(entries.length, centralSize, offset)
+    return new Blob([...parts, ...centralHeaders, endRecord], { type: 'application/zip' })
+  }
+
+  return {
+    addStream,
+    addFile,
+    toBlob,
+    get fileCount() {
+      return entries.length
+    },
+  }
+}
@@ -1,8 +1,25 @@
 /* eslint-disable no-restricted-globals */
 // ========================================
-// Web Worker: 数据处理（解密 + 排序）
+// Web Worker: 数据处理（解密 + 筛选排序 + 搜索 + 占位图解码）
 // ========================================
 
+import { decodeBlurhash } from '@/utils/blurhash'
+import { crc32, decompress } from '@/utils/compression'
+import { filterAndSortWallpapers } from '@/utils/filter-pipeline'
+import { buildSearchIndex, searchIndex } from '@/utils/search-index'
+
+// 搜索索引缓存（key -> 索引），只保留最近使用的几个系列
+const MAX_SEARCH_INDEXES = 4
+const searchIndexes = new Map()
+
+// 筛选数据集缓存（key -> 壁纸列表），壁纸数据只需发送一次
+const MAX_DATASETS = 4
+const datasets = new Map()
+
+// 最新的筛选任务 ID（旧任务在开始执行前被取消）
+let latestFilterJobId = null
+const FILTER_JOB_CANCELLED = 'Filter job cancelled'
+
 // 字符映射表（解码用）
 const CHAR_MAP_DECODE = {
   'Q': 'A',
@@ -72,18 +89,44 @@ const CHAR_MAP_DECODE = {
   '.': '=',
 }
 
-const VERSION_PREFIX = 'v1.'
+// 版本前缀（与 utils/codec-config.js 一致）
+const VERSION_PREFIX_V1 = 'v1.'
+const VERSION_PREFIX_V2 = 'v2.'
 
 /**
- * 解码数据
+ * 反转 + 字符映射 + Base64 解码，返回二进制字符串
+ */
+function unscramble(encoded) {
+  const reversed = encoded.split('').reverse().join('')
+  return atob(reversed.split('').map(c => CHAR_MAP_DECODE[c] || c).join(''))
+}
+
+/**
+ * 解码数据（根据版本前缀选择解码方式，与 utils/codec.js 的 decodeData 一致）
  */
 function decodeData(encoded) {
-  if (!encoded.startsWith(VERSION_PREFIX)) {
-    throw new Error('Invalid data format')
+  if (encoded.startsWith(VERSION_PREFIX_V1)) {
+    return decodeURIComponent(escape(unscramble(encoded.slice(VERSION_PREFIX_V1.length))))
+  }
+
+  if (encoded.startsWith(VERSION_PREFIX_V2)) {
+    // v2.{crc32}.{压缩后编码的内容}
+    const body = encoded.slice(VERSION_PREFIX_V2.length)
+    const separator = body.indexOf('.')
+    let binary
+    try {
+      binary = decompress(unscramble(body.slice(separator + 1)))
+    }
+    catch (error) {
+      throw new Error(`Invalid data: truncated or corrupted (${error.message})`)
+    }
+    if (separator !== 8 || crc32(binary) !== body.slice(0, separator)) {
+      throw new Error('Invalid data checksum: data may be truncated or corrupted')
+    }
+    return decodeURIComponent(escape(binary))
   }
-  const reversed = encoded.slice(VERSION_PREFIX.length).split('').reverse().join('')
-  const base64 = reversed.split('').map(c => CHAR_MAP_DECODE[c] || c).join('')
-  return decodeURIComponent(escape(atob(base64)))
+
+  throw new Error('Invalid data format')
 }
 
 /**
@@ -156,74 +199,56 @@ const sortFunctions = {
 }
 
 /**
- * 筛选 + 排序批量处理
+ * 缓存筛选数据集（超出上限时淘汰最早的数据集，规则与主线程 useWorker 一致）
  */
-function processFilterAndSort(data) {
-  const { wallpapers, filters, sortMethod, popularityMap } = data
-  let result = [...wallpapers]
-
-  // 应用搜索过滤
-  if (filters.searchQuery) {
-    const query = filters.searchQuery.toLowerCase()
-    result = result.filter(w =>
-      w.filename.toLowerCase().includes(query)
-      || w.category?.toLowerCase().includes(query)
-      || w.subcategory?.toLowerCase().includes(query)
-      || (w.tags && w.tags.some(tag => tag.toLowerCase().includes(query))),
-    )
+function cacheDataset(key, wallpapers) {
+  const dataset = wallpapers || datasets.get(key)
+  if (!dataset)
+    return
+  datasets.delete(key)
+  datasets.set(key, dataset)
+  if (datasets.size > MAX_DATASETS) {
+    const oldestKey = datasets.keys().next().value
+    datasets.delete(oldestKey)
   }
+}
 
-  // 应用格式过滤
-  if (filters.formatFilter && filters.formatFilter !== 'all') {
-    result = result.filter(w =>
-      w.format.toLowerCase() === filters.formatFilter.toLowerCase(),
-    )
+/**
+ * 执行筛选 + 排序任务（期间已收到更新的任务时直接取消）
+ * 返回结果在数据集中的下标，主线程映射回原对象
+ */
+function runFilterJob(id, data) {
+  if (id !== latestFilterJobId) {
+    self.postMessage({ id, success: false, error: FILTER_JOB_CANCELLED })
+    return
   }
+  latestFilterJobId = null
 
-  // 应用一级分类过滤
-  if (filters.categoryFilter && filters.categoryFilter !== 'all') {
-    result = result.filter(w => w.category === filters.categoryFilter)
+  try {
+    const wallpapers = datasets.get(data.key)
+    if (!wallpapers) {
+      throw new Error(`Dataset not found: ${data.key}`)
+    }
+    const indexOf = new Map(wallpapers.map((w, index) => [w, index]))
+    const result = filterAndSortWallpapers(wallpapers, data.criteria, data.context)
+    const indices = Uint32Array.from(result, w => indexOf.get(w))
+    self.postMessage({ id, success: true, result: indices }, [indices.buffer])
   }
-
-  // 应用二级分类过滤
-  if (filters.subcategoryFilter && filters.subcategoryFilter !== 'all') {
-    result = result.filter(w => w.subcategory === filters.subcategoryFilter)
+  catch (error) {
+    self.postMessage({ id, success: false, error: error.message })
   }
+}
 
-  // 应用排序
-  switch (sortMethod) {
-    case 'newest':
-      result = sortFunctions.sortByDate(result, 'desc')
-      break
-    case 'oldest':
-      result = sortFunctions.sortByDate(result, 'asc')
-      break
-    case 'popular':
-    case 'weekly-hot':
-    case 'monthly-hot':
-      result = sortFunctions.sortByPopularity(result, popularityMap)
-      break
-    case 'downloads':
-      result = sortFunctions.sortByDownloads(result, popularityMap)
-      break
-    case 'views':
-      result = sortFunctions.sortByViews(result, popularityMap)
-      break
-    case 'largest':
-      result = sortFunctions.sortBySize(result, 'desc')
-      break
-    case 'smallest':
-      result = sortFunctions.sortBySize(result, 'asc')
-      break
-    case 'name-asc':
-      result = sortFunctions.sortByName(result, 'asc')
-      break
-    case 'name-desc':
-      result = sortFunctions.sortByName(result, 'desc')
-      break
+/**
+ * 缓存搜索索引（超出上限时淘汰最早的索引）
+ */
+function cacheSearchIndex(key, index) {
+  searchIndexes.delete(key)
+  searchIndexes.set(key, index)
+  if (searchIndexes.size > MAX_SEARCH_INDEXES) {
+    const oldestKey = searchIndexes.keys().next().value
+    searchIndexes.delete(oldestKey)
   }
-
-  return result
 }
 
 /**
@@ -258,10 +283,43 @@ self.onmessage = function (e) {
         break
       }
       case 'filterAndSort': {
-        // 筛选 + 排序（批量处理）
-        result = processFilterAndSort(data)
+        // 筛选 + 排序：延后到下一个任务执行，连续输入时只处理最新的任务
+        cacheDataset(data.key, data.wallpapers)
+        latestFilterJobId = id
+        setTimeout(() => runFilterJob(id, data), 0)
+        return
+      }
+      case 'cancel': {
+        // 取消尚未开始的筛选任务
+        if (latestFilterJobId === data.id) {
+          latestFilterJobId = null
+        }
+        result = true
+        break
+      }
+      case 'buildSearchIndex': {
+        // 构建搜索索引（系列数据加载后调用）
+        const index = buildSearchIndex(data.documents)
+        cacheSearchIndex(data.key, index)
+        result = { key: data.key, terms: index.sortedTerms.length }
         break
       }
+      case 'search': {
+        // 查询搜索索引，返回 [壁纸 ID, 得分]
+        const index = searchIndexes.get(data.key)
+        if (!index) {
+          throw new Error(`Search index not found: ${data.key}`)
+        }
+        cacheSearchIndex(data.key, index)
+        result = searchIndex(index, data.query)
+        break
+      }
+      case 'decodeBlurhash': {
+        // 解码 blurhash 占位图，像素缓冲区转移给主线程
+        const pixels = decodeBlurhash(data.hash, data.width, data.height)
+        self.postMessage({ id, success: true, result: pixels }, [pixels.buffer])
+        return
+      }
       default:
         throw new Error(`Unknown message type: ${type}`)
     }
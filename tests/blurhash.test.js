@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest'
+import { decodeBlurhash, encodeBlurhash, isValidBlurhash } from '@/utils/blurhash'
+
+const WIDTH = 8
+const HEIGHT = 6
+
+// 生成 RGB 像素
+function image(color) {
+  const pixels = []
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++)
+      pixels.push(...color(x, y))
+  }
+  return pixels
+}
+
+// 解码结果中每个像素的 RGB
+function colorsOf(rgba) {
+  return Array.from({ length: rgba.length / 4 }, (_, i) => Array.from(rgba.slice(i * 4, i * 4 + 3)))
+}
+
+describe('blurhash', () => {
+  it('round-trips solid black and white without drifting', () => {
+    const black = encodeBlurhash(image(() => [0, 0, 0]), WIDTH, HEIGHT)
+    expect(black).toBe('L00000fQfQfQfQfQfQfQfQfQfQfQ')
+    expect(colorsOf(decodeBlurhash(black, 4, 3)).every(color => color.join() === '0,0,0')).toBe(true)
+
+    // 纯色图片的交流分量只有浮点误差，量化后仍可能不为 0（参考实现相同），因此只比较左上角像素
+    const white = encodeBlurhash(image(() => [255, 255, 255]), WIDTH, HEIGHT)
+    expect(white).toBe('LsTSUA_3fQ_3~qt7fQt7fQfQfQfQ')
+    expect(Array.from(decodeBlurhash(white, 1, 1))).toEqual([255, 255, 255, 255])
+  })
+
+  it('matches the reference encoder', () => {
+    // 与 blurha.sh 的 TypeScript 实现（npm blurhash）输出一致
+    const gradient = image((x, y) => [255 - x * 32, 255 - y * 40, 160 - x * 8])
+    expect(encodeBlurhash(gradient, WIDTH, HEIGHT)).toBe('L~I~9p}a,a%1y-xZsVoxg]f%fQf%')
+    expect(encodeBlurhash(gradient, WIDTH, HEIGHT, 1, 1)).toBe('00I~9p')
+  })
+
+  it('decodes a known hash like the reference decoder', () => {
+    // blurha.sh 首页示例
+    const hash = 'LEHV6nWB2yk8pyo0adR*.7kCMdnj'
+    expect(isValidBlurhash(hash)).toBe(true)
+    expect(colorsOf(decodeBlurhash(hash, 4, 3))).toEqual([
+      [135, 164, 177],
+      [161, 173, 177],
+      [181, 180, 171],
+      [160, 172, 174],
+      [124, 154, 169],
+      [148, 148, 154],
+      [164, 145, 134],
+      [146, 152, 155],
+      [124, 144, 154],
+      [144, 134, 132],
+      [163, 130, 104],
+      [148, 140, 134],
+    ])
+  })
+
+  it('rejects malformed hashes', () => {
+    expect(isValidBlurhash('L00000fQfQ')).toBe(false)
+    expect(isValidBlurhash(null)).toBe(false)
+    expect(() => decodeBlurhash('not a hash', 4, 3)).toThrow('Invalid blurhash')
+  })
+})
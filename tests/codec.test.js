@@ -0,0 +1,96 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import fc from 'fast-check'
+import { describe, expect, it } from 'vitest'
+import { decodeData, encodeData, getCodecVersion } from '@/utils/codec'
+import { compress, decompress } from '@/utils/compression'
+
+// 确定性的伪随机数（xorshift32）
+function createRandom(seed = 1) {
+  let state = seed
+  return () => {
+    state ^= state << 13
+    state ^= state >>> 17
+    state ^= state << 5
+    return state >>> 0
+  }
+}
+
+// 重复片段少的数据：LZW 平均不到 2 个字节就新增一个字典项
+function noisyBinary(length) {
+  const random = createRandom()
+  return Array.from({ length }, () => String.fromCharCode(random() & 0xFF)).join('')
+}
+
+function noisyText(length) {
+  const random = createRandom()
+  return Array.from({ length }, () => String.fromCharCode(0x4E00 + random() % 0x5000)).join('')
+}
+
+describe('encodeData / decodeData', () => {
+  it.each(['v1', 'v2'])('round-trips arbitrary strings with %s', (version) => {
+    fc.assert(fc.property(fc.string({ unit: 'binary', maxLength: 500 }), (str) => {
+      const encoded = encodeData(str, version)
+      return getCodecVersion(encoded) === version && decodeData(encoded) === str
+    }))
+  })
+
+  it('round-trips inputs large enough to reset the LZW dictionary', () => {
+    // 字典从 257 开始，写满 65536 个编码后输出 CLEAR 重新开始；以下两份输入都会重置两次
+    const binary = noisyBinary(200000)
+    expect(decompress(compress(binary))).toBe(binary)
+
+    const text = noisyText(100000)
+    expect(decodeData(encodeData(text, 'v2'))).toBe(text)
+  })
+
+  it('uses v2 by default and rejects unknown versions', () => {
+    expect(getCodecVersion(encodeData('a'))).toBe('v2')
+    expect(() => encodeData('a', 'v3')).toThrow('Unknown codec version: v3')
+    expect(() => decodeData('v3.abc')).toThrow('Invalid data format')
+    expect(getCodecVersion('abc')).toBeNull()
+    expect(getCodecVersion(undefined)).toBeNull()
+  })
+})
+
+describe('v2 integrity checks', () => {
+  const text = JSON.stringify(Array.from({ length: 50 }, (_, i) => ({ id: `desktop-${i}`, filename: `夏日云海_${i}.jpg` })))
+  const encoded = encodeData(text, 'v2')
+
+  it('throws on truncated input', () => {
+    fc.assert(fc.property(fc.integer({ min: 'v2.'.length, max: encoded.length - 1 }), (cut) => {
+      expect(() => decodeData(encoded.slice(0, cut))).toThrow(/truncated or corrupted/)
+    }))
+  })
+
+  it('throws when the checksum does not match the payload', () => {
+    const crc = encoded.slice(3, 11)
+    const wrongCrc = crc.replace(/^./, c => (c === '0' ? '1' : '0'))
+    expect(() => decodeData(`v2.${wrongCrc}${encoded.slice(11)}`)).toThrow('Invalid data checksum')
+
+    // 用另一份数据的载荷替换，格式合法但校验值不符
+    const otherPayload = encodeData(`${text} `, 'v2').slice(11)
+    expect(() => decodeData(`v2.${crc}${otherPayload}`)).toThrow('Invalid data checksum')
+  })
+
+  it('throws when a payload character is corrupted', () => {
+    const middle = Math.floor(encoded.length / 2)
+    const corrupted = encoded.slice(0, middle) + (encoded[middle] === 'a' ? 'b' : 'a') + encoded.slice(middle + 1)
+    expect(() => decodeData(corrupted)).toThrow(/truncated or corrupted/)
+  })
+})
+
+describe('v1 compatibility', () => {
+  it('decodes data encoded by earlier releases', () => {
+    const legacy = 'v1.46sO8Vk0KjS0ovoOsth0HLq0olsGoD8MiKfOlOEx1ttupV-u_VxsqqxO1OLMlKBq5Pnt'
+    expect(JSON.parse(decodeData(legacy))).toEqual({ title: '暖心壁纸', tags: ['夏日', '云海'] })
+  })
+
+  it('decodes the v1 data files shipped in public/data', () => {
+    const file = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../public/data/desktop/index.json'), 'utf8'))
+    expect(getCodecVersion(file.blob)).toBe('v1')
+    const categories = JSON.parse(decodeData(file.blob))
+    expect(categories.length).toBeGreaterThan(0)
+    expect(encodeData(decodeData(file.blob), 'v1')).toBe(file.blob)
+  })
+})
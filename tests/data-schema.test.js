@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest'
+import {
+  CATEGORY_FILE_SCHEMA,
+  partitionRecords,
+  validate,
+  WALLPAPER_LIST_SCHEMA,
+  WALLPAPER_SCHEMA,
+} from '@/utils/data-schema'
+
+function wallpaper(overrides = {}) {
+  return {
+    id: 'desktop-001',
+    filename: '夏日云海.jpg',
+    category: '风景',
+    path: '/wallpaper/desktop/风景/夏日云海.jpg',
+    size: 2048000,
+    format: 'JPG',
+    createdAt: '2025-06-15T08:00:00.000Z',
+    resolution: { width: 3840, height: 2160, label: '4K', type: 'success' },
+    ...overrides,
+  }
+}
+
+describe('validate', () => {
+  it('accepts a well-formed wallpaper', () => {
+    expect(validate(WALLPAPER_SCHEMA, wallpaper())).toEqual([])
+  })
+
+  it('reports a missing filename', () => {
+    const { filename, ...rest } = wallpaper()
+    expect(validate(WALLPAPER_SCHEMA, rest)).toEqual([{ path: 'filename', message: '缺少字段' }])
+    expect(validate(WALLPAPER_SCHEMA, wallpaper({ filename: '  ' }))).toEqual([{ path: 'filename', message: '不能为空' }])
+  })
+
+  it('reports malformed resolutions field by field', () => {
+    expect(validate(WALLPAPER_SCHEMA, wallpaper({ resolution: { width: '3840', height: 0, label: '4K', type: 'success' } }))).toEqual([
+      { path: 'resolution.width', message: '应为整数，实际为 string "3840"' },
+      { path: 'resolution.height', message: '不能小于 1：0' },
+    ])
+    expect(validate(WALLPAPER_SCHEMA, wallpaper({ resolution: '3840x2160' }))).toEqual([
+      { path: 'resolution', message: '应为对象，实际为 string' },
+    ])
+    // resolution 可选
+    expect(validate(WALLPAPER_SCHEMA, wallpaper({ resolution: null }))).toEqual([])
+  })
+
+  it('reports unparsable createdAt values', () => {
+    expect(validate(WALLPAPER_SCHEMA, wallpaper({ createdAt: '2025-13-45' }))).toEqual([
+      { path: 'createdAt', message: '应为有效的日期时间，实际为 "2025-13-45"' },
+    ])
+    expect(validate(WALLPAPER_SCHEMA, wallpaper({ createdAt: 1718438400000 }))).toEqual([
+      { path: 'createdAt', message: '应为有效的日期时间，实际为 1718438400000' },
+    ])
+  })
+
+  it('prefixes nested paths with array indexes and the start path', () => {
+    const list = [wallpaper(), wallpaper({ resolution: { width: 1, height: 1.5, label: '', type: '' } })]
+    expect(validate(WALLPAPER_LIST_SCHEMA, list, 'blob')).toEqual([
+      { path: 'blob[1].resolution.height', message: '应为整数，实际为 number 1.5' },
+    ])
+    expect(validate(CATEGORY_FILE_SCHEMA, [])).toEqual([{ path: '(根)', message: '应为对象，实际为 数组' }])
+  })
+})
+
+describe('partitionRecords', () => {
+  it('keeps valid records in order and reports the invalid ones by index', () => {
+    const first = wallpaper({ id: 'a' })
+    const third = wallpaper({ id: 'c' })
+    const { filename, ...missingFilename } = wallpaper({ id: 'b' })
+    const records = [first, missingFilename, third, wallpaper({ id: 'd', createdAt: 'yesterday' }), null]
+
+    const { valid, invalid } = partitionRecords(records, WALLPAPER_SCHEMA)
+    expect(valid).toEqual([first, third])
+    expect(valid[0]).toBe(first)
+    expect(invalid).toEqual([
+      { index: 1, errors: [{ path: 'filename', message: '缺少字段' }] },
+      { index: 3, errors: [{ path: 'createdAt', message: '应为有效的日期时间，实际为 "yesterday"' }] },
+      { index: 4, errors: [{ path: '(根)', message: '应为对象，实际为 null' }] },
+    ])
+  })
+
+  it('returns every record when all are valid', () => {
+    const records = [wallpaper({ id: 'a' }), wallpaper({ id: 'b' })]
+    expect(partitionRecords(records, WALLPAPER_SCHEMA)).toEqual({ valid: records, invalid: [] })
+  })
+})
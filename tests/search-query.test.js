@@ -0,0 +1,245 @@
+import fc from 'fast-check'
+import { describe, expect, it } from 'vitest'
+import {
+  collectQueryValues,
+  getIndexedTerms,
+  getQuerySuggestions,
+  getTokenAtCursor,
+  matchesQuery,
+  matchesTextTerm,
+  parseSearchQuery,
+} from '@/utils/search-query'
+
+const MB = 1024 ** 2
+
+// 去掉位置信息，只比较结构
+function strip(node) {
+  if (!node)
+    return node
+  const { start, end, ...rest } = node
+  if (rest.children)
+    rest.children = rest.children.map(strip)
+  if (rest.child)
+    rest.child = strip(rest.child)
+  return rest
+}
+
+function parse(input) {
+  const { ast, errors } = parseSearchQuery(input)
+  return { ast: strip(ast), errors }
+}
+
+const matchText = (node, wallpaper) => matchesTextTerm(wallpaper, node.value)
+
+const WALLPAPERS = [
+  { id: 'a', filename: 'city-night.jpg', category: '风景', subcategory: '城市', format: 'jpg', size: 1.5 * MB, createdAt: '2025-06-15T08:00:00Z', resolution: { width: 3840, height: 2160 }, tags: ['夜景', '城市 夜景'] },
+  { id: 'b', filename: 'cat.png', category: '萌宠', format: 'png', size: 6 * MB, createdAt: '2025-08-01T00:00:00Z', resolution: { width: 1920, height: 1080 }, tags: ['猫'] },
+  { id: 'c', filename: 'galaxy.webp', category: '风景', subcategory: '星空', format: 'webp', size: 800 * 1024, createdAt: '2024-12-31T23:00:00Z', resolution: { width: 7680, height: 4320 }, tags: ['银河'] },
+]
+
+function search(input) {
+  const { ast } = parseSearchQuery(input)
+  return WALLPAPERS.filter(w => matchesQuery(ast, w, matchText)).map(w => w.id)
+}
+
+describe('parseSearchQuery', () => {
+  describe('field queries', () => {
+    it('parses text fields, aliases and the full-width colon', () => {
+      expect(parse('cat:风景 分类：动漫 fmt:PNG tag:夜景')).toEqual({
+        ast: {
+          type: 'and',
+          children: [
+            { type: 'field', field: 'cat', value: '风景' },
+            { type: 'field', field: 'cat', value: '动漫' },
+            { type: 'field', field: 'fmt', value: 'png' },
+            { type: 'field', field: 'tag', value: '夜景' },
+          ],
+        },
+        errors: [],
+      })
+    })
+
+    it('maps resolution labels to the long-side range of that tier', () => {
+      expect(parse('res:4K').ast).toEqual({ type: 'field', field: 'res', min: 3840, max: 4096 })
+      expect(parse('res:>=4K').ast).toEqual({ type: 'field', field: 'res', min: 3840, max: Infinity })
+      expect(parse('res:3840x2160').ast).toEqual({ type: 'field', field: 'res', min: 3840, max: 3841 })
+      expect(parse('res:<2K').ast).toEqual({ type: 'field', field: 'res', min: -Infinity, max: 2048 })
+    })
+
+    it('parses size comparisons and matches plain sizes at unit precision', () => {
+      expect(parse('size:<2MB').ast).toEqual({ type: 'field', field: 'size', min: -Infinity, max: 2 * MB })
+      expect(parse('size:>5mb').ast).toEqual({ type: 'field', field: 'size', min: 5 * MB + 1, max: Infinity })
+      expect(parse('size:2MB').ast).toEqual({ type: 'field', field: 'size', min: 1.5 * MB, max: 2.5 * MB })
+    })
+
+    it('parses date values and ranges as half-open UTC intervals', () => {
+      expect(parse('date:2025-06..2025-08').ast).toEqual({
+        type: 'field',
+        field: 'date',
+        min: Date.UTC(2025, 5, 1),
+        max: Date.UTC(2025, 8, 1),
+      })
+      expect(parse('date:2025').ast).toMatchObject({ min: Date.UTC(2025, 0, 1), max: Date.UTC(2026, 0, 1) })
+      expect(parse('date:..2024-12-31').ast).toMatchObject({ min: -Infinity, max: Date.UTC(2025, 0, 1) })
+    })
+
+    it('reports invalid field values at the position of the condition', () => {
+      const cases = [
+        ['foo cat:', '“cat:” 后缺少一级分类，如 cat:风景', 4, 8],
+        ['fmt:bmp', '未知格式 "bmp"，可选：jpg、png、jpeg、webp、gif', 0, 7],
+        ['date:2025-02-30', '无法识别的日期 "2025-02-30"，示例：2025、2025-06、2025-06-15', 0, 15],
+        ['date:2025-08..2025-06', '区间起点不能大于终点', 0, 21],
+        ['size:2', '文件大小需要单位（B / KB / MB / GB），如 2MB', 0, 6],
+        ['cat:>5', '一级分类不支持比较或区间', 0, 6],
+        ['a colour:red', '未知字段 "colour:"，可用字段：cat、sub、tag、fmt、res、size、date', 2, 12],
+      ]
+      cases.forEach(([input, message, start, end]) => {
+        expect(parseSearchQuery(input).errors, input).toEqual([{ message, start, end }])
+      })
+    })
+
+    it('treats non-field colons as keywords', () => {
+      expect(parse('12:30')).toEqual({ ast: { type: 'text', value: '12:30' }, errors: [] })
+    })
+  })
+
+  describe('quoting and negation', () => {
+    it('keeps quoted phrases and quoted field values intact', () => {
+      expect(parse('"City Night" tag:"城市 夜景"').ast).toEqual({
+        type: 'and',
+        children: [
+          { type: 'text', value: 'city night', phrase: true },
+          { type: 'field', field: 'tag', value: '城市 夜景' },
+        ],
+      })
+    })
+
+    it('reports an unterminated quote up to the end of the input', () => {
+      const { ast, errors } = parseSearchQuery('a "城市 夜')
+      expect(errors).toEqual([{ message: '缺少右引号', start: 2, end: 7 }])
+      expect(strip(ast).children[1]).toEqual({ type: 'text', value: '城市 夜', phrase: true })
+    })
+
+    it('reports empty phrases', () => {
+      expect(parseSearchQuery('""').errors).toEqual([{ message: '引号内没有内容', start: 0, end: 2 }])
+    })
+
+    it('negates terms, fields and groups', () => {
+      expect(parse('-萌宠 -fmt:png -(a OR b)').ast).toEqual({
+        type: 'and',
+        children: [
+          { type: 'not', child: { type: 'text', value: '萌宠' } },
+          { type: 'not', child: { type: 'field', field: 'fmt', value: 'png' } },
+          {
+            type: 'not',
+            child: { type: 'or', children: [{ type: 'text', value: 'a' }, { type: 'text', value: 'b' }] },
+          },
+        ],
+      })
+    })
+
+    it('reports a dangling minus sign', () => {
+      expect(parseSearchQuery('a - b').errors).toEqual([{ message: '“-” 后缺少要排除的条件', start: 2, end: 3 }])
+      expect(parseSearchQuery('a -)').errors[0]).toEqual({ message: '“-” 后缺少要排除的条件', start: 2, end: 3 })
+    })
+  })
+
+  describe('boolean operators and parentheses', () => {
+    it('binds AND tighter than OR', () => {
+      expect(parse('a b OR c | d').ast).toEqual({
+        type: 'or',
+        children: [
+          { type: 'and', children: [{ type: 'text', value: 'a' }, { type: 'text', value: 'b' }] },
+          { type: 'text', value: 'c' },
+          { type: 'text', value: 'd' },
+        ],
+      })
+    })
+
+    it('reports missing operands around OR', () => {
+      expect(parseSearchQuery('OR a').errors).toEqual([{ message: 'OR 前缺少条件', start: 0, end: 2 }])
+      expect(parseSearchQuery('a |').errors).toEqual([{ message: 'OR 后缺少条件', start: 2, end: 3 }])
+    })
+
+    it('reports unbalanced parentheses and keeps the remaining conditions', () => {
+      const unclosed = parseSearchQuery('x (a b')
+      expect(unclosed.errors).toEqual([{ message: '缺少右括号', start: 2, end: 3 }])
+      expect(strip(unclosed.ast)).toEqual({
+        type: 'and',
+        children: [
+          { type: 'text', value: 'x' },
+          { type: 'and', children: [{ type: 'text', value: 'a' }, { type: 'text', value: 'b' }] },
+        ],
+      })
+
+      const extra = parseSearchQuery('a) b')
+      expect(extra.errors).toEqual([{ message: '多余的右括号', start: 1, end: 2 }])
+      expect(strip(extra.ast)).toEqual({ type: 'and', children: [{ type: 'text', value: 'a' }, { type: 'text', value: 'b' }] })
+
+      expect(parseSearchQuery('a ()').errors).toEqual([{ message: '括号内没有条件', start: 2, end: 3 }])
+    })
+
+    it('records node positions in the original input', () => {
+      const { ast } = parseSearchQuery('cat:风景 -萌宠 "a b"')
+      expect(ast.children.map(node => [node.start, node.end])).toEqual([[0, 6], [7, 10], [11, 16]])
+    })
+
+    it('never throws and keeps error offsets inside the input', () => {
+      const alphabet = fc.constantFrom('a', '风', ' ', '-', '"', '(', ')', '|', ':', 'OR', 'cat:', 'res:>=', 'size:', '..', '4K', '2MB')
+      fc.assert(fc.property(fc.array(alphabet, { maxLength: 20 }).map(parts => parts.join('')), (input) => {
+        const { errors } = parseSearchQuery(input)
+        return errors.every(error => error.start >= 0 && error.start <= error.end && error.end <= input.length)
+      }))
+    })
+  })
+})
+
+describe('getIndexedTerms', () => {
+  it('returns only plain top-level keywords', () => {
+    const { ast } = parseSearchQuery('a "b c" -d cat:x (e OR f) g')
+    expect(getIndexedTerms(ast).map(node => node.value)).toEqual(['a', 'g'])
+    expect(getIndexedTerms(parseSearchQuery('a').ast).map(node => node.value)).toEqual(['a'])
+    expect(getIndexedTerms(null)).toEqual([])
+  })
+})
+
+describe('matchesQuery', () => {
+  it('matches fields, ranges, negation and OR against wallpapers', () => {
+    expect(search('cat:风景')).toEqual(['a', 'c'])
+    expect(search('res:>=4K')).toEqual(['a', 'c'])
+    expect(search('res:4K')).toEqual(['a'])
+    expect(search('size:<1MB')).toEqual(['c'])
+    expect(search('date:2025-06..2025-08')).toEqual(['a', 'b'])
+    expect(search('-cat:风景')).toEqual(['b'])
+    expect(search('猫 OR 银河')).toEqual(['b', 'c'])
+    expect(search('tag:"城市 夜景"')).toEqual(['a'])
+    expect(search('fmt:JPG city')).toEqual(['a'])
+  })
+})
+
+describe('autocomplete', () => {
+  it('finds the condition under the caret', () => {
+    const input = 'cat:风 -res:>=4 tag'
+    expect(getTokenAtCursor(input, 5)).toEqual({ start: 0, end: 5, negated: false, text: 'cat:风', name: 'cat', field: 'cat', value: '风' })
+    expect(getTokenAtCursor(input, 14)).toEqual({ start: 6, end: 14, negated: true, text: 'res:>=4', name: 'res', field: 'res', value: '>=4' })
+    expect(getTokenAtCursor(input)).toMatchObject({ start: 15, end: 18, text: 'tag', field: null, name: '' })
+  })
+
+  it('treats an open quote as part of the current condition', () => {
+    expect(getTokenAtCursor('a tag:"城市 夜')).toMatchObject({ start: 2, name: 'tag', field: 'tag', value: '城市 夜' })
+  })
+
+  it('suggests field names for a partial name', () => {
+    const suggestions = getQuerySuggestions(getTokenAtCursor('-ca'), {})
+    expect(suggestions).toEqual([{ label: 'cat:', insert: '-cat:', hint: '一级分类，如 cat:风景', isField: true }])
+    expect(getQuerySuggestions(getTokenAtCursor(''), {})).toEqual([])
+  })
+
+  it('suggests values and keeps the comparison operator', () => {
+    const values = collectQueryValues(WALLPAPERS)
+    expect(getQuerySuggestions(getTokenAtCursor('res:>=4'), values).map(item => item.insert)).toEqual(['res:>=4K+', 'res:>=4K'])
+    expect(getQuerySuggestions(getTokenAtCursor('date:2025'), values).map(item => item.label)).toEqual(['date:2025-08', 'date:2025-06'])
+    expect(getQuerySuggestions(getTokenAtCursor('tag:城'), values).map(item => item.insert)).toEqual(['tag:"城市 夜景"'])
+    expect(getQuerySuggestions(getTokenAtCursor('fmt:p'), values)).toEqual([{ label: 'fmt:png', insert: 'fmt:png', hint: '1 张', isField: false }])
+  })
+})
@@ -0,0 +1,85 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { CONFIG, syncSeries } from '../scripts/sync-data.js'
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex')
+
+const OLD_INDEX = JSON.stringify({ categories: [{ name: '风景', file: '风景.json' }] })
+const NEW_INDEX = JSON.stringify({ categories: [{ name: '自然', file: '自然.json' }, { name: '城市', file: '城市.json' }] })
+const NATURE = JSON.stringify({ wallpapers: [{ id: 'desktop-1' }] })
+const CITY = JSON.stringify({ wallpapers: [{ id: 'desktop-2' }] })
+
+// 线上数据：分类“风景”改名为“自然”，并新增“城市”
+const REMOTE = {
+  'desktop/index.json': NEW_INDEX,
+  'desktop/自然.json': NATURE,
+  'desktop/城市.json': CITY,
+}
+
+const manifest = {
+  generatedAt: '2025-06-01T00:00:00.000Z',
+  files: Object.fromEntries(Object.entries(REMOTE).map(([key, content]) => [key, { sha256: sha256(content), size: content.length }])),
+}
+
+let outputDir
+let originalOutputDir
+
+function readLocal(key) {
+  const file = path.join(outputDir, key)
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null
+}
+
+function mockRemote(failing = []) {
+  vi.stubGlobal('fetch', async (url) => {
+    const key = Object.keys(REMOTE).find(item => decodeURIComponent(url).endsWith(`/data/${item}`))
+    if (!key || failing.includes(key))
+      return new Response('', { status: 500 })
+    return new Response(REMOTE[key])
+  })
+}
+
+describe('syncSeries', () => {
+  beforeEach(() => {
+    originalOutputDir = CONFIG.OUTPUT_DIR
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-data-'))
+    CONFIG.OUTPUT_DIR = outputDir
+    fs.mkdirSync(path.join(outputDir, 'desktop'))
+    fs.writeFileSync(path.join(outputDir, 'desktop/index.json'), OLD_INDEX)
+    fs.writeFileSync(path.join(outputDir, 'desktop/风景.json'), NATURE)
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    CONFIG.OUTPUT_DIR = originalOutputDir
+    fs.rmSync(outputDir, { recursive: true, force: true })
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('keeps the old index and files when a category download fails', async () => {
+    mockRemote(['desktop/城市.json'])
+    const result = await syncSeries('desktop', { manifest, dryRun: false, force: false, concurrency: 4 })
+
+    expect(result.success).toBe(false)
+    expect(result.stats).toMatchObject({ added: 1, failed: 1, removed: 0 })
+    // 索引仍指向本地存在的旧分类文件
+    expect(readLocal('desktop/index.json')).toBe(OLD_INDEX)
+    expect(readLocal('desktop/风景.json')).toBe(NATURE)
+    expect(readLocal('desktop/城市.json')).toBeNull()
+  })
+
+  it('writes the index and removes stale files once every category succeeds', async () => {
+    mockRemote()
+    const result = await syncSeries('desktop', { manifest, dryRun: false, force: false, concurrency: 4 })
+
+    expect(result.success).toBe(true)
+    expect(result.stats).toMatchObject({ added: 2, updated: 1, removed: 1, failed: 0 })
+    expect(readLocal('desktop/index.json')).toBe(NEW_INDEX)
+    expect(readLocal('desktop/城市.json')).toBe(CITY)
+    expect(readLocal('desktop/风景.json')).toBeNull()
+  })
+})
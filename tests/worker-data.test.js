@@ -0,0 +1,43 @@
+import { createPinia, setActivePinia } from 'pinia'
+import { beforeEach, describe, expect, it } from 'vitest'
+import { ref, toRaw } from 'vue'
+import { toCloneableList } from '@/composables/useWorker'
+import { useFavoritesStore } from '@/stores/favorites'
+import { compareByDateDesc, mergeByDateDesc } from '@/utils/sorting'
+
+function wallpaper(id, createdAt) {
+  return { id, filename: `${id}.jpg`, path: `/wallpaper/desktop/${id}.jpg`, createdAt, tags: ['风景'], resolution: { width: 3840, height: 2160 } }
+}
+
+describe('toCloneableList', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
+  it('unwraps items of lists merged from a reactive array', () => {
+    // 与 wallpaper store 合并分类数据的方式一致
+    const wallpapers = ref([wallpaper('a', '2025-06-01')])
+    const list = [wallpaper('b', '2025-07-01'), wallpaper('c', '2025-05-01')]
+    wallpapers.value = mergeByDateDesc(wallpapers.value, [...list].sort(compareByDateDesc))
+
+    expect(() => structuredClone(toRaw(wallpapers.value))).toThrow(/could not be cloned/)
+    const cloned = structuredClone(toCloneableList(wallpapers.value))
+    expect(cloned.map(item => item.id)).toEqual(['b', 'a', 'c'])
+    expect(cloned[1]).toEqual(wallpaper('a', '2025-06-01'))
+  })
+
+  it('unwraps favorites snapshots prepended to the store list', async () => {
+    const store = useFavoritesStore()
+    await store.addFavorite(wallpaper('a', '2025-06-01'), 'desktop')
+    await store.addFavorite(wallpaper('b', '2025-07-01'), 'desktop')
+
+    expect(() => structuredClone(toRaw(store.items))).toThrow(/could not be cloned/)
+    expect(structuredClone(toCloneableList(store.items)).map(item => item.id)).toEqual(['b', 'a'])
+  })
+
+  it('keeps plain lists unchanged', () => {
+    const list = [wallpaper('a', '2025-06-01')]
+    expect(toCloneableList(list)).toEqual(list)
+    expect(toCloneableList(list)[0]).toBe(list[0])
+  })
+})
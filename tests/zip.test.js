@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest'
+import { createZipWriter } from '@/utils/zip'
+
+const DATE = new Date(2024, 4, 17, 13, 45, 30)
+
+async function toBytes(zip) {
+  return new Uint8Array(await zip.toBlob().arrayBuffer())
+}
+
+function streamOf(...chunks) {
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)))
+      controller.close()
+    },
+  })
+}
+
+describe('createZipWriter', () => {
+  it('writes local headers, central directory and end record at the expected offsets', async () => {
+    const zip = createZipWriter()
+    zip.addFile('a.txt', '123456789', DATE)
+    zip.addFile('中文.txt', 'hello', DATE)
+    const bytes = await toBytes(zip)
+    const view = new DataView(bytes.buffer)
+
+    // 第一个本地文件头
+    expect(view.getUint32(0, true)).toBe(0x04034B50)
+    expect(view.getUint16(6, true)).toBe(0x0800)
+    expect(view.getUint16(8, true)).toBe(0)
+    expect(view.getUint32(14, true)).toBe(0xCBF43926)
+    expect(view.getUint32(18, true)).toBe(9)
+    expect(view.getUint32(22, true)).toBe(9)
+    expect(view.getUint16(26, true)).toBe(5)
+    expect(new TextDecoder().decode(bytes.slice(30, 35))).toBe('a.txt')
+    expect(new TextDecoder().decode(bytes.slice(35, 44))).toBe('123456789')
+
+    // 第二个本地文件头：30 + 5 + 9 = 44，文件名按 UTF-8 编码（10 字节）
+    expect(view.getUint32(44, true)).toBe(0x04034B50)
+    expect(view.getUint32(44 + 14, true)).toBe(0x3610A686)
+    expect(view.getUint16(44 + 26, true)).toBe(10)
+    expect(new TextDecoder().decode(bytes.slice(74, 84))).toBe('中文.txt')
+
+    // 中央目录从 44 + 30 + 10 + 5 = 89 开始
+    const centralOffset = 89
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014B50)
+    expect(view.getUint16(centralOffset + 8, true)).toBe(0x0800)
+    expect(view.getUint32(centralOffset + 16, true)).toBe(0xCBF43926)
+    expect(view.getUint32(centralOffset + 42, true)).toBe(0)
+    const secondCentral = centralOffset + 46 + 5
+    expect(view.getUint32(secondCentral, true)).toBe(0x02014B50)
+    expect(view.getUint32(secondCentral + 16, true)).toBe(0x3610A686)
+    expect(view.getUint32(secondCentral + 42, true)).toBe(44)
+
+    // 中央目录结束记录
+    const end = bytes.length - 22
+    expect(end).toBe(secondCentral + 46 + 10)
+    expect(view.getUint32(end, true)).toBe(0x06054B50)
+    expect(view.getUint16(end + 8, true)).toBe(2)
+    expect(view.getUint16(end + 10, true)).toBe(2)
+    expect(view.getUint32(end + 12, true)).toBe(107)
+    expect(view.getUint32(end + 16, true)).toBe(centralOffset)
+  })
+
+  it('encodes the modification time in DOS format', async () => {
+    const zip = createZipWriter()
+    zip.addFile('a.txt', '', DATE)
+    const view = new DataView((await toBytes(zip)).buffer)
+    expect(view.getUint16(10, true)).toBe((13 << 11) | (45 << 5) | 15)
+    expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (5 << 5) | 17)
+  })
+
+  it('computes the CRC incrementally across stream chunks', async () => {
+    const zip = createZipWriter()
+    const progress = []
+    await zip.addStream('a.txt', streamOf('1234', '56789'), { date: DATE, onProgress: bytes => progress.push(bytes) })
+    const view = new DataView((await toBytes(zip)).buffer)
+    expect(view.getUint32(14, true)).toBe(0xCBF43926)
+    expect(view.getUint32(18, true)).toBe(9)
+    expect(progress).toEqual([4, 5])
+  })
+
+  it('renames duplicate entries', () => {
+    const zip = createZipWriter()
+    expect(zip.addFile('a.jpg', 'x')).toBe('a.jpg')
+    expect(zip.addFile('a.jpg', 'y')).toBe('a (2).jpg')
+    expect(zip.addFile('a.jpg', 'z')).toBe('a (3).jpg')
+    expect(zip.fileCount).toBe(3)
+  })
+
+  it('writes nothing when the stream is aborted', async () => {
+    const zip = createZipWriter()
+    const controller = new AbortController()
+    controller.abort()
+    await expect(zip.addStream('a.txt', streamOf('abc'), { signal: controller.signal })).rejects.toThrow('Aborted')
+    expect(zip.fileCount).toBe(0)
+    expect((await toBytes(zip)).length).toBe(22)
+  })
+})
@@ -12,7 +12,10 @@ import { defineConfig } from 'vite'
 import compression from 'vite-plugin-compression'
 import { cdnPlugin } from './build/vite-plugin-cdn.js'
 import { obfuscatePlugin } from './build/vite-plugin-obfuscate.js'
+import { pwaPlugin } from './build/vite-plugin-pwa.js'
+import { sitePlugin } from './build/vite-plugin-site.js'
 import { versionPlugin } from './build/vite-plugin-version.js'
+import { SITE_CONFIG } from './src/utils/site-config.js'
 
 // 是否生产环境
 const isProduction = process.env.NODE_ENV === 'production'
@@ -32,8 +35,15 @@ export default defineConfig({
       version: APP_VERSION,
       buildTime: BUILD_TIME,
     }),
+    // 站点配置（index.html 占位符、sitemap.xml、robots.txt、PWA 清单）
+    sitePlugin(SITE_CONFIG),
     // CDN 注入
     cdnPlugin(),
+    // Service Worker 生成（预缓存应用外壳）
+    pwaPlugin({
+      version: APP_VERSION,
+      buildTime: BUILD_TIME,
+    }),
     // 自动导入
     AutoImport({
       resolvers: [ElementPlusResolver(), VantResolver()],